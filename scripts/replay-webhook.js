@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Reenvia webhooks de pagamento capturados para um ambiente local
+ *
+ * Uso:
+ *   node scripts/replay-webhook.js --event 42
+ *     Reenvia o evento 42 de payment_webhook_events com os headers originais
+ *     (requer TURSO_DB_URL e, se remoto, TURSO_DB_TOKEN)
+ *
+ *   node scripts/replay-webhook.js --failed
+ *     Reenvia todos os eventos com status 'failed' (por exemplo, os que chegaram
+ *     antes de o pagamento existir); use --gateway para limitar a um gateway
+ *
+ *   node scripts/replay-webhook.js --file payload.json --secret <segredo>
+ *     Envia o corpo do arquivo assinando-o novamente com o segredo informado.
+ *     O arquivo pode ser o corpo bruto ou um evento exportado
+ *     ({ gateway, payload, headers }); neste caso os headers são reaproveitados.
+ *
+ * Opções:
+ *   --gateway <nome>   Gateway da rota (padrão: sandbox ou o do evento)
+ *   --url <url>        Base da aplicação (padrão: SITE_URL ou http://localhost:4321)
+ *   --times <n>        Envia n vezes seguidas para testar a deduplicação
+ */
+
+import { createHmac } from "crypto";
+import { readFileSync } from "fs";
+
+// Header de assinatura usado por cada gateway
+const SIGNATURE_HEADERS = {
+  sandbox: "x-sandbox-signature"
+};
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+async function createDatabaseClient() {
+  const { createClient } = await import("@libsql/client");
+  return createClient({
+    url: process.env.TURSO_DB_URL,
+    authToken: process.env.TURSO_DB_TOKEN
+  });
+}
+
+function toCaptured(row) {
+  return { gateway: row.gateway, payload: row.payload, headers: JSON.parse(row.headers || "{}") };
+}
+
+async function loadFromDatabase(eventId) {
+  const client = await createDatabaseClient();
+
+  const result = await client.execute({
+    sql: "SELECT gateway, payload, headers FROM payment_webhook_events WHERE id = ?",
+    args: [eventId]
+  });
+
+  if (result.rows.length === 0) {
+    throw new Error(`Evento ${eventId} não encontrado em payment_webhook_events`);
+  }
+
+  return toCaptured(result.rows[0]);
+}
+
+async function loadFailedEvents(gateway) {
+  const client = await createDatabaseClient();
+
+  const result = await client.execute({
+    sql: `SELECT id, gateway, payload, headers FROM payment_webhook_events
+          WHERE status = 'failed' AND (? IS NULL OR gateway = ?)
+          ORDER BY id`,
+    args: [gateway || null, gateway || null]
+  });
+
+  return result.rows.map((row) => ({ id: Number(row.id), ...toCaptured(row) }));
+}
+
+function loadFromFile(path) {
+  const content = readFileSync(path, "utf8");
+
+  try {
+    const parsed = JSON.parse(content);
+    if (parsed && typeof parsed.payload === "string") {
+      return { gateway: parsed.gateway, payload: parsed.payload, headers: parsed.headers || {} };
+    }
+  } catch {
+    // Não é JSON: o arquivo é o corpo bruto
+  }
+
+  return { gateway: undefined, payload: content, headers: {} };
+}
+
+async function replay(captured, args, times) {
+  const gateway = args.gateway || captured.gateway || "sandbox";
+  const baseUrl = args.url || process.env.SITE_URL || "http://localhost:4321";
+
+  const headers = { "content-type": "application/json", ...captured.headers };
+
+  if (args.secret) {
+    const header = SIGNATURE_HEADERS[gateway];
+    if (!header) {
+      throw new Error(`Não sei assinar webhooks do gateway "${gateway}"`);
+    }
+    headers[header] = createHmac("sha256", args.secret).update(captured.payload).digest("hex");
+  }
+
+  const url = `${baseUrl.replace(/\/$/, "")}/api/payments/webhook/${gateway}`;
+
+  for (let i = 0; i < times; i++) {
+    const response = await fetch(url, { method: "POST", headers, body: captured.payload });
+    console.log(`[${i + 1}/${times}] ${response.status} ${await response.text()}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.event && !args.file && !args.failed) {
+    console.error("Informe --event <id>, --file <arquivo> ou --failed");
+    process.exit(1);
+  }
+
+  if (args.failed) {
+    const events = await loadFailedEvents(args.gateway);
+    console.log(`${events.length} evento(s) com falha`);
+
+    for (const event of events) {
+      console.log(`Evento ${event.id}:`);
+      await replay(event, args, 1);
+    }
+    return;
+  }
+
+  const captured = args.event ? await loadFromDatabase(args.event) : loadFromFile(args.file);
+  await replay(captured, args, Number(args.times || 1));
+}
+
+main().catch((error) => {
+  console.error("Erro ao reenviar webhook:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Confere o estoque com o livro de movimentos (stock_history)
+ *
+ * Uso:
+ *   node scripts/stock-drift.js [--product <id>] [--history]
+ *     Lista os produtos/variantes cujo estoque atual difere da soma dos
+ *     ajustes registrados (requer TURSO_DB_URL e, se remoto, TURSO_DB_TOKEN).
+ *
+ * Opções:
+ *   --product <id>   Confere só um produto
+ *   --history        Mostra os movimentos de cada item com diferença
+ */
+
+import { createClient } from "@libsql/client";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : true;
+    }
+  }
+  return args;
+}
+
+// Estoque atual x soma dos ajustes, para produtos simples e variantes
+const DRIFT_SQL = `
+  SELECT * FROM (
+    SELECT p.id AS product_id, NULL AS variant_id, p.name, COALESCE(p.stock, 0) AS stock,
+      (SELECT COALESCE(SUM(h.adjustment), 0) FROM stock_history h
+       WHERE h.product_id = p.id AND h.variant_id IS NULL) AS ledger
+    FROM products p
+    WHERE p.is_variable = 0 OR p.is_variable IS NULL
+    UNION ALL
+    SELECT pv.product_id, pv.id, p.name, COALESCE(pv.stock, 0),
+      (SELECT COALESCE(SUM(h.adjustment), 0) FROM stock_history h WHERE h.variant_id = pv.id)
+    FROM product_variants pv
+    JOIN products p ON pv.product_id = p.id
+  )
+  WHERE stock <> ledger AND (? IS NULL OR product_id = ?)
+  ORDER BY product_id, variant_id
+`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const productId = args.product ? Number(args.product) : null;
+
+  const client = createClient({
+    url: process.env.TURSO_DB_URL,
+    authToken: process.env.TURSO_DB_TOKEN
+  });
+
+  const result = await client.execute({ sql: DRIFT_SQL, args: [productId, productId] });
+
+  if (result.rows.length === 0) {
+    console.log("Nenhuma diferença entre o estoque e o histórico de movimentos.");
+    return;
+  }
+
+  for (const row of result.rows) {
+    const variant = row.variant_id !== null ? ` variante ${row.variant_id}` : "";
+    console.log(
+      `Produto ${row.product_id}${variant} (${row.name}): estoque ${row.stock}, histórico ${row.ledger}, diferença ${Number(row.stock) - Number(row.ledger)}`
+    );
+
+    if (args.history) {
+      const history = await client.execute({
+        sql: `SELECT created_at, previous_stock, new_stock, adjustment, reason, reference, adjusted_by
+              FROM stock_history WHERE product_id = ? AND variant_id IS ? ORDER BY id`,
+        args: [row.product_id, row.variant_id]
+      });
+      for (const entry of history.rows) {
+        console.log(
+          `  ${entry.created_at} ${entry.previous_stock} → ${entry.new_stock} (${entry.adjustment > 0 ? "+" : ""}${entry.adjustment}) ${entry.reason} ${entry.reference || ""} por ${entry.adjusted_by}`
+        );
+      }
+    }
+  }
+
+  process.exitCode = 2;
+}
+
+main().catch((error) => {
+  console.error("Erro ao conferir o estoque:", error.message);
+  process.exit(1);
+});
@@ -26,7 +26,7 @@ export function setAuthCookiesFromResponse(cookiesArray: string[], cookies: Astr
   }
 }
 
-type ActionErrorCode = 'BAD_REQUEST' | 'UNAUTHORIZED' | 'FORBIDDEN' | 'NOT_FOUND' | 'INTERNAL_SERVER_ERROR';
+type ActionErrorCode = 'BAD_REQUEST' | 'UNAUTHORIZED' | 'FORBIDDEN' | 'NOT_FOUND' | 'TOO_MANY_REQUESTS' | 'INTERNAL_SERVER_ERROR';
 
 class ActionError extends Error {
   code: ActionErrorCode;
@@ -39,18 +39,33 @@ class ActionError extends Error {
 }
 
 async function handleAuthResponse(
-  apiCall: () => Promise<Response>,
+  apiCall: () => Promise<Response | { success: boolean; cookiesToSet: string[] }>,
   context: { request: Request },
   errorCode: ActionErrorCode
 ) {
   try {
     const response = await apiCall();
+    // Login e logout respondem com os cookies já prontos em vez de um Response
+    if (!(response instanceof Response)) {
+      return response;
+    }
+
+    // Limite de tentativas (login, cadastro): informa a espera em vez do erro genérico
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get("Retry-After")) || 60;
+      throw new ActionError({
+        code: "TOO_MANY_REQUESTS",
+        message: `Too many attempts. Please try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      });
+    }
+
     if (!response.ok) {
       throw new Error(`Failed to ${errorCode.toLowerCase()}`);
     }
 
     return { success: true, cookiesToSet: response.headers.getSetCookie() };
   } catch (error) {
+    if (error instanceof ActionError) throw error;
     throwActionAuthError(errorCode, error);
   }
 }
@@ -88,8 +103,27 @@ function defineAction(options: {
   };
 }
 
+// As ações recebem o Request ou o contexto do Astro; os bindings (CART_DO, limites) vêm de locals
+type ActionRequest = Request | { request: Request; locals?: App.Locals };
+
+function resolveActionContext(context: ActionRequest): { request: Request; env: CloudflareEnv | null } {
+  if (context instanceof Request) return { request: context, env: null };
+  return { request: context.request, env: context.locals?.runtime?.env ?? null };
+}
+
+function parseWishlist(value?: string): unknown {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
 export const cloudflareAuth = {
-  signUp: async (formData: FormData, request: Request) => {
+  signUp: async (formData: FormData, context: ActionRequest) => {
+    const { request, env } = resolveActionContext(context);
+
     // Schema de validação
     const schema = z.object({
       email: z.string().email(),
@@ -120,6 +154,7 @@ export const cloudflareAuth = {
           libAuth.api.signUpEmail({
             body: { ...input, image: input.imageUrl || "" },
             headers: request.headers,
+            env,
             asResponse: true
           }),
         { request },
@@ -136,11 +171,15 @@ export const cloudflareAuth = {
     }
   },
   
-  signIn: async (formData: FormData, request: Request) => {
+  signIn: async (formData: FormData, context: ActionRequest) => {
+    const { request, env } = resolveActionContext(context);
+
     // Schema de validação
     const schema = z.object({
       email: z.string().email(),
-      password: z.string()
+      password: z.string(),
+      // Lista de desejos do visitante (JSON vindo do localStorage)
+      wishlist: z.string().optional()
     });
     
     // Extrair e validar dados
@@ -155,8 +194,9 @@ export const cloudflareAuth = {
       return await handleAuthResponse(
         () =>
           libAuth.api.signInEmail({
-            body: input,
+            body: { ...input, wishlist: parseWishlist(input.wishlist) },
             headers: request.headers,
+            env,
             asResponse: true
           }),
         { request },
@@ -173,7 +213,82 @@ export const cloudflareAuth = {
     }
   },
   
-  signOut: async (formData: FormData, request: Request) => {
+  requestPasswordReset: async (formData: FormData, context: ActionRequest) => {
+    const { request, env } = resolveActionContext(context);
+
+    const schema = z.object({
+      email: z.string().trim().email()
+    });
+
+    const data: Record<string, any> = {};
+    for (const [key, value] of formData.entries()) {
+      data[key] = value;
+    }
+
+    const parsed = schema.safeParse(data);
+    if (!parsed.success) {
+      throw new ActionError({
+        code: "BAD_REQUEST",
+        message: "Invalid email address"
+      });
+    }
+
+    const result = await libAuth.api.requestPasswordReset({ body: parsed.data, headers: request.headers, env });
+    if (result.rateLimited) {
+      throw new ActionError({
+        code: "TOO_MANY_REQUESTS",
+        message: "Too many reset requests. Please try again later."
+      });
+    }
+
+    // Mesma resposta com ou sem conta para o email
+    return { success: true };
+  },
+
+  resetPassword: async (formData: FormData, context: ActionRequest) => {
+    const { env } = resolveActionContext(context);
+
+    const schema = z
+      .object({
+        token: z.string().min(1),
+        password: z.string().min(8, "Password must be at least 8 characters"),
+        confirmPassword: z.string()
+      })
+      .refine((input) => input.password === input.confirmPassword, {
+        message: "Passwords do not match",
+        path: ["confirmPassword"]
+      });
+
+    const data: Record<string, any> = {};
+    for (const [key, value] of formData.entries()) {
+      data[key] = value;
+    }
+
+    const parsed = schema.safeParse(data);
+    if (!parsed.success) {
+      throw new ActionError({
+        code: "BAD_REQUEST",
+        message: parsed.error.issues[0]?.message ?? "Invalid input data"
+      });
+    }
+
+    const result = await libAuth.api.resetPassword({
+      body: { token: parsed.data.token, password: parsed.data.password },
+      env
+    });
+    if (!result.success) {
+      throw new ActionError({
+        code: "BAD_REQUEST",
+        message: "This reset link is invalid or has expired. Please request a new one."
+      });
+    }
+
+    return { success: true };
+  },
+
+  signOut: async (formData: FormData, context: ActionRequest) => {
+    const { request } = resolveActionContext(context);
+
     return await handleAuthResponse(
       () =>
         libAuth.api.signOut({
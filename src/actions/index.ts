@@ -1,9 +1,11 @@
 import { posts } from "./posts";
 import { auth } from "./auth";
 import { search } from "./search";
+import { orders } from "./orders";
 
 export const server = {
   posts,
   auth,
-  search
+  search,
+  orders
 };
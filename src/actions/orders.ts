@@ -0,0 +1,112 @@
+import type { AstroCookies } from 'astro';
+import { placeCheckoutOrder } from '../lib/checkout';
+import { requirePermission } from '../lib/rbac';
+import { ServiceError } from '../services/errors';
+
+// ActionError para compatibilidade com Cloudflare
+type ActionErrorCode = 'BAD_REQUEST' | 'UNAUTHORIZED' | 'FORBIDDEN' | 'NOT_FOUND' | 'CONFLICT' | 'INTERNAL_SERVER_ERROR';
+
+class ActionError extends Error {
+  code: ActionErrorCode;
+  details?: unknown;
+
+  constructor({ code, message, details }: { code: ActionErrorCode; message: string; details?: unknown }) {
+    super(message);
+    this.code = code;
+    this.details = details;
+    this.name = 'ActionError';
+  }
+}
+
+// Converte o FormData plano do checkout no payload aninhado esperado pelo serviço
+function formDataToOrderInput(formData: FormData) {
+  const get = (key: string) => formData.get(key)?.toString() ?? '';
+  let items: unknown = [];
+  let shippingSelections: unknown = undefined;
+
+  try {
+    items = JSON.parse(get('items') || '[]');
+  } catch {
+    items = [];
+  }
+
+  try {
+    shippingSelections = get('shippingSelections') ? JSON.parse(get('shippingSelections')) : undefined;
+  } catch {
+    shippingSelections = undefined;
+  }
+
+  const [expiryMonth, expiryYear] = get('cardExpiry').split('/');
+
+  return {
+    items,
+    customer: {
+      name: get('name'),
+      email: get('email'),
+      cpf: get('cpf'),
+      phone: get('phone')
+    },
+    address: {
+      zipcode: get('zipcode'),
+      street: get('street'),
+      number: get('number'),
+      complement: get('complement'),
+      neighborhood: get('neighborhood'),
+      city: get('city'),
+      state: get('state')
+    },
+    payment: {
+      method: get('paymentMethod'),
+      installments: get('installments') || 1,
+      card: {
+        number: get('cardNumber'),
+        holderName: get('cardName'),
+        expiryMonth: expiryMonth ?? '',
+        expiryYear: expiryYear ?? '',
+        cvv: get('cardCvv')
+      }
+    },
+    shipping: { selections: shippingSelections },
+    couponCode: get('couponCode') || undefined,
+    expectedSubtotal: get('expectedSubtotal') || undefined,
+    notes: get('notes') || undefined
+  };
+}
+
+export const orders = {
+  // Place order (mesmo fluxo de POST /api/orders)
+  async place(formData: FormData, context: { locals: App.Locals; cookies: AstroCookies }) {
+    const user = context.locals.user;
+
+    if (!user) {
+      throw new ActionError({
+        code: 'UNAUTHORIZED',
+        message: 'Faça login para finalizar a compra'
+      });
+    }
+
+    try {
+      requirePermission(context.locals.access, 'orders:place');
+
+      const result = await placeCheckoutOrder(user.id, formDataToOrderInput(formData), context.locals, context.cookies);
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      console.error('Error placing order:', error);
+      if (error instanceof ServiceError) {
+        throw new ActionError({
+          code: error.code,
+          message: error.message,
+          details: error.details
+        });
+      }
+      throw new ActionError({
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Error placing order'
+      });
+    }
+  }
+};
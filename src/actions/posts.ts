@@ -1,4 +1,6 @@
 import { executeQuery } from '../db/turso-client';
+import { requirePermission } from '../lib/rbac';
+import { ServiceError } from '../services/errors';
 import { z } from 'zod';
 
 // ActionError para compatibilidade com Cloudflare
@@ -25,9 +27,26 @@ async function purgeCloudflareCache(tags: string[]) {
   }
 }
 
+// Só a equipe com posts:manage cria, altera ou apaga posts (acesso resolvido pelo middleware em locals.access)
+function requireManagePosts(context?: { locals?: App.Locals }) {
+  try {
+    requirePermission(context?.locals?.access, 'posts:manage');
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      throw new ActionError({
+        code: error.code === 'UNAUTHORIZED' ? 'UNAUTHORIZED' : 'FORBIDDEN',
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}
+
 export const posts = {
   // Create post
-  async create(formData: FormData) {
+  async create(formData: FormData, context?: { locals?: App.Locals }) {
+    requireManagePosts(context);
+
     // Schema de validação
     const schema = z.object({
       title: z.string(),
@@ -130,7 +149,9 @@ export const posts = {
   },
   
   // Update post
-  async update(formData: FormData) {
+  async update(formData: FormData, context?: { locals?: App.Locals }) {
+    requireManagePosts(context);
+
     // Schema de validação
     const schema = z.object({
       id: z.coerce.number(),
@@ -221,7 +242,9 @@ export const posts = {
   },
   
   // Delete post
-  async delete(formData: FormData) {
+  async delete(formData: FormData, context?: { locals?: App.Locals }) {
+    requireManagePosts(context);
+
     // Schema de validação
     const schema = z.object({
       id: z.coerce.number()
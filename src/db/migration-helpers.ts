@@ -0,0 +1,30 @@
+/**
+ * Helpers das migrações em src/db/migrations
+ */
+
+import { sql, type SQL } from 'drizzle-orm';
+
+// Cliente recebido pelas migrações (mesmo formato usado por 0000_auth_base e 0001_auth_cloudflare)
+export interface MigrationClient {
+  execute(statement: SQL): Promise<{ rows: Record<string, unknown>[] }>;
+}
+
+/**
+ * Adiciona só as colunas que a tabela ainda não tem
+ *
+ * O SQLite não aceita ALTER TABLE ADD COLUMN IF NOT EXISTS; sem a checagem,
+ * rodar a migração de novo falha com "duplicate column name".
+ * @param {MigrationClient} client - Cliente da migração
+ * @param {string} table - Tabela alterada
+ * @param {Record<string, SQL>} columns - ALTER TABLE de cada coluna, pelo nome da coluna
+ */
+export async function addMissingColumns(client: MigrationClient, table: string, columns: Record<string, SQL>): Promise<void> {
+  const info = await client.execute(sql`PRAGMA table_info(${sql.identifier(table)})`);
+  const existing = new Set(info.rows.map((row) => row.name));
+
+  for (const [column, statement] of Object.entries(columns)) {
+    if (!existing.has(column)) {
+      await client.execute(statement);
+    }
+  }
+}
@@ -0,0 +1,38 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+export const createPaymentWebhookEventsTable = sql`
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  gateway TEXT NOT NULL,
+  event_id TEXT NOT NULL,
+  event_type TEXT,
+  transaction_id TEXT,
+  payment_id INTEGER,
+  payload TEXT NOT NULL,
+  headers TEXT,
+  status TEXT NOT NULL DEFAULT 'received',
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 1,
+  received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  processed_at TEXT,
+  UNIQUE (gateway, event_id),
+  FOREIGN KEY (payment_id) REFERENCES payments(id)
+);
+`;
+
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS payment_webhook_events_transaction_idx ON payment_webhook_events(gateway, transaction_id);
+CREATE INDEX IF NOT EXISTS payment_webhook_events_status_idx ON payment_webhook_events(status);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0002_payment_webhooks.ts');
+  
+  // Execute migrations
+  await client.execute(createPaymentWebhookEventsTable);
+  await client.execute(createIndexes);
+  
+  console.log('Migration complete: 0002_payment_webhooks.ts');
+  return { success: true };
+}
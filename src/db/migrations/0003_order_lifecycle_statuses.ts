@@ -0,0 +1,19 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Status usados pelo ciclo de vida do pedido que não existiam no seed original
+export const insertLifecycleStatuses = sql`
+INSERT OR IGNORE INTO order_statuses (name, display_name, color, is_default, is_final, display_order) VALUES
+  ('invoiced', 'Nota Fiscal Emitida', '#3F51B5', 0, 0, 3),
+  ('refunded', 'Reembolsado', '#795548', 0, 1, 8);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0003_order_lifecycle_statuses.ts');
+  
+  // Execute migrations
+  await client.execute(insertLifecycleStatuses);
+  
+  console.log('Migration complete: 0003_order_lifecycle_statuses.ts');
+  return { success: true };
+}
@@ -0,0 +1,47 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+export const createOrderShipmentsTable = sql`
+CREATE TABLE IF NOT EXISTS order_shipments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  vendor_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  subtotal_amount REAL NOT NULL DEFAULT 0,
+  shipping_amount REAL DEFAULT 0,
+  tracking_code TEXT,
+  carrier TEXT,
+  estimated_delivery_date TEXT,
+  shipped_at TEXT,
+  delivered_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (order_id, vendor_id),
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id)
+);
+`;
+
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS order_shipments_vendor_idx ON order_shipments(vendor_id, status);
+`;
+
+// Pedidos existentes ganham um envio por vendedor a partir dos itens
+export const backfillOrderShipments = sql`
+INSERT OR IGNORE INTO order_shipments (order_id, vendor_id, status, subtotal_amount, shipping_amount)
+SELECT order_id, vendor_id, 'pending', SUM(total_price), SUM(COALESCE(shipping_amount, 0))
+FROM order_items
+GROUP BY order_id, vendor_id;
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0004_order_shipments.ts');
+  
+  // Execute migrations
+  await client.execute(createOrderShipmentsTable);
+  await client.execute(createIndexes);
+  await client.execute(backfillOrderShipments);
+  
+  console.log('Migration complete: 0004_order_shipments.ts');
+  return { success: true };
+}
@@ -0,0 +1,38 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// Cada uso de cupom por pedido: base dos limites por usuário e da devolução no cancelamento
+export const createCouponRedemptionsTable = sql`
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  coupon_id INTEGER NOT NULL,
+  user_id TEXT NOT NULL,
+  order_id INTEGER NOT NULL,
+  discount_amount REAL NOT NULL DEFAULT 0,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (coupon_id, order_id),
+  FOREIGN KEY (coupon_id) REFERENCES coupons(id),
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id)
+);
+`;
+
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS coupon_redemptions_user_idx ON coupon_redemptions(coupon_id, user_id);
+`;
+
+export const addOrderCouponCode = {
+  coupon_code: sql`ALTER TABLE orders ADD COLUMN coupon_code TEXT`
+};
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0005_coupon_redemptions.ts');
+  
+  // Execute migrations
+  await client.execute(createCouponRedemptionsTable);
+  await client.execute(createIndexes);
+  await addMissingColumns(client, 'orders', addOrderCouponCode);
+  
+  console.log('Migration complete: 0005_coupon_redemptions.ts');
+  return { success: true };
+}
@@ -0,0 +1,26 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// Versão para gravação otimista e operações já aplicadas (reenvio da fila offline)
+export const addCartSyncColumns = {
+  version: sql`ALTER TABLE carts ADD COLUMN version INTEGER NOT NULL DEFAULT 0`,
+  applied_ops: sql`ALTER TABLE carts ADD COLUMN applied_ops TEXT`
+};
+
+// Um carrinho por usuário e por sessão de visitante
+export const createIndexes = sql`
+CREATE UNIQUE INDEX IF NOT EXISTS carts_user_idx ON carts(user_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS carts_session_idx ON carts(session_id) WHERE session_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS cart_items_cart_idx ON cart_items(cart_id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0006_cart_sync.ts');
+  
+  // Execute migrations
+  await addMissingColumns(client, 'carts', addCartSyncColumns);
+  await client.execute(createIndexes);
+  
+  console.log('Migration complete: 0006_cart_sync.ts');
+  return { success: true };
+}
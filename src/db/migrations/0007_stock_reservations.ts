@@ -0,0 +1,48 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Tabela declarada em schema.ts mas ainda sem migração
+export const createStockReservationsTable = sql`
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  quantity INTEGER NOT NULL,
+  order_id INTEGER,
+  cart_id INTEGER,
+  user_id TEXT,
+  session_id TEXT,
+  expires_at TEXT,
+  status TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (cart_id) REFERENCES carts(id),
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  CHECK (
+    (order_id IS NOT NULL AND cart_id IS NULL) OR
+    (order_id IS NULL AND cart_id IS NOT NULL)
+  )
+);
+`;
+
+// Soma das reservas ativas por produto/variante e varredura das vencidas
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS stock_reservations_product_idx ON stock_reservations(product_id, variant_id, status, expires_at);
+CREATE INDEX IF NOT EXISTS stock_reservations_status_idx ON stock_reservations(status, expires_at);
+CREATE INDEX IF NOT EXISTS stock_reservations_cart_idx ON stock_reservations(cart_id);
+CREATE INDEX IF NOT EXISTS stock_reservations_order_idx ON stock_reservations(order_id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0007_stock_reservations.ts');
+
+  // Execute migrations
+  await client.execute(createStockReservationsTable);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0007_stock_reservations.ts');
+  return { success: true };
+}
@@ -0,0 +1,71 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Tabelas declaradas em schema.ts mas ainda sem migração
+export const createStockHistoryTable = sql`
+CREATE TABLE IF NOT EXISTS stock_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  previous_stock INTEGER NOT NULL,
+  new_stock INTEGER NOT NULL,
+  adjustment INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  reference TEXT,
+  notes TEXT,
+  adjusted_by TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id)
+);
+`;
+
+export const createStockAlertsTable = sql`
+CREATE TABLE IF NOT EXISTS stock_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  alert_type TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  current_stock INTEGER NOT NULL,
+  is_active INTEGER DEFAULT 1,
+  notified_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id)
+);
+`;
+
+// Histórico por produto/variante e um alerta ativo por produto/variante
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS stock_history_product_idx ON stock_history(product_id, variant_id, created_at);
+CREATE INDEX IF NOT EXISTS stock_history_reference_idx ON stock_history(reference);
+CREATE INDEX IF NOT EXISTS stock_alerts_active_idx ON stock_alerts(product_id, variant_id, is_active);
+`;
+
+// Saldo de abertura: o estoque atual entra no histórico como a primeira contagem
+export const insertOpeningBalances = sql`
+INSERT INTO stock_history (product_id, variant_id, previous_stock, new_stock, adjustment, reason, reference, adjusted_by)
+SELECT p.id, NULL, 0, COALESCE(p.stock, 0), COALESCE(p.stock, 0), 'inventory_count', 'opening_balance', 'system'
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM stock_history h WHERE h.product_id = p.id AND h.variant_id IS NULL);
+
+INSERT INTO stock_history (product_id, variant_id, previous_stock, new_stock, adjustment, reason, reference, adjusted_by)
+SELECT pv.product_id, pv.id, 0, COALESCE(pv.stock, 0), COALESCE(pv.stock, 0), 'inventory_count', 'opening_balance', 'system'
+FROM product_variants pv
+WHERE NOT EXISTS (SELECT 1 FROM stock_history h WHERE h.variant_id = pv.id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0008_stock_ledger.ts');
+
+  // Execute migrations
+  await client.execute(createStockHistoryTable);
+  await client.execute(createStockAlertsTable);
+  await client.execute(createIndexes);
+  await client.execute(insertOpeningBalances);
+
+  console.log('Migration complete: 0008_stock_ledger.ts');
+  return { success: true };
+}
@@ -0,0 +1,43 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Pedidos de "avise-me quando chegar" por produto/variante
+export const createStockSubscriptionsTable = sql`
+CREATE TABLE IF NOT EXISTS stock_subscriptions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  user_id TEXT,
+  email TEXT NOT NULL,
+  token TEXT NOT NULL UNIQUE,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'queued', 'notified', 'unsubscribed')),
+  queued_at TEXT,
+  notified_at TEXT,
+  unsubscribed_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+  FOREIGN KEY (user_id) REFERENCES User(id)
+);
+`;
+
+// Um pedido em aberto por email e produto/variante; fila de envio por status
+export const createIndexes = sql`
+CREATE UNIQUE INDEX IF NOT EXISTS stock_subscriptions_open_idx
+  ON stock_subscriptions(product_id, IFNULL(variant_id, 0), email)
+  WHERE status IN ('active', 'queued');
+CREATE INDEX IF NOT EXISTS stock_subscriptions_status_idx ON stock_subscriptions(status, queued_at);
+CREATE INDEX IF NOT EXISTS stock_subscriptions_email_idx ON stock_subscriptions(email);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0009_stock_subscriptions.ts');
+
+  // Execute migrations
+  await client.execute(createStockSubscriptionsTable);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0009_stock_subscriptions.ts');
+  return { success: true };
+}
@@ -0,0 +1,57 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Tabela declarada em schema.ts mas ainda sem migração (com o preço "de" para detectar descontos falsos)
+export const createPriceHistoryTable = sql`
+CREATE TABLE IF NOT EXISTS price_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  old_price REAL NOT NULL,
+  new_price REAL NOT NULL,
+  old_compare_at_price REAL,
+  new_compare_at_price REAL,
+  fake_discount INTEGER DEFAULT 0,
+  changed_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  changed_by TEXT,
+  reason TEXT,
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id)
+);
+`;
+
+// Quedas de preço já avisadas a cada usuário (uma vez por mudança de preço)
+export const createPriceDropAlertsTable = sql`
+CREATE TABLE IF NOT EXISTS price_drop_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  product_id INTEGER NOT NULL,
+  variant_id INTEGER,
+  price_history_id INTEGER NOT NULL,
+  old_price REAL NOT NULL,
+  notified_price REAL NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  FOREIGN KEY (product_id) REFERENCES products(id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(id),
+  FOREIGN KEY (price_history_id) REFERENCES price_history(id)
+);
+`;
+
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS price_history_product_idx ON price_history(product_id, variant_id, changed_at);
+CREATE UNIQUE INDEX IF NOT EXISTS price_drop_alerts_unique_idx
+  ON price_drop_alerts(user_id, product_id, IFNULL(variant_id, 0), price_history_id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0010_price_history.ts');
+
+  // Execute migrations
+  await client.execute(createPriceHistoryTable);
+  await client.execute(createPriceDropAlertsTable);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0010_price_history.ts');
+  return { success: true };
+}
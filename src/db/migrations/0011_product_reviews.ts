@@ -0,0 +1,58 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// Média e quantidade de avaliações aprovadas, mantidas pelo reviewService (cards e SEO)
+export const addProductRatingColumns = {
+  rating_average: sql`ALTER TABLE products ADD COLUMN rating_average REAL NOT NULL DEFAULT 0`,
+  review_count: sql`ALTER TABLE products ADD COLUMN review_count INTEGER NOT NULL DEFAULT 0`
+};
+
+// Item de pedido que comprova a compra, votos de "útil" e resultado da moderação
+export const addReviewColumns = {
+  order_item_id: sql`ALTER TABLE product_reviews ADD COLUMN order_item_id INTEGER REFERENCES order_items(id)`,
+  helpful_count: sql`ALTER TABLE product_reviews ADD COLUMN helpful_count INTEGER NOT NULL DEFAULT 0`,
+  moderated_at: sql`ALTER TABLE product_reviews ADD COLUMN moderated_at TEXT`,
+  moderated_by: sql`ALTER TABLE product_reviews ADD COLUMN moderated_by TEXT`,
+  rejection_reason: sql`ALTER TABLE product_reviews ADD COLUMN rejection_reason TEXT`
+};
+
+// Um voto de "útil" por usuário e avaliação
+export const createReviewVotesTable = sql`
+CREATE TABLE IF NOT EXISTS review_votes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  review_id INTEGER NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (review_id) REFERENCES product_reviews(id),
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  UNIQUE(review_id, user_id)
+);
+`;
+
+// Lista pública por produto e fila de moderação (ainda não moderadas)
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS product_reviews_product_idx ON product_reviews(product_id, is_approved, created_at);
+CREATE INDEX IF NOT EXISTS product_reviews_queue_idx ON product_reviews(moderated_at, created_at);
+`;
+
+// Avaliações aprovadas antes desta migração entram na média
+export const backfillProductRatings = sql`
+UPDATE products SET
+  rating_average = COALESCE((SELECT ROUND(AVG(rating), 2) FROM product_reviews WHERE product_id = products.id AND is_approved = 1), 0),
+  review_count = (SELECT COUNT(*) FROM product_reviews WHERE product_id = products.id AND is_approved = 1);
+UPDATE product_reviews SET moderated_at = updated_at, moderated_by = 'system' WHERE is_approved = 1 AND moderated_at IS NULL;
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0011_product_reviews.ts');
+
+  // Execute migrations
+  await addMissingColumns(client, 'products', addProductRatingColumns);
+  await addMissingColumns(client, 'product_reviews', addReviewColumns);
+  await client.execute(createReviewVotesTable);
+  await client.execute(createIndexes);
+  await client.execute(backfillProductRatings);
+
+  console.log('Migration complete: 0011_product_reviews.ts');
+  return { success: true };
+}
@@ -0,0 +1,65 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// Pedidos de cadastro de loja, analisados pelos administradores
+export const createVendorApplicationsTable = sql`
+CREATE TABLE IF NOT EXISTS vendor_applications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id TEXT NOT NULL,
+  vendor_id INTEGER,
+  shop_name TEXT NOT NULL,
+  legal_name TEXT NOT NULL,
+  cnpj TEXT NOT NULL,
+  state_registration TEXT,
+  responsible_name TEXT NOT NULL,
+  responsible_cpf TEXT NOT NULL,
+  email TEXT NOT NULL,
+  phone TEXT NOT NULL,
+  description TEXT,
+  website_url TEXT,
+  document_urls TEXT,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  reviewed_by TEXT,
+  reviewed_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id)
+);
+`;
+
+// Dados fiscais da loja aprovada
+export const addVendorDocumentColumns = {
+  legal_name: sql`ALTER TABLE vendors ADD COLUMN legal_name TEXT`,
+  cnpj: sql`ALTER TABLE vendors ADD COLUMN cnpj TEXT`
+};
+
+// Um pedido em análise por usuário e por CNPJ; uma loja por CNPJ
+export const createIndexes = sql`
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_applications_user_pending_idx
+  ON vendor_applications(user_id) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_applications_cnpj_pending_idx
+  ON vendor_applications(cnpj) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS vendor_applications_status_idx ON vendor_applications(status, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS vendors_cnpj_idx ON vendors(cnpj) WHERE cnpj IS NOT NULL;
+`;
+
+// Lojas que já vendiam antes da aprovação existir continuam visíveis
+export const approveExistingVendors = sql`
+UPDATE vendors SET is_approved = 1, approved_at = COALESCE(approved_at, CURRENT_TIMESTAMP)
+WHERE is_approved = 0 AND EXISTS (SELECT 1 FROM products WHERE products.vendor_id = vendors.id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0012_vendor_applications.ts');
+
+  // Execute migrations
+  await client.execute(createVendorApplicationsTable);
+  await addMissingColumns(client, 'vendors', addVendorDocumentColumns);
+  await client.execute(createIndexes);
+  await client.execute(approveExistingVendors);
+
+  console.log('Migration complete: 0012_vendor_applications.ts');
+  return { success: true };
+}
@@ -0,0 +1,102 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Tabela declarada em schema.ts mas ainda sem migração; a resolução a favor do comprador estorna o repasse
+export const createDisputesTable = sql`
+CREATE TABLE IF NOT EXISTS disputes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  order_id INTEGER NOT NULL,
+  order_item_id INTEGER,
+  user_id TEXT NOT NULL,
+  vendor_id INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  type TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  requested_amount REAL,
+  approved_amount REAL,
+  resolution TEXT,
+  resolved_at TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+  FOREIGN KEY (user_id) REFERENCES User(id),
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id)
+);
+`;
+
+// Extratos de repasse por ciclo; payout_reference guarda o comprovante da transferência
+export const createVendorPayoutsTable = sql`
+CREATE TABLE IF NOT EXISTS vendor_payouts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vendor_id INTEGER NOT NULL,
+  period_start TEXT NOT NULL,
+  period_end TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+  entry_count INTEGER NOT NULL DEFAULT 0,
+  gross_amount REAL NOT NULL DEFAULT 0,
+  commission_amount REAL NOT NULL DEFAULT 0,
+  gateway_fee_amount REAL NOT NULL DEFAULT 0,
+  net_amount REAL NOT NULL DEFAULT 0,
+  payout_reference TEXT,
+  paid_at TEXT,
+  paid_by TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id)
+);
+`;
+
+// Livro de repasses: valores com sinal (estornos negativos); uma venda só é estornada uma vez por origem
+export const createVendorLedgerEntriesTable = sql`
+CREATE TABLE IF NOT EXISTS vendor_ledger_entries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vendor_id INTEGER NOT NULL,
+  order_id INTEGER NOT NULL,
+  order_item_id INTEGER,
+  entry_type TEXT NOT NULL CHECK (entry_type IN ('sale', 'shipping', 'refund', 'dispute')),
+  gross_amount REAL NOT NULL,
+  commission_rate REAL NOT NULL DEFAULT 0,
+  commission_amount REAL NOT NULL DEFAULT 0,
+  gateway_fee_amount REAL NOT NULL DEFAULT 0,
+  net_amount REAL NOT NULL,
+  reverses_entry_id INTEGER,
+  reference TEXT,
+  notes TEXT,
+  payout_id INTEGER,
+  created_by TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (vendor_id) REFERENCES vendors(id),
+  FOREIGN KEY (order_id) REFERENCES orders(id),
+  FOREIGN KEY (order_item_id) REFERENCES order_items(id),
+  FOREIGN KEY (reverses_entry_id) REFERENCES vendor_ledger_entries(id),
+  FOREIGN KEY (payout_id) REFERENCES vendor_payouts(id)
+);
+`;
+
+export const createIndexes = sql`
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_ledger_sale_idx
+  ON vendor_ledger_entries(order_item_id) WHERE entry_type = 'sale';
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_ledger_shipping_idx
+  ON vendor_ledger_entries(order_id, vendor_id) WHERE entry_type = 'shipping';
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_ledger_reversal_idx
+  ON vendor_ledger_entries(reverses_entry_id, reference) WHERE reverses_entry_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS vendor_ledger_unsettled_idx ON vendor_ledger_entries(vendor_id, payout_id);
+CREATE INDEX IF NOT EXISTS vendor_ledger_order_idx ON vendor_ledger_entries(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_payouts_period_idx ON vendor_payouts(vendor_id, period_end);
+CREATE INDEX IF NOT EXISTS vendor_payouts_status_idx ON vendor_payouts(status, period_end);
+CREATE INDEX IF NOT EXISTS disputes_order_idx ON disputes(order_id);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0013_vendor_ledger.ts');
+
+  // Execute migrations
+  await client.execute(createDisputesTable);
+  await client.execute(createVendorPayoutsTable);
+  await client.execute(createVendorLedgerEntriesTable);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0013_vendor_ledger.ts');
+  return { success: true };
+}
@@ -0,0 +1,130 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Papéis do sistema; customer vale para todo usuário e vendor para donos de loja aprovada (não ficam em user_roles)
+export const createRolesTable = sql`
+CREATE TABLE IF NOT EXISTS roles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  display_name TEXT NOT NULL,
+  description TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+`;
+
+export const createRolePermissionsTable = sql`
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role_id INTEGER NOT NULL,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role_id, permission),
+  FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+`;
+
+export const createUserRolesTable = sql`
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id TEXT NOT NULL,
+  role_id INTEGER NOT NULL,
+  granted_by TEXT NOT NULL,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, role_id),
+  FOREIGN KEY (user_id) REFERENCES User(id) ON DELETE CASCADE,
+  FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+);
+`;
+
+// Sessão de um administrador navegando como outro usuário; uma ativa por sessão de login
+export const createImpersonationSessionsTable = sql`
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  session_id TEXT NOT NULL,
+  admin_user_id TEXT NOT NULL,
+  target_user_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  started_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  ended_at TEXT,
+  FOREIGN KEY (admin_user_id) REFERENCES User(id),
+  FOREIGN KEY (target_user_id) REFERENCES User(id)
+);
+`;
+
+export const createAuditLogTable = sql`
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_user_id TEXT NOT NULL,
+  impersonated_user_id TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT,
+  target_id TEXT,
+  details TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (actor_user_id) REFERENCES User(id)
+);
+`;
+
+export const seedRoles = sql`
+INSERT OR IGNORE INTO roles (name, display_name, description) VALUES
+  ('customer', 'Cliente', 'Todo usuário cadastrado'),
+  ('vendor', 'Vendedor', 'Dono de loja aprovada; permissões restritas à própria loja'),
+  ('support', 'Atendimento', 'Consulta pedidos, estorna pagamentos e resolve disputas'),
+  ('admin', 'Administrador', 'Acesso total, papéis e acesso como outro usuário');
+
+INSERT OR IGNORE INTO role_permissions (role_id, permission)
+SELECT r.id, p.permission
+FROM roles r
+JOIN (
+  SELECT 'customer' AS role, 'orders:place' AS permission
+  UNION ALL SELECT 'customer', 'reviews:write'
+  UNION ALL SELECT 'customer', 'vendors:apply'
+  UNION ALL SELECT 'vendor', 'catalog:manage'
+  UNION ALL SELECT 'vendor', 'shipments:manage'
+  UNION ALL SELECT 'vendor', 'reviews:moderate'
+  UNION ALL SELECT 'vendor', 'payouts:read'
+  UNION ALL SELECT 'support', 'orders:read_any'
+  UNION ALL SELECT 'support', 'orders:refund'
+  UNION ALL SELECT 'support', 'disputes:resolve'
+  UNION ALL SELECT 'support', 'audit:read'
+  UNION ALL SELECT 'admin', 'orders:place'
+  UNION ALL SELECT 'admin', 'reviews:write'
+  UNION ALL SELECT 'admin', 'vendors:apply'
+  UNION ALL SELECT 'admin', 'catalog:manage'
+  UNION ALL SELECT 'admin', 'shipments:manage'
+  UNION ALL SELECT 'admin', 'reviews:moderate'
+  UNION ALL SELECT 'admin', 'payouts:read'
+  UNION ALL SELECT 'admin', 'orders:read_any'
+  UNION ALL SELECT 'admin', 'orders:refund'
+  UNION ALL SELECT 'admin', 'disputes:resolve'
+  UNION ALL SELECT 'admin', 'audit:read'
+  UNION ALL SELECT 'admin', 'posts:manage'
+  UNION ALL SELECT 'admin', 'vendors:review'
+  UNION ALL SELECT 'admin', 'payouts:manage'
+  UNION ALL SELECT 'admin', 'users:manage_roles'
+  UNION ALL SELECT 'admin', 'users:impersonate'
+) p ON p.role = r.name;
+`;
+
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS user_roles_role_idx ON user_roles(role_id);
+CREATE UNIQUE INDEX IF NOT EXISTS impersonation_active_session_idx
+  ON impersonation_sessions(session_id) WHERE ended_at IS NULL;
+CREATE INDEX IF NOT EXISTS admin_audit_log_actor_idx ON admin_audit_log(actor_user_id, created_at);
+CREATE INDEX IF NOT EXISTS admin_audit_log_created_idx ON admin_audit_log(created_at);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0014_roles_permissions.ts');
+
+  // Execute migrations
+  await client.execute(createRolesTable);
+  await client.execute(createRolePermissionsTable);
+  await client.execute(createUserRolesTable);
+  await client.execute(createImpersonationSessionsTable);
+  await client.execute(createAuditLogTable);
+  await client.execute(seedRoles);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0014_roles_permissions.ts');
+  return { success: true };
+}
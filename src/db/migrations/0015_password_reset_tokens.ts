@@ -0,0 +1,34 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// token passa a guardar o hash SHA-256 do token enviado por email; usedAt torna o token de uso único.
+// Os tokens antigos ficam na tabela: não batem com nenhum hash e saem na limpeza diária dos vencidos
+export const addPasswordResetColumns = {
+  userId: sql`ALTER TABLE PasswordReset ADD COLUMN userId TEXT REFERENCES User(id) ON DELETE CASCADE`,
+  usedAt: sql`ALTER TABLE PasswordReset ADD COLUMN usedAt TEXT`,
+  ipAddress: sql`ALTER TABLE PasswordReset ADD COLUMN ipAddress TEXT`
+};
+
+// Atendimento envia o link de recuperação em vez de trocar a senha manualmente
+export const grantSendPasswordReset = sql`
+INSERT OR IGNORE INTO role_permissions (role_id, permission)
+SELECT id, 'users:send_password_reset' FROM roles WHERE name IN ('support', 'admin');
+`;
+
+// Limite de pedidos por email e por IP
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS password_reset_email_created_idx ON PasswordReset(email, createdAt);
+CREATE INDEX IF NOT EXISTS password_reset_ip_created_idx ON PasswordReset(ipAddress, createdAt);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0015_password_reset_tokens.ts');
+
+  // Execute migrations
+  await addMissingColumns(client, 'PasswordReset', addPasswordResetColumns);
+  await client.execute(grantSendPasswordReset);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0015_password_reset_tokens.ts');
+  return { success: true };
+}
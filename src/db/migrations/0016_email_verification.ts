@@ -0,0 +1,20 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// token passa a guardar o hash SHA-256 do token enviado por email. Os tokens antigos ficam na
+// tabela: não batem com nenhum hash e saem na limpeza diária das verificações vencidas
+
+// Intervalo entre reenvios por usuário
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS verification_user_created_idx ON Verification(userId, createdAt);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0016_email_verification.ts');
+
+  // Execute migrations
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0016_email_verification.ts');
+  return { success: true };
+}
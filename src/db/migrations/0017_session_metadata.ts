@@ -0,0 +1,28 @@
+import { sql } from 'drizzle-orm';
+import { addMissingColumns, type MigrationClient } from '../migration-helpers';
+
+// Dispositivo e último acesso de cada sessão; rotationPending pede a troca do ID no próximo acesso
+// (mudança de privilégios) e rotatedAt marca a sessão antiga durante a carência da troca
+export const addSessionColumns = {
+  userAgent: sql`ALTER TABLE Session ADD COLUMN userAgent TEXT`,
+  ipAddress: sql`ALTER TABLE Session ADD COLUMN ipAddress TEXT`,
+  lastSeenAt: sql`ALTER TABLE Session ADD COLUMN lastSeenAt TEXT`,
+  rotationPending: sql`ALTER TABLE Session ADD COLUMN rotationPending INTEGER NOT NULL DEFAULT 0`,
+  rotatedAt: sql`ALTER TABLE Session ADD COLUMN rotatedAt TEXT`
+};
+
+// Limpeza agendada das sessões vencidas
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS session_expires_idx ON Session(expiresAt);
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0017_session_metadata.ts');
+
+  // Execute migrations
+  await addMissingColumns(client, 'Session', addSessionColumns);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0017_session_metadata.ts');
+  return { success: true };
+}
@@ -0,0 +1,38 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Contadores de tentativas de autenticação (login, recuperação de senha, cadastro) quando o
+// Durable Object ATTEMPT_LIMITER_DO não está disponível; version serializa as gravações
+export const createAuthAttemptsTable = sql`
+CREATE TABLE IF NOT EXISTS auth_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  blocked_until TEXT,
+  locked_until TEXT,
+  last_attempt_at TEXT,
+  version INTEGER NOT NULL DEFAULT 0
+);
+`;
+
+// Limpeza diária dos contadores parados
+export const createIndexes = sql`
+CREATE INDEX IF NOT EXISTS auth_attempts_last_attempt_idx ON auth_attempts(last_attempt_at);
+`;
+
+// Atendimento desbloqueia contas bloqueadas por excesso de senhas erradas
+export const grantUnlockUsers = sql`
+INSERT OR IGNORE INTO role_permissions (role_id, permission)
+SELECT id, 'users:unlock' FROM roles WHERE name IN ('support', 'admin');
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0018_auth_attempts.ts');
+
+  // Execute migrations
+  await client.execute(createAuthAttemptsTable);
+  await client.execute(createIndexes);
+  await client.execute(grantUnlockUsers);
+
+  console.log('Migration complete: 0018_auth_attempts.ts');
+  return { success: true };
+}
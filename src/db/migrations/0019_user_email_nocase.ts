@@ -0,0 +1,24 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// O cadastro passa a gravar o email em minúsculas; contas antigas seguem o mesmo formato.
+// Se duas contas diferem só nas maiúsculas, a migração falha aqui e as contas precisam ser unidas à mão
+export const normalizeUserEmails = sql`
+UPDATE User SET email = LOWER(TRIM(email)) WHERE email <> LOWER(TRIM(email));
+`;
+
+// Um cadastro por email sem diferenciar maiúsculas; também atende a busca do login (LOWER(email) = ?)
+export const createIndexes = sql`
+CREATE UNIQUE INDEX IF NOT EXISTS user_email_lower_idx ON User(LOWER(email));
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0019_user_email_nocase.ts');
+
+  // Execute migrations
+  await client.execute(normalizeUserEmails);
+  await client.execute(createIndexes);
+
+  console.log('Migration complete: 0019_user_email_nocase.ts');
+  return { success: true };
+}
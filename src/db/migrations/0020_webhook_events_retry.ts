@@ -0,0 +1,18 @@
+import { sql } from 'drizzle-orm';
+import type { MigrationClient } from '../migration-helpers';
+
+// Eventos de transação desconhecida deixam de ser 'ignored': viram 'failed' para serem reprocessados
+// na próxima entrega do gateway e reenviados por scripts/replay-webhook.js --failed
+export const retryIgnoredEvents = sql`
+UPDATE payment_webhook_events SET status = 'failed' WHERE status = 'ignored';
+`;
+
+export default async function(client: MigrationClient) {
+  console.log('Running migration: 0020_webhook_events_retry.ts');
+
+  // Execute migrations
+  await client.execute(retryIgnoredEvents);
+
+  console.log('Migration complete: 0020_webhook_events_retry.ts');
+  return { success: true };
+}
@@ -63,7 +63,9 @@ export const vendors = sqliteTable('vendors', {
   email: text('email').notNull(),
   phone: text('phone'),
   websiteUrl: text('website_url'),
-  commissionRate: real('commission_rate').default(0),
+  legalName: text('legal_name'), // razão social
+  cnpj: text('cnpj'), // só dígitos, único
+  commissionRate: real('commission_rate').default(0), // percentual retido pelo marketplace
   isApproved: integer('is_approved', { mode: 'boolean' }).default(false),
   isActive: integer('is_active', { mode: 'boolean' }).default(true),
   approvedAt: text('approved_at'),
@@ -79,6 +81,45 @@ export const vendorsRelations = relations(vendors, ({ one, many }) => ({
   }),
   products: many(products),
   vendorSettings: one(vendorSettings),
+  applications: many(vendorApplications),
+  ledgerEntries: many(vendorLedgerEntries),
+  payouts: many(vendorPayouts),
+}));
+
+// Pedidos de Cadastro de Loja
+export const vendorApplications = sqliteTable('vendor_applications', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  userId: text('user_id').notNull().references(() => users.id),
+  vendorId: integer('vendor_id').references(() => vendors.id), // loja criada na aprovação
+  shopName: text('shop_name').notNull(),
+  legalName: text('legal_name').notNull(), // razão social
+  cnpj: text('cnpj').notNull(), // só dígitos
+  stateRegistration: text('state_registration'), // inscrição estadual ou "ISENTO"
+  responsibleName: text('responsible_name').notNull(),
+  responsibleCpf: text('responsible_cpf').notNull(),
+  email: text('email').notNull(),
+  phone: text('phone').notNull(),
+  description: text('description'),
+  websiteUrl: text('website_url'),
+  documentUrls: text('document_urls'), // JSON com os links do cartão CNPJ / contrato social
+  status: text('status').notNull().default('pending'), // 'pending', 'approved', 'rejected'
+  rejectionReason: text('rejection_reason'),
+  reviewedBy: text('reviewed_by'),
+  reviewedAt: text('reviewed_at'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Relações para Pedidos de Cadastro de Loja
+export const vendorApplicationsRelations = relations(vendorApplications, ({ one }) => ({
+  user: one(users, {
+    fields: [vendorApplications.userId],
+    references: [users.id],
+  }),
+  vendor: one(vendors, {
+    fields: [vendorApplications.vendorId],
+    references: [vendors.id],
+  }),
 }));
 
 // Configurações de Vendedor
@@ -125,6 +166,8 @@ export const products = sqliteTable('products', {
   slug: text('slug').notNull(),
   stock: integer('stock').default(0),
   lowStockThreshold: integer('low_stock_threshold').default(5),
+  ratingAverage: real('rating_average').notNull().default(0), // média das avaliações aprovadas
+  reviewCount: integer('review_count').notNull().default(0), // quantidade de avaliações aprovadas
   createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
   updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
 });
@@ -255,6 +298,11 @@ export const productReviews = sqliteTable('product_reviews', {
   comment: text('comment'),
   isVerifiedPurchase: integer('is_verified_purchase', { mode: 'boolean' }).default(false),
   isApproved: integer('is_approved', { mode: 'boolean' }).default(false),
+  orderItemId: integer('order_item_id').references(() => orderItems.id), // compra que comprova a avaliação
+  helpfulCount: integer('helpful_count').notNull().default(0),
+  moderatedAt: text('moderated_at'), // nulo: aguardando moderação
+  moderatedBy: text('moderated_by'),
+  rejectionReason: text('rejection_reason'),
   createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
   updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
 }, (table) => {
@@ -264,7 +312,7 @@ export const productReviews = sqliteTable('product_reviews', {
 });
 
 // Relações para Avaliações de Produtos
-export const productReviewsRelations = relations(productReviews, ({ one }) => ({
+export const productReviewsRelations = relations(productReviews, ({ one, many }) => ({
   product: one(products, {
     fields: [productReviews.productId],
     references: [products.id],
@@ -273,6 +321,35 @@ export const productReviewsRelations = relations(productReviews, ({ one }) => ({
     fields: [productReviews.userId],
     references: [users.id],
   }),
+  orderItem: one(orderItems, {
+    fields: [productReviews.orderItemId],
+    references: [orderItems.id],
+  }),
+  votes: many(reviewVotes),
+}));
+
+// Tabela de Votos de "Útil" nas Avaliações
+export const reviewVotes = sqliteTable('review_votes', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  reviewId: integer('review_id').notNull().references(() => productReviews.id),
+  userId: text('user_id').notNull().references(() => users.id),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => {
+  return {
+    reviewUserUnique: unique().on(table.reviewId, table.userId)
+  };
+});
+
+// Relações para Votos nas Avaliações
+export const reviewVotesRelations = relations(reviewVotes, ({ one }) => ({
+  review: one(productReviews, {
+    fields: [reviewVotes.reviewId],
+    references: [productReviews.id],
+  }),
+  user: one(users, {
+    fields: [reviewVotes.userId],
+    references: [users.id],
+  }),
 }));
 
 // Utilizar a tabela de usuários existente, já definida pelo Better-Auth
@@ -292,8 +369,103 @@ export const usersRelations = relations(users, ({ one, many }) => ({
   vendor: one(vendors),
   reviews: many(productReviews),
   addresses: many(addresses),
+  roles: many(userRoles),
+}));
+
+// Controle de Acesso
+
+// Tabela de Papéis (customer e vendor são derivados; support e admin são atribuídos em user_roles)
+export const roles = sqliteTable('roles', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  name: text('name').notNull().unique(), // 'customer', 'vendor', 'support', 'admin'
+  displayName: text('display_name').notNull(),
+  description: text('description'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Relações para Papéis
+export const rolesRelations = relations(roles, ({ many }) => ({
+  permissions: many(rolePermissions),
+  users: many(userRoles),
+}));
+
+// Tabela de Permissões por Papel (ver PERMISSIONS em src/lib/rbac.ts)
+export const rolePermissions = sqliteTable('role_permissions', {
+  roleId: integer('role_id').notNull().references(() => roles.id),
+  permission: text('permission').notNull(), // ex.: 'orders:refund'
+}, (table) => {
+  return {
+    pk: primaryKey({ columns: [table.roleId, table.permission] })
+  };
+});
+
+// Relações para Permissões por Papel
+export const rolePermissionsRelations = relations(rolePermissions, ({ one }) => ({
+  role: one(roles, {
+    fields: [rolePermissions.roleId],
+    references: [roles.id],
+  }),
+}));
+
+// Tabela de Papéis atribuídos aos Usuários
+export const userRoles = sqliteTable('user_roles', {
+  userId: text('user_id').notNull().references(() => users.id),
+  roleId: integer('role_id').notNull().references(() => roles.id),
+  grantedBy: text('granted_by').notNull(),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => {
+  return {
+    pk: primaryKey({ columns: [table.userId, table.roleId] })
+  };
+});
+
+// Relações para Papéis atribuídos
+export const userRolesRelations = relations(userRoles, ({ one }) => ({
+  user: one(users, {
+    fields: [userRoles.userId],
+    references: [users.id],
+  }),
+  role: one(roles, {
+    fields: [userRoles.roleId],
+    references: [roles.id],
+  }),
 }));
 
+// Tabela de Acessos como Outro Usuário (administrador navegando como cliente ou vendedor)
+export const impersonationSessions = sqliteTable('impersonation_sessions', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  sessionId: text('session_id').notNull(), // Session do administrador
+  adminUserId: text('admin_user_id').notNull().references(() => users.id),
+  targetUserId: text('target_user_id').notNull().references(() => users.id),
+  reason: text('reason').notNull(),
+  startedAt: text('started_at').default(sql`CURRENT_TIMESTAMP`),
+  endedAt: text('ended_at'),
+});
+
+// Tabela de Auditoria das ações administrativas
+export const adminAuditLog = sqliteTable('admin_audit_log', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  actorUserId: text('actor_user_id').notNull().references(() => users.id), // quem agiu de fato
+  impersonatedUserId: text('impersonated_user_id'), // usuário em nome de quem agiu, se houver
+  action: text('action').notNull(), // ex.: 'roles:update', 'impersonation:start', 'payments:refund'
+  targetType: text('target_type'),
+  targetId: text('target_id'),
+  details: text('details'), // JSON
+  ipAddress: text('ip_address'),
+  userAgent: text('user_agent'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Tabela de Tentativas de autenticação (sem o Durable Object ATTEMPT_LIMITER_DO)
+export const authAttempts = sqliteTable('auth_attempts', {
+  key: text('key').primaryKey(), // ex.: 'login_account:maria@email.com', 'login_ip:203.0.113.7'
+  failures: integer('failures').notNull().default(0),
+  blockedUntil: text('blocked_until'), // espera até a próxima tentativa
+  lockedUntil: text('locked_until'), // bloqueio temporário após muitas falhas
+  lastAttemptAt: text('last_attempt_at'),
+  version: integer('version').notNull().default(0),
+});
+
 // Tabela de Perfis de Usuário (extensão do Better-auth)
 export const userProfiles = sqliteTable('user_profiles', {
   id: integer('id').primaryKey({ autoIncrement: true }),
@@ -388,6 +560,7 @@ export const orders = sqliteTable('orders', {
   shippingAmount: real('shipping_amount').default(0),
   taxAmount: real('tax_amount').default(0),
   discountAmount: real('discount_amount').default(0),
+  couponCode: text('coupon_code'),
   shippingAddressId: integer('shipping_address_id').references(() => addresses.id),
   billingAddressId: integer('billing_address_id').references(() => addresses.id),
   notes: text('notes'),
@@ -422,6 +595,7 @@ export const ordersRelations = relations(orders, ({ one, many }) => ({
   orderItems: many(orderItems),
   payments: many(payments),
   statusHistory: many(orderStatusHistory),
+  shipments: many(orderShipments),
 }));
 
 // Tabela de Histórico de Status do Pedido
@@ -488,6 +662,39 @@ export const orderItemsRelations = relations(orderItems, ({ one }) => ({
   }),
 }));
 
+// Tabela de Envios por Vendedor (sub-pedidos)
+export const orderShipments = sqliteTable('order_shipments', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  orderId: integer('order_id').notNull().references(() => orders.id),
+  vendorId: integer('vendor_id').notNull().references(() => vendors.id),
+  status: text('status').notNull().default('pending'), // 'pending', 'preparing', 'invoiced', 'shipped', 'delivered', 'canceled', 'returned'
+  subtotalAmount: real('subtotal_amount').notNull().default(0), // Soma dos itens do vendedor
+  shippingAmount: real('shipping_amount').default(0),
+  trackingCode: text('tracking_code'),
+  carrier: text('carrier'),
+  estimatedDeliveryDate: text('estimated_delivery_date'),
+  shippedAt: text('shipped_at'),
+  deliveredAt: text('delivered_at'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => {
+  return {
+    orderVendorUnique: unique().on(table.orderId, table.vendorId)
+  };
+});
+
+// Relações para Envios por Vendedor
+export const orderShipmentsRelations = relations(orderShipments, ({ one }) => ({
+  order: one(orders, {
+    fields: [orderShipments.orderId],
+    references: [orders.id],
+  }),
+  vendor: one(vendors, {
+    fields: [orderShipments.vendorId],
+    references: [vendors.id],
+  }),
+}));
+
 // Tabela de Pagamentos
 export const payments = sqliteTable('payments', {
   id: integer('id').primaryKey({ autoIncrement: true }),
@@ -512,11 +719,41 @@ export const payments = sqliteTable('payments', {
 });
 
 // Relações para Pagamentos
-export const paymentsRelations = relations(payments, ({ one }) => ({
+export const paymentsRelations = relations(payments, ({ one, many }) => ({
   order: one(orders, {
     fields: [payments.orderId],
     references: [orders.id],
   }),
+  webhookEvents: many(paymentWebhookEvents),
+}));
+
+// Tabela de Eventos de Webhook de Pagamento (deduplicação e replay)
+export const paymentWebhookEvents = sqliteTable('payment_webhook_events', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  gateway: text('gateway').notNull(),
+  eventId: text('event_id').notNull(), // ID do evento no gateway
+  eventType: text('event_type'),
+  transactionId: text('transaction_id'),
+  paymentId: integer('payment_id').references(() => payments.id),
+  payload: text('payload').notNull(), // Corpo bruto recebido
+  headers: text('headers'), // JSON com os headers relevantes (assinatura)
+  status: text('status').notNull().default('received'), // 'received', 'processed', 'failed'
+  error: text('error'),
+  attempts: integer('attempts').notNull().default(1),
+  receivedAt: text('received_at').default(sql`CURRENT_TIMESTAMP`),
+  processedAt: text('processed_at'),
+}, (table) => {
+  return {
+    gatewayEventUnique: unique().on(table.gateway, table.eventId)
+  };
+});
+
+// Relações para Eventos de Webhook
+export const paymentWebhookEventsRelations = relations(paymentWebhookEvents, ({ one }) => ({
+  payment: one(payments, {
+    fields: [paymentWebhookEvents.paymentId],
+    references: [payments.id],
+  }),
 }));
 
 // Tabela temporária de Carrinho
@@ -534,6 +771,8 @@ export const carts = sqliteTable('carts', {
   createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
   updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
   expiresAt: text('expires_at'), // Data para expirar carrinhos abandonados
+  version: integer('version').notNull().default(0), // Gravação otimista na sincronização
+  appliedOps: text('applied_ops'), // JSON com os IDs das últimas operações aplicadas
 }, (table) => {
   return {
     // Garante que um carrinho está associado a um usuário OU a uma sessão
@@ -629,6 +868,36 @@ export const couponRulesRelations = relations(couponRules, ({ one }) => ({
   }),
 }));
 
+// Tabela de Usos de Cupons (um registro por pedido)
+export const couponRedemptions = sqliteTable('coupon_redemptions', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  couponId: integer('coupon_id').notNull().references(() => coupons.id),
+  userId: text('user_id').notNull().references(() => users.id),
+  orderId: integer('order_id').notNull().references(() => orders.id),
+  discountAmount: real('discount_amount').notNull().default(0),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => {
+  return {
+    couponOrderUnique: unique().on(table.couponId, table.orderId)
+  };
+});
+
+// Relações para Usos de Cupons
+export const couponRedemptionsRelations = relations(couponRedemptions, ({ one }) => ({
+  coupon: one(coupons, {
+    fields: [couponRedemptions.couponId],
+    references: [coupons.id],
+  }),
+  user: one(users, {
+    fields: [couponRedemptions.userId],
+    references: [users.id],
+  }),
+  order: one(orders, {
+    fields: [couponRedemptions.orderId],
+    references: [orders.id],
+  }),
+}));
+
 // Esquema de Frete e Entrega
 
 // Tabela de Regras de Frete por Vendedor
@@ -1016,6 +1285,10 @@ export const priceHistory = sqliteTable('price_history', {
   variantId: integer('variant_id').references(() => productVariants.id),
   oldPrice: real('old_price').notNull(),
   newPrice: real('new_price').notNull(),
+  oldCompareAtPrice: real('old_compare_at_price'),
+  newCompareAtPrice: real('new_compare_at_price'),
+  // Preço "de" aumentado pouco antes da promoção, acima do que foi cobrado no período
+  fakeDiscount: integer('fake_discount', { mode: 'boolean' }).default(false),
   changedAt: text('changed_at').default(sql`CURRENT_TIMESTAMP`),
   changedBy: text('changed_by'), // ID do usuário ou 'system'
   reason: text('reason'),
@@ -1033,6 +1306,18 @@ export const priceHistoryRelations = relations(priceHistory, ({ one }) => ({
   }),
 }));
 
+// Tabela de Avisos de Queda de Preço (itens da lista de desejos já avisados)
+export const priceDropAlerts = sqliteTable('price_drop_alerts', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  userId: text('user_id').notNull().references(() => users.id),
+  productId: integer('product_id').notNull().references(() => products.id),
+  variantId: integer('variant_id').references(() => productVariants.id),
+  priceHistoryId: integer('price_history_id').notNull().references(() => priceHistory.id), // Mudança que gerou o aviso
+  oldPrice: real('old_price').notNull(),
+  notifiedPrice: real('notified_price').notNull(),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
 // Sistema de Gestão de Disputas e Atendimento
 
 // Tabela de Tickets de Suporte
@@ -1152,6 +1437,80 @@ export const disputeMessagesRelations = relations(disputeMessages, ({ one }) =>
   }),
 }));
 
+// Repasses aos Vendedores
+
+// Tabela de Extratos de Repasse (um por loja e ciclo)
+export const vendorPayouts = sqliteTable('vendor_payouts', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  vendorId: integer('vendor_id').notNull().references(() => vendors.id),
+  periodStart: text('period_start').notNull(),
+  periodEnd: text('period_end').notNull(),
+  status: text('status').notNull().default('pending'), // 'pending', 'paid'
+  entryCount: integer('entry_count').notNull().default(0),
+  grossAmount: real('gross_amount').notNull().default(0),
+  commissionAmount: real('commission_amount').notNull().default(0),
+  gatewayFeeAmount: real('gateway_fee_amount').notNull().default(0),
+  netAmount: real('net_amount').notNull().default(0), // valor transferido à loja
+  payoutReference: text('payout_reference'), // comprovante/ID da transferência
+  paidAt: text('paid_at'),
+  paidBy: text('paid_by'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+}, (table) => {
+  return {
+    vendorPeriodUnique: unique().on(table.vendorId, table.periodEnd)
+  };
+});
+
+// Relações para Extratos de Repasse
+export const vendorPayoutsRelations = relations(vendorPayouts, ({ one, many }) => ({
+  vendor: one(vendors, {
+    fields: [vendorPayouts.vendorId],
+    references: [vendors.id],
+  }),
+  entries: many(vendorLedgerEntries),
+}));
+
+// Tabela de Lançamentos do Livro de Repasses (valores com sinal; estornos são negativos)
+export const vendorLedgerEntries = sqliteTable('vendor_ledger_entries', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  vendorId: integer('vendor_id').notNull().references(() => vendors.id),
+  orderId: integer('order_id').notNull().references(() => orders.id),
+  orderItemId: integer('order_item_id').references(() => orderItems.id), // nulo no lançamento de frete
+  entryType: text('entry_type').notNull(), // 'sale', 'shipping', 'refund', 'dispute'
+  grossAmount: real('gross_amount').notNull(),
+  commissionRate: real('commission_rate').notNull().default(0), // percentual vigente na venda
+  commissionAmount: real('commission_amount').notNull().default(0),
+  gatewayFeeAmount: real('gateway_fee_amount').notNull().default(0),
+  netAmount: real('net_amount').notNull(), // gross - commission - gateway fee
+  reversesEntryId: integer('reverses_entry_id'), // lançamento estornado
+  reference: text('reference'), // ex.: 'order:canceled', 'dispute:12'
+  notes: text('notes'),
+  payoutId: integer('payout_id').references(() => vendorPayouts.id),
+  createdBy: text('created_by').notNull(), // ID do usuário ou 'system'
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Relações para Lançamentos do Livro de Repasses
+export const vendorLedgerEntriesRelations = relations(vendorLedgerEntries, ({ one }) => ({
+  vendor: one(vendors, {
+    fields: [vendorLedgerEntries.vendorId],
+    references: [vendors.id],
+  }),
+  order: one(orders, {
+    fields: [vendorLedgerEntries.orderId],
+    references: [orders.id],
+  }),
+  orderItem: one(orderItems, {
+    fields: [vendorLedgerEntries.orderItemId],
+    references: [orderItems.id],
+  }),
+  payout: one(vendorPayouts, {
+    fields: [vendorLedgerEntries.payoutId],
+    references: [vendorPayouts.id],
+  }),
+}));
+
 // Sistema de Gestão Avançada de Estoque
 
 // Tabela de Alertas de Estoque
@@ -1256,6 +1615,38 @@ export const stockHistoryRelations = relations(stockHistory, ({ one }) => ({
   }),
 }));
 
+// Tabela de Pedidos de Aviso de Volta ao Estoque ("avise-me")
+export const stockSubscriptions = sqliteTable('stock_subscriptions', {
+  id: integer('id').primaryKey({ autoIncrement: true }),
+  productId: integer('product_id').notNull().references(() => products.id),
+  variantId: integer('variant_id').references(() => productVariants.id), // Nulo: qualquer variante
+  userId: text('user_id').references(() => users.id),
+  email: text('email').notNull(),
+  token: text('token').notNull().unique(), // Usado no link de cancelamento
+  status: text('status').notNull().default('active'), // 'active', 'queued', 'notified', 'unsubscribed'
+  queuedAt: text('queued_at'),
+  notifiedAt: text('notified_at'),
+  unsubscribedAt: text('unsubscribed_at'),
+  createdAt: text('created_at').default(sql`CURRENT_TIMESTAMP`),
+  updatedAt: text('updated_at').default(sql`CURRENT_TIMESTAMP`),
+});
+
+// Relações para Pedidos de Aviso de Volta ao Estoque
+export const stockSubscriptionsRelations = relations(stockSubscriptions, ({ one }) => ({
+  product: one(products, {
+    fields: [stockSubscriptions.productId],
+    references: [products.id],
+  }),
+  variant: one(productVariants, {
+    fields: [stockSubscriptions.variantId],
+    references: [productVariants.id],
+  }),
+  user: one(users, {
+    fields: [stockSubscriptions.userId],
+    references: [users.id],
+  }),
+}));
+
 // ============== Otimização para Alta Demanda ==============
 
 // Tabela de Cache para produtos frequentemente acessados
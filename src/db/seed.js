@@ -149,10 +149,12 @@ async function seedInitialData() {
           { name: 'pending', displayName: 'Aguardando Pagamento', color: '#FFC107', isDefault: 1, isFinal: 0 },
           { name: 'paid', displayName: 'Pagamento Confirmado', color: '#2196F3', isDefault: 0, isFinal: 0 },
           { name: 'preparing', displayName: 'Em Preparação', color: '#9C27B0', isDefault: 0, isFinal: 0 },
+          { name: 'invoiced', displayName: 'Nota Fiscal Emitida', color: '#3F51B5', isDefault: 0, isFinal: 0 },
           { name: 'shipped', displayName: 'Enviado', color: '#00BCD4', isDefault: 0, isFinal: 0 },
           { name: 'delivered', displayName: 'Entregue', color: '#4CAF50', isDefault: 0, isFinal: 1 },
           { name: 'canceled', displayName: 'Cancelado', color: '#F44336', isDefault: 0, isFinal: 1 },
-          { name: 'returned', displayName: 'Devolvido', color: '#FF5722', isDefault: 0, isFinal: 1 }
+          { name: 'returned', displayName: 'Devolvido', color: '#FF5722', isDefault: 0, isFinal: 1 },
+          { name: 'refunded', displayName: 'Reembolsado', color: '#795548', isDefault: 0, isFinal: 1 }
         ];
         
         const insertOrderStatus = db.prepare(`
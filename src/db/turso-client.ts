@@ -1,4 +1,4 @@
-import { createClient } from '@libsql/client';
+import { createClient, type Transaction } from '@libsql/client';
 
 // Função para inicializar o cliente Turso otimizado para Cloudflare
 export function initTursoClient() {
@@ -71,6 +71,27 @@ export async function executeQuery<T>(
   }
 }
 
+// Função para executar várias queries de forma atômica (interactive transaction)
+// O callback recebe a transação; qualquer erro lançado desfaz todas as escritas
+export async function executeTransaction<T>(
+  callback: (tx: Transaction) => Promise<T>
+): Promise<T> {
+  const client = getTursoClient();
+  const tx = await client.transaction('write');
+  
+  try {
+    const result = await callback(tx);
+    await tx.commit();
+    return result;
+  } catch (error) {
+    await tx.rollback();
+    console.error('Erro ao executar transação:', error);
+    throw error;
+  } finally {
+    tx.close();
+  }
+}
+
 // Função para fazer migrações
 export async function executeMigration(sql: string) {
   const client = getTursoClient();
@@ -10,10 +10,22 @@ declare global {
     htmx: typeof htmx;
   }
 
+  // Bindings do Cloudflare declarados no wrangler.toml
+  interface CloudflareEnv {
+    CACHE_KV?: import("@cloudflare/workers-types").KVNamespace;
+    CART_DO?: import("@cloudflare/workers-types").DurableObjectNamespace;
+    ATTEMPT_LIMITER_DO?: import("@cloudflare/workers-types").DurableObjectNamespace;
+    [binding: string]: any;
+  }
+
   namespace App {
-    interface Locals {
+    interface Locals extends Partial<import("@astrojs/cloudflare").DirectoryRuntime<CloudflareEnv>> {
       user: import("better-auth").User | null;
       session: import("better-auth").Session | null;
+      /** Papéis e permissões do usuário da requisição (src/lib/rbac.ts) */
+      access: import("@/lib/rbac").Access | null;
+      /** Administrador acessando a loja como locals.user */
+      impersonator: import("better-auth").User | null;
     }
   }
 }
@@ -24,11 +36,13 @@ interface ImportMetaEnv {
   readonly ASTRO_DB_REMOTE_URL: string;
   /** https://docs.astro.build/en/guides/astro-db/#libsql */
   readonly ASTRO_DB_APP_TOKEN: string;
+  /** Public base URL of the store, used for links in emails */
+  readonly SITE_URL: string;
   /** https://better-auth.com/ */
   readonly BETTER_AUTH_URL: string;
   /** https://better-auth.com/ */
   readonly BETTER_AUTH_SECRET: string;
-  /** Toggle on email verification */
+  /** Require a verified email to place orders, write reviews and apply as a vendor */
   readonly BETTER_AUTH_EMAIL_VERIFICATION: "true" | "false";
   /** Mail server host */
   readonly MAIL_HOST: string;
@@ -42,6 +56,30 @@ interface ImportMetaEnv {
   readonly MAIL_AUTH_PASS: string;
   /** Email address to send from */
   readonly MAIL_FROM: string;
+  /** Payment gateway in use (required in production; sandbox in development) */
+  readonly PAYMENT_GATEWAY: string;
+  /** PIX key used in the copy-and-paste payload */
+  readonly PIX_KEY: string;
+  /** Merchant name shown in the PIX payload (max 25 chars) */
+  readonly PIX_MERCHANT_NAME: string;
+  /** Merchant city shown in the PIX payload (max 15 chars) */
+  readonly PIX_MERCHANT_CITY: string;
+  /** Shared secret used to verify payment webhook signatures (webhooks are rejected when unset) */
+  readonly PAYMENT_WEBHOOK_SECRET: string;
+  /** CEP lookup provider: offline (bundled dataset) or viacep */
+  readonly CEP_PROVIDER: string;
+  /** Base URL of the ViaCEP API (default: https://viacep.com.br/ws) */
+  readonly VIACEP_URL: string;
+  /** How guest and account carts are merged on sign-in: sum, max, account or guest (default: sum) */
+  readonly CART_MERGE_STRATEGY: string;
+  /** Minutes a checkout stock reservation holds the cart items (default: 15) */
+  readonly STOCK_RESERVATION_TTL_MINUTES: string;
+  /** Minutes a password reset link stays valid (default: 60) */
+  readonly PASSWORD_RESET_TTL_MINUTES: string;
+  /** Bearer token required by the scheduled job endpoints under /api/cron */
+  readonly CRON_SECRET: string;
+  /** Comma-separated emails that always have the admin role (bootstrap for assigning staff roles) */
+  readonly ADMIN_EMAILS: string;
 }
 
 interface ImportMeta {
@@ -2,45 +2,332 @@
  * Cart Store
  * 
  * Alpine.js store for managing the shopping cart with multi-vendor support.
+ * 
+ * The server cart (/api/cart, backed by CartDO) is authoritative: every change
+ * is applied locally right away and queued as an operation; the queue is sent
+ * to the server, which revalidates prices and stock and returns the cart plus
+ * notices (price changes, stock adjustments). Operations made offline stay in
+ * localStorage and are replayed when the connection comes back.
  */
 document.addEventListener('alpine:init', () => {
   Alpine.store('cart', {
     items: [],
     count: 0, // Cache para contagem total de itens no carrinho
+    coupon: null, // Cupom validado pela API (código, desconto total e por item)
+    couponError: '',
+    couponLoading: false,
+    pendingOps: [], // Operações ainda não confirmadas pelo servidor
+    notices: [], // Avisos de preço/estoque devolvidos pelo servidor
+    syncing: false,
+    syncAgain: false, // Mudanças feitas durante uma sincronização em andamento
+    synced: false, // Já recebeu o carrinho do servidor nesta página
     
     init() {
       // Load saved cart from localStorage on initialization
       const savedCart = localStorage.getItem('cart');
       if (savedCart) {
         this.items = JSON.parse(savedCart);
-        // Atualiza contagem de itens ao inicializar
-        this.count = this.items.reduce((total, item) => total + item.quantity, 0);
       }
       
-      // Save cart to localStorage whenever it changes
-      this.$watch('items', () => {
-        localStorage.setItem('cart', JSON.stringify(this.items));
-        // Atualiza contagem de itens quando o carrinho muda
-        this.count = this.items.reduce((total, item) => total + item.quantity, 0);
-      });
+      const savedOps = localStorage.getItem('cartPendingOps');
+      if (savedOps) {
+        this.pendingOps = JSON.parse(savedOps);
+      } else if (this.items.length > 0) {
+        // Carrinho salvo antes da sincronização com o servidor: os itens viram operações
+        // 'add', senão o primeiro sync trocaria a cópia local pelo carrinho (vazio) do servidor
+        this.pendingOps = this.items.map(({ quantity, ...details }) => {
+          const productId = Number(details.id);
+          const variantId = details.variantId ? Number(details.variantId) : null;
+          return {
+            id: crypto.randomUUID(),
+            type: 'add',
+            productId,
+            variantId,
+            quantity,
+            price: details.price,
+            product: { ...details, id: productId, variantId }
+          };
+        });
+        this.persist();
+      }
+
+      const savedCoupon = localStorage.getItem('cartCoupon');
+      if (savedCoupon) {
+        this.coupon = JSON.parse(savedCoupon);
+      }
+      
+      this.count = this.items.reduce((total, item) => total + item.quantity, 0);
+      
+      // Reenvia a fila quando a conexão volta
+      window.addEventListener('online', () => this.sync());
+      this.sync();
     },
     
     /**
-     * Add an item to the cart
-     * @param {Object} product - The product to add
-     * @param {number} quantity - Quantity to add (defaults to 1)
+     * Save the local copy and refresh the item count
+     */
+    persist() {
+      localStorage.setItem('cart', JSON.stringify(this.items));
+      localStorage.setItem('cartPendingOps', JSON.stringify(this.pendingOps));
+      this.count = this.items.reduce((total, item) => total + item.quantity, 0);
+    },
+    
+    /**
+     * Record a change: applied locally now, confirmed by the server on sync
+     * @param {Object} op - Operation without id ({ type, productId, variantId, quantity, price })
      */
-    addItem(product, quantity = 1) {
-      const existingItem = this.items.find(item => item.id === product.id);
+    queue(op) {
+      this.pendingOps.push({ id: crypto.randomUUID(), ...op });
+      this.persist();
+      this.sync();
+    },
+    
+    /**
+     * Send queued operations and replace the local copy with the server cart
+     * @returns {Promise<boolean>} Whether the server answered
+     */
+    async sync() {
+      if (this.syncing) {
+        this.syncAgain = true;
+        return false;
+      }
+      
+      // Offline: as operações continuam na fila até o evento 'online'
+      if (!navigator.onLine) return false;
       
-      if (existingItem) {
-        existingItem.quantity += quantity;
+      this.syncing = true;
+      const sent = this.pendingOps.slice();
+      
+      try {
+        const response = await fetch('/api/cart', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ ops: sent })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+          // Operações recusadas pelo servidor não são reenviadas
+          if (response.status === 400) {
+            this.dropOps(sent);
+          }
+          console.error('Erro ao sincronizar carrinho:', result.error);
+          return false;
+        }
+        
+        this.dropOps(sent);
+        this.applyServerCart(result.cart);
+        this.synced = true;
+        return true;
+      } catch (error) {
+        // Sem conexão: mantém a fila para a próxima tentativa
+        console.error('Erro ao sincronizar carrinho:', error);
+        return false;
+      } finally {
+        this.syncing = false;
+        
+        if (this.syncAgain) {
+          this.syncAgain = false;
+          this.sync();
+        }
+      }
+    },
+    
+    dropOps(sent) {
+      const sentIds = new Set(sent.map(op => op.id));
+      this.pendingOps = this.pendingOps.filter(op => !sentIds.has(op.id));
+      this.persist();
+    },
+    
+    /**
+     * Replace local items with the server cart, re-applying operations still queued
+     * @param {Object} cart - Cart returned by /api/cart
+     */
+    applyServerCart(cart) {
+      this.items = cart.items.map(line => ({
+        id: line.productId,
+        variantId: line.variantId,
+        name: line.name,
+        slug: line.slug,
+        image: line.image,
+        price: line.unitPrice,
+        vendorId: line.vendorId,
+        vendorName: line.vendorName,
+        quantity: line.quantity,
+        available: line.available
+      }));
+      
+      for (const op of this.pendingOps) {
+        this.applyLocal(op);
+      }
+      
+      if (cart.notices.length > 0) {
+        this.notices = [...this.notices, ...cart.notices];
+        cart.notices.forEach(notice => {
+          window.dispatchEvent(new CustomEvent('toast', {
+            detail: { message: notice.message, type: 'warning' }
+          }));
+        });
+      }
+      
+      this.persist();
+      
+      // O desconto depende dos itens: revalida o cupom com o carrinho confirmado
+      if (this.coupon) {
+        this.applyCoupon(this.coupon.code, { silent: true });
+      }
+    },
+    
+    /**
+     * Apply an operation to the local copy (same rules as the server)
+     * @param {Object} op - Queued operation
+     */
+    applyLocal(op) {
+      if (op.type === 'clear') {
+        this.items = [];
+        return;
+      }
+      
+      const existing = this.getItem(op.productId, op.variantId);
+      
+      if (op.type === 'add') {
+        if (existing) {
+          existing.quantity = Math.min(existing.quantity + op.quantity, 99);
+        } else if (op.product) {
+          this.items.push({ ...op.product, quantity: op.quantity });
+        }
+      } else if (op.type === 'set' && op.quantity > 0) {
+        if (existing) existing.quantity = op.quantity;
       } else {
-        this.items.push({
-          ...product,
-          quantity
+        this.items = this.items.filter(item => item !== existing);
+      }
+    },
+    
+    /**
+     * Dismiss a notice (or all of them)
+     * @param {number} index - Notice index; omit to clear all
+     */
+    dismissNotice(index) {
+      this.notices = index === undefined ? [] : this.notices.filter((_, i) => i !== index);
+    },
+    
+    /**
+     * Items in the format expected by the API (prices are always recalculated on the server)
+     * @returns {Array} Lines with productId, variantId and quantity
+     */
+    toApiItems() {
+      return this.items.map(item => ({
+        productId: item.id,
+        variantId: item.variantId || null,
+        quantity: item.quantity
+      }));
+    },
+    
+    /**
+     * Validate a coupon against the current cart and keep the discount breakdown
+     * @param {string} code - Coupon code
+     * @param {Object} options - { silent: skip the toast when revalidating }
+     * @returns {Promise<boolean>} Whether the coupon was applied
+     */
+    async applyCoupon(code, { silent = false } = {}) {
+      if (!code || this.items.length === 0) {
+        this.setCoupon(null);
+        return false;
+      }
+      
+      this.couponLoading = true;
+      this.couponError = '';
+      
+      try {
+        const response = await fetch('/api/cart/coupon', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: JSON.stringify({ code, items: this.toApiItems() })
         });
+        const result = await response.json();
+        
+        if (!response.ok) {
+          this.setCoupon(null);
+          this.couponError = result.error || 'Cupom inválido';
+          return false;
+        }
+        
+        this.setCoupon(result.coupon);
+        
+        if (!silent) {
+          window.dispatchEvent(new CustomEvent('toast', {
+            detail: { message: `Cupom ${result.coupon.code} aplicado`, type: 'success' }
+          }));
+        }
+        return true;
+      } catch (error) {
+        console.error('Erro ao aplicar cupom:', error);
+        this.couponError = 'Erro de conexão ao aplicar o cupom';
+        return false;
+      } finally {
+        this.couponLoading = false;
       }
+    },
+    
+    /**
+     * Remove the applied coupon
+     */
+    async removeCoupon() {
+      this.setCoupon(null);
+      this.couponError = '';
+      await fetch('/api/cart/coupon', { method: 'DELETE', credentials: 'include' }).catch(() => {});
+    },
+    
+    setCoupon(coupon) {
+      this.coupon = coupon;
+      if (coupon) {
+        localStorage.setItem('cartCoupon', JSON.stringify(coupon));
+      } else {
+        localStorage.removeItem('cartCoupon');
+      }
+    },
+    
+    /**
+     * Coupon discount for the current cart
+     */
+    get discount() {
+      return this.coupon ? this.coupon.discountAmount : 0;
+    },
+    
+    /**
+     * Coupon discount applied to a given item
+     * @param {Object} item - Cart item
+     * @returns {number}
+     */
+    itemDiscount(item) {
+      const line = this.coupon?.lines.find(line => line.productId === item.id && line.variantId === (item.variantId || null));
+      return line ? line.discount : 0;
+    },
+    
+    /**
+     * Add an item to the cart
+     * @param {Object} product - The product to add
+     * @param {number} quantity - Quantity to add (defaults to product.quantity or 1)
+     */
+    addItem(product, quantity = product.quantity || 1) {
+      const productId = Number(product.id);
+      const variantId = product.variantId ? Number(product.variantId) : null;
+      const { quantity: _, ...details } = product;
+      
+      const op = {
+        type: 'add',
+        productId,
+        variantId,
+        quantity,
+        price: product.price,
+        // Dados de exibição para a cópia local até o servidor responder
+        product: { ...details, id: productId, variantId }
+      };
+      
+      this.applyLocal(op);
+      this.queue(op);
       
       // Mostra mensagem de confirmação usando o sistema de toast
       window.dispatchEvent(new CustomEvent('toast', { 
@@ -53,33 +340,48 @@ document.addEventListener('alpine:init', () => {
     
     /**
      * Remove an item from the cart
-     * @param {string} id - Item ID to remove
+     * @param {number} id - Product ID
+     * @param {number|null} variantId - Variant ID, when the product has variants
      */
-    removeItem(id) {
-      this.items = this.items.filter(item => item.id !== id);
+    removeItem(id, variantId = null) {
+      const op = { type: 'remove', productId: Number(id), variantId: variantId ? Number(variantId) : null };
+      this.applyLocal(op);
+      this.queue(op);
+    },
+    
+    /**
+     * Set the quantity of an item (removes it when 0)
+     * @param {number} id - Product ID
+     * @param {number|null} variantId - Variant ID
+     * @param {number} quantity - New quantity
+     */
+    setQuantity(id, variantId, quantity) {
+      const op = { type: 'set', productId: Number(id), variantId: variantId ? Number(variantId) : null, quantity };
+      this.applyLocal(op);
+      this.queue(op);
     },
     
     /**
      * Increase the quantity of an item
-     * @param {string} id - Item ID
+     * @param {number} id - Product ID
+     * @param {number|null} variantId - Variant ID
      */
-    increaseQuantity(id) {
-      const item = this.items.find(item => item.id === id);
+    increaseQuantity(id, variantId = null) {
+      const item = this.getItem(id, variantId);
       if (item) {
-        item.quantity += 1;
+        this.setQuantity(id, variantId, item.quantity + 1);
       }
     },
     
     /**
      * Decrease the quantity of an item (removes if quantity would be 0)
-     * @param {string} id - Item ID
+     * @param {number} id - Product ID
+     * @param {number|null} variantId - Variant ID
      */
-    decreaseQuantity(id) {
-      const item = this.items.find(item => item.id === id);
-      if (item && item.quantity > 1) {
-        item.quantity -= 1;
-      } else if (item) {
-        this.removeItem(id);
+    decreaseQuantity(id, variantId = null) {
+      const item = this.getItem(id, variantId);
+      if (item) {
+        this.setQuantity(id, variantId, item.quantity - 1);
       }
     },
     
@@ -130,27 +432,34 @@ document.addEventListener('alpine:init', () => {
     
     /**
      * Check if an item exists in the cart
-     * @param {string} id - Product ID to check
+     * @param {number} id - Product ID to check
+     * @param {number|null} variantId - Variant ID (any variant when omitted)
      * @returns {boolean}
      */
-    hasItem(id) {
-      return this.items.some(item => item.id === id);
+    hasItem(id, variantId) {
+      return this.items.some(item => item.id === Number(id) && (variantId === undefined || (item.variantId || null) === (variantId ? Number(variantId) : null)));
     },
     
     /**
      * Get a specific item from the cart
-     * @param {string} id - Product ID to retrieve
+     * @param {number} id - Product ID to retrieve
+     * @param {number|null} variantId - Variant ID
      * @returns {Object|null} The cart item or null if not found
      */
-    getItem(id) {
-      return this.items.find(item => item.id === id) || null;
+    getItem(id, variantId = null) {
+      const key = variantId ? Number(variantId) : null;
+      return this.items.find(item => item.id === Number(id) && (item.variantId || null) === key) || null;
     },
     
     /**
-     * Clear the cart completely
+     * Clear the local cart after checkout (the server cart is emptied by /api/orders)
      */
     clear() {
       this.items = [];
+      this.pendingOps = [];
+      this.notices = [];
+      this.persist();
+      this.setCoupon(null);
     }
   });
 });
\ No newline at end of file
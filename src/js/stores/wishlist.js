@@ -1,55 +1,113 @@
 /**
  * Wishlist Store
- * 
+ *
  * Alpine.js store for managing the user's wishlist.
+ *
+ * Guests keep the list in localStorage only. Signed-in users also keep it in
+ * the account (/api/wishlist); the guest list is merged into the account on
+ * sign-in, so after that the server list is the source of truth.
  */
 document.addEventListener('alpine:init', () => {
   Alpine.store('wishlist', {
     items: [],
-    
+
     init() {
       // Load saved wishlist from localStorage on initialization
       const savedWishlist = localStorage.getItem('wishlist');
       if (savedWishlist) {
-        this.items = JSON.parse(savedWishlist);
+        this.items = JSON.parse(savedWishlist).map(Number);
       }
-      
-      // Save wishlist to localStorage whenever it changes
-      this.$watch('items', () => {
-        localStorage.setItem('wishlist', JSON.stringify(this.items));
-      });
+
+      this.load();
     },
-    
+
+    /**
+     * Save the local copy
+     */
+    persist() {
+      localStorage.setItem('wishlist', JSON.stringify(this.items));
+    },
+
+    /**
+     * Load the account wishlist (guests get 401 and keep the local list)
+     */
+    async load() {
+      try {
+        const response = await fetch('/api/wishlist', { credentials: 'include' });
+        if (!response.ok) return;
+
+        const result = await response.json();
+        const serverIds = [...new Set(result.items.map(item => item.productId))];
+        const localOnly = this.items.filter(id => !serverIds.includes(id));
+
+        this.items = [...serverIds, ...localOnly];
+        this.persist();
+
+        // Itens adicionados sem conexão ainda não estão na conta
+        if (localOnly.length > 0) {
+          this.request('POST', { items: localOnly });
+        }
+      } catch (error) {
+        console.error('Erro ao carregar lista de desejos:', error);
+      }
+    },
+
+    /**
+     * Mirror a change in the account (ignored for guests)
+     * @param {string} method - POST or DELETE
+     * @param {Object} payload - Body for POST or query for DELETE
+     */
+    async request(method, payload) {
+      try {
+        const url = method === 'DELETE'
+          ? '/api/wishlist?' + new URLSearchParams(payload).toString()
+          : '/api/wishlist';
+
+        await fetch(url, {
+          method,
+          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          body: method === 'DELETE' ? undefined : JSON.stringify(payload)
+        });
+      } catch (error) {
+        console.error('Erro ao atualizar lista de desejos:', error);
+      }
+    },
+
     /**
      * Check if an item is in the wishlist
-     * @param {string} id - Product ID to check
+     * @param {number} id - Product ID to check
      * @returns {boolean}
      */
     has(id) {
-      return this.items.includes(id);
+      return this.items.includes(Number(id));
     },
-    
+
     /**
      * Add an item to the wishlist
-     * @param {string} id - Product ID to add
+     * @param {number} id - Product ID to add
      */
     add(id) {
       if (!this.has(id)) {
-        this.items.push(id);
+        this.items.push(Number(id));
+        this.persist();
+        this.request('POST', { productId: Number(id) });
       }
     },
-    
+
     /**
      * Remove an item from the wishlist
-     * @param {string} id - Product ID to remove
+     * @param {number} id - Product ID to remove
      */
     remove(id) {
-      this.items = this.items.filter(item => item !== id);
+      this.items = this.items.filter(item => item !== Number(id));
+      this.persist();
+      this.request('DELETE', { productId: Number(id) });
     },
-    
+
     /**
      * Toggle an item in the wishlist (add if not present, remove if present)
-     * @param {string} id - Product ID to toggle
+     * @param {number} id - Product ID to toggle
      */
     toggle(id) {
       if (this.has(id)) {
@@ -58,12 +116,13 @@ document.addEventListener('alpine:init', () => {
         this.add(id);
       }
     },
-    
+
     /**
      * Clear the wishlist completely
      */
     clear() {
       this.items = [];
+      this.persist();
     }
   });
-});
\ No newline at end of file
+});
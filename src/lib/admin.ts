@@ -0,0 +1,20 @@
+/**
+ * Administradores fixos da loja
+ *
+ * Os emails listados em ADMIN_EMAILS (separados por vírgula) têm sempre o
+ * papel admin, mesmo sem registro em user_roles: são eles que atribuem os
+ * primeiros papéis de equipe (ver src/lib/rbac.ts). O papel só vale depois
+ * que o email é confirmado: sem isso, quem se cadastrasse primeiro com um
+ * desses endereços viraria administrador.
+ */
+
+export function adminEmails(): string[] {
+  return (import.meta.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((email: string) => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+export function isBootstrapAdmin(user: { email?: string | null; emailVerified?: boolean | null } | null | undefined): boolean {
+  return Boolean(user?.email && user.emailVerified) && adminEmails().includes(String(user!.email).toLowerCase());
+}
@@ -1,19 +1,54 @@
 // Sistema de autenticação simplificado para Cloudflare
-import { CloudflareAuth, type User, type Session } from './auth/cloudflare-auth';
+import { CloudflareAuth, type User, type Session, type DeviceSession } from './auth/cloudflare-auth';
 import { sendEmail } from './email';
+import guestMergeService from '../services/guestMergeService';
+import accessControlService from '../services/accessControlService';
+import attemptLimiterService, { type AttemptScope } from '../services/attemptLimiterService';
+import type { Access } from './rbac';
 
 // Configurar o sistema de autenticação
 const authInstance = new CloudflareAuth({
   secret: import.meta.env.BETTER_AUTH_SECRET || 'default-secret-key-change-me',
   cookieName: 'auth_session',
-  sessionDuration: 30 // 30 dias
+  sessionDuration: 30, // 30 dias
+  passwordResetDuration: Number(import.meta.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  // Carrinho, reservas e lista de desejos do visitante passam para a conta
+  onSignIn: (user, context) => guestMergeService.mergeOnSignIn(user.id, context),
+  // Link de confirmação do email, enviado no cadastro e no reenvio
+  sendVerificationEmail: (user, token, expiresAt) => {
+    const url = siteUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+    const hours = Math.round((new Date(expiresAt).getTime() - Date.now()) / 3600000);
+    return sendEmail({
+      to: user.email,
+      subject: 'Confirme seu email',
+      html:
+        `<p>Confirme o email da sua conta para comprar, avaliar produtos e cadastrar sua loja.</p>` +
+        `<p><a href="${url}">Clique aqui para confirmar seu email</a>. O link vale por ${hours} horas.</p>`
+    });
+  },
+  // Aviso ao dono da conta bloqueada por senhas erradas; redefinir a senha libera o login
+  onLockout: (user, { lockedUntil, ipAddress }) => {
+    const minutes = Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000);
+    return sendEmail({
+      to: user.email,
+      subject: 'Login bloqueado temporariamente',
+      html:
+        `<p>Recebemos muitas tentativas de login com senha errada na sua conta${ipAddress ? ` (IP ${ipAddress})` : ''}.</p>` +
+        `<p>Por segurança, o login ficará bloqueado por ${minutes} minutos.</p>` +
+        `<p>Se não foi você, <a href="${siteUrl('/forgot-password')}">redefina sua senha</a>: a nova senha libera o login na hora.</p>`
+    });
+  }
 });
 
 // API para compatibilidade com código existente
 const authAPI = {
   api: {
-    signInEmail: async ({ body, headers, asResponse }) => {
-      const result = await authInstance.handleSignIn(body.email, body.password);
+    signInEmail: async ({ body, headers, asResponse, env }: { body: any; headers?: Headers; asResponse?: boolean; env?: CloudflareEnv | null }) => {
+      const result = await authInstance.handleSignIn(body.email, body.password, {
+        headers,
+        env,
+        wishlist: body.wishlist
+      });
       
       if (asResponse && result instanceof Response) {
         return result;
@@ -22,43 +57,33 @@ const authAPI = {
       return result;
     },
     
-    signUpEmail: async ({ body, headers, asResponse }) => {
+    signUpEmail: async ({ body, headers, asResponse, env }: { body: any; headers?: Headers; asResponse?: boolean; env?: CloudflareEnv | null }) => {
+      // Cadastros em massa a partir de um IP esperam cada vez mais
+      const retryAfterSeconds = await throttleByIp('sign_up_ip', headers, env);
+      if (retryAfterSeconds !== null) {
+        return new Response(JSON.stringify({ error: 'Too many sign-up attempts', retryAfterSeconds }), {
+          status: 429,
+          headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfterSeconds) }
+        });
+      }
+
       const result = await authInstance.handleSignUp({
         email: body.email,
         password: body.password,
         name: body.name,
         image: body.image || ''
-      });
+      }, { headers });
       
       if (asResponse && result instanceof Response) {
         return result;
       }
       
-      // Enviar email de verificação se necessário
-      if (import.meta.env.BETTER_AUTH_EMAIL_VERIFICATION === "true" && result.success) {
-        try {
-          const user = await authInstance.getUserByEmail(body.email);
-          if (user) {
-            // Criar link de verificação
-            const token = generateVerificationToken(user.id);
-            const url = `${import.meta.env.BETTER_AUTH_URL}/verify-email?token=${token}`;
-            
-            await sendEmail({
-              to: user.email,
-              subject: "Verify your email address",
-              html: `<a href="${url}">Click the link to verify your email</a>`
-            });
-          }
-        } catch (error) {
-          console.error('Error sending verification email:', error);
-        }
-      }
-      
+      // O email de verificação é enviado por createUser (sendVerificationEmail)
       return result;
     },
     
     signOut: async ({ headers, asResponse }) => {
-      const result = await authInstance.handleSignOut();
+      const result = await authInstance.handleSignOut(headers);
       
       if (asResponse && result instanceof Response) {
         return result;
@@ -73,27 +98,166 @@ const authAPI = {
       return authInstance.getSession(request);
     },
     
-    verifyEmail: async (token) => {
-      // Implementar verificação de email
-      console.log('Verificando email com token:', token);
-      return true;
+    // Envia o link de recuperação; emails sem conta recebem a mesma resposta
+    requestPasswordReset: async ({ body, headers, env }: { body: { email: string }; headers?: Headers; env?: CloudflareEnv | null }) => {
+      // Espera crescente por IP antes dos limites fixos por email e por IP de createPasswordReset
+      const retryAfterSeconds = await throttleByIp('password_reset_ip', headers, env);
+      if (retryAfterSeconds !== null) {
+        return { success: false, rateLimited: true, retryAfterSeconds };
+      }
+
+      const result = await authInstance.createPasswordReset(body.email, { ipAddress: clientIp(headers) });
+
+      if (result.status === 'rate_limited') {
+        return { success: false, rateLimited: true, retryAfterSeconds: null };
+      }
+
+      if (result.status === 'created') {
+        const url = siteUrl(`/reset-password?token=${encodeURIComponent(result.token)}`);
+        const minutes = Math.round((new Date(result.expiresAt).getTime() - Date.now()) / 60000);
+
+        try {
+          await sendEmail({
+            to: result.user.email,
+            subject: 'Redefinição de senha',
+            html:
+              `<p>Recebemos um pedido para redefinir a senha da sua conta.</p>` +
+              `<p><a href="${url}">Clique aqui para criar uma nova senha</a>. O link vale por ${minutes} minutos e só pode ser usado uma vez.</p>` +
+              `<p>Se você não pediu a redefinição, ignore este email: sua senha continua a mesma.</p>`
+          });
+        } catch (error) {
+          console.error('Error sending password reset email:', error);
+        }
+      }
+
+      return { success: true, rateLimited: false, retryAfterSeconds: null };
+    },
+
+    // Troca a senha, encerra todas as sessões abertas da conta e libera o login bloqueado
+    resetPassword: async ({ body, env }: { body: { token: string; password: string }; env?: CloudflareEnv | null }) => {
+      const result = await authInstance.resetPassword(body.token, body.password);
+      if (!result) {
+        return { success: false };
+      }
+
+      const user = await authInstance.getUserById(result.userId);
+      if (user) {
+        try {
+          await attemptLimiterService.reset('login_account', user.email, env);
+        } catch (error) {
+          console.error('Error unlocking sign-in after password reset:', error);
+        }
+
+        try {
+          await sendEmail({
+            to: user.email,
+            subject: 'Sua senha foi alterada',
+            html:
+              `<p>A senha da sua conta foi alterada e todas as sessões abertas foram encerradas.</p>` +
+              `<p>Se não foi você, <a href="${siteUrl('/forgot-password')}">redefina a senha</a> e fale com o atendimento.</p>`
+          });
+        } catch (error) {
+          console.error('Error sending password changed email:', error);
+        }
+      }
+
+      return { success: true };
+    },
+
+    // Confirma o email pelo link enviado; devolve o usuário ou null com token inválido ou expirado
+    verifyEmail: async (token: string) => {
+      return authInstance.verifyEmail(token);
+    },
+
+    // Novo link de verificação, com intervalo mínimo entre envios
+    resendVerificationEmail: async (userId: string) => {
+      return authInstance.resendEmailVerification(userId);
     }
   },
   
   // Middleware para Astro
   session: (request) => {
     return authInstance.getSession(request);
+  },
+
+  // Sessões da conta (página de dispositivos conectados e limpeza agendada)
+  sessions: {
+    list: (userId: string, currentSessionId: string | null = null) => authInstance.listSessions(userId, currentSessionId),
+    revoke: (userId: string, handle: string) => authInstance.revokeSession(userId, handle),
+    revokeAll: (userId: string, exceptSessionId: string | null = null) =>
+      authInstance.revokeAllSessions(userId, exceptSessionId),
+    rotate: (session: Session, headers?: Headers) => authInstance.rotateSession(session, { headers }),
+    cleanup: () => authInstance.cleanupExpired(),
+    cookie: (sessionId: string) => authInstance.createSessionCookie(sessionId),
+    clearCookie: () => authInstance.createClearSessionCookie()
+  },
+
+  // Usuário por id (rotas administrativas)
+  user: (id: string) => {
+    return authInstance.getUserById(id);
+  },
+
+  // Sessão com papéis e permissões (middleware, actions e workers); com acesso como
+  // outro usuário ativo, user e access passam a ser do usuário alvo
+  access: async (request: Request): Promise<RequestAccess | null> => {
+    const current = await authInstance.getSession(request);
+    if (!current) return null;
+
+    const impersonation = await accessControlService.getImpersonation(current.session.id);
+    const target = impersonation ? await authInstance.getUserById(impersonation.targetUserId) : null;
+
+    if (target) {
+      return {
+        user: target,
+        session: current.session,
+        access: await accessControlService.getAccess(target, current.user.id),
+        impersonator: current.user
+      };
+    }
+
+    return {
+      user: current.user,
+      session: current.session,
+      access: await accessControlService.getAccess(current.user),
+      impersonator: null
+    };
   }
 };
 
-// Função auxiliar para gerar tokens de verificação
-function generateVerificationToken(userId: string): string {
-  // Em um ambiente real, salvar isto no banco de dados
-  return `verify_${userId}_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+export interface RequestAccess {
+  user: User;
+  session: Session;
+  access: Access;
+  /** Administrador acessando como user */
+  impersonator: User | null;
+}
+
+function siteUrl(path: string): string {
+  return `${(import.meta.env.SITE_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+// IP do cliente repassado pela Cloudflare (limite de pedidos de recuperação)
+function clientIp(headers?: Headers): string | null {
+  return headers?.get('cf-connecting-ip') || headers?.get('x-forwarded-for')?.split(',')[0].trim() || null;
+}
+
+// Conta a tentativa no limite por IP; segundos de espera quando recusada, null quando liberada
+// (sem IP, como nas rotas do atendimento, ou com falha no contador)
+async function throttleByIp(scope: AttemptScope, headers?: Headers, env?: CloudflareEnv | null): Promise<number | null> {
+  const ipAddress = clientIp(headers);
+  if (!ipAddress) return null;
+
+  try {
+    const status = await attemptLimiterService.consume(scope, ipAddress, env);
+    return status.allowed ? null : status.retryAfterSeconds;
+  } catch (error) {
+    console.error('Error checking attempt limit:', error);
+    return null;
+  }
 }
 
 // Exportar como 'auth' para compatibilidade com código existente
 export const auth = authAPI;
 
 // Exportar tipos
-export type { User, Session };
\ No newline at end of file
+export type { User, Session, DeviceSession };
\ No newline at end of file
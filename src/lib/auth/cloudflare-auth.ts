@@ -2,9 +2,10 @@
  * Sistema de autenticação simples e compatível com Cloudflare
  */
 
-import { executeQuery } from '../../db/turso-client';
+import { executeQuery, executeTransaction } from '../../db/turso-client';
 import * as jose from 'jose';
 import { createHash, randomBytes } from 'crypto';
+import attemptLimiterService from '../../services/attemptLimiterService';
 
 // Interfaces para tipagem
 export interface User {
@@ -19,34 +20,187 @@ export interface Session {
   id: string;
   userId: string;
   expiresAt: string;
+  createdAt?: string;
+  lastSeenAt?: string | null;
+  userAgent?: string | null;
+  ipAddress?: string | null;
+  /** Privilégios da conta mudaram; o middleware troca o ID da sessão no próximo acesso */
+  rotationPending?: boolean;
 }
 
+// Requisição que cria ou renova a sessão (navegador e IP do dispositivo)
+export interface SessionContext {
+  headers?: Headers;
+}
+
+// Dados da requisição de login repassados ao hook onSignIn
+export interface SignInContext extends SessionContext {
+  env?: CloudflareEnv | null;
+  wishlist?: unknown;
+}
+
+// Sessão exibida na conta do usuário; handle substitui o ID, que é o próprio valor do cookie
+export interface DeviceSession {
+  handle: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  createdAt: string | null;
+  lastSeenAt: string | null;
+  expiresAt: string;
+  current: boolean;
+}
+
+// Resultado do login; throttled quando a conta ou o IP passou do limite de senhas erradas
+export type SignInResult =
+  | { status: 'success'; user: User; session: Session }
+  | { status: 'invalid_credentials' }
+  | { status: 'throttled'; retryAfterSeconds: number; locked: boolean };
+
+// Resultado do pedido de recuperação de senha; o token só existe em memória e no email
+export type PasswordResetRequest =
+  | { status: 'created'; user: User; token: string; expiresAt: string }
+  | { status: 'unknown_email' }
+  | { status: 'rate_limited' };
+
+// Resultado do reenvio do email de verificação
+export type EmailVerificationRequest =
+  | { status: 'sent' }
+  | { status: 'already_verified' }
+  | { status: 'not_found' }
+  | { status: 'rate_limited'; retryAfterSeconds: number };
+
 // Configuração
 interface AuthConfig {
   secret: string;
   cookieName?: string;
   sessionDuration?: number; // duração em dias
+  // Executado após um login bem-sucedido (ex.: juntar o carrinho de visitante)
+  onSignIn?: (user: User, context: SignInContext) => Promise<unknown>;
+  passwordResetDuration?: number; // validade do link de recuperação em minutos
+  emailVerificationDuration?: number; // validade do link de verificação em horas
+  // Envia o link de verificação (no cadastro e no reenvio)
+  sendVerificationEmail?: (user: User, token: string, expiresAt: string) => Promise<unknown>;
+  // Conta bloqueada por excesso de senhas erradas (ex.: avisar o dono por email)
+  onLockout?: (user: User, context: { lockedUntil: string; ipAddress: string | null }) => Promise<unknown>;
 }
 
+// Pedidos de recuperação de senha aceitos por janela, por email e por IP
+const PASSWORD_RESET_WINDOW_MINUTES = 60;
+const PASSWORD_RESET_MAX_PER_EMAIL = 3;
+const PASSWORD_RESET_MAX_PER_IP = 10;
+
+// Reenvio do email de verificação: intervalo mínimo e máximo por hora
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
+const EMAIL_VERIFICATION_MAX_PER_HOUR = 5;
+
+// lastSeenAt é regravado no máximo uma vez por intervalo, não a cada requisição
+const SESSION_TOUCH_INTERVAL_SECONDS = 5 * 60;
+
+// Após a troca de ID a sessão antiga ainda vale por alguns segundos (requisições já em andamento)
+const SESSION_ROTATION_GRACE_SECONDS = 60;
+
 // Funções auxiliares
 function generateId(length = 16): string {
   return randomBytes(length).toString('hex');
 }
 
-function hashPassword(password: string): string {
-  const salt = randomBytes(16).toString('hex');
-  const hash = createHash('sha256')
-    .update(salt + password)
-    .digest('hex');
-  return `${salt}:${hash}`;
+function normalizeEmail(email: string): string {
+  return email.trim().toLowerCase();
+}
+
+// Senhas: PBKDF2-SHA256 via WebCrypto (disponível nos Workers), gravado como
+// pbkdf2_sha256$<iterações>$<salt>$<hash>. O formato antigo (salt:sha256) ainda
+// é aceito no login e regravado no formato atual (ver signIn).
+const PASSWORD_HASH_ALGORITHM = 'pbkdf2_sha256';
+const PASSWORD_HASH_ITERATIONS = 100000; // máximo aceito pelo PBKDF2 dos Workers
+const PASSWORD_HASH_BYTES = 32;
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    PASSWORD_HASH_BYTES * 8
+  );
+  return new Uint8Array(bits);
+}
+
+// Comparação em tempo constante: o tempo não revela quantos bytes conferem
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16);
+  const hash = await pbkdf2(password, salt, PASSWORD_HASH_ITERATIONS);
+  return `${PASSWORD_HASH_ALGORITHM}$${PASSWORD_HASH_ITERATIONS}$${salt.toString('hex')}$${Buffer.from(hash).toString('hex')}`;
+}
+
+function deviceFromHeaders(headers?: Headers): { userAgent: string | null; ipAddress: string | null } {
+  return {
+    userAgent: headers?.get('user-agent')?.slice(0, 500) || null,
+    ipAddress: headers?.get('cf-connecting-ip') || headers?.get('x-forwarded-for')?.split(',')[0].trim() || null
+  };
+}
+
+function mapSession(row: any): Session {
+  return {
+    id: row.id,
+    userId: row.userId,
+    expiresAt: row.expiresAt,
+    createdAt: row.createdAt,
+    lastSeenAt: row.lastSeenAt ?? null,
+    userAgent: row.userAgent ?? null,
+    ipAddress: row.ipAddress ?? null,
+    rotationPending: Boolean(row.rotationPending)
+  };
 }
 
-function verifyPassword(storedPassword: string, suppliedPassword: string): boolean {
+// Identificador público da sessão (o ID é o valor do cookie e não sai do servidor)
+function sessionHandle(sessionId: string): string {
+  return hashToken(sessionId).slice(0, 32);
+}
+
+// Tokens de recuperação ficam no banco só como hash
+function hashToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// needsRehash indica hash em formato antigo ou com menos iterações que o atual
+async function verifyPassword(
+  storedPassword: string,
+  suppliedPassword: string
+): Promise<{ valid: boolean; needsRehash: boolean }> {
+  if (storedPassword.startsWith(`${PASSWORD_HASH_ALGORITHM}$`)) {
+    const [, rawIterations, salt, expectedHash] = storedPassword.split('$');
+    const iterations = Number(rawIterations);
+    if (!Number.isInteger(iterations) || iterations <= 0 || !salt || !expectedHash) {
+      return { valid: false, needsRehash: false };
+    }
+
+    const actualHash = await pbkdf2(suppliedPassword, Buffer.from(salt, 'hex'), iterations);
+    return {
+      valid: timingSafeEqual(actualHash, Buffer.from(expectedHash, 'hex')),
+      needsRehash: iterations < PASSWORD_HASH_ITERATIONS
+    };
+  }
+
+  // Formato antigo: salt:sha256(salt + senha)
   const [salt, expectedHash] = storedPassword.split(':');
+  if (!salt || !expectedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
   const actualHash = createHash('sha256')
     .update(salt + suppliedPassword)
-    .digest('hex');
-  return expectedHash === actualHash;
+    .digest();
+  return { valid: timingSafeEqual(actualHash, Buffer.from(expectedHash, 'hex')), needsRehash: true };
 }
 
 // API principal
@@ -58,6 +212,8 @@ export class CloudflareAuth {
     this.config = {
       cookieName: 'auth_session',
       sessionDuration: 30, // 30 dias por padrão
+      passwordResetDuration: 60, // 1 hora por padrão
+      emailVerificationDuration: 24, // 24 horas por padrão
       ...config
     };
     this.encodedSecret = new TextEncoder().encode(config.secret);
@@ -67,21 +223,24 @@ export class CloudflareAuth {
 
   async createUser(data: { email: string; password: string; name?: string; image?: string }): Promise<User> {
     try {
+      // Email sempre em minúsculas: Ana@x.com e ana@x.com são a mesma conta
+      const email = normalizeEmail(data.email);
+
       // Verificar se usuário já existe
-      const existingUser = await this.getUserByEmail(data.email);
+      const existingUser = await this.getUserByEmail(email);
       if (existingUser) {
         throw new Error('User already exists');
       }
 
       const id = generateId();
       const now = new Date().toISOString();
-      const hashedPassword = hashPassword(data.password);
+      const hashedPassword = await hashPassword(data.password);
 
       // Criar usuário
       await executeQuery(
         `INSERT INTO User (id, email, name, image, emailVerified, createdAt, updatedAt) 
          VALUES (?, ?, ?, ?, ?, ?, ?)`,
-        [id, data.email, data.name || null, data.image || null, 0, now, now]
+        [id, email, data.name || null, data.image || null, 0, now, now]
       );
 
       // Criar credencial
@@ -91,13 +250,22 @@ export class CloudflareAuth {
         [generateId(), id, 'password', hashedPassword, now]
       );
 
-      return {
+      const user: User = {
         id,
-        email: data.email,
+        email,
         name: data.name,
         image: data.image,
         emailVerified: false
       };
+
+      // Falha no envio não impede o cadastro; o usuário pode pedir o reenvio
+      try {
+        await this.issueEmailVerification(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+
+      return user;
     } catch (error) {
       console.error('Error creating user:', error);
       throw error;
@@ -107,8 +275,8 @@ export class CloudflareAuth {
   async getUserByEmail(email: string): Promise<User | null> {
     try {
       const result = await executeQuery<any>(
-        `SELECT * FROM User WHERE email = ? LIMIT 1`,
-        [email]
+        `SELECT * FROM User WHERE LOWER(email) = ? LIMIT 1`,
+        [normalizeEmail(email)]
       );
 
       if (result.rows && result.rows.length > 0) {
@@ -154,56 +322,149 @@ export class CloudflareAuth {
 
   // ---- Funções de autenticação ----
 
-  async signIn(email: string, password: string): Promise<{ user: User; session: Session } | null> {
+  async signIn(email: string, password: string, context: SignInContext = {}): Promise<SignInResult> {
+    const { ipAddress } = deviceFromHeaders(context.headers);
+
     try {
+      // Conta ou IP em espera nem chegam a conferir a senha
+      const throttled = await this.checkSignInAttempts(email, ipAddress, context.env);
+      if (throttled) {
+        return throttled;
+      }
+
       // Buscar usuário
       const user = await this.getUserByEmail(email);
-      if (!user) {
-        return null;
-      }
 
       // Buscar credencial
-      const result = await executeQuery<any>(
-        `SELECT value FROM Credential WHERE userId = ? AND type = 'password' LIMIT 1`,
-        [user.id]
-      );
-
-      if (!result.rows || result.rows.length === 0) {
-        return null;
+      const result = user
+        ? await executeQuery<any>(
+            `SELECT value FROM Credential WHERE userId = ? AND type = 'password' LIMIT 1`,
+            [user.id]
+          )
+        : null;
+
+      if (!user || !result?.rows || result.rows.length === 0) {
+        // Calcular o hash mesmo assim, para o tempo de resposta não revelar quais emails têm conta
+        await hashPassword(password);
+        await this.recordSignInFailure(email, ipAddress, null, context.env);
+        return { status: 'invalid_credentials' };
       }
 
       const storedPassword = result.rows[0].value;
-      if (!verifyPassword(storedPassword, password)) {
-        return null;
+      const { valid, needsRehash } = await verifyPassword(storedPassword, password);
+      if (!valid) {
+        await this.recordSignInFailure(email, ipAddress, user, context.env);
+        return { status: 'invalid_credentials' };
+      }
+
+      // Hash antigo é regravado no formato atual; falha aqui não impede o login
+      if (needsRehash) {
+        try {
+          await executeQuery(
+            `UPDATE Credential SET value = ? WHERE userId = ? AND type = 'password' AND value = ?`,
+            [await hashPassword(password), user.id, storedPassword]
+          );
+        } catch (error) {
+          console.error('Error upgrading password hash:', error);
+        }
+      }
+
+      // Login certo zera as falhas da conta; as do IP continuam (um atacante também tem conta)
+      try {
+        await attemptLimiterService.reset('login_account', email, context.env);
+      } catch (error) {
+        console.error('Error resetting sign-in attempts:', error);
       }
 
       // Criar nova sessão
-      const session = await this.createSession(user.id);
+      const session = await this.createSession(user.id, context);
       
-      return { user, session };
+      // Falha no hook não impede o login
+      if (this.config.onSignIn) {
+        try {
+          await this.config.onSignIn(user, context);
+        } catch (error) {
+          console.error('Error in onSignIn hook:', error);
+        }
+      }
+      
+      return { status: 'success', user, session };
     } catch (error) {
       console.error('Error signing in:', error);
+      return { status: 'invalid_credentials' };
+    }
+  }
+
+  // Espera pendente da conta ou do IP; falha no contador não impede o login
+  private async checkSignInAttempts(
+    email: string,
+    ipAddress: string | null,
+    env?: CloudflareEnv | null
+  ): Promise<SignInResult | null> {
+    try {
+      const statuses = [await attemptLimiterService.check('login_account', email, env)];
+      if (ipAddress) {
+        statuses.push(await attemptLimiterService.check('login_ip', ipAddress, env));
+      }
+
+      const blocked = statuses.filter((status) => !status.allowed);
+      if (blocked.length === 0) return null;
+
+      return {
+        status: 'throttled',
+        retryAfterSeconds: Math.max(...blocked.map((status) => status.retryAfterSeconds)),
+        locked: blocked.some((status) => status.locked)
+      };
+    } catch (error) {
+      console.error('Error checking sign-in attempts:', error);
       return null;
     }
   }
 
-  async createSession(userId: string): Promise<Session> {
+  // Conta a senha errada para o email (exista a conta ou não) e para o IP; avisa o dono quando a conta é bloqueada
+  private async recordSignInFailure(
+    email: string,
+    ipAddress: string | null,
+    user: User | null,
+    env?: CloudflareEnv | null
+  ): Promise<void> {
+    try {
+      const account = await attemptLimiterService.recordFailure('login_account', email, env);
+      if (ipAddress) {
+        await attemptLimiterService.recordFailure('login_ip', ipAddress, env);
+      }
+
+      if (account.lockedNow && user && this.config.onLockout) {
+        await this.config.onLockout(user, { lockedUntil: account.lockedUntil!, ipAddress });
+      }
+    } catch (error) {
+      console.error('Error recording sign-in failure:', error);
+    }
+  }
+
+  async createSession(userId: string, context: SessionContext = {}): Promise<Session> {
     try {
       const id = generateId();
       const now = new Date();
       const expiresAt = new Date(now);
       expiresAt.setDate(now.getDate() + this.config.sessionDuration!);
+      const { userAgent, ipAddress } = deviceFromHeaders(context.headers);
 
       await executeQuery(
-        `INSERT INTO Session (id, userId, expiresAt, createdAt, updatedAt) 
-         VALUES (?, ?, ?, ?, ?)`,
-        [id, userId, expiresAt.toISOString(), now.toISOString(), now.toISOString()]
+        `INSERT INTO Session (id, userId, expiresAt, createdAt, updatedAt, userAgent, ipAddress, lastSeenAt) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, userId, expiresAt.toISOString(), now.toISOString(), now.toISOString(), userAgent, ipAddress, now.toISOString()]
       );
 
       return {
         id,
         userId,
-        expiresAt: expiresAt.toISOString()
+        expiresAt: expiresAt.toISOString(),
+        createdAt: now.toISOString(),
+        lastSeenAt: now.toISOString(),
+        userAgent,
+        ipAddress,
+        rotationPending: false
       };
     } catch (error) {
       console.error('Error creating session:', error);
@@ -228,6 +489,8 @@ export class CloudflareAuth {
         return null;
       }
 
+      await this.touchSession(session, request.headers);
+
       return { user, session };
     } catch (error) {
       console.error('Error getting session:', error);
@@ -237,18 +500,14 @@ export class CloudflareAuth {
 
   async getSessionById(id: string): Promise<Session | null> {
     try {
+      // expiresAt é ISO 8601; comparar com datetime('now') erraria no próprio dia do vencimento
       const result = await executeQuery<any>(
-        `SELECT * FROM Session WHERE id = ? AND expiresAt > datetime('now') LIMIT 1`,
-        [id]
+        `SELECT * FROM Session WHERE id = ? AND expiresAt > ? LIMIT 1`,
+        [id, new Date().toISOString()]
       );
 
       if (result.rows && result.rows.length > 0) {
-        const session = result.rows[0];
-        return {
-          id: session.id,
-          userId: session.userId,
-          expiresAt: session.expiresAt
-        };
+        return mapSession(result.rows[0]);
       }
       return null;
     } catch (error) {
@@ -257,6 +516,308 @@ export class CloudflareAuth {
     }
   }
 
+  // ---- Gerenciamento de sessões ----
+
+  // Atualiza último acesso, navegador e IP (no máximo uma vez por intervalo)
+  private async touchSession(session: Session, headers: Headers): Promise<void> {
+    const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).getTime() : 0;
+    if (Date.now() - lastSeen < SESSION_TOUCH_INTERVAL_SECONDS * 1000) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    const { userAgent, ipAddress } = deviceFromHeaders(headers);
+
+    try {
+      await executeQuery(
+        `UPDATE Session SET lastSeenAt = ?, userAgent = COALESCE(?, userAgent), ipAddress = COALESCE(?, ipAddress) WHERE id = ?`,
+        [now, userAgent, ipAddress, session.id]
+      );
+      session.lastSeenAt = now;
+    } catch (error) {
+      console.error('Error touching session:', error);
+    }
+  }
+
+  // Sessões ativas do usuário, a mais recente primeiro (sem as antigas em carência após a troca de ID)
+  async listSessions(userId: string, currentSessionId: string | null = null): Promise<DeviceSession[]> {
+    const result = await executeQuery<any>(
+      `SELECT * FROM Session
+       WHERE userId = ? AND expiresAt > ? AND rotatedAt IS NULL
+       ORDER BY COALESCE(lastSeenAt, createdAt) DESC`,
+      [userId, new Date().toISOString()]
+    );
+    return result.rows.map((row: any) => ({
+      handle: sessionHandle(row.id),
+      userAgent: row.userAgent ?? null,
+      ipAddress: row.ipAddress ?? null,
+      createdAt: row.createdAt ?? null,
+      lastSeenAt: row.lastSeenAt ?? null,
+      expiresAt: row.expiresAt,
+      current: row.id === currentSessionId
+    }));
+  }
+
+  // Encerra a sessão do usuário identificada pelo handle; retorna o ID encerrado (null se não existe ou é de outra conta)
+  async revokeSession(userId: string, handle: string): Promise<string | null> {
+    const result = await executeQuery<any>(`SELECT id FROM Session WHERE userId = ?`, [userId]);
+    const match = result.rows.find((row: any) => sessionHandle(row.id) === handle);
+    if (!match) return null;
+
+    await this.deleteSession(String(match.id), userId);
+    return String(match.id);
+  }
+
+  private async deleteSession(sessionId: string, userId: string): Promise<void> {
+    await executeQuery(`DELETE FROM Session WHERE id = ? AND userId = ?`, [sessionId, userId]);
+  }
+
+  // Encerra todas as sessões do usuário, exceto exceptSessionId quando informado
+  async revokeAllSessions(userId: string, exceptSessionId: string | null = null): Promise<number> {
+    const result = await executeQuery<any>(
+      `DELETE FROM Session WHERE userId = ? AND (? IS NULL OR id <> ?)`,
+      [userId, exceptSessionId, exceptSessionId]
+    );
+    return result.rowsAffected;
+  }
+
+  // Troca o ID de uma sessão marcada com rotationPending, mantendo dispositivo e validade;
+  // null quando outra requisição já fez a troca
+  async rotateSession(session: Session, context: SessionContext = {}): Promise<Session | null> {
+    const id = generateId();
+    const now = new Date().toISOString();
+    const graceUntil = new Date(Date.now() + SESSION_ROTATION_GRACE_SECONDS * 1000).toISOString();
+    const { userAgent, ipAddress } = deviceFromHeaders(context.headers);
+
+    const rotated = await executeTransaction(async (tx) => {
+      const claimed = await tx.execute({
+        sql: `UPDATE Session SET rotationPending = 0, rotatedAt = ?, expiresAt = MIN(expiresAt, ?), updatedAt = ?
+              WHERE id = ? AND rotationPending = 1 AND rotatedAt IS NULL
+              RETURNING *`,
+        args: [now, graceUntil, now, session.id]
+      });
+
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+
+      const previous = claimed.rows[0];
+      await tx.execute({
+        sql: `INSERT INTO Session (id, userId, expiresAt, createdAt, updatedAt, userAgent, ipAddress, lastSeenAt)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          id,
+          previous.userId,
+          session.expiresAt,
+          previous.createdAt,
+          now,
+          userAgent ?? previous.userAgent,
+          ipAddress ?? previous.ipAddress,
+          now
+        ]
+      });
+      return previous;
+    });
+
+    if (!rotated) {
+      return null;
+    }
+
+    return {
+      id,
+      userId: String(rotated.userId),
+      expiresAt: session.expiresAt,
+      createdAt: String(rotated.createdAt),
+      lastSeenAt: now,
+      userAgent: userAgent ?? (rotated.userAgent as string | null),
+      ipAddress: ipAddress ?? (rotated.ipAddress as string | null),
+      rotationPending: false
+    };
+  }
+
+  // Limpeza agendada: sessões vencidas e tokens de verificação e recuperação sem uso
+  async cleanupExpired(): Promise<{ sessions: number; passwordResets: number; verifications: number }> {
+    const now = new Date().toISOString();
+    // Pedidos de recuperação recentes ainda contam no limite por email e IP
+    const resetCutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    const sessions = await executeQuery<any>(`DELETE FROM Session WHERE expiresAt <= ?`, [now]);
+    const passwordResets = await executeQuery<any>(`DELETE FROM PasswordReset WHERE expiresAt <= ?`, [resetCutoff]);
+    const verifications = await executeQuery<any>(`DELETE FROM Verification WHERE expires <= ?`, [now]);
+
+    return {
+      sessions: sessions.rowsAffected,
+      passwordResets: passwordResets.rowsAffected,
+      verifications: verifications.rowsAffected
+    };
+  }
+
+  // ---- Verificação de email ----
+
+  // Gera o token (só o hash fica em Verification) e chama sendVerificationEmail
+  private async issueEmailVerification(user: User): Promise<void> {
+    const token = generateId(32);
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.config.emailVerificationDuration! * 60 * 60 * 1000).toISOString();
+
+    await executeQuery(
+      `INSERT INTO Verification (id, userId, token, identifier, expires, createdAt) VALUES (?, ?, ?, ?, ?, ?)`,
+      [generateId(), user.id, hashToken(token), user.email.toLowerCase(), expiresAt, now.toISOString()]
+    );
+
+    if (this.config.sendVerificationEmail) {
+      await this.config.sendVerificationEmail(user, token, expiresAt);
+    }
+  }
+
+  async resendEmailVerification(userId: string): Promise<EmailVerificationRequest> {
+    const user = await this.getUserById(userId);
+    if (!user) {
+      return { status: 'not_found' };
+    }
+    if (user.emailVerified) {
+      return { status: 'already_verified' };
+    }
+
+    const now = Date.now();
+    const recent = await executeQuery<any>(
+      `SELECT COUNT(*) AS total, MAX(createdAt) AS lastSentAt FROM Verification WHERE userId = ? AND createdAt > ?`,
+      [userId, new Date(now - 60 * 60 * 1000).toISOString()]
+    );
+
+    const { total, lastSentAt } = recent.rows[0];
+    const waitSeconds = lastSentAt
+      ? Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - (now - new Date(lastSentAt).getTime()) / 1000)
+      : 0;
+
+    if (Number(total) >= EMAIL_VERIFICATION_MAX_PER_HOUR) {
+      return { status: 'rate_limited', retryAfterSeconds: 60 * 60 };
+    }
+    if (waitSeconds > 0) {
+      return { status: 'rate_limited', retryAfterSeconds: waitSeconds };
+    }
+
+    await this.issueEmailVerification(user);
+    return { status: 'sent' };
+  }
+
+  // Confirma o email com um token válido; o token e os demais pendentes deixam de valer (null se o token não vale)
+  async verifyEmail(token: string): Promise<User | null> {
+    const now = new Date().toISOString();
+
+    const userId = await executeTransaction(async (tx) => {
+      const consumed = await tx.execute({
+        sql: `DELETE FROM Verification WHERE token = ? AND userId IS NOT NULL AND expires > ? RETURNING userId, identifier`,
+        args: [hashToken(token), now]
+      });
+
+      if (consumed.rows.length === 0) {
+        return null;
+      }
+
+      const { userId, identifier } = consumed.rows[0];
+
+      // Token emitido para um email que a conta não usa mais não confirma o atual
+      const updated = await tx.execute({
+        sql: `UPDATE User SET emailVerified = 1, updatedAt = ? WHERE id = ? AND lower(email) = ?`,
+        args: [now, userId, identifier]
+      });
+      if (updated.rowsAffected === 0) {
+        return null;
+      }
+
+      await tx.execute({ sql: `DELETE FROM Verification WHERE userId = ?`, args: [userId] });
+      return String(userId);
+    });
+
+    return userId ? this.getUserById(userId) : null;
+  }
+
+  // ---- Recuperação de senha ----
+
+  async createPasswordReset(email: string, context: { ipAddress?: string | null } = {}): Promise<PasswordResetRequest> {
+    const normalizedEmail = normalizeEmail(email);
+    const ipAddress = context.ipAddress || null;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - PASSWORD_RESET_WINDOW_MINUTES * 60 * 1000).toISOString();
+
+    const recent = await executeQuery<any>(
+      `SELECT
+         (SELECT COUNT(*) FROM PasswordReset WHERE email = ? AND createdAt > ?) AS byEmail,
+         (SELECT COUNT(*) FROM PasswordReset WHERE ipAddress = ? AND createdAt > ?) AS byIp`,
+      [normalizedEmail, windowStart, ipAddress, windowStart]
+    );
+
+    const { byEmail, byIp } = recent.rows[0];
+    if (Number(byEmail) >= PASSWORD_RESET_MAX_PER_EMAIL || (ipAddress && Number(byIp) >= PASSWORD_RESET_MAX_PER_IP)) {
+      return { status: 'rate_limited' };
+    }
+
+    // Pedidos para emails sem conta também contam no limite, para não revelar quais emails existem
+    const account = await executeQuery<any>(`SELECT id FROM User WHERE lower(email) = ? LIMIT 1`, [normalizedEmail]);
+    const user = account.rows.length > 0 ? await this.getUserById(account.rows[0].id) : null;
+    const token = generateId(32);
+    const expiresAt = new Date(now.getTime() + this.config.passwordResetDuration! * 60 * 1000).toISOString();
+
+    await executeQuery(
+      `INSERT INTO PasswordReset (id, email, token, expiresAt, createdAt, userId, ipAddress)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [generateId(), normalizedEmail, hashToken(token), expiresAt, now.toISOString(), user?.id ?? null, ipAddress]
+    );
+
+    if (!user) {
+      return { status: 'unknown_email' };
+    }
+
+    return { status: 'created', user, token, expiresAt };
+  }
+
+  // Troca a senha com um token válido; encerra todas as sessões do usuário (null se o token não vale)
+  async resetPassword(token: string, newPassword: string): Promise<{ userId: string; revokedSessions: number } | null> {
+    const now = new Date().toISOString();
+    const hashedPassword = await hashPassword(newPassword);
+
+    return executeTransaction(async (tx) => {
+      // Marcar como usado na mesma instrução que valida garante o uso único
+      const claimed = await tx.execute({
+        sql: `UPDATE PasswordReset SET usedAt = ?
+              WHERE token = ? AND usedAt IS NULL AND userId IS NOT NULL AND expiresAt > ?
+              RETURNING userId`,
+        args: [now, hashToken(token), now]
+      });
+
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+
+      const userId = String(claimed.rows[0].userId);
+
+      const updated = await tx.execute({
+        sql: `UPDATE Credential SET value = ? WHERE userId = ? AND type = 'password'`,
+        args: [hashedPassword, userId]
+      });
+
+      if (updated.rowsAffected === 0) {
+        await tx.execute({
+          sql: `INSERT INTO Credential (id, userId, type, value, createdAt) VALUES (?, ?, ?, ?, ?)`,
+          args: [generateId(), userId, 'password', hashedPassword, now]
+        });
+      }
+
+      // Outros links ainda pendentes deixam de valer
+      await tx.execute({
+        sql: `UPDATE PasswordReset SET usedAt = ? WHERE userId = ? AND usedAt IS NULL`,
+        args: [now, userId]
+      });
+
+      const revoked = await tx.execute({ sql: `DELETE FROM Session WHERE userId = ?`, args: [userId] });
+
+      await tx.execute({ sql: `UPDATE User SET updatedAt = ? WHERE id = ?`, args: [now, userId] });
+
+      return { userId, revokedSessions: revoked.rowsAffected };
+    });
+  }
+
   // ---- Funções de cookies ----
 
   getSessionIdFromCookie(headers: Headers): string | null {
@@ -283,10 +844,20 @@ export class CloudflareAuth {
 
   // ---- API para uso com Astro ----
 
-  async handleSignIn(email: string, password: string): Promise<Response | { success: boolean; cookiesToSet: string[] }> {
+  async handleSignIn(email: string, password: string, context: SignInContext = {}): Promise<Response | { success: boolean; cookiesToSet: string[] }> {
     try {
-      const result = await this.signIn(email, password);
-      if (!result) {
+      const result = await this.signIn(email, password, context);
+      if (result.status === 'throttled') {
+        return new Response(
+          JSON.stringify({ error: 'Too many attempts', retryAfterSeconds: result.retryAfterSeconds, locked: result.locked }),
+          {
+            status: 429,
+            headers: { 'Content-Type': 'application/json', 'Retry-After': String(result.retryAfterSeconds) }
+          }
+        );
+      }
+
+      if (result.status !== 'success') {
         return new Response(JSON.stringify({ error: 'Invalid credentials' }), {
           status: 401,
           headers: { 'Content-Type': 'application/json' }
@@ -308,11 +879,11 @@ export class CloudflareAuth {
     }
   }
 
-  async handleSignUp(data: { email: string; password: string; name?: string; image?: string }): 
+  async handleSignUp(data: { email: string; password: string; name?: string; image?: string }, context: SessionContext = {}): 
     Promise<Response | { success: boolean; cookiesToSet: string[] }> {
     try {
       const user = await this.createUser(data);
-      const session = await this.createSession(user.id);
+      const session = await this.createSession(user.id, context);
       
       const sessionCookie = this.createSessionCookie(session.id);
       
@@ -334,9 +905,23 @@ export class CloudflareAuth {
     }
   }
 
-  async handleSignOut(): Promise<Response | { success: boolean; cookiesToSet: string[] }> {
+  async handleSignOut(headers?: Headers): Promise<Response | { success: boolean; cookiesToSet: string[] }> {
     const clearCookie = this.createClearSessionCookie();
-    
+
+    // Sem apagar a Session, o mesmo token continuaria válido (cookie copiado, outro navegador)
+    const sessionId = headers ? this.getSessionIdFromCookie(headers) : null;
+    if (sessionId) {
+      try {
+        const session = await this.getSessionById(sessionId);
+        if (session) {
+          await this.deleteSession(session.id, session.userId);
+        }
+      } catch (error) {
+        console.error('Error ending session on sign out:', error);
+      }
+    }
+
+
     return {
       success: true,
       cookiesToSet: [clearCookie]
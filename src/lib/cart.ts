@@ -0,0 +1,35 @@
+/**
+ * Identificação do carrinho nas rotas de API
+ *
+ * Usuário autenticado usa o carrinho da conta; visitante recebe um cookie de
+ * sessão de carrinho na primeira requisição.
+ */
+
+import type { AstroCookies } from 'astro';
+import { CART_SESSION_COOKIE, getCartStore, type CartOwner, type CartStore } from '../services/cartService';
+
+const CART_SESSION_MAX_AGE = 60 * 60 * 24 * 30;
+
+// Dono do carrinho da requisição atual
+export function getCartOwner(locals: App.Locals, cookies: AstroCookies): CartOwner {
+  if (locals.user) return { userId: locals.user.id };
+
+  let sessionId = cookies.get(CART_SESSION_COOKIE)?.value;
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    cookies.set(CART_SESSION_COOKIE, sessionId, {
+      path: '/',
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: import.meta.env.PROD,
+      maxAge: CART_SESSION_MAX_AGE
+    });
+  }
+
+  return { sessionId };
+}
+
+// Armazenamento do carrinho da requisição atual (CartDO ou banco)
+export function getRequestCartStore(locals: App.Locals, cookies: AstroCookies): CartStore {
+  return getCartStore(getCartOwner(locals, cookies), locals.runtime?.env);
+}
@@ -0,0 +1,53 @@
+/**
+ * Base offline de CEPs
+ *
+ * Faixas de CEP das capitais e principais cidades, mais alguns logradouros
+ * usados em testes. Não substitui a base dos Correios: CEPs fora destas faixas
+ * resolvem apenas a UF (ver postalCode.ts).
+ */
+
+// [início, fim, cidade, UF]
+export const CITY_RANGES: [string, string, string, string][] = [
+  ['01000000', '05999999', 'São Paulo', 'SP'],
+  ['06000000', '06299999', 'Osasco', 'SP'],
+  ['07000000', '07399999', 'Guarulhos', 'SP'],
+  ['08000000', '08499999', 'São Paulo', 'SP'],
+  ['09000000', '09299999', 'Santo André', 'SP'],
+  ['09600000', '09899999', 'São Bernardo do Campo', 'SP'],
+  ['11000000', '11099999', 'Santos', 'SP'],
+  ['13000000', '13139999', 'Campinas', 'SP'],
+  ['20000000', '23799999', 'Rio de Janeiro', 'RJ'],
+  ['24000000', '24399999', 'Niterói', 'RJ'],
+  ['29000000', '29099999', 'Vitória', 'ES'],
+  ['30000000', '31999999', 'Belo Horizonte', 'MG'],
+  ['40000000', '42499999', 'Salvador', 'BA'],
+  ['49000000', '49099999', 'Aracaju', 'SE'],
+  ['50000000', '52999999', 'Recife', 'PE'],
+  ['57000000', '57099999', 'Maceió', 'AL'],
+  ['58000000', '58099999', 'João Pessoa', 'PB'],
+  ['59000000', '59139999', 'Natal', 'RN'],
+  ['60000000', '61599999', 'Fortaleza', 'CE'],
+  ['64000000', '64099999', 'Teresina', 'PI'],
+  ['65000000', '65109999', 'São Luís', 'MA'],
+  ['66000000', '66999999', 'Belém', 'PA'],
+  ['68900000', '68911999', 'Macapá', 'AP'],
+  ['69000000', '69099999', 'Manaus', 'AM'],
+  ['69300000', '69339999', 'Boa Vista', 'RR'],
+  ['69900000', '69923999', 'Rio Branco', 'AC'],
+  ['70000000', '72799999', 'Brasília', 'DF'],
+  ['73000000', '73699999', 'Brasília', 'DF'],
+  ['74000000', '74899999', 'Goiânia', 'GO'],
+  ['76800000', '76834999', 'Porto Velho', 'RO'],
+  ['77000000', '77270999', 'Palmas', 'TO'],
+  ['78000000', '78109999', 'Cuiabá', 'MT'],
+  ['79000000', '79124999', 'Campo Grande', 'MS'],
+  ['80000000', '82999999', 'Curitiba', 'PR'],
+  ['88000000', '88099999', 'Florianópolis', 'SC'],
+  ['90000000', '91999999', 'Porto Alegre', 'RS']
+];
+
+// CEPs com logradouro conhecido: [CEP, logradouro, bairro]
+export const STREETS: [string, string, string][] = [
+  ['01001000', 'Praça da Sé', 'Sé'],
+  ['01310100', 'Avenida Paulista', 'Bela Vista']
+];
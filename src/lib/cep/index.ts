@@ -0,0 +1,46 @@
+/**
+ * Registro de provedores de CEP
+ *
+ * O provedor ativo é escolhido por CEP_PROVIDER (padrão: offline). Novos
+ * provedores só precisam implementar CepProvider e se registrar aqui.
+ */
+
+import { OfflineCepProvider } from './offline';
+import { ViaCepProvider } from './viacep';
+import type { CepProvider } from './types';
+
+export * from './types';
+export * from './postalCode';
+export { OfflineCepProvider } from './offline';
+
+type ProviderFactory = () => CepProvider;
+
+const factories = new Map<string, ProviderFactory>();
+const instances = new Map<string, CepProvider>();
+
+export function registerCepProvider(name: string, factory: ProviderFactory): void {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+/**
+ * Retorna o provedor pelo nome (ou o configurado no ambiente)
+ * @param {string} name - Nome do provedor registrado
+ * @returns {CepProvider} Instância reutilizada entre requisições
+ */
+export function getCepProvider(name: string = import.meta.env.CEP_PROVIDER || 'offline'): CepProvider {
+  const cached = instances.get(name);
+  if (cached) return cached;
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Provedor de CEP não registrado: ${name}`);
+  }
+
+  const provider = factory();
+  instances.set(name, provider);
+  return provider;
+}
+
+registerCepProvider('offline', () => new OfflineCepProvider());
+registerCepProvider('viacep', () => new ViaCepProvider({ baseUrl: import.meta.env.VIACEP_URL }));
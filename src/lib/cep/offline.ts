@@ -0,0 +1,33 @@
+/**
+ * Provedor offline
+ *
+ * Resolve CEPs pela base embarcada em dataset.ts, sem rede: adequado para
+ * desenvolvimento, testes e como reserva quando o provedor remoto falha.
+ */
+
+import { CITY_RANGES, STREETS } from './dataset';
+import { getRegionByState, getStateByCep } from './postalCode';
+import type { CepAddress, CepProvider } from './types';
+
+export class OfflineCepProvider implements CepProvider {
+  readonly name = 'offline';
+
+  async lookup(cep: string): Promise<CepAddress | null> {
+    const state = getStateByCep(cep);
+    if (!state) return null;
+
+    const range = CITY_RANGES.find(([start, end]) => cep >= start && cep <= end);
+    const street = range ? STREETS.find(([streetCep]) => streetCep === cep) : undefined;
+
+    return {
+      cep,
+      street: street?.[1] ?? '',
+      neighborhood: street?.[2] ?? '',
+      city: range?.[2] ?? '',
+      state: range?.[3] ?? state,
+      region: getRegionByState(range?.[3] ?? state),
+      precision: street ? 'street' : range ? 'city' : 'state',
+      source: this.name
+    };
+  }
+}
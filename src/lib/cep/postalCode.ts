@@ -0,0 +1,74 @@
+/**
+ * Utilitários de CEP
+ *
+ * Faixas de CEP por UF dos Correios, usadas para descobrir estado e região
+ * de entrega sem depender de serviço externo.
+ */
+
+export type Region = 'Norte' | 'Nordeste' | 'Centro-Oeste' | 'Sudeste' | 'Sul';
+
+// [início, fim, UF] com os cinco primeiros dígitos do CEP
+const STATE_RANGES: [number, number, string][] = [
+  [1000, 19999, 'SP'],
+  [20000, 28999, 'RJ'],
+  [29000, 29999, 'ES'],
+  [30000, 39999, 'MG'],
+  [40000, 48999, 'BA'],
+  [49000, 49999, 'SE'],
+  [50000, 56999, 'PE'],
+  [57000, 57999, 'AL'],
+  [58000, 58999, 'PB'],
+  [59000, 59999, 'RN'],
+  [60000, 63999, 'CE'],
+  [64000, 64999, 'PI'],
+  [65000, 65999, 'MA'],
+  [66000, 68899, 'PA'],
+  [68900, 68999, 'AP'],
+  [69000, 69299, 'AM'],
+  [69300, 69399, 'RR'],
+  [69400, 69899, 'AM'],
+  [69900, 69999, 'AC'],
+  [70000, 72799, 'DF'],
+  [72800, 72999, 'GO'],
+  [73000, 73699, 'DF'],
+  [73700, 76799, 'GO'],
+  [76800, 76999, 'RO'],
+  [77000, 77999, 'TO'],
+  [78000, 78899, 'MT'],
+  [79000, 79999, 'MS'],
+  [80000, 87999, 'PR'],
+  [88000, 89999, 'SC'],
+  [90000, 99999, 'RS']
+];
+
+export const REGION_BY_STATE: Record<string, Region> = {
+  AC: 'Norte', AP: 'Norte', AM: 'Norte', PA: 'Norte', RO: 'Norte', RR: 'Norte', TO: 'Norte',
+  AL: 'Nordeste', BA: 'Nordeste', CE: 'Nordeste', MA: 'Nordeste', PB: 'Nordeste',
+  PE: 'Nordeste', PI: 'Nordeste', RN: 'Nordeste', SE: 'Nordeste',
+  DF: 'Centro-Oeste', GO: 'Centro-Oeste', MT: 'Centro-Oeste', MS: 'Centro-Oeste',
+  ES: 'Sudeste', MG: 'Sudeste', RJ: 'Sudeste', SP: 'Sudeste',
+  PR: 'Sul', RS: 'Sul', SC: 'Sul'
+};
+
+// Remove máscara e espaços; retorna null se não sobrarem 8 dígitos
+export function normalizeCep(value: string): string | null {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits.length === 8 ? digits : null;
+}
+
+export function formatCep(cep: string): string {
+  return `${cep.slice(0, 5)}-${cep.slice(5)}`;
+}
+
+export function getStateByCep(cep: string): string | null {
+  const normalized = normalizeCep(cep);
+  if (!normalized) return null;
+
+  const prefix = Number(normalized.slice(0, 5));
+  const range = STATE_RANGES.find(([start, end]) => prefix >= start && prefix <= end);
+  return range ? range[2] : null;
+}
+
+export function getRegionByState(state: string | null): Region | null {
+  return state ? REGION_BY_STATE[state.toUpperCase()] ?? null : null;
+}
@@ -0,0 +1,37 @@
+/**
+ * Contratos da consulta de CEP
+ *
+ * Cada provedor (base offline, ViaCEP...) implementa CepProvider; o restante
+ * da aplicação só conhece estes tipos.
+ */
+
+// Nível de detalhe do endereço encontrado
+export type CepPrecision = 'street' | 'city' | 'state';
+
+export interface CepAddress {
+  cep: string;
+  street: string;
+  neighborhood: string;
+  city: string;
+  state: string;
+  region: string | null;
+  precision: CepPrecision;
+  /** Provedor que respondeu a consulta */
+  source: string;
+}
+
+export interface CepProvider {
+  readonly name: string;
+  /** Retorna null quando o CEP não existe para o provedor */
+  lookup(cep: string): Promise<CepAddress | null>;
+}
+
+export class CepProviderError extends Error {
+  code: string;
+
+  constructor(code: string, message: string) {
+    super(message);
+    this.code = code;
+    this.name = 'CepProviderError';
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Provedor ViaCEP (https://viacep.com.br)
+ */
+
+import { getRegionByState } from './postalCode';
+import { CepProviderError, type CepAddress, type CepProvider } from './types';
+
+export interface ViaCepProviderConfig {
+  baseUrl?: string;
+  timeoutMs?: number;
+}
+
+export class ViaCepProvider implements CepProvider {
+  readonly name = 'viacep';
+  private baseUrl: string;
+  private timeoutMs: number;
+
+  constructor(config: ViaCepProviderConfig = {}) {
+    this.baseUrl = (config.baseUrl || 'https://viacep.com.br/ws').replace(/\/$/, '');
+    this.timeoutMs = config.timeoutMs ?? 3000;
+  }
+
+  async lookup(cep: string): Promise<CepAddress | null> {
+    let response: Response;
+
+    try {
+      response = await fetch(`${this.baseUrl}/${cep}/json/`, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new CepProviderError('unavailable', `ViaCEP indisponível: ${(error as Error).message}`);
+    }
+
+    // CEP com formato válido mas inexistente volta 200 com { erro: true }
+    if (response.status === 400) return null;
+    if (!response.ok) {
+      throw new CepProviderError('unavailable', `ViaCEP respondeu ${response.status}`);
+    }
+
+    const body: any = await response.json();
+    if (!body || body.erro) return null;
+
+    const state = String(body.uf || '').toUpperCase();
+
+    return {
+      cep,
+      street: body.logradouro || '',
+      neighborhood: body.bairro || '',
+      city: body.localidade || '',
+      state,
+      region: getRegionByState(state),
+      precision: body.logradouro ? 'street' : 'city',
+      source: this.name
+    };
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Finalização da compra
+ *
+ * Fluxo único usado por POST /api/orders e pela action orders.place: grava o
+ * pedido, esvazia o carrinho e inicia o pagamento.
+ */
+
+import type { AstroCookies } from 'astro';
+import cartService from '../services/cartService';
+import { COUPON_COOKIE } from '../services/couponService';
+import orderService, { type PlacedOrder } from '../services/orderService';
+import paymentService, { parseCardData, type PaymentView } from '../services/paymentService';
+import { getRequestCartStore } from './cart';
+
+export interface CheckoutResult {
+  order: PlacedOrder | (Omit<PlacedOrder, 'payment'> & { payment: PaymentView });
+  paymentError?: string;
+}
+
+/**
+ * Grava o pedido do usuário e inicia a cobrança
+ * @param {string} userId - ID do comprador
+ * @param {any} input - Payload do checkout (mesmo formato de POST /api/orders)
+ * @param {App.Locals} locals - Locals da requisição
+ * @param {AstroCookies} cookies - Cookies da requisição (cupom e carrinho)
+ * @returns {Promise<CheckoutResult>} Pedido criado; paymentError quando o pagamento não pôde ser iniciado
+ */
+export async function placeCheckoutOrder(userId: string, input: any, locals: App.Locals, cookies: AstroCookies): Promise<CheckoutResult> {
+  // O cartão é validado antes de gravar o pedido para não reservar estoque à toa
+  if (input?.payment?.method === 'credit_card') {
+    parseCardData(input.payment.card);
+  }
+
+  const couponCode = input?.couponCode || cookies.get(COUPON_COOKIE)?.value || undefined;
+  const order = await orderService.placeOrder(userId, input && { ...input, couponCode });
+  cookies.delete(COUPON_COOKIE, { path: '/' });
+
+  // Pedido gravado: esvazia o carrinho do servidor (falha aqui não desfaz o pedido)
+  await cartService
+    .clear(getRequestCartStore(locals, cookies), `order-${order.orderId}`)
+    .catch((error) => console.error('Erro ao esvaziar carrinho:', error));
+
+  try {
+    const payment = await paymentService.startPayment(order.payment.id, input?.payment?.card);
+    return { order: { ...order, payment } };
+  } catch (error) {
+    // O pedido já existe: devolve-o com o pagamento pendente para nova tentativa
+    console.error('Erro ao iniciar pagamento:', error);
+    return { order, paymentError: 'Não foi possível iniciar o pagamento' };
+  }
+}
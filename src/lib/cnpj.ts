@@ -0,0 +1,35 @@
+/**
+ * Utilitários de CNPJ
+ *
+ * Validação pelos dígitos verificadores (módulo 11), sem consulta à Receita.
+ */
+
+const FIRST_DIGIT_WEIGHTS = [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+const SECOND_DIGIT_WEIGHTS = [6, ...FIRST_DIGIT_WEIGHTS];
+
+// Mantém só os dígitos ("12.345.678/0001-95" → "12345678000195")
+export function normalizeCnpj(value: string): string {
+  return value.replace(/\D/g, '');
+}
+
+function checkDigit(digits: string, weights: number[]): number {
+  const sum = weights.reduce((total, weight, index) => total + Number(digits[index]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+}
+
+// CNPJ com 14 dígitos, dígitos verificadores corretos e que não seja uma sequência repetida
+export function isValidCnpj(value: string): boolean {
+  const digits = normalizeCnpj(value);
+  if (digits.length !== 14 || /^(\d)\1{13}$/.test(digits)) return false;
+
+  return (
+    checkDigit(digits, FIRST_DIGIT_WEIGHTS) === Number(digits[12]) &&
+    checkDigit(digits, SECOND_DIGIT_WEIGHTS) === Number(digits[13])
+  );
+}
+
+// Formato de exibição: 12.345.678/0001-95
+export function formatCnpj(value: string): string {
+  return normalizeCnpj(value).replace(/^(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+}
@@ -0,0 +1,35 @@
+/**
+ * Exportação CSV
+ *
+ * Formato aberto direto pelo Excel em português: separador ";", decimais com
+ * vírgula e BOM UTF-8 para os acentos.
+ */
+
+export type CsvValue = string | number | null | undefined;
+
+const SEPARATOR = ';';
+
+function escapeCell(value: CsvValue): string {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Valor monetário com duas casas e vírgula decimal (ex.: 1234.5 → "1234,50")
+export function csvDecimal(value: number): string {
+  return value.toFixed(2).replace('.', ',');
+}
+
+export function toCsv(header: string[], rows: CsvValue[][]): string {
+  const lines = [header, ...rows].map((row) => row.map(escapeCell).join(SEPARATOR));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+export function csvResponse(csv: string, filename: string): Response {
+  return new Response(csv, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${filename}"`
+    }
+  });
+}
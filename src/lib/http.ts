@@ -0,0 +1,37 @@
+/**
+ * Helpers de resposta HTTP para as rotas de API
+ */
+
+import { ServiceError } from '../services/errors';
+
+// Resposta JSON padrão das rotas de API
+export function jsonResponse(data: unknown, status = 200, headers: Record<string, string> = {}): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    }
+  });
+}
+
+// Converte erros de serviço em respostas JSON; erros inesperados viram 500
+export function errorResponse(error: unknown): Response {
+  if (error instanceof ServiceError) {
+    return jsonResponse({ success: false, error: error.message, code: error.code, details: error.details }, error.status);
+  }
+
+  console.error('API Error:', error);
+  return jsonResponse({ success: false, error: 'Erro interno no servidor' }, 500);
+}
+
+// Rotas /api/cron/*: só o worker agendado, com o CRON_SECRET no Authorization, pode chamar.
+// Retorna a resposta 401 para devolver, ou null quando o chamador é o agendador
+export function requireCron(request: Request): Response | null {
+  const expectedToken = import.meta.env.CRON_SECRET;
+
+  if (!expectedToken || request.headers.get('Authorization') !== `Bearer ${expectedToken}`) {
+    return jsonResponse({ success: false, error: 'Acesso não autorizado', code: 'UNAUTHORIZED' }, 401);
+  }
+  return null;
+}
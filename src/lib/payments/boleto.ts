@@ -0,0 +1,96 @@
+/**
+ * Adaptador de boleto
+ *
+ * Monta o código de barras (44 posições) e a linha digitável (47 posições)
+ * no padrão FEBRABAN, incluindo o fator de vencimento.
+ */
+
+import type { BoletoInstructions } from './types';
+
+export interface BoletoOptions {
+  /** Código do banco emissor (3 dígitos) */
+  bankCode: string;
+  amount: number;
+  dueDate: Date;
+  /** Campo livre definido pelo banco (25 dígitos) */
+  freeField: string;
+}
+
+const DUE_FACTOR_BASE = Date.UTC(1997, 9, 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dígito verificador módulo 10 (pesos 2 e 1 da direita para a esquerda)
+export function mod10(digits: string): number {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let product = Number(digits[i]) * weight;
+    if (product > 9) product = Math.floor(product / 10) + (product % 10);
+    sum += product;
+    weight = weight === 2 ? 1 : 2;
+  }
+
+  return (10 - (sum % 10)) % 10;
+}
+
+// Dígito verificador geral módulo 11 (pesos 2 a 9); 0, 10 e 11 viram 1
+export function mod11(digits: string): number {
+  let sum = 0;
+  let weight = 2;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    sum += Number(digits[i]) * weight;
+    weight = weight === 9 ? 2 : weight + 1;
+  }
+
+  const dv = 11 - (sum % 11);
+  return dv === 0 || dv === 10 || dv === 11 ? 1 : dv;
+}
+
+// Dias desde 07/10/1997; a partir de 22/02/2025 o fator reinicia em 1000
+export function dueDateFactor(dueDate: Date): string {
+  const day = Date.UTC(dueDate.getUTCFullYear(), dueDate.getUTCMonth(), dueDate.getUTCDate());
+  const days = Math.round((day - DUE_FACTOR_BASE) / DAY_MS);
+  const factor = days < 1000 ? days : ((days - 1000) % 9000) + 1000;
+  return factor.toString().padStart(4, '0');
+}
+
+/**
+ * Gera código de barras e linha digitável de um boleto
+ * @param {BoletoOptions} options - Banco, valor, vencimento e campo livre
+ * @returns {BoletoInstructions} Linha digitável formatada, código de barras e vencimento
+ */
+export function createBoletoInstructions(options: BoletoOptions): BoletoInstructions {
+  const bank = options.bankCode.padStart(3, '0').slice(0, 3);
+  const currency = '9';
+  const factor = dueDateFactor(options.dueDate);
+  const amount = Math.round(options.amount * 100).toString().padStart(10, '0');
+  const freeField = options.freeField.replace(/\D/g, '').padStart(25, '0').slice(-25);
+
+  const withoutDv = `${bank}${currency}${factor}${amount}${freeField}`;
+  const generalDv = mod11(withoutDv);
+  const barcode = `${bank}${currency}${generalDv}${factor}${amount}${freeField}`;
+
+  const field1 = `${bank}${currency}${freeField.slice(0, 5)}`;
+  const field2 = freeField.slice(5, 15);
+  const field3 = freeField.slice(15, 25);
+
+  const block1 = `${field1}${mod10(field1)}`;
+  const block2 = `${field2}${mod10(field2)}`;
+  const block3 = `${field3}${mod10(field3)}`;
+
+  const digitableLine = [
+    `${block1.slice(0, 5)}.${block1.slice(5)}`,
+    `${block2.slice(0, 5)}.${block2.slice(5)}`,
+    `${block3.slice(0, 5)}.${block3.slice(5)}`,
+    String(generalDv),
+    `${factor}${amount}`
+  ].join(' ');
+
+  return {
+    digitableLine,
+    barcode,
+    dueDate: options.dueDate.toISOString().slice(0, 10)
+  };
+}
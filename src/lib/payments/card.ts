@@ -0,0 +1,80 @@
+/**
+ * Adaptador de cartão de crédito
+ *
+ * Validações locais feitas antes de enviar o cartão ao gateway: Luhn,
+ * validade, CVV e identificação da bandeira.
+ */
+
+import { PaymentGatewayError, type CardData } from './types';
+
+// Ordem importa: Elo e Hipercard compartilham prefixos com Visa/Mastercard
+const CARD_BRANDS: { brand: string; pattern: RegExp }[] = [
+  { brand: 'elo', pattern: /^(4011|4312|4389|4514|4576|5041|5066|5067|509|6277|6362|6363|650|6516|6550)/ },
+  { brand: 'hipercard', pattern: /^(606282|3841)/ },
+  { brand: 'amex', pattern: /^3[47]/ },
+  { brand: 'diners', pattern: /^3(0[0-5]|[68])/ },
+  { brand: 'visa', pattern: /^4/ },
+  { brand: 'mastercard', pattern: /^(5[1-5]|2[2-7])/ }
+];
+
+export function onlyDigits(value: string): string {
+  return value.replace(/\D/g, '');
+}
+
+// Algoritmo de Luhn
+export function isValidCardNumber(number: string): boolean {
+  const digits = onlyDigits(number);
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  let double = false;
+
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+export function detectCardBrand(number: string): string | null {
+  const digits = onlyDigits(number);
+  return CARD_BRANDS.find(({ pattern }) => pattern.test(digits))?.brand ?? null;
+}
+
+/**
+ * Valida os dados do cartão e retorna bandeira e últimos dígitos
+ * @param {CardData} card - Dados digitados no checkout
+ * @param {Date} now - Data de referência para a validade
+ * @returns {{ brand: string; lastFour: string }} Dados seguros para persistir
+ */
+export function validateCard(card: CardData, now = new Date()): { brand: string; lastFour: string } {
+  const number = onlyDigits(card.number);
+
+  if (!isValidCardNumber(number)) {
+    throw new PaymentGatewayError('invalid_card', 'Número do cartão inválido');
+  }
+
+  const brand = detectCardBrand(number);
+  if (!brand) {
+    throw new PaymentGatewayError('unsupported_brand', 'Bandeira do cartão não aceita');
+  }
+
+  const year = card.expiryYear < 100 ? 2000 + card.expiryYear : card.expiryYear;
+  const expiry = new Date(Date.UTC(year, card.expiryMonth, 1));
+  if (card.expiryMonth < 1 || card.expiryMonth > 12 || expiry <= now) {
+    throw new PaymentGatewayError('expired_card', 'Cartão vencido ou validade inválida');
+  }
+
+  const cvvLength = brand === 'amex' ? 4 : 3;
+  if (onlyDigits(card.cvv).length !== cvvLength) {
+    throw new PaymentGatewayError('invalid_cvv', 'Código de segurança inválido');
+  }
+
+  return { brand, lastFour: number.slice(-4) };
+}
@@ -0,0 +1,71 @@
+/**
+ * Registro de gateways de pagamento
+ *
+ * O gateway ativo é escolhido por PAYMENT_GATEWAY (padrão: sandbox, só fora de
+ * produção). Novos provedores só precisam implementar PaymentGateway e se
+ * registrar aqui.
+ */
+
+import { SandboxGateway } from './sandbox';
+import type { PaymentGateway } from './types';
+
+export * from './types';
+export { buildPixPayload, createPixInstructions } from './pix';
+export { createBoletoInstructions } from './boleto';
+export { detectCardBrand, isValidCardNumber, validateCard } from './card';
+export { signPayload, verifySignature } from './signature';
+
+type GatewayFactory = () => PaymentGateway;
+
+const factories = new Map<string, GatewayFactory>();
+const instances = new Map<string, PaymentGateway>();
+
+export function registerPaymentGateway(name: string, factory: GatewayFactory): void {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+export function hasPaymentGateway(name: string): boolean {
+  return factories.has(name);
+}
+
+// Em produção o gateway precisa ser escolhido: o sandbox aprova qualquer cartão de teste
+function configuredGatewayName(): string {
+  const name = import.meta.env.PAYMENT_GATEWAY;
+  if (name) return name;
+
+  if (import.meta.env.PROD) {
+    throw new Error('PAYMENT_GATEWAY não configurado');
+  }
+  return 'sandbox';
+}
+
+/**
+ * Retorna o gateway pelo nome (ou o configurado no ambiente)
+ * @param {string} name - Nome do gateway registrado
+ * @returns {PaymentGateway} Instância reutilizada entre requisições
+ */
+export function getPaymentGateway(name: string = configuredGatewayName()): PaymentGateway {
+  const cached = instances.get(name);
+  if (cached) return cached;
+
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Gateway de pagamento não registrado: ${name}`);
+  }
+
+  const gateway = factory();
+  instances.set(name, gateway);
+  return gateway;
+}
+
+registerPaymentGateway(
+  'sandbox',
+  () =>
+    new SandboxGateway({
+      pixKey: import.meta.env.PIX_KEY || 'pagamentos@graodegente.com.br',
+      merchantName: import.meta.env.PIX_MERCHANT_NAME || 'Grao de Gente',
+      merchantCity: import.meta.env.PIX_MERCHANT_CITY || 'Sao Paulo',
+      webhookSecret: import.meta.env.PAYMENT_WEBHOOK_SECRET
+    })
+);
@@ -0,0 +1,92 @@
+/**
+ * Adaptador PIX
+ *
+ * Monta o BR Code (padrão EMV do Banco Central) usado no "copia e cola" e
+ * gera a imagem do QR Code correspondente.
+ */
+
+import QRCode from 'qrcode';
+import type { PixInstructions } from './types';
+
+export interface PixPayloadOptions {
+  key: string;
+  merchantName: string;
+  merchantCity: string;
+  amount: number;
+  txid: string;
+  description?: string;
+}
+
+// Campo EMV: ID (2 dígitos) + tamanho (2 dígitos) + valor
+function field(id: string, value: string): string {
+  return `${id}${value.length.toString().padStart(2, '0')}${value}`;
+}
+
+// O BR Code aceita apenas ASCII: remove acentos e limita o tamanho
+function sanitize(value: string, maxLength: number): string {
+  return value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9 .@\-_/]/g, '')
+    .trim()
+    .slice(0, maxLength);
+}
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido no campo 63
+export function crc16(payload: string): string {
+  let crc = 0xffff;
+
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Gera o payload "copia e cola" do PIX
+ * @param {PixPayloadOptions} options - Chave, recebedor, valor e identificador
+ * @returns {string} BR Code com CRC
+ */
+export function buildPixPayload(options: PixPayloadOptions): string {
+  const merchantAccount =
+    field('00', 'br.gov.bcb.pix') +
+    field('01', options.key) +
+    (options.description ? field('02', sanitize(options.description, 40)) : '');
+
+  const txid = options.txid.replace(/[^A-Za-z0-9]/g, '').slice(0, 25) || '***';
+
+  const payload =
+    field('00', '01') +
+    field('01', '12') +
+    field('26', merchantAccount) +
+    field('52', '0000') +
+    field('53', '986') +
+    field('54', options.amount.toFixed(2)) +
+    field('58', 'BR') +
+    field('59', sanitize(options.merchantName, 25).toUpperCase()) +
+    field('60', sanitize(options.merchantCity, 15).toUpperCase()) +
+    field('62', field('05', txid)) +
+    '6304';
+
+  return payload + crc16(payload);
+}
+
+/**
+ * Gera o payload e o QR Code do PIX
+ * @param {PixPayloadOptions} options - Dados da cobrança
+ * @returns {Promise<PixInstructions>} Copia e cola e imagem do QR Code
+ */
+export async function createPixInstructions(options: PixPayloadOptions): Promise<PixInstructions> {
+  const payload = buildPixPayload(options);
+  const svg = await QRCode.toString(payload, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 });
+
+  return {
+    payload,
+    qrCodeImage: `data:image/svg+xml;utf8,${encodeURIComponent(svg)}`
+  };
+}
@@ -0,0 +1,253 @@
+/**
+ * Gateway sandbox
+ *
+ * Simula um provedor de pagamentos localmente para desenvolvimento e testes
+ * ponta a ponta sem rede: gera PIX e boletos válidos (mas não pagáveis) e
+ * autoriza cartões de teste. As transações ficam em memória no isolate.
+ *
+ * Cartões de teste: qualquer número válido pelo Luhn é aprovado, exceto os
+ * terminados em 0002 (recusado) e 0010 (recusado por falta de saldo).
+ *
+ * Webhooks: corpo JSON { id, type, data: { transactionId, status } } assinado
+ * com HMAC-SHA256 do corpo bruto no header x-sandbox-signature. Sem
+ * PAYMENT_WEBHOOK_SECRET configurado todos os webhooks são recusados.
+ */
+
+import { createPixInstructions } from './pix';
+import { createBoletoInstructions } from './boleto';
+import { validateCard } from './card';
+import { verifySignature } from './signature';
+import {
+  PaymentGatewayError,
+  type PaymentGateway,
+  type PaymentMethod,
+  type PaymentRequest,
+  type PaymentResult,
+  type PaymentStatus,
+  type WebhookEvent
+} from './types';
+
+export interface SandboxGatewayConfig {
+  pixKey: string;
+  merchantName: string;
+  merchantCity: string;
+  boletoBankCode?: string;
+  pixExpirationMinutes?: number;
+  boletoDueDays?: number;
+  webhookSecret?: string;
+}
+
+interface SandboxTransaction {
+  result: PaymentResult;
+  method: PaymentMethod;
+  amount: number;
+  capturedAmount: number;
+  refundedAmount: number;
+}
+
+const WEBHOOK_STATUSES: PaymentStatus[] = ['pending', 'authorized', 'approved', 'rejected', 'refunded', 'canceled', 'expired'];
+
+const DECLINED_CARDS: Record<string, string> = {
+  '0002': 'Transação recusada pelo emissor',
+  '0010': 'Saldo insuficiente'
+};
+
+export class SandboxGateway implements PaymentGateway {
+  readonly name = 'sandbox';
+  private transactions = new Map<string, SandboxTransaction>();
+  private config: Required<SandboxGatewayConfig>;
+
+  constructor(config: SandboxGatewayConfig) {
+    this.config = {
+      ...config,
+      boletoBankCode: config.boletoBankCode || '999',
+      pixExpirationMinutes: config.pixExpirationMinutes ?? 30,
+      boletoDueDays: config.boletoDueDays ?? 3,
+      // Sem segredo padrão: um valor conhecido permitiria marcar pedidos como pagos
+      webhookSecret: config.webhookSecret || ''
+    };
+  }
+
+  supports(method: PaymentMethod): boolean {
+    return method === 'credit_card' || method === 'pix' || method === 'boleto';
+  }
+
+  async authorize(request: PaymentRequest): Promise<PaymentResult> {
+    const transactionId = `sbx_${crypto.randomUUID().replace(/-/g, '')}`;
+    let result: PaymentResult;
+
+    if (request.method === 'credit_card') {
+      result = this.authorizeCard(transactionId, request);
+    } else if (request.method === 'pix') {
+      const expiresAt = new Date(Date.now() + this.config.pixExpirationMinutes * 60 * 1000);
+      const pix = await createPixInstructions({
+        key: this.config.pixKey,
+        merchantName: this.config.merchantName,
+        merchantCity: this.config.merchantCity,
+        amount: request.amount,
+        txid: transactionId,
+        description: request.description
+      });
+
+      result = {
+        transactionId,
+        status: 'pending',
+        expiresAt: expiresAt.toISOString(),
+        pix,
+        raw: { gateway: this.name, method: 'pix', payload: pix.payload }
+      };
+    } else {
+      const dueDate = new Date(Date.now() + this.config.boletoDueDays * 24 * 60 * 60 * 1000);
+      const boleto = createBoletoInstructions({
+        bankCode: this.config.boletoBankCode,
+        amount: request.amount,
+        dueDate,
+        freeField: request.reference
+      });
+
+      result = {
+        transactionId,
+        status: 'pending',
+        expiresAt: `${boleto.dueDate}T23:59:59.000Z`,
+        boleto,
+        raw: { gateway: this.name, method: 'boleto', ...boleto }
+      };
+    }
+
+    this.transactions.set(transactionId, {
+      result,
+      method: request.method,
+      amount: request.amount,
+      capturedAmount: 0,
+      refundedAmount: 0
+    });
+
+    return result;
+  }
+
+  // No sandbox, capturar um PIX/boleto simula o pagamento pelo cliente
+  async capture(transactionId: string, amount?: number): Promise<PaymentResult> {
+    const transaction = this.getTransaction(transactionId);
+    const allowed: PaymentStatus[] = transaction.method === 'credit_card' ? ['authorized'] : ['pending'];
+
+    if (!allowed.includes(transaction.result.status)) {
+      throw new PaymentGatewayError('invalid_state', `Transação não pode ser capturada (${transaction.result.status})`);
+    }
+
+    transaction.capturedAmount = amount ?? transaction.amount;
+    return this.update(transaction, 'approved', { capturedAmount: transaction.capturedAmount });
+  }
+
+  async refund(transactionId: string, amount?: number, reason?: string): Promise<PaymentResult> {
+    const transaction = this.getTransaction(transactionId);
+
+    if (transaction.result.status === 'authorized' || transaction.result.status === 'pending') {
+      return this.update(transaction, 'canceled', { reason: reason ?? null });
+    }
+
+    if (transaction.result.status !== 'approved') {
+      throw new PaymentGatewayError('invalid_state', `Transação não pode ser estornada (${transaction.result.status})`);
+    }
+
+    const refundAmount = amount ?? transaction.capturedAmount - transaction.refundedAmount;
+    if (refundAmount <= 0 || transaction.refundedAmount + refundAmount > transaction.capturedAmount) {
+      throw new PaymentGatewayError('invalid_amount', 'Valor de estorno maior que o valor capturado');
+    }
+
+    transaction.refundedAmount += refundAmount;
+    const status = transaction.refundedAmount >= transaction.capturedAmount ? 'refunded' : 'approved';
+    return this.update(transaction, status, { refundedAmount: transaction.refundedAmount, reason: reason ?? null });
+  }
+
+  async status(transactionId: string): Promise<PaymentResult> {
+    const transaction = this.getTransaction(transactionId);
+    const { status, expiresAt } = transaction.result;
+
+    if (status === 'pending' && expiresAt && new Date(expiresAt) < new Date()) {
+      return this.update(transaction, 'expired');
+    }
+
+    return transaction.result;
+  }
+
+  async parseWebhook(payload: string, headers: Headers): Promise<WebhookEvent> {
+    if (!this.config.webhookSecret) {
+      console.error('PAYMENT_WEBHOOK_SECRET não configurado: webhook do sandbox recusado');
+      throw new PaymentGatewayError('invalid_signature', 'Webhook não configurado');
+    }
+
+    const signature = headers.get('x-sandbox-signature') || '';
+
+    if (!signature || !(await verifySignature(this.config.webhookSecret, payload, signature))) {
+      throw new PaymentGatewayError('invalid_signature', 'Assinatura do webhook inválida');
+    }
+
+    let body: any;
+    try {
+      body = JSON.parse(payload);
+    } catch {
+      throw new PaymentGatewayError('invalid_payload', 'Corpo do webhook inválido');
+    }
+
+    const status = body?.data?.status;
+    if (!body?.id || !body?.data?.transactionId || !WEBHOOK_STATUSES.includes(status)) {
+      throw new PaymentGatewayError('invalid_payload', 'Corpo do webhook inválido');
+    }
+
+    // Mantém o estado em memória coerente quando o evento veio de fora (replay)
+    const transaction = this.transactions.get(body.data.transactionId);
+    if (transaction) {
+      this.update(transaction, status, { webhookEventId: body.id });
+    }
+
+    return {
+      id: String(body.id),
+      type: String(body.type || 'payment.updated'),
+      transactionId: String(body.data.transactionId),
+      status,
+      raw: body
+    };
+  }
+
+  private authorizeCard(transactionId: string, request: PaymentRequest): PaymentResult {
+    if (!request.card) {
+      throw new PaymentGatewayError('missing_card', 'Dados do cartão não informados');
+    }
+
+    const { brand, lastFour } = validateCard(request.card);
+    const declineMessage = DECLINED_CARDS[lastFour];
+
+    return {
+      transactionId,
+      status: declineMessage ? 'rejected' : 'authorized',
+      cardLastFour: lastFour,
+      cardBrand: brand,
+      message: declineMessage,
+      raw: {
+        gateway: this.name,
+        method: 'credit_card',
+        brand,
+        lastFour,
+        installments: request.installments,
+        declineReason: declineMessage ?? null
+      }
+    };
+  }
+
+  private getTransaction(transactionId: string): SandboxTransaction {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw new PaymentGatewayError('not_found', 'Transação não encontrada no sandbox');
+    }
+    return transaction;
+  }
+
+  private update(transaction: SandboxTransaction, status: PaymentStatus, extra: Record<string, unknown> = {}): PaymentResult {
+    transaction.result = {
+      ...transaction.result,
+      status,
+      raw: { ...transaction.result.raw, ...extra, status, updatedAt: new Date().toISOString() }
+    };
+    return transaction.result;
+  }
+}
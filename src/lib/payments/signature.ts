@@ -0,0 +1,44 @@
+/**
+ * Assinatura HMAC-SHA256 de webhooks (WebCrypto, compatível com Workers)
+ */
+
+const encoder = new TextEncoder();
+
+function importKey(secret: string, usage: KeyUsage): Promise<CryptoKey> {
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]);
+}
+
+function toHex(buffer: ArrayBuffer): string {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex: string): Uint8Array | null {
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) return null;
+  return new Uint8Array(hex.match(/../g)!.map((pair) => parseInt(pair, 16)));
+}
+
+/**
+ * Assina o corpo bruto do webhook
+ * @param {string} secret - Segredo compartilhado com o gateway
+ * @param {string} payload - Corpo exatamente como enviado
+ * @returns {Promise<string>} Assinatura em hexadecimal
+ */
+export async function signPayload(secret: string, payload: string): Promise<string> {
+  const key = await importKey(secret, 'sign');
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+}
+
+/**
+ * Confere a assinatura em tempo constante (crypto.subtle.verify)
+ * @param {string} secret - Segredo compartilhado com o gateway
+ * @param {string} payload - Corpo exatamente como recebido
+ * @param {string} signature - Assinatura em hexadecimal
+ * @returns {Promise<boolean>} true se a assinatura confere
+ */
+export async function verifySignature(secret: string, payload: string, signature: string): Promise<boolean> {
+  const bytes = fromHex(signature.trim());
+  if (!bytes) return false;
+
+  const key = await importKey(secret, 'verify');
+  return crypto.subtle.verify('HMAC', key, bytes, encoder.encode(payload));
+}
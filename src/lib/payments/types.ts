@@ -0,0 +1,96 @@
+/**
+ * Contratos da camada de pagamentos
+ *
+ * Cada gateway (Pagar.me, Mercado Pago, sandbox local...) implementa
+ * PaymentGateway; o restante da aplicação só conhece estes tipos.
+ */
+
+export type PaymentMethod = 'credit_card' | 'pix' | 'boleto';
+
+// Status normalizados gravados em payments.payment_status
+export type PaymentStatus = 'pending' | 'authorized' | 'approved' | 'rejected' | 'refunded' | 'canceled' | 'expired';
+
+export interface CardData {
+  number: string;
+  holderName: string;
+  expiryMonth: number;
+  expiryYear: number;
+  cvv: string;
+}
+
+export interface PaymentCustomer {
+  name: string;
+  email: string;
+  cpf: string;
+}
+
+export interface PaymentRequest {
+  /** Identificador interno (payments.id), usado como referência no gateway */
+  reference: string;
+  description: string;
+  amount: number;
+  method: PaymentMethod;
+  installments: number;
+  customer: PaymentCustomer;
+  /** Obrigatório apenas para cartão; nunca é persistido */
+  card?: CardData;
+}
+
+export interface PixInstructions {
+  /** Código "copia e cola" (BR Code) */
+  payload: string;
+  /** QR Code em data URL (SVG) pronto para <img src> */
+  qrCodeImage: string;
+}
+
+export interface BoletoInstructions {
+  digitableLine: string;
+  barcode: string;
+  dueDate: string;
+}
+
+export interface PaymentResult {
+  transactionId: string;
+  status: PaymentStatus;
+  paymentUrl?: string | null;
+  expiresAt?: string | null;
+  cardLastFour?: string | null;
+  cardBrand?: string | null;
+  pix?: PixInstructions;
+  boleto?: BoletoInstructions;
+  /** Mensagem de recusa exibível ao cliente */
+  message?: string;
+  /** Resposta bruta do gateway, gravada em payments.gateway_response */
+  raw: Record<string, unknown>;
+}
+
+// Notificação assíncrona do gateway já validada e normalizada
+export interface WebhookEvent {
+  /** ID do evento no gateway, usado para descartar entregas repetidas */
+  id: string;
+  type: string;
+  transactionId: string;
+  status: PaymentStatus;
+  raw: Record<string, unknown>;
+}
+
+export interface PaymentGateway {
+  readonly name: string;
+  supports(method: PaymentMethod): boolean;
+  authorize(request: PaymentRequest): Promise<PaymentResult>;
+  capture(transactionId: string, amount?: number): Promise<PaymentResult>;
+  refund(transactionId: string, amount?: number, reason?: string): Promise<PaymentResult>;
+  status(transactionId: string): Promise<PaymentResult>;
+  /** Valida a assinatura e interpreta o corpo bruto de um webhook */
+  parseWebhook(payload: string, headers: Headers): Promise<WebhookEvent>;
+}
+
+export class PaymentGatewayError extends Error {
+  code: string;
+
+  constructor(code: string, message: string) {
+    super(message);
+    this.code = code;
+    this.name = 'PaymentGatewayError';
+  }
+}
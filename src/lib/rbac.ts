@@ -0,0 +1,157 @@
+/**
+ * Papéis e permissões
+ *
+ * Todo usuário é cliente (customer); quem tem loja aprovada é também
+ * vendedor (vendor), com permissões válidas só para a própria loja. Os papéis
+ * de equipe (support, admin) são atribuídos em user_roles; os emails de
+ * ADMIN_EMAILS são sempre administradores, para que exista quem atribua os
+ * primeiros papéis. As permissões de cada papel ficam em role_permissions.
+ *
+ * O acesso (Access) é resolvido uma vez por requisição no middleware
+ * (locals.access) ou por accessControlService.getAccess em actions e jobs;
+ * as funções abaixo só consultam esse objeto e não acessam o banco.
+ *
+ * Depois dos papéis valem as políticas registradas (registerAccessPolicy),
+ * regras que bloqueiam uma permissão concedida, como exigir email confirmado.
+ */
+
+import { ServiceError } from '../services/errors';
+
+export const ROLES = ['customer', 'vendor', 'support', 'admin'] as const;
+export type Role = (typeof ROLES)[number];
+
+// Papéis que um administrador pode atribuir; os demais são derivados da conta e da loja
+export const GRANTABLE_ROLES = ['support', 'admin'] as const;
+export type GrantableRole = (typeof GRANTABLE_ROLES)[number];
+
+export const PERMISSIONS = [
+  'orders:place',
+  'reviews:write',
+  'vendors:apply',
+  'catalog:manage',
+  'shipments:manage',
+  'reviews:moderate',
+  'payouts:read',
+  'orders:read_any',
+  'orders:refund',
+  'disputes:resolve',
+  'audit:read',
+  'posts:manage',
+  'users:send_password_reset',
+  'users:unlock',
+  'vendors:review',
+  'payouts:manage',
+  'users:manage_roles',
+  'users:impersonate'
+] as const;
+export type Permission = (typeof PERMISSIONS)[number];
+
+export interface Access {
+  userId: string;
+  roles: Role[];
+  /** Permissões válidas para qualquer loja ou pedido */
+  permissions: Permission[];
+  /** Loja aprovada do usuário (papel vendor) */
+  vendorId: number | null;
+  /** Permissões do papel vendor, válidas só para vendorId */
+  vendorPermissions: Permission[];
+  /** Administrador que está acessando como este usuário */
+  impersonatorId: string | null;
+  /** Email da conta confirmado pelo link de verificação */
+  emailVerified: boolean;
+}
+
+export interface AccessScope {
+  /** Loja dona do recurso; permissões de vendedor só valem para a própria loja */
+  vendorId?: number | null;
+}
+
+// Motivo do bloqueio devolvido por uma política (reason vai em details.reason do erro)
+export interface AccessDenial {
+  reason: string;
+  message: string;
+}
+
+export type AccessPolicy = (access: Access, permission: Permission) => AccessDenial | null;
+
+const policies: AccessPolicy[] = [];
+
+export function registerAccessPolicy(policy: AccessPolicy): void {
+  policies.push(policy);
+}
+
+export function checkPolicies(access: Access, permission: Permission): AccessDenial | null {
+  for (const policy of policies) {
+    const denial = policy(access, permission);
+    if (denial) return denial;
+  }
+  return null;
+}
+
+// Com BETTER_AUTH_EMAIL_VERIFICATION=true, comprar, avaliar e pedir loja exigem email confirmado
+export const VERIFIED_EMAIL_PERMISSIONS: Permission[] = ['orders:place', 'reviews:write', 'vendors:apply'];
+
+registerAccessPolicy((access, permission) => {
+  if (import.meta.env.BETTER_AUTH_EMAIL_VERIFICATION !== 'true' || access.emailVerified) return null;
+  if (!VERIFIED_EMAIL_PERMISSIONS.includes(permission)) return null;
+
+  return { reason: 'email_unverified', message: 'Confirme seu email para continuar' };
+});
+
+export function hasRole(access: Access | null | undefined, role: Role): boolean {
+  return Boolean(access?.roles.includes(role));
+}
+
+// Só os papéis, sem as políticas
+function grants(access: Access | null | undefined, permission: Permission, scope: AccessScope): boolean {
+  if (!access) return false;
+  if (access.permissions.includes(permission)) return true;
+  if (!access.vendorPermissions.includes(permission) || access.vendorId === null) return false;
+
+  return scope.vendorId === undefined || scope.vendorId === access.vendorId;
+}
+
+export function can(access: Access | null | undefined, permission: Permission, scope: AccessScope = {}): boolean {
+  return grants(access, permission, scope) && checkPolicies(access!, permission) === null;
+}
+
+export function requireAuth(access: Access | null | undefined): Access {
+  if (!access) {
+    throw new ServiceError({ code: 'UNAUTHORIZED', message: 'Faça login para continuar' });
+  }
+  return access;
+}
+
+/**
+ * Garante a permissão; lança UNAUTHORIZED sem login e FORBIDDEN sem a permissão
+ * @param {Access} access - Acesso da requisição (locals.access)
+ * @param {Permission} permission - Ex.: 'orders:refund'
+ * @param {AccessScope} scope - Loja dona do recurso, quando houver
+ * @returns {Access} O próprio acesso, para encadear
+ */
+export function requirePermission(
+  access: Access | null | undefined,
+  permission: Permission,
+  scope: AccessScope = {}
+): Access {
+  const current = requireAuth(access);
+
+  if (!grants(current, permission, scope)) {
+    throw new ServiceError({
+      code: 'FORBIDDEN',
+      message: 'Você não tem permissão para esta ação',
+      details: { permission }
+    });
+  }
+
+  const denial = checkPolicies(current, permission);
+  if (denial) {
+    throw new ServiceError({
+      code: 'FORBIDDEN',
+      message: denial.message,
+      details: { permission, reason: denial.reason }
+    });
+  }
+
+  return current;
+}
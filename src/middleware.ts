@@ -1,35 +1,73 @@
 import { defineMiddleware } from "astro:middleware";
+import { auth } from "@/lib/auth";
+import { setAuthCookiesFromResponse } from "@/actions/auth";
+import accessControlService, { auditContextFromRequest } from "@/services/accessControlService";
+
+// Escritas durante o acesso como outro usuário são auditadas, exceto o próprio encerramento (já auditado)
+const IMPERSONATION_CONTROL_PATH = "/api/admin/impersonation";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
 
 // Sistema de autenticação simplificado
 export const onRequest = defineMiddleware(async (context, next) => {
   // Log discreto para debugging
-  console.log(`[middleware] ${context.request.method} ${new URL(context.request.url).pathname}`);
-  
-  // Usar uma função simples que não depende de bibliotecas externas
-  const user = await getUserFromRequest(context.request);
+  const pathname = new URL(context.request.url).pathname;
+  console.log(`[middleware] ${context.request.method} ${pathname}`);
+
+  // Resolver usuário, sessão e permissões a partir do cookie de sessão
+  const authResult = await getUserFromRequest(context.request);
 
   // Configurar o contexto da requisição
-  if (user) {
-    context.locals.user = user;
-    context.locals.session = { id: 'dummy-session-id' };
-    console.log("[middleware] Usuário autenticado:", user.email);
+  if (authResult) {
+    context.locals.user = authResult.user;
+    context.locals.session = authResult.session;
+    context.locals.access = authResult.access;
+    context.locals.impersonator = authResult.impersonator;
+
+    // Privilégios mudaram desde o login: troca o ID da sessão (o antigo ainda vale por alguns segundos)
+    if (authResult.session.rotationPending) {
+      try {
+        const rotated = await auth.sessions.rotate(authResult.session, context.request.headers);
+        if (rotated) {
+          context.locals.session = rotated as any;
+          setAuthCookiesFromResponse([auth.sessions.cookie(rotated.id)], context.cookies);
+        }
+      } catch (error) {
+        console.error("Erro ao renovar sessão:", error);
+      }
+    }
   } else {
     context.locals.user = null;
     context.locals.session = null;
+    context.locals.access = null;
+    context.locals.impersonator = null;
   }
 
   // Continuar com a próxima etapa
-  return next();
+  const response = await next();
+
+  const { impersonator, user } = context.locals;
+  if (impersonator && user && !SAFE_METHODS.includes(context.request.method) && pathname !== IMPERSONATION_CONTROL_PATH) {
+    try {
+      await accessControlService.audit(auditContextFromRequest(context.request, impersonator.id, user.id), {
+        action: "impersonation:request",
+        targetType: "route",
+        targetId: pathname,
+        details: { method: context.request.method, status: response instanceof Response ? response.status : null }
+      });
+    } catch (error) {
+      console.error("Erro ao auditar requisição:", error);
+    }
+  }
+
+  return response;
 });
 
-// Função simplificada para obter usuário do cookie
+// Obtém usuário, sessão e permissões a partir do cookie (null quando não autenticado)
 async function getUserFromRequest(request: Request): Promise<any | null> {
   try {
-    // Em um ambiente real, você verificaria o cookie e buscaria o usuário
-    // Para simplificar, retornamos null (não autenticado)
-    return null;
+    return await auth.access(request);
   } catch (error) {
     console.error("Erro ao obter usuário:", error);
     return null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,28 @@
+import type { APIRoute } from "astro";
+import { auth } from "../../../../lib/auth";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Sair de um dispositivo; encerrar a sessão atual também remove o cookie
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para encerrar suas sessões", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (impersonator) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const revokedId = await auth.sessions.revoke(user.id, params.handle || "");
+    if (!revokedId) {
+      return jsonResponse({ success: false, error: "Sessão não encontrada", code: "NOT_FOUND" }, 404);
+    }
+
+    const current = revokedId === session.id;
+    return jsonResponse({ success: true, current }, 200, current ? { "Set-Cookie": auth.sessions.clearCookie() } : {});
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
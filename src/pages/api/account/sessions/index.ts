@@ -0,0 +1,40 @@
+import type { APIRoute } from "astro";
+import { auth } from "../../../../lib/auth";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Dispositivos conectados à conta, marcando a sessão atual
+export const GET: APIRoute = async ({ locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para ver seus dispositivos", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    // Acessando como outro usuário, a sessão atual pertence ao administrador
+    const sessions = await auth.sessions.list(user.id, impersonator ? null : session.id);
+    return jsonResponse({ success: true, sessions });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Sair de todos os dispositivos, incluindo este
+export const DELETE: APIRoute = async ({ locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para encerrar suas sessões", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (impersonator) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const revoked = await auth.sessions.revokeAll(user.id);
+    return jsonResponse({ success: true, revoked }, 200, { "Set-Cookie": auth.sessions.clearCookie() });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
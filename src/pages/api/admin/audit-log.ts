@@ -0,0 +1,30 @@
+import type { APIRoute } from "astro";
+import accessControlService from "../../../services/accessControlService";
+import { can } from "../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Trilha de auditoria (?actorUserId=&impersonatedUserId=&action=&page=&limit=); action filtra por prefixo
+export const GET: APIRoute = async ({ url, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para ver a auditoria", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "audit:read")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const result = await accessControlService.listAuditLog({
+      actorUserId: url.searchParams.get("actorUserId") || undefined,
+      impersonatedUserId: url.searchParams.get("impersonatedUserId") || undefined,
+      action: url.searchParams.get("action") || undefined,
+      page: Number(url.searchParams.get("page")) || undefined,
+      limit: Number(url.searchParams.get("limit")) || undefined
+    });
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
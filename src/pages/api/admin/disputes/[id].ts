@@ -0,0 +1,30 @@
+import type { APIRoute } from "astro";
+import disputeService from "../../../../services/disputeService";
+import { can } from "../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Decisão da disputa ({ status, approvedAmount?, resolution? }); a favor do comprador estorna o repasse da loja
+export const PATCH: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para decidir disputas", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "disputes:resolve")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  const disputeId = Number(params.id);
+  if (!Number.isInteger(disputeId) || disputeId <= 0) {
+    return jsonResponse({ success: false, error: "Disputa inválida", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const dispute = await disputeService.resolve(disputeId, body, user.id);
+    return jsonResponse({ success: true, dispute });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
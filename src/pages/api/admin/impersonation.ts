@@ -0,0 +1,72 @@
+import type { APIRoute } from "astro";
+import accessControlService, { auditContextFromRequest } from "../../../services/accessControlService";
+import { can } from "../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Acesso como outro usuário em andamento nesta sessão
+export const GET: APIRoute = async ({ locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    const impersonation = impersonator ? await accessControlService.getImpersonation(session.id) : null;
+    return jsonResponse({ success: true, impersonation });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Começa a acessar a loja como o usuário ({ userId, reason }) para reproduzir um problema
+export const POST: APIRoute = async ({ request, locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (impersonator) {
+    return jsonResponse({ success: false, error: "Encerre o acesso atual antes de começar outro", code: "CONFLICT" }, 409);
+  }
+
+  if (!can(locals.access, "users:impersonate")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const impersonation = await accessControlService.startImpersonation(
+      session.id,
+      body,
+      auditContextFromRequest(request, user.id)
+    );
+    return jsonResponse({ success: true, impersonation }, 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Volta para a conta do administrador
+export const DELETE: APIRoute = async ({ request, locals }) => {
+  const { user, session, impersonator } = locals;
+
+  if (!user || !session) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!impersonator) {
+    return jsonResponse({ success: false, error: "Nenhum acesso como outro usuário em andamento", code: "NOT_FOUND" }, 404);
+  }
+
+  try {
+    const impersonation = await accessControlService.endImpersonation(
+      session.id,
+      auditContextFromRequest(request, impersonator.id)
+    );
+    return jsonResponse({ success: true, impersonation });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
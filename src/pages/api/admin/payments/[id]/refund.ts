@@ -0,0 +1,43 @@
+import type { APIRoute } from "astro";
+import paymentService, { refundRequestSchema } from "../../../../../services/paymentService";
+import accessControlService, { auditContextFromRequest } from "../../../../../services/accessControlService";
+import { ServiceError } from "../../../../../services/errors";
+import { can } from "../../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../../lib/http";
+
+// Estorno feito pelo atendimento ({ amount?, reason }); sem amount estorna o saldo restante
+export const POST: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para estornar pagamentos", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "orders:refund")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  const paymentId = Number(params.id);
+  if (!Number.isInteger(paymentId) || paymentId <= 0) {
+    return jsonResponse({ success: false, error: "Pagamento inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const parsed = refundRequestSchema.safeParse(await request.json().catch(() => null));
+    if (!parsed.success) {
+      throw new ServiceError({ code: "BAD_REQUEST", message: "Dados do estorno inválidos", details: parsed.error.flatten() });
+    }
+
+    const payment = await paymentService.refundPayment(paymentId, parsed.data.amount, parsed.data.reason);
+    await accessControlService.audit(auditContextFromRequest(request, user.id), {
+      action: "payments:refund",
+      targetType: "payment",
+      targetId: paymentId,
+      details: { amount: parsed.data.amount ?? null, reason: parsed.data.reason, status: payment.status }
+    });
+
+    return jsonResponse({ success: true, payment });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,61 @@
+import type { APIRoute } from "astro";
+import ledgerService from "../../../../services/ledgerService";
+import { can } from "../../../../lib/rbac";
+import { csvResponse } from "../../../../lib/csv";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Extrato com os lançamentos; ?format=csv baixa a planilha de conciliação
+export const GET: APIRoute = async ({ params, url, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para ver os repasses", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "payouts:manage")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  const payoutId = Number(params.id);
+  if (!Number.isInteger(payoutId) || payoutId <= 0) {
+    return jsonResponse({ success: false, error: "Repasse inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const payout = await ledgerService.getPayout(payoutId);
+
+    if (url.searchParams.get("format") === "csv") {
+      return csvResponse(ledgerService.statementCsv(payout), `repasse-${payout.id}-${payout.periodEnd}.csv`);
+    }
+
+    return jsonResponse({ success: true, payout });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Registra a transferência do extrato ({ reference } com o comprovante)
+export const PATCH: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para registrar o repasse", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "payouts:manage")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  const payoutId = Number(params.id);
+  if (!Number.isInteger(payoutId) || payoutId <= 0) {
+    return jsonResponse({ success: false, error: "Repasse inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const payout = await ledgerService.markPaid(payoutId, body, user.id);
+    return jsonResponse({ success: true, payout });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
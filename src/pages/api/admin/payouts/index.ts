@@ -0,0 +1,29 @@
+import type { APIRoute } from "astro";
+import ledgerService from "../../../../services/ledgerService";
+import { can } from "../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Extratos de repasse de todas as lojas (?vendorId=&status=pending|paid&page=&limit=)
+export const GET: APIRoute = async ({ url, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para ver os repasses", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "payouts:manage")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const result = await ledgerService.listPayouts({
+      vendorId: Number(url.searchParams.get("vendorId")) || undefined,
+      status: url.searchParams.get("status") ?? undefined,
+      page: Number(url.searchParams.get("page")) || undefined,
+      limit: Number(url.searchParams.get("limit")) || undefined
+    });
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,66 @@
+import type { APIRoute } from "astro";
+import { auth } from "../../../../../lib/auth";
+import accessControlService, { auditContextFromRequest } from "../../../../../services/accessControlService";
+import attemptLimiterService from "../../../../../services/attemptLimiterService";
+import { can } from "../../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../../lib/http";
+
+// Situação do login da conta: senhas erradas recentes, espera e bloqueio
+export const GET: APIRoute = async ({ params, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "users:unlock")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const target = params.id ? await auth.user(params.id) : null;
+    if (!target) {
+      return jsonResponse({ success: false, error: "Usuário não encontrado", code: "NOT_FOUND" }, 404);
+    }
+
+    const lockout = await attemptLimiterService.check("login_account", target.email, locals.runtime?.env);
+    return jsonResponse({ success: true, lockout });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Libera o login da conta bloqueada (ex.: cliente confirmou a identidade com o atendimento)
+export const DELETE: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "users:unlock")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const target = params.id ? await auth.user(params.id) : null;
+    if (!target) {
+      return jsonResponse({ success: false, error: "Usuário não encontrado", code: "NOT_FOUND" }, 404);
+    }
+
+    const env = locals.runtime?.env;
+    const before = await attemptLimiterService.check("login_account", target.email, env);
+    await attemptLimiterService.reset("login_account", target.email, env);
+
+    await accessControlService.audit(auditContextFromRequest(request, user.id), {
+      action: "users:unlock",
+      targetType: "user",
+      targetId: target.id,
+      details: { failures: before.failures, lockedUntil: before.lockedUntil }
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
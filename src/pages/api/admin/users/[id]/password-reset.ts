@@ -0,0 +1,48 @@
+import type { APIRoute } from "astro";
+import { auth } from "../../../../../lib/auth";
+import accessControlService, { auditContextFromRequest } from "../../../../../services/accessControlService";
+import { can } from "../../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../../lib/http";
+
+// Envia ao cliente o link de recuperação de senha; o atendimento nunca define a senha
+export const POST: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para continuar", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "users:send_password_reset")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  if (!params.id) {
+    return jsonResponse({ success: false, error: "Usuário inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const target = await auth.user(params.id);
+    if (!target) {
+      return jsonResponse({ success: false, error: "Usuário não encontrado", code: "NOT_FOUND" }, 404);
+    }
+
+    // Sem os headers o limite por IP não se aplica ao atendimento; o limite por email continua valendo
+    const result = await auth.api.requestPasswordReset({ body: { email: target.email } });
+    if (result.rateLimited) {
+      return jsonResponse(
+        { success: false, error: "Muitos pedidos de recuperação para este email; tente mais tarde", code: "TOO_MANY_REQUESTS" },
+        429
+      );
+    }
+
+    await accessControlService.audit(auditContextFromRequest(request, user.id), {
+      action: "users:send_password_reset",
+      targetType: "user",
+      targetId: target.id
+    });
+
+    return jsonResponse({ success: true });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
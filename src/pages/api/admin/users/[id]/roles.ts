@@ -0,0 +1,53 @@
+import type { APIRoute } from "astro";
+import accessControlService, { auditContextFromRequest } from "../../../../../services/accessControlService";
+import { can } from "../../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../../lib/http";
+
+// Papéis de equipe atribuídos ao usuário (support, admin)
+export const GET: APIRoute = async ({ params, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para gerenciar papéis", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "users:manage_roles")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  if (!params.id) {
+    return jsonResponse({ success: false, error: "Usuário inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const roles = await accessControlService.getGrantedRoles(params.id);
+    return jsonResponse({ success: true, roles });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Substitui os papéis de equipe ({ roles: ['support' | 'admin'] }); a mudança fica na trilha de auditoria
+export const PUT: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para gerenciar papéis", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "users:manage_roles")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  if (!params.id) {
+    return jsonResponse({ success: false, error: "Usuário inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const roles = await accessControlService.setUserRoles(params.id, body, auditContextFromRequest(request, user.id));
+    return jsonResponse({ success: true, roles });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,30 @@
+import type { APIRoute } from "astro";
+import vendorApplicationService from "../../../../services/vendorApplicationService";
+import { can } from "../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Aprovação ({ action: 'approve', commissionRate }) ou recusa ({ action: 'reject', reason }) de um cadastro
+export const PATCH: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para analisar os cadastros", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "vendors:review")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  const applicationId = Number(params.id);
+  if (!Number.isInteger(applicationId) || applicationId <= 0) {
+    return jsonResponse({ success: false, error: "Cadastro inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const body = await request.json().catch(() => null);
+    const application = await vendorApplicationService.review(applicationId, body, user.id);
+    return jsonResponse({ success: true, application });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,28 @@
+import type { APIRoute } from "astro";
+import vendorApplicationService from "../../../../services/vendorApplicationService";
+import { can } from "../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Fila de análise dos cadastros de loja (?status=pending|approved|rejected&page=&limit=)
+export const GET: APIRoute = async ({ url, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para analisar os cadastros", code: "UNAUTHORIZED" }, 401);
+  }
+
+  if (!can(locals.access, "vendors:review")) {
+    return jsonResponse({ success: false, error: "Você não tem permissão para esta ação", code: "FORBIDDEN" }, 403);
+  }
+
+  try {
+    const applications = await vendorApplicationService.list({
+      status: url.searchParams.get("status") || undefined,
+      page: Number(url.searchParams.get("page")) || undefined,
+      limit: Number(url.searchParams.get("limit")) || undefined
+    });
+    return jsonResponse({ success: true, applications });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
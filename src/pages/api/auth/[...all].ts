@@ -2,7 +2,7 @@ import { auth } from '@/lib/auth';
 import type { APIRoute } from "astro";
 
 // APIs de autenticação compatíveis com Cloudflare Workers
-export const ALL: APIRoute = async ({ request, params }) => {
+export const ALL: APIRoute = async ({ request, params, locals }) => {
   const endpoint = params.all || '';
   const url = new URL(request.url);
   
@@ -15,6 +15,7 @@ export const ALL: APIRoute = async ({ request, params }) => {
           return await auth.api.signInEmail({
             body,
             headers: request.headers,
+            env: locals.runtime?.env,
             asResponse: true
           });
         }
@@ -26,6 +27,7 @@ export const ALL: APIRoute = async ({ request, params }) => {
           return await auth.api.signUpEmail({
             body,
             headers: request.headers,
+            env: locals.runtime?.env,
             asResponse: true
           });
         }
@@ -42,8 +44,18 @@ export const ALL: APIRoute = async ({ request, params }) => {
         
       case 'session':
         if (request.method === 'GET') {
-          const session = await auth.session(request);
-          return new Response(JSON.stringify(session || { user: null, session: null }), {
+          // Usuário já resolvido pelo middleware (inclui o acesso como outro usuário), com papéis e permissões
+          const { user, session, access, impersonator } = locals;
+          const body = user
+            ? {
+                user: { ...user, roles: access?.roles ?? [] },
+                session,
+                permissions: access ? [...access.permissions, ...access.vendorPermissions] : [],
+                vendorId: access?.vendorId ?? null,
+                impersonator: impersonator ? { id: impersonator.id, email: impersonator.email, name: impersonator.name } : null
+              }
+            : { user: null, session: null };
+          return new Response(JSON.stringify(body), {
             status: 200,
             headers: {
               'Content-Type': 'application/json'
@@ -64,8 +76,39 @@ export const ALL: APIRoute = async ({ request, params }) => {
             });
           }
           
-          const result = await auth.api.verifyEmail(token);
-          return new Response(JSON.stringify({ success: result }), {
+          const user = await auth.api.verifyEmail(token);
+          return new Response(JSON.stringify(user ? { success: true } : { success: false, error: 'Invalid or expired token' }), {
+            status: user ? 200 : 400,
+            headers: {
+              'Content-Type': 'application/json'
+            }
+          });
+        }
+        break;
+        
+      case 'resend-verification':
+        if (request.method === 'POST') {
+          if (!locals.user) {
+            return new Response(JSON.stringify({ error: 'Not authenticated' }), {
+              status: 401,
+              headers: {
+                'Content-Type': 'application/json'
+              }
+            });
+          }
+
+          const result = await auth.api.resendVerificationEmail(locals.user.id);
+          if (result.status === 'rate_limited') {
+            return new Response(JSON.stringify({ success: false, error: 'Please wait before requesting another email' }), {
+              status: 429,
+              headers: {
+                'Content-Type': 'application/json',
+                'Retry-After': String(result.retryAfterSeconds)
+              }
+            });
+          }
+
+          return new Response(JSON.stringify({ success: true, status: result.status }), {
             status: 200,
             headers: {
               'Content-Type': 'application/json'
@@ -77,11 +120,16 @@ export const ALL: APIRoute = async ({ request, params }) => {
       case 'forgot-password':
         if (request.method === 'POST') {
           const body = await request.json();
-          const result = await auth.api.forgotPassword(body.email);
-          return new Response(JSON.stringify({ success: result }), {
-            status: 200,
+          const result = await auth.api.requestPasswordReset({
+            body: { email: String(body.email || '') },
+            headers: request.headers,
+            env: locals.runtime?.env
+          });
+          return new Response(JSON.stringify({ success: result.success }), {
+            status: result.rateLimited ? 429 : 200,
             headers: {
-              'Content-Type': 'application/json'
+              'Content-Type': 'application/json',
+              ...(result.retryAfterSeconds ? { 'Retry-After': String(result.retryAfterSeconds) } : {})
             }
           });
         }
@@ -90,9 +138,21 @@ export const ALL: APIRoute = async ({ request, params }) => {
       case 'reset-password':
         if (request.method === 'POST') {
           const body = await request.json();
-          const result = await auth.api.resetPassword(body.token, body.password);
-          return new Response(JSON.stringify({ success: result }), {
-            status: 200,
+          if (typeof body.token !== 'string' || typeof body.password !== 'string' || body.password.length < 8) {
+            return new Response(JSON.stringify({ error: 'Token and a password of at least 8 characters are required' }), {
+              status: 400,
+              headers: {
+                'Content-Type': 'application/json'
+              }
+            });
+          }
+
+          const result = await auth.api.resetPassword({
+            body: { token: body.token, password: body.password },
+            env: locals.runtime?.env
+          });
+          return new Response(JSON.stringify({ success: result.success }), {
+            status: result.success ? 200 : 400,
             headers: {
               'Content-Type': 'application/json'
             }
@@ -0,0 +1,49 @@
+import type { APIRoute } from "astro";
+import { z } from "zod";
+import couponService, { COUPON_COOKIE } from "../../../services/couponService";
+import { ServiceError } from "../../../services/errors";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+const applyCouponSchema = z.object({
+  code: z.string(),
+  items: z
+    .array(
+      z.object({
+        productId: z.coerce.number().int().positive(),
+        variantId: z.coerce.number().int().positive().nullish(),
+        quantity: z.coerce.number().int().min(1).max(99)
+      })
+    )
+    .min(1, "Carrinho vazio")
+});
+
+// Aplica o cupom ao carrinho e devolve o desconto por item
+export const POST: APIRoute = async ({ request, locals, cookies }) => {
+  try {
+    const parsed = applyCouponSchema.safeParse(await request.json().catch(() => null));
+    if (!parsed.success) {
+      throw new ServiceError({ code: "BAD_REQUEST", message: "Dados inválidos", details: parsed.error.flatten() });
+    }
+
+    const items = parsed.data.items.map((item) => ({ ...item, variantId: item.variantId ?? null }));
+    const coupon = await couponService.evaluate(parsed.data.code, items, locals.user?.id ?? null);
+
+    cookies.set(COUPON_COOKIE, coupon.code, {
+      path: "/",
+      httpOnly: true,
+      sameSite: "lax",
+      secure: import.meta.env.PROD,
+      maxAge: 60 * 60 * 24 * 7
+    });
+
+    return jsonResponse({ success: true, coupon });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Remove o cupom do carrinho
+export const DELETE: APIRoute = async ({ cookies }) => {
+  cookies.delete(COUPON_COOKIE, { path: "/" });
+  return jsonResponse({ success: true });
+};
@@ -0,0 +1,30 @@
+import type { APIRoute } from "astro";
+import cartService, { getCartStore } from "../../../services/cartService";
+import stockReservationService from "../../../services/stockReservationService";
+import { getCartOwner } from "../../../lib/cart";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Carrinho atual com preços e estoque revalidados (as reservas do próprio carrinho não descontam)
+export const GET: APIRoute = async ({ locals, cookies }) => {
+  try {
+    const owner = getCartOwner(locals, cookies);
+    const cartId = await stockReservationService.findCartId(owner);
+    const cart = await cartService.get(getCartStore(owner, locals.runtime?.env), cartId);
+    return jsonResponse({ success: true, cart });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Sincroniza as operações feitas no navegador (inclusive a fila offline)
+export const POST: APIRoute = async ({ request, locals, cookies }) => {
+  try {
+    const body = await request.json().catch(() => null);
+    const owner = getCartOwner(locals, cookies);
+    const cartId = await stockReservationService.findCartId(owner);
+    const cart = await cartService.sync(getCartStore(owner, locals.runtime?.env), body, cartId);
+    return jsonResponse({ success: true, cart });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,36 @@
+import type { APIRoute } from "astro";
+import cartService, { getCartStore } from "../../../services/cartService";
+import stockReservationService from "../../../services/stockReservationService";
+import { getCartOwner } from "../../../lib/cart";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Reserva o estoque do carrinho ao abrir o checkout (chamar de novo renova o prazo)
+export const POST: APIRoute = async ({ locals, cookies }) => {
+  try {
+    const owner = getCartOwner(locals, cookies);
+    const cart = await cartService.get(
+      getCartStore(owner, locals.runtime?.env),
+      await stockReservationService.findCartId(owner)
+    );
+
+    const reservation = await stockReservationService.reserve(
+      owner,
+      cart.items.map((item) => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity })),
+      locals.user?.id ?? null
+    );
+
+    return jsonResponse({ success: true, reservation, cart });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Libera a reserva (cliente saiu do checkout)
+export const DELETE: APIRoute = async ({ locals, cookies }) => {
+  try {
+    const released = await stockReservationService.release(getCartOwner(locals, cookies));
+    return jsonResponse({ success: true, released });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
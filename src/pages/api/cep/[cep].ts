@@ -0,0 +1,13 @@
+import type { APIRoute } from "astro";
+import cepService from "../../../services/cepService";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Endereço (logradouro, bairro, cidade e UF) de um CEP para o autopreenchimento
+export const GET: APIRoute = async ({ params, locals }) => {
+  try {
+    const address = await cepService.lookup(params.cep ?? "", locals.runtime?.env?.CACHE_KV);
+    return jsonResponse({ success: true, address }, 200, { "Cache-Control": "public, max-age=86400" });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,16 @@
+import type { APIRoute } from "astro";
+import stockSubscriptionService from "../../../services/stockSubscriptionService";
+import { errorResponse, jsonResponse, requireCron } from "../../../lib/http";
+
+// Envio agendado, em lotes, dos avisos de volta ao estoque (ver scheduled em src/workers/cart-worker.js)
+export const POST: APIRoute = async ({ request }) => {
+  const unauthorized = requireCron(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const result = await stockSubscriptionService.notifyQueued();
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,16 @@
+import type { APIRoute } from "astro";
+import stockReservationService from "../../../services/stockReservationService";
+import { errorResponse, jsonResponse, requireCron } from "../../../lib/http";
+
+// Varredura agendada das reservas de estoque vencidas (ver scheduled em src/workers/cart-worker.js)
+export const POST: APIRoute = async ({ request }) => {
+  const unauthorized = requireCron(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const expired = await stockReservationService.sweep();
+    return jsonResponse({ success: true, expired });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
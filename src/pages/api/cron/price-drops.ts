@@ -0,0 +1,16 @@
+import type { APIRoute } from "astro";
+import priceService from "../../../services/priceService";
+import { errorResponse, jsonResponse, requireCron } from "../../../lib/http";
+
+// Job diário: avisa quedas de preço dos itens das listas de desejos (ver scheduled em src/workers/cart-worker.js)
+export const POST: APIRoute = async ({ request }) => {
+  const unauthorized = requireCron(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const result = await priceService.notifyWishlistDrops();
+    return jsonResponse({ success: true, ...result });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,18 @@
+import type { APIRoute } from "astro";
+import { auth } from "../../../lib/auth";
+import attemptLimiterService from "../../../services/attemptLimiterService";
+import { errorResponse, jsonResponse, requireCron } from "../../../lib/http";
+
+// Limpeza diária de sessões vencidas, tokens de recuperação e verificação expirados e contadores de
+// tentativas parados (ver scheduled em src/workers/cart-worker.js)
+export const POST: APIRoute = async ({ request }) => {
+  const unauthorized = requireCron(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const removed = { ...(await auth.sessions.cleanup()), attempts: await attemptLimiterService.cleanup() };
+    return jsonResponse({ success: true, removed });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
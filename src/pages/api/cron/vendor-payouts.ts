@@ -0,0 +1,16 @@
+import type { APIRoute } from "astro";
+import ledgerService from "../../../services/ledgerService";
+import { errorResponse, jsonResponse, requireCron } from "../../../lib/http";
+
+// Job semanal: fecha o ciclo de repasse e gera os extratos das lojas (ver scheduled em src/workers/cart-worker.js)
+export const POST: APIRoute = async ({ request }) => {
+  const unauthorized = requireCron(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const { payouts, carriedOver } = await ledgerService.closePayoutCycle();
+    return jsonResponse({ success: true, created: payouts.length, payouts, carriedOver });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,24 @@
+import type { APIRoute } from "astro";
+import shipmentService from "../../../../services/shipmentService";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Envios por vendedor de um pedido do cliente
+export const GET: APIRoute = async ({ params, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para ver seus pedidos", code: "UNAUTHORIZED" }, 401);
+  }
+
+  const orderId = Number(params.id);
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return jsonResponse({ success: false, error: "Pedido inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const shipments = await shipmentService.listShipmentsForCustomer(orderId, user.id);
+    return jsonResponse({ success: true, shipments });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,24 @@
+import type { APIRoute } from "astro";
+import { placeCheckoutOrder } from "../../../lib/checkout";
+import { requirePermission } from "../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Criação de pedidos a partir do checkout
+export const POST: APIRoute = async ({ request, locals, cookies }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para finalizar a compra", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    requirePermission(locals.access, "orders:place");
+
+    const body = await request.json().catch(() => null);
+    const result = await placeCheckoutOrder(user.id, body, locals, cookies);
+
+    return jsonResponse({ success: true, ...result }, 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,16 @@
+import type { APIRoute } from "astro";
+import paymentService from "../../../../services/paymentService";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Webhooks dos gateways de pagamento (status de PIX, boleto, cartão)
+export const POST: APIRoute = async ({ request, params }) => {
+  try {
+    // A assinatura é calculada sobre o corpo bruto: não fazer request.json() aqui
+    const payload = await request.text();
+    const outcome = await paymentService.handleWebhook(params.gateway || "", payload, request.headers);
+
+    return jsonResponse({ success: true, received: true, ...outcome });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
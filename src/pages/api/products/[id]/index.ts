@@ -0,0 +1,22 @@
+import type { APIRoute } from "astro";
+import productService from "../../../../services/productService";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Produto com as variantes (preço, preço "de", estoque, SKU, imagens) e a matriz de opções
+export const GET: APIRoute = async ({ params }) => {
+  const productId = Number(params.id);
+  if (!Number.isInteger(productId) || productId <= 0) {
+    return jsonResponse({ success: false, error: "Produto inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return jsonResponse({ success: false, error: "Produto não encontrado", code: "NOT_FOUND" }, 404);
+    }
+
+    return jsonResponse({ success: true, product }, 200, { "Cache-Control": "public, max-age=60" });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,20 @@
+import type { APIRoute } from "astro";
+import priceService from "../../../../services/priceService";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Histórico de preços para o gráfico da página do produto (?variantId=&days=)
+export const GET: APIRoute = async ({ params, url }) => {
+  const productId = Number(params.id);
+  if (!Number.isInteger(productId) || productId <= 0) {
+    return jsonResponse({ success: false, error: "Produto inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const variantId = Number(url.searchParams.get("variantId")) || null;
+    const days = Number(url.searchParams.get("days")) || undefined;
+    const history = await priceService.history(productId, { variantId, days });
+    return jsonResponse({ success: true, history }, 200, { "Cache-Control": "public, max-age=300" });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
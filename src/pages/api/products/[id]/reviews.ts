@@ -0,0 +1,46 @@
+import type { APIRoute } from "astro";
+import reviewService from "../../../../services/reviewService";
+import { requirePermission } from "../../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+// Avaliações aprovadas com média e histograma (?page=&limit=&sort=&rating=)
+export const GET: APIRoute = async ({ params, url, locals }) => {
+  const productId = Number(params.id);
+  if (!Number.isInteger(productId) || productId <= 0) {
+    return jsonResponse({ success: false, error: "Produto inválido", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const result = await reviewService.list(productId, {
+      page: Number(url.searchParams.get("page")) || undefined,
+      limit: Number(url.searchParams.get("limit")) || undefined,
+      sort: url.searchParams.get("sort") || undefined,
+      rating: Number(url.searchParams.get("rating")) || undefined,
+      viewerId: locals.user?.id ?? null
+    });
+    // Com usuário logado a resposta traz os votos dele e não pode ir para o cache compartilhado
+    const cacheControl = locals.user ? "private, no-store" : "public, max-age=300";
+    return jsonResponse({ success: true, ...result }, 200, { "Cache-Control": cacheControl });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Nova avaliação ({ rating, title?, comment }), publicada depois da moderação
+export const POST: APIRoute = async ({ params, request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para avaliar o produto", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    requirePermission(locals.access, "reviews:write");
+
+    const body = await request.json().catch(() => null);
+    const review = await reviewService.submit({ ...body, productId: params.id }, user);
+    return jsonResponse({ success: true, review }, 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,29 @@
+import type { APIRoute } from "astro";
+import reviewService from "../../../../services/reviewService";
+import { errorResponse, jsonResponse } from "../../../../lib/http";
+
+async function vote(params: Record<string, string | undefined>, locals: App.Locals, helpful: boolean) {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para votar nas avaliações", code: "UNAUTHORIZED" }, 401);
+  }
+
+  const reviewId = Number(params.id);
+  if (!Number.isInteger(reviewId) || reviewId <= 0) {
+    return jsonResponse({ success: false, error: "Avaliação inválida", code: "BAD_REQUEST" }, 400);
+  }
+
+  try {
+    const helpfulCount = await reviewService.vote(reviewId, user.id, helpful);
+    return jsonResponse({ success: true, helpfulCount, votedHelpful: helpful });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// Marca a avaliação como útil
+export const POST: APIRoute = ({ params, locals }) => vote(params, locals, true);
+
+// Retira o voto de útil
+export const DELETE: APIRoute = ({ params, locals }) => vote(params, locals, false);
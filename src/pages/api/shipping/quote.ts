@@ -0,0 +1,14 @@
+import type { APIRoute } from "astro";
+import shippingService from "../../../services/shippingService";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Cotação de frete por vendedor para o carrinho e o CEP informados
+export const POST: APIRoute = async ({ request, locals }) => {
+  try {
+    const body = await request.json().catch(() => null);
+    const quote = await shippingService.quote(body, { cache: locals.runtime?.env?.CACHE_KV });
+    return jsonResponse({ success: true, quote });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
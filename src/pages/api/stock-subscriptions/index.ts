@@ -0,0 +1,29 @@
+import type { APIRoute } from "astro";
+import stockSubscriptionService from "../../../services/stockSubscriptionService";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Avise-me: { productId, variantId?, email? } (logado, o email da conta é o padrão)
+export const POST: APIRoute = async ({ request, locals }) => {
+  try {
+    const body = await request.json().catch(() => null);
+    const { subscription, created } = await stockSubscriptionService.subscribe(body, locals.user);
+    return jsonResponse({ success: true, subscription, created }, created ? 201 : 200);
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Cancela pelo token do email (?token=&all=1 cancela todos os avisos do email)
+export const DELETE: APIRoute = async ({ url }) => {
+  try {
+    const token = url.searchParams.get("token") ?? "";
+    if (!token) {
+      return jsonResponse({ success: false, error: "Token inválido", code: "BAD_REQUEST" }, 400);
+    }
+
+    const canceled = await stockSubscriptionService.unsubscribe(token, { all: url.searchParams.get("all") === "1" });
+    return jsonResponse({ success: true, canceled });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,39 @@
+import type { APIRoute } from "astro";
+import vendorApplicationService from "../../../services/vendorApplicationService";
+import { requirePermission } from "../../../lib/rbac";
+import { errorResponse, jsonResponse } from "../../../lib/http";
+
+// Situação do último cadastro de loja do usuário
+export const GET: APIRoute = async ({ locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para acompanhar seu cadastro", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    const application = await vendorApplicationService.getForUser(user.id);
+    return jsonResponse({ success: true, application });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Novo cadastro de loja (dados da empresa, responsável e links dos documentos)
+export const POST: APIRoute = async ({ request, locals }) => {
+  const user = locals.user;
+
+  if (!user) {
+    return jsonResponse({ success: false, error: "Faça login para cadastrar sua loja", code: "UNAUTHORIZED" }, 401);
+  }
+
+  try {
+    requirePermission(locals.access, "vendors:apply");
+
+    const body = await request.json().catch(() => null);
+    const application = await vendorApplicationService.apply(body, user);
+    return jsonResponse({ success: true, application }, 201);
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -0,0 +1,58 @@
+import type { APIRoute } from "astro";
+import wishlistService from "../../services/wishlistService";
+import { errorResponse, jsonResponse } from "../../lib/http";
+
+const unauthorized = () =>
+  jsonResponse({ success: false, error: "Faça login para salvar sua lista de desejos", code: "UNAUTHORIZED" }, 401);
+
+// Lista de desejos da conta
+export const GET: APIRoute = async ({ locals }) => {
+  if (!locals.user) return unauthorized();
+
+  try {
+    const items = await wishlistService.list(locals.user.id);
+    return jsonResponse({ success: true, items });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Adiciona um produto ({ productId, variantId? }) ou junta a lista do navegador ({ items })
+export const POST: APIRoute = async ({ request, locals }) => {
+  if (!locals.user) return unauthorized();
+
+  try {
+    const body = await request.json().catch(() => null);
+
+    if (Array.isArray(body?.items)) {
+      await wishlistService.merge(locals.user.id, body.items);
+    } else {
+      await wishlistService.add(locals.user.id, body);
+    }
+
+    const items = await wishlistService.list(locals.user.id);
+    return jsonResponse({ success: true, items });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
+
+// Remove um produto (?productId=&variantId=)
+export const DELETE: APIRoute = async ({ url, locals }) => {
+  if (!locals.user) return unauthorized();
+
+  try {
+    const productId = Number(url.searchParams.get("productId"));
+    const variantId = url.searchParams.get("variantId") ? Number(url.searchParams.get("variantId")) : null;
+
+    if (!Number.isInteger(productId) || productId <= 0) {
+      return jsonResponse({ success: false, error: "Produto inválido", code: "BAD_REQUEST" }, 400);
+    }
+
+    await wishlistService.remove(locals.user.id, productId, variantId);
+    const items = await wishlistService.list(locals.user.id);
+    return jsonResponse({ success: true, items });
+  } catch (error) {
+    return errorResponse(error);
+  }
+};
@@ -6,6 +6,7 @@ const PATHS_TO_EXCLUDE = ["/api", "/dashboard", "/sitemap.xml"];
 export const GET: APIRoute = async ({ url }) => {
   // Usar o Turso DB em vez de astro:db
   const allPosts = await getPosts();
+  const allProducts = await getProducts();
 
   // Get all static routes from the pages directory
   const pages = import.meta.glob("/src/pages/**/!(*.ts|*.js|*.mdx)");
@@ -55,6 +56,18 @@ export const GET: APIRoute = async ({ url }) => {
       `
         )
         .join("")}
+      ${allProducts
+        .map(
+          (product: any) => `
+        <url>
+          <loc>${url.origin}/produto/${encodeURIComponent(product.slug)}</loc>
+          <lastmod>${product.updated_at ? new Date(`${product.updated_at.replace(" ", "T")}Z`).toISOString() : new Date().toISOString()}</lastmod>
+          <changefreq>weekly</changefreq>
+          <priority>0.9</priority>
+        </url>
+      `
+        )
+        .join("")}
     </urlset>`;
 
   return new Response(sitemap, {
@@ -78,4 +91,21 @@ async function getPosts() {
     console.error('Error fetching posts for sitemap:', error);
     return [];
   }
-}
\ No newline at end of file
+}
+
+// Produtos ativos de lojas aprovadas e ativas (os demais ficam fora da vitrine)
+async function getProducts() {
+  try {
+    const result = await executeQuery<any>(
+      `SELECT p.slug, p.updated_at FROM products p
+       JOIN vendors v ON p.vendor_id = v.id
+       WHERE p.is_active = 1 AND v.is_approved = 1 AND v.is_active = 1
+       ORDER BY p.id`
+    );
+
+    return result.rows || [];
+  } catch (error) {
+    console.error('Error fetching products for sitemap:', error);
+    return [];
+  }
+}
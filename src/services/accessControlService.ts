@@ -0,0 +1,442 @@
+/**
+ * Controle de acesso
+ *
+ * Resolve papéis e permissões de um usuário (as regras de checagem ficam em
+ * src/lib/rbac.ts), atribui os papéis de equipe, controla o acesso de um
+ * administrador como outro usuário e grava a trilha de auditoria das ações
+ * administrativas (admin_audit_log).
+ *
+ * Durante o acesso como outro usuário, a requisição passa a ter o usuário
+ * alvo e só as permissões dele; o administrador fica em
+ * locals.impersonator e toda escrita é auditada em seu nome (ver
+ * src/middleware.ts). Não é possível acessar como outro membro da equipe.
+ */
+
+import { z } from 'zod';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { adminEmails, isBootstrapAdmin } from '../lib/admin';
+import { GRANTABLE_ROLES, ROLES, type Access, type GrantableRole, type Permission, type Role } from '../lib/rbac';
+import { ServiceError } from './errors';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Acesso como outro usuário expira sozinho depois deste tempo
+export const IMPERSONATION_TTL_MINUTES = 60;
+
+export const userRolesSchema = z.object({
+  roles: z.array(z.enum(GRANTABLE_ROLES)).max(GRANTABLE_ROLES.length)
+});
+
+export const impersonationSchema = z.object({
+  userId: z.string().trim().min(1, 'Informe o usuário'),
+  reason: z.string().trim().min(5, 'Informe o motivo do acesso').max(500)
+});
+
+export interface AuditContext {
+  /** Quem agiu de fato (o administrador, mesmo durante o acesso como outro usuário) */
+  actorUserId: string;
+  impersonatedUserId?: string | null;
+  ipAddress?: string | null;
+  userAgent?: string | null;
+}
+
+export interface AuditEntry {
+  action: string;
+  targetType?: string | null;
+  targetId?: string | number | null;
+  details?: unknown;
+}
+
+export interface AuditLogEntry {
+  id: number;
+  actorUserId: string;
+  actorEmail: string | null;
+  impersonatedUserId: string | null;
+  action: string;
+  targetType: string | null;
+  targetId: string | null;
+  details: unknown;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+}
+
+export interface Impersonation {
+  id: number;
+  sessionId: string;
+  adminUserId: string;
+  targetUserId: string;
+  reason: string;
+  startedAt: string;
+}
+
+interface AccessUser {
+  id: string;
+  email?: string | null;
+  emailVerified?: boolean | null;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+function clampPage(value: number | undefined, fallback: number, max: number): number {
+  return Math.min(Math.max(Math.trunc(Number(value) || fallback), 1), max);
+}
+
+function mapImpersonation(row: any): Impersonation {
+  return {
+    id: Number(row.id),
+    sessionId: row.session_id,
+    adminUserId: row.admin_user_id,
+    targetUserId: row.target_user_id,
+    reason: row.reason,
+    startedAt: row.started_at
+  };
+}
+
+function mapAuditEntry(row: any): AuditLogEntry {
+  return {
+    id: Number(row.id),
+    actorUserId: row.actor_user_id,
+    actorEmail: row.actor_email ?? null,
+    impersonatedUserId: row.impersonated_user_id ?? null,
+    action: row.action,
+    targetType: row.target_type ?? null,
+    targetId: row.target_id ?? null,
+    details: row.details ? JSON.parse(row.details) : null,
+    ipAddress: row.ip_address ?? null,
+    userAgent: row.user_agent ?? null,
+    createdAt: row.created_at
+  };
+}
+
+// IP e navegador da requisição para a trilha de auditoria
+export function auditContextFromRequest(
+  request: Request,
+  actorUserId: string,
+  impersonatedUserId: string | null = null
+): AuditContext {
+  return {
+    actorUserId,
+    impersonatedUserId,
+    ipAddress: request.headers.get('cf-connecting-ip') || request.headers.get('x-forwarded-for') || null,
+    userAgent: request.headers.get('user-agent')?.slice(0, 500) || null
+  };
+}
+
+/**
+ * Serviço de controle de acesso
+ */
+class AccessControlService {
+  /**
+   * Papéis e permissões do usuário
+   * @param {AccessUser} user - Usuário autenticado (id, email e emailVerified)
+   * @param {string | null} impersonatorId - Administrador acessando como este usuário
+   * @returns {Promise<Access>} Acesso para as checagens de src/lib/rbac.ts
+   */
+  async getAccess(user: AccessUser, impersonatorId: string | null = null): Promise<Access> {
+    const [granted, vendor] = await Promise.all([
+      executeQuery<any>(
+        `SELECT r.name FROM user_roles ur JOIN roles r ON ur.role_id = r.id WHERE ur.user_id = ?`,
+        [user.id]
+      ),
+      executeQuery<any>(`SELECT id FROM vendors WHERE user_id = ? AND is_approved = 1 LIMIT 1`, [user.id])
+    ]);
+
+    const roles = new Set<Role>(['customer']);
+    for (const row of granted.rows) {
+      if ((ROLES as readonly string[]).includes(row.name)) roles.add(row.name as Role);
+    }
+    if (isBootstrapAdmin(user)) roles.add('admin');
+
+    const vendorId = vendor.rows.length > 0 ? Number(vendor.rows[0].id) : null;
+    if (vendorId !== null) roles.add('vendor');
+
+    const roleNames = [...roles];
+    const grants = await executeQuery<any>(
+      `SELECT r.name, rp.permission FROM role_permissions rp JOIN roles r ON rp.role_id = r.id
+       WHERE r.name IN (${placeholders(roleNames)})`,
+      roleNames
+    );
+
+    // Permissões do papel vendor valem só para a própria loja
+    const permissions = new Set<Permission>();
+    const vendorPermissions = new Set<Permission>();
+    for (const row of grants.rows) {
+      (row.name === 'vendor' ? vendorPermissions : permissions).add(row.permission as Permission);
+    }
+
+    return {
+      userId: user.id,
+      roles: roleNames,
+      permissions: [...permissions],
+      vendorId,
+      vendorPermissions: [...vendorPermissions].filter((permission) => !permissions.has(permission)),
+      impersonatorId,
+      emailVerified: Boolean(user.emailVerified)
+    };
+  }
+
+  /**
+   * Papéis de equipe atribuídos a um usuário
+   * @param {string} userId - Usuário
+   * @returns {Promise<GrantableRole[]>} Papéis em user_roles
+   */
+  async getGrantedRoles(userId: string): Promise<GrantableRole[]> {
+    const result = await executeQuery<any>(
+      `SELECT r.name FROM user_roles ur JOIN roles r ON ur.role_id = r.id WHERE ur.user_id = ? ORDER BY r.id ASC`,
+      [userId]
+    );
+    return result.rows.map((row: any) => row.name as GrantableRole);
+  }
+
+  /**
+   * Substitui os papéis de equipe de um usuário
+   * @param {string} userId - Usuário que recebe os papéis
+   * @param {unknown} rawInput - { roles: ('support' | 'admin')[] }
+   * @param {AuditContext} context - Administrador que fez a mudança
+   * @returns {Promise<GrantableRole[]>} Papéis atribuídos
+   */
+  async setUserRoles(userId: string, rawInput: unknown, context: AuditContext): Promise<GrantableRole[]> {
+    const parsed = userRolesSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Papéis inválidos', details: parsed.error.flatten() });
+    }
+
+    const roles = [...new Set(parsed.data.roles)];
+
+    // Sem isso um administrador poderia ficar sem ninguém para devolver o acesso
+    if (userId === context.actorUserId && !roles.includes('admin')) {
+      throw new ServiceError({ code: 'CONFLICT', message: 'Você não pode remover o próprio papel de administrador' });
+    }
+
+    const before = await executeTransaction(async (tx) => {
+      const user = await tx.execute({ sql: `SELECT id FROM User WHERE id = ?`, args: [userId] });
+      if (user.rows.length === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Usuário não encontrado' });
+      }
+
+      const current = await tx.execute({
+        sql: `SELECT r.name FROM user_roles ur JOIN roles r ON ur.role_id = r.id WHERE ur.user_id = ?`,
+        args: [userId]
+      });
+
+      // Papéis mantidos preservam quem os atribuiu originalmente
+      await tx.execute({
+        sql: `DELETE FROM user_roles
+              WHERE user_id = ? AND role_id IN (
+                SELECT id FROM roles WHERE name IN (${placeholders([...GRANTABLE_ROLES])})
+                AND name NOT IN (${placeholders(roles)})
+              )`,
+        args: [userId, ...GRANTABLE_ROLES, ...roles]
+      });
+
+      if (roles.length > 0) {
+        await tx.execute({
+          sql: `INSERT OR IGNORE INTO user_roles (user_id, role_id, granted_by)
+                SELECT ?, id, ? FROM roles WHERE name IN (${placeholders(roles)})`,
+          args: [userId, context.actorUserId, ...roles]
+        });
+      }
+
+      const previous = current.rows.map((row) => String(row.name));
+
+      // Sessões abertas trocam de ID na próxima requisição quando os privilégios mudam
+      const changed = previous.length !== roles.length || previous.some((name) => !roles.includes(name as GrantableRole));
+      if (changed) {
+        await tx.execute({ sql: `UPDATE Session SET rotationPending = 1 WHERE userId = ?`, args: [userId] });
+      }
+
+      return previous;
+    });
+
+    await this.audit(context, { action: 'roles:update', targetType: 'user', targetId: userId, details: { before, after: roles } });
+
+    return this.getGrantedRoles(userId);
+  }
+
+  /**
+   * Emails de quem tem a permissão por um papel de equipe (avisos administrativos)
+   * @param {Permission} permission - Ex.: 'vendors:review'
+   * @returns {Promise<string[]>} Emails sem repetição, incluindo ADMIN_EMAILS quando admin tem a permissão
+   */
+  async listEmailsWithPermission(permission: Permission): Promise<string[]> {
+    const [holders, adminGrant] = await Promise.all([
+      executeQuery<any>(
+        `SELECT DISTINCT u.email FROM User u
+         JOIN user_roles ur ON ur.user_id = u.id
+         JOIN role_permissions rp ON rp.role_id = ur.role_id
+         WHERE rp.permission = ?`,
+        [permission]
+      ),
+      executeQuery<any>(
+        `SELECT 1 FROM role_permissions rp JOIN roles r ON rp.role_id = r.id WHERE r.name = 'admin' AND rp.permission = ?`,
+        [permission]
+      )
+    ]);
+
+    const emails = new Set<string>(holders.rows.map((row: any) => String(row.email).toLowerCase()));
+    if (adminGrant.rows.length > 0) {
+      for (const email of adminEmails()) emails.add(email);
+    }
+    return [...emails];
+  }
+
+  /**
+   * Acesso como outro usuário em andamento na sessão de login
+   * @param {string} sessionId - Session do administrador
+   * @returns {Promise<Impersonation | null>} Acesso ativo ou null (inexistente, encerrado ou expirado)
+   */
+  async getImpersonation(sessionId: string): Promise<Impersonation | null> {
+    const result = await executeQuery<any>(
+      `SELECT * FROM impersonation_sessions
+       WHERE session_id = ? AND ended_at IS NULL AND started_at > datetime('now', ?)
+       LIMIT 1`,
+      [sessionId, `-${IMPERSONATION_TTL_MINUTES} minutes`]
+    );
+    return result.rows.length > 0 ? mapImpersonation(result.rows[0]) : null;
+  }
+
+  /**
+   * Começa a acessar a loja como outro usuário (cliente ou vendedor)
+   * @param {string} sessionId - Session do administrador
+   * @param {unknown} rawInput - { userId, reason }
+   * @param {AuditContext} context - Administrador
+   * @returns {Promise<Impersonation>} Acesso iniciado
+   */
+  async startImpersonation(sessionId: string, rawInput: unknown, context: AuditContext): Promise<Impersonation> {
+    const parsed = impersonationSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Dados do acesso inválidos', details: parsed.error.flatten() });
+    }
+
+    const { userId, reason } = parsed.data;
+
+    if (userId === context.actorUserId) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Escolha outro usuário' });
+    }
+
+    const target = await executeQuery<any>(`SELECT id, email, emailVerified FROM User WHERE id = ?`, [userId]);
+    if (target.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Usuário não encontrado' });
+    }
+
+    const targetAccess = await this.getAccess({
+      id: userId,
+      email: target.rows[0].email,
+      emailVerified: Boolean(target.rows[0].emailVerified)
+    });
+    if (targetAccess.roles.some((role) => (GRANTABLE_ROLES as readonly string[]).includes(role))) {
+      throw new ServiceError({ code: 'FORBIDDEN', message: 'Não é possível acessar como outro membro da equipe' });
+    }
+
+    const impersonation = await executeTransaction(async (tx) => {
+      await tx.execute({
+        sql: `UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP WHERE session_id = ? AND ended_at IS NULL`,
+        args: [sessionId]
+      });
+
+      const inserted = await tx.execute({
+        sql: `INSERT INTO impersonation_sessions (session_id, admin_user_id, target_user_id, reason)
+              VALUES (?, ?, ?, ?) RETURNING *`,
+        args: [sessionId, context.actorUserId, userId, reason]
+      });
+      return mapImpersonation(inserted.rows[0]);
+    });
+
+    await this.audit(
+      { ...context, impersonatedUserId: userId },
+      { action: 'impersonation:start', targetType: 'user', targetId: userId, details: { reason } }
+    );
+
+    return impersonation;
+  }
+
+  /**
+   * Encerra o acesso como outro usuário da sessão de login
+   * @param {string} sessionId - Session do administrador
+   * @param {AuditContext} context - Administrador
+   * @returns {Promise<Impersonation>} Acesso encerrado
+   */
+  async endImpersonation(sessionId: string, context: AuditContext): Promise<Impersonation> {
+    const ended = await executeQuery<any>(
+      `UPDATE impersonation_sessions SET ended_at = CURRENT_TIMESTAMP
+       WHERE session_id = ? AND ended_at IS NULL
+       RETURNING *`,
+      [sessionId]
+    );
+
+    if (ended.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Nenhum acesso como outro usuário em andamento' });
+    }
+
+    const impersonation = mapImpersonation(ended.rows[0]);
+    await this.audit(
+      { ...context, impersonatedUserId: impersonation.targetUserId },
+      { action: 'impersonation:end', targetType: 'user', targetId: impersonation.targetUserId }
+    );
+
+    return impersonation;
+  }
+
+  /**
+   * Grava uma ação na trilha de auditoria
+   * @param {AuditContext} context - Autor, usuário representado, IP e navegador
+   * @param {AuditEntry} entry - Ação, alvo e detalhes
+   */
+  async audit(context: AuditContext, entry: AuditEntry): Promise<void> {
+    await executeQuery(
+      `INSERT INTO admin_audit_log (
+         actor_user_id, impersonated_user_id, action, target_type, target_id, details, ip_address, user_agent
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        context.actorUserId,
+        context.impersonatedUserId ?? null,
+        entry.action,
+        entry.targetType ?? null,
+        entry.targetId !== undefined && entry.targetId !== null ? String(entry.targetId) : null,
+        entry.details !== undefined ? JSON.stringify(entry.details) : null,
+        context.ipAddress ?? null,
+        context.userAgent ?? null
+      ]
+    );
+  }
+
+  /**
+   * Consulta a trilha de auditoria, mais recentes primeiro
+   * @param {object} options - Filtros por autor, usuário representado e ação (prefixo, ex.: 'impersonation')
+   * @returns {Promise<object>} Registros da página e total
+   */
+  async listAuditLog(
+    options: { actorUserId?: string; impersonatedUserId?: string; action?: string; page?: number; limit?: number } = {}
+  ): Promise<{ entries: AuditLogEntry[]; total: number; page: number; limit: number }> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const actor = options.actorUserId || null;
+    const impersonated = options.impersonatedUserId || null;
+    const action = options.action ? `${options.action}%` : null;
+
+    const where = `(? IS NULL OR a.actor_user_id = ?) AND (? IS NULL OR a.impersonated_user_id = ?) AND (? IS NULL OR a.action LIKE ?)`;
+    const args = [actor, actor, impersonated, impersonated, action, action];
+
+    const [rows, count] = await Promise.all([
+      executeQuery<any>(
+        `SELECT a.*, u.email AS actor_email FROM admin_audit_log a
+         LEFT JOIN User u ON a.actor_user_id = u.id
+         WHERE ${where}
+         ORDER BY a.created_at DESC, a.id DESC
+         LIMIT ? OFFSET ?`,
+        [...args, limit, (page - 1) * limit]
+      ),
+      executeQuery<any>(`SELECT COUNT(*) AS total FROM admin_audit_log a WHERE ${where}`, args)
+    ]);
+
+    return { entries: rows.rows.map(mapAuditEntry), total: Number(count.rows[0]?.total ?? 0), page, limit };
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const accessControlService = new AccessControlService();
+export default accessControlService;
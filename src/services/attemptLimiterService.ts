@@ -0,0 +1,351 @@
+/**
+ * Limite de tentativas de autenticação
+ *
+ * Conta tentativas por chave (email da conta ou IP) com espera exponencial entre
+ * elas e bloqueio temporário depois de muitas falhas. O estado fica no Durable
+ * Object AttemptLimiterDO (um objeto por chave) ou, sem o binding, na tabela
+ * auth_attempts; nos dois casos as gravações usam controle de versão, então
+ * requisições simultâneas não se perdem. Login, recuperação de senha e cadastro
+ * usam o mesmo serviço, cada um com sua política.
+ */
+
+import type { DurableObjectNamespace, DurableObjectStub } from '@cloudflare/workers-types';
+import { executeQuery } from '../db/turso-client';
+import { ServiceError } from './errors';
+
+export interface AttemptPolicy {
+  /** Tentativas seguidas sem espera */
+  freeAttempts: number;
+  /** Espera após a primeira tentativa além das livres; dobra a cada nova tentativa */
+  baseDelaySeconds: number;
+  maxDelaySeconds: number;
+  /** Tentativas que bloqueiam a chave por lockoutSeconds */
+  lockoutAfter: number;
+  lockoutSeconds: number;
+  /** Sem tentativas neste intervalo, a contagem recomeça */
+  windowSeconds: number;
+}
+
+export const ATTEMPT_SCOPES = ['login_account', 'login_ip', 'password_reset_ip', 'sign_up_ip'] as const;
+export type AttemptScope = (typeof ATTEMPT_SCOPES)[number];
+
+export const ATTEMPT_POLICIES: Record<AttemptScope, AttemptPolicy> = {
+  // Senhas erradas para um email (qualquer IP): ataque direcionado a uma conta
+  login_account: {
+    freeAttempts: 5,
+    baseDelaySeconds: 2,
+    maxDelaySeconds: 120,
+    lockoutAfter: 10,
+    lockoutSeconds: 15 * 60,
+    windowSeconds: 60 * 60
+  },
+  // Senhas erradas vindas de um IP (qualquer conta): credential stuffing
+  login_ip: {
+    freeAttempts: 20,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 300,
+    lockoutAfter: 100,
+    lockoutSeconds: 60 * 60,
+    windowSeconds: 60 * 60
+  },
+  // Pedidos de link de recuperação de um IP (todos contam)
+  password_reset_ip: {
+    freeAttempts: 5,
+    baseDelaySeconds: 10,
+    maxDelaySeconds: 600,
+    lockoutAfter: 30,
+    lockoutSeconds: 60 * 60,
+    windowSeconds: 60 * 60
+  },
+  // Contas criadas a partir de um IP (todas contam)
+  sign_up_ip: {
+    freeAttempts: 5,
+    baseDelaySeconds: 30,
+    maxDelaySeconds: 900,
+    lockoutAfter: 20,
+    lockoutSeconds: 6 * 60 * 60,
+    windowSeconds: 24 * 60 * 60
+  }
+};
+
+const MAX_SAVE_ATTEMPTS = 3;
+// Contadores parados há mais tempo que a maior janela são removidos pela limpeza diária
+const STALE_AFTER_SECONDS = 24 * 60 * 60;
+
+export interface AttemptState {
+  failures: number;
+  blockedUntil: string | null;
+  lockedUntil: string | null;
+  lastAttemptAt: string | null;
+  version: number;
+}
+
+export interface AttemptStatus {
+  allowed: boolean;
+  /** Segundos até a próxima tentativa permitida (0 quando allowed) */
+  retryAfterSeconds: number;
+  /** Bloqueio temporário ativo (não só a espera entre tentativas) */
+  locked: boolean;
+  lockedUntil: string | null;
+  failures: number;
+}
+
+export interface AttemptFailure extends AttemptStatus {
+  /** Esta falha iniciou o bloqueio (avisar o dono da conta uma vez) */
+  lockedNow: boolean;
+}
+
+export interface AttemptStore {
+  load(): Promise<AttemptState>;
+  save(state: AttemptState, expectedVersion: number): Promise<AttemptState | null>;
+  clear(): Promise<void>;
+}
+
+const EMPTY_STATE: AttemptState = { failures: 0, blockedUntil: null, lockedUntil: null, lastAttemptAt: null, version: 0 };
+
+// Chave do contador (idFromName do Durable Object e auth_attempts.key)
+export function attemptKey(scope: AttemptScope, id: string): string {
+  return `${scope}:${id.trim().toLowerCase()}`;
+}
+
+const isFuture = (value: string | null, now: number) => value !== null && new Date(value).getTime() > now;
+
+/**
+ * Situação da chave em um instante, sem gravar nada
+ * @param {AttemptState} state - Contador guardado
+ * @param {AttemptPolicy} policy - Regras do escopo
+ * @param {number} now - Instante em milissegundos
+ * @returns {AttemptStatus} Se pode tentar e quanto falta esperar
+ */
+export function evaluateAttempts(state: AttemptState, policy: AttemptPolicy, now: number): AttemptStatus {
+  const expired = state.lastAttemptAt !== null && now - new Date(state.lastAttemptAt).getTime() > policy.windowSeconds * 1000;
+  const failures = expired ? 0 : state.failures;
+  const locked = isFuture(state.lockedUntil, now);
+
+  if (!isFuture(state.blockedUntil, now)) {
+    return { allowed: true, retryAfterSeconds: 0, locked: false, lockedUntil: null, failures };
+  }
+
+  return {
+    allowed: false,
+    retryAfterSeconds: Math.ceil((new Date(state.blockedUntil!).getTime() - now) / 1000),
+    locked,
+    lockedUntil: locked ? state.lockedUntil : null,
+    failures
+  };
+}
+
+/**
+ * Contador após mais uma tentativa: espera exponencial a partir de freeAttempts e
+ * bloqueio ao chegar em lockoutAfter
+ * @param {AttemptState} state - Contador guardado
+ * @param {AttemptPolicy} policy - Regras do escopo
+ * @param {number} now - Instante em milissegundos
+ * @returns {AttemptState} Novo estado (mesma versão; o store incrementa ao gravar)
+ */
+export function registerAttempt(state: AttemptState, policy: AttemptPolicy, now: number): AttemptState {
+  const failures = evaluateAttempts(state, policy, now).failures + 1;
+  const at = (seconds: number) => new Date(now + seconds * 1000).toISOString();
+
+  let blockedUntil: string | null = null;
+  let lockedUntil: string | null = isFuture(state.lockedUntil, now) ? state.lockedUntil : null;
+
+  if (failures >= policy.lockoutAfter) {
+    lockedUntil = lockedUntil ?? at(policy.lockoutSeconds);
+    blockedUntil = lockedUntil;
+  } else if (failures >= policy.freeAttempts) {
+    const delay = Math.min(policy.baseDelaySeconds * 2 ** (failures - policy.freeAttempts), policy.maxDelaySeconds);
+    blockedUntil = at(delay);
+  }
+
+  return { failures, blockedUntil, lockedUntil, lastAttemptAt: new Date(now).toISOString(), version: state.version };
+}
+
+/**
+ * Estado guardado no Durable Object de tentativas (src/workers/cart-worker.js)
+ */
+export class DurableObjectAttemptStore implements AttemptStore {
+  constructor(private stub: DurableObjectStub) {}
+
+  async load(): Promise<AttemptState> {
+    const response = await this.stub.fetch('https://attempts/state');
+    if (!response.ok) {
+      throw new Error(`AttemptLimiterDO respondeu ${response.status}`);
+    }
+    return (await response.json()) as AttemptState;
+  }
+
+  async save(state: AttemptState, expectedVersion: number): Promise<AttemptState | null> {
+    const response = await this.stub.fetch('https://attempts/state', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ state, expectedVersion })
+    });
+
+    if (response.status === 409) return null;
+    if (!response.ok) {
+      throw new Error(`AttemptLimiterDO respondeu ${response.status}`);
+    }
+    return (await response.json()) as AttemptState;
+  }
+
+  async clear(): Promise<void> {
+    const response = await this.stub.fetch('https://attempts/state', { method: 'DELETE' });
+    if (!response.ok) {
+      throw new Error(`AttemptLimiterDO respondeu ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Estado guardado em auth_attempts (ambientes sem o binding ATTEMPT_LIMITER_DO)
+ */
+export class DatabaseAttemptStore implements AttemptStore {
+  constructor(private key: string) {}
+
+  async load(): Promise<AttemptState> {
+    const result = await executeQuery<any>(`SELECT * FROM auth_attempts WHERE key = ?`, [this.key]);
+    return result.rows.length > 0 ? mapAttemptRow(result.rows[0]) : { ...EMPTY_STATE };
+  }
+
+  async save(state: AttemptState, expectedVersion: number): Promise<AttemptState | null> {
+    // Sem linha, expectedVersion é 0 e o INSERT vale; com linha, só grava se ninguém gravou antes
+    const result = await executeQuery<any>(
+      `INSERT INTO auth_attempts (key, failures, blocked_until, locked_until, last_attempt_at, version)
+       VALUES (?, ?, ?, ?, ?, 1)
+       ON CONFLICT(key) DO UPDATE SET
+         failures = excluded.failures,
+         blocked_until = excluded.blocked_until,
+         locked_until = excluded.locked_until,
+         last_attempt_at = excluded.last_attempt_at,
+         version = auth_attempts.version + 1
+       WHERE auth_attempts.version = ?
+       RETURNING *`,
+      [this.key, state.failures, state.blockedUntil, state.lockedUntil, state.lastAttemptAt, expectedVersion]
+    );
+    return result.rows.length > 0 ? mapAttemptRow(result.rows[0]) : null;
+  }
+
+  async clear(): Promise<void> {
+    await executeQuery(`DELETE FROM auth_attempts WHERE key = ?`, [this.key]);
+  }
+}
+
+function mapAttemptRow(row: any): AttemptState {
+  return {
+    failures: Number(row.failures),
+    blockedUntil: row.blocked_until ?? null,
+    lockedUntil: row.locked_until ?? null,
+    lastAttemptAt: row.last_attempt_at ?? null,
+    version: Number(row.version)
+  };
+}
+
+/**
+ * Escolhe onde guardar o contador: AttemptLimiterDO quando o binding existe, banco caso contrário
+ * @param {string} key - Chave do contador (attemptKey)
+ * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+ */
+export function getAttemptStore(key: string, env?: CloudflareEnv | null): AttemptStore {
+  const namespace = env?.ATTEMPT_LIMITER_DO as DurableObjectNamespace | undefined;
+  if (namespace) {
+    return new DurableObjectAttemptStore(namespace.get(namespace.idFromName(key)));
+  }
+  return new DatabaseAttemptStore(key);
+}
+
+/**
+ * Serviço de limite de tentativas
+ */
+class AttemptLimiterService {
+  /**
+   * Verifica se a chave pode tentar agora, sem contar a tentativa (login: conta só as falhas)
+   * @param {AttemptScope} scope - Política aplicada
+   * @param {string} id - Email ou IP
+   * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+   * @returns {Promise<AttemptStatus>} Se pode tentar e quanto falta esperar
+   */
+  async check(scope: AttemptScope, id: string, env?: CloudflareEnv | null): Promise<AttemptStatus> {
+    const state = await getAttemptStore(attemptKey(scope, id), env).load();
+    return evaluateAttempts(state, ATTEMPT_POLICIES[scope], Date.now());
+  }
+
+  /**
+   * Conta uma falha (senha errada) e calcula a espera seguinte
+   * @param {AttemptScope} scope - Política aplicada
+   * @param {string} id - Email ou IP
+   * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+   * @returns {Promise<AttemptFailure>} Situação após a falha; lockedNow na falha que iniciou o bloqueio
+   */
+  async recordFailure(scope: AttemptScope, id: string, env?: CloudflareEnv | null): Promise<AttemptFailure> {
+    const policy = ATTEMPT_POLICIES[scope];
+    const store = getAttemptStore(attemptKey(scope, id), env);
+
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const now = Date.now();
+      const state = await store.load();
+      const saved = await store.save(registerAttempt(state, policy, now), state.version);
+
+      if (saved) {
+        const status = evaluateAttempts(saved, policy, now);
+        return { ...status, lockedNow: status.locked && !isFuture(state.lockedUntil, now) };
+      }
+    }
+
+    throw new ServiceError({ code: 'CONFLICT', message: 'Muitas tentativas simultâneas. Tente novamente.' });
+  }
+
+  /**
+   * Verifica e conta a tentativa de uma vez (pedidos em que toda tentativa conta, como cadastro)
+   * @param {AttemptScope} scope - Política aplicada
+   * @param {string} id - Email ou IP
+   * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+   * @returns {Promise<AttemptStatus>} allowed false quando a tentativa foi recusada (e não contada)
+   */
+  async consume(scope: AttemptScope, id: string, env?: CloudflareEnv | null): Promise<AttemptStatus> {
+    const policy = ATTEMPT_POLICIES[scope];
+    const store = getAttemptStore(attemptKey(scope, id), env);
+
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const now = Date.now();
+      const state = await store.load();
+      const status = evaluateAttempts(state, policy, now);
+      if (!status.allowed) return status;
+
+      if (await store.save(registerAttempt(state, policy, now), state.version)) {
+        return status;
+      }
+    }
+
+    throw new ServiceError({ code: 'CONFLICT', message: 'Muitas tentativas simultâneas. Tente novamente.' });
+  }
+
+  /**
+   * Zera o contador (login certo, senha redefinida ou desbloqueio pelo atendimento)
+   * @param {AttemptScope} scope - Política aplicada
+   * @param {string} id - Email ou IP
+   * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+   */
+  async reset(scope: AttemptScope, id: string, env?: CloudflareEnv | null): Promise<void> {
+    await getAttemptStore(attemptKey(scope, id), env).clear();
+  }
+
+  /**
+   * Remove de auth_attempts os contadores parados (no Durable Object um alarme faz isso)
+   * @returns {Promise<number>} Contadores removidos
+   */
+  async cleanup(): Promise<number> {
+    const now = new Date().toISOString();
+    const cutoff = new Date(Date.now() - STALE_AFTER_SECONDS * 1000).toISOString();
+    const result = await executeQuery<any>(
+      `DELETE FROM auth_attempts
+       WHERE last_attempt_at < ? AND (blocked_until IS NULL OR blocked_until < ?)`,
+      [cutoff, now]
+    );
+    return result.rowsAffected;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const attemptLimiterService = new AttemptLimiterService();
+export default attemptLimiterService;
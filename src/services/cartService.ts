@@ -0,0 +1,633 @@
+/**
+ * Carrinho no servidor
+ *
+ * O carrinho do navegador (localStorage) é apenas uma cópia. Cada mudança chega
+ * como uma operação com ID próprio, é aplicada sobre o estado guardado (CartDO
+ * ou, sem o binding, as tabelas carts/cart_items) e o resultado é reprecificado
+ * com o catálogo atual. Mudança de preço e falta de estoque voltam como avisos.
+ *
+ * Os IDs das operações aplicadas ficam no estado: a fila offline do navegador
+ * pode ser reenviada sem duplicar itens.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import type { DurableObjectNamespace, DurableObjectStub } from '@cloudflare/workers-types';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { ServiceError } from './errors';
+import { reservedQuantitySql } from './stockReservationService';
+
+// Cookie que identifica o carrinho de visitante
+export const CART_SESSION_COOKIE = 'cart_session';
+
+// Regras para juntar o carrinho de visitante ao da conta no login:
+// sum soma as quantidades, max fica com a maior, account/guest dão prioridade a um dos lados
+export const CART_MERGE_STRATEGIES = ['sum', 'max', 'account', 'guest'] as const;
+export type CartMergeStrategy = (typeof CART_MERGE_STRATEGIES)[number];
+
+const MAX_QUANTITY_PER_ITEM = 99;
+const MAX_OPS_PER_SYNC = 100;
+// Histórico de operações guardado para reconhecer reenvios
+const MAX_APPLIED_OPS = 200;
+const MAX_SAVE_ATTEMPTS = 3;
+
+const productIdSchema = z.coerce.number().int().positive();
+const variantIdSchema = z.coerce.number().int().positive().nullish();
+const operationIdSchema = z.string().trim().min(1).max(64);
+
+export const cartOperationSchema = z.discriminatedUnion('type', [
+  z.object({
+    id: operationIdSchema,
+    type: z.literal('add'),
+    productId: productIdSchema,
+    variantId: variantIdSchema,
+    quantity: z.coerce.number().int().min(1).max(MAX_QUANTITY_PER_ITEM),
+    // Preço que o cliente viu ao adicionar (para avisar se mudou)
+    price: z.coerce.number().nonnegative().optional()
+  }),
+  z.object({
+    id: operationIdSchema,
+    type: z.literal('set'),
+    productId: productIdSchema,
+    variantId: variantIdSchema,
+    quantity: z.coerce.number().int().min(0).max(MAX_QUANTITY_PER_ITEM)
+  }),
+  z.object({
+    id: operationIdSchema,
+    type: z.literal('remove'),
+    productId: productIdSchema,
+    variantId: variantIdSchema
+  }),
+  z.object({
+    id: operationIdSchema,
+    type: z.literal('clear')
+  })
+]);
+
+export const cartSyncSchema = z.object({
+  ops: z.array(cartOperationSchema).max(MAX_OPS_PER_SYNC).default([])
+});
+
+export type CartOperation = z.infer<typeof cartOperationSchema>;
+
+// Item como fica guardado: o preço é o último exibido ao cliente
+export interface StoredCartItem {
+  productId: number;
+  variantId: number | null;
+  vendorId: number | null;
+  quantity: number;
+  unitPrice: number | null;
+}
+
+export interface CartState {
+  items: StoredCartItem[];
+  version: number;
+  appliedOps: string[];
+  updatedAt: string | null;
+}
+
+export interface CartLine {
+  productId: number;
+  variantId: number | null;
+  vendorId: number;
+  vendorName: string;
+  name: string;
+  slug: string;
+  image: string | null;
+  unitPrice: number;
+  totalPrice: number;
+  quantity: number;
+  /** Estoque disponível no momento da validação */
+  available: number;
+}
+
+export type CartNoticeType = 'price_changed' | 'quantity_adjusted' | 'out_of_stock' | 'unavailable';
+
+export interface CartNotice {
+  type: CartNoticeType;
+  productId: number;
+  variantId: number | null;
+  name: string | null;
+  message: string;
+  previousPrice?: number;
+  currentPrice?: number;
+  requested?: number;
+  available?: number;
+}
+
+export interface Cart {
+  items: CartLine[];
+  count: number;
+  subtotal: number;
+  version: number;
+  updatedAt: string | null;
+  notices: CartNotice[];
+}
+
+export type CartOwner = { userId: string } | { sessionId: string };
+
+// Onde o estado do carrinho é guardado; save devolve null se outra gravação venceu
+export interface CartStore {
+  load(): Promise<CartState>;
+  save(state: CartState, expectedVersion: number): Promise<CartState | null>;
+}
+
+const EMPTY_STATE: CartState = { items: [], version: 0, appliedOps: [], updatedAt: null };
+
+// Arredonda valores monetários para centavos
+function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+function formatPrice(value: number): string {
+  return `R$ ${value.toFixed(2).replace('.', ',')}`;
+}
+
+function sameLine(item: { productId: number; variantId: number | null }, productId: number, variantId?: number | null) {
+  return item.productId === productId && item.variantId === (variantId ?? null);
+}
+
+function toCart(lines: CartLine[], notices: CartNotice[], state: CartState): Cart {
+  return {
+    items: lines,
+    count: lines.reduce((total, line) => total + line.quantity, 0),
+    subtotal: roundCurrency(lines.reduce((total, line) => total + line.totalPrice, 0)),
+    version: state.version,
+    updatedAt: state.updatedAt,
+    notices
+  };
+}
+
+/**
+ * Aplica operações do navegador sobre os itens guardados
+ * @param {StoredCartItem[]} items - Itens atuais
+ * @param {CartOperation[]} ops - Operações ainda não aplicadas, na ordem em que foram feitas
+ * @returns {StoredCartItem[]} Novos itens (a lista original não é alterada)
+ */
+export function applyCartOperations(items: StoredCartItem[], ops: CartOperation[]): StoredCartItem[] {
+  let result = items.map((item) => ({ ...item }));
+
+  for (const op of ops) {
+    if (op.type === 'clear') {
+      result = [];
+      continue;
+    }
+
+    const existing = result.find((item) => sameLine(item, op.productId, op.variantId));
+
+    if (op.type === 'add') {
+      if (existing) {
+        existing.quantity = Math.min(existing.quantity + op.quantity, MAX_QUANTITY_PER_ITEM);
+      } else {
+        result.push({
+          productId: op.productId,
+          variantId: op.variantId ?? null,
+          vendorId: null,
+          quantity: op.quantity,
+          unitPrice: op.price ?? null
+        });
+      }
+    } else if (op.type === 'set' && op.quantity > 0) {
+      if (existing) existing.quantity = op.quantity;
+    } else {
+      result = result.filter((item) => item !== existing);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Junta os itens do carrinho de visitante aos da conta
+ * @param {StoredCartItem[]} account - Itens do carrinho da conta
+ * @param {StoredCartItem[]} guest - Itens do carrinho de visitante
+ * @param {CartMergeStrategy} strategy - Regra para itens presentes nos dois
+ * @returns {StoredCartItem[]} Itens da conta seguidos dos novos itens do visitante
+ */
+export function mergeCartItems(
+  account: StoredCartItem[],
+  guest: StoredCartItem[],
+  strategy: CartMergeStrategy
+): StoredCartItem[] {
+  const result = account.map((item) => ({ ...item }));
+
+  for (const item of guest) {
+    const existing = result.find((line) => sameLine(line, item.productId, item.variantId));
+
+    if (!existing) {
+      result.push({ ...item });
+    } else if (strategy === 'sum') {
+      existing.quantity = Math.min(existing.quantity + item.quantity, MAX_QUANTITY_PER_ITEM);
+    } else if (strategy === 'max') {
+      existing.quantity = Math.max(existing.quantity, item.quantity);
+    } else if (strategy === 'guest') {
+      existing.quantity = item.quantity;
+    }
+  }
+
+  return result;
+}
+
+// Chave do carrinho no CartDO (idFromName)
+export function cartKey(owner: CartOwner): string {
+  return 'userId' in owner ? `user:${owner.userId}` : `session:${owner.sessionId}`;
+}
+
+/**
+ * Garante a linha em carts do dono (também usada pelas reservas de estoque)
+ * @param {Transaction} tx - Transação em andamento
+ * @param {CartOwner} owner - Usuário ou sessão de visitante
+ * @returns {Promise<number>} carts.id
+ */
+export async function ensureCartRecord(tx: Transaction, owner: CartOwner): Promise<number> {
+  const column = 'userId' in owner ? 'user_id' : 'session_id';
+  const value = 'userId' in owner ? owner.userId : owner.sessionId;
+
+  await tx.execute({
+    sql: `INSERT INTO carts (${column}) VALUES (?) ON CONFLICT DO NOTHING`,
+    args: [value]
+  });
+
+  const result = await tx.execute({ sql: `SELECT id FROM carts WHERE ${column} = ?`, args: [value] });
+  return Number(result.rows[0].id);
+}
+
+/**
+ * Estado guardado no Durable Object do carrinho (src/workers/cart-worker.js)
+ */
+export class DurableObjectCartStore implements CartStore {
+  constructor(private stub: DurableObjectStub) {}
+
+  async load(): Promise<CartState> {
+    const response = await this.stub.fetch('https://cart/state');
+    if (!response.ok) {
+      throw new Error(`CartDO respondeu ${response.status}`);
+    }
+    return (await response.json()) as CartState;
+  }
+
+  async save(state: CartState, expectedVersion: number): Promise<CartState | null> {
+    const response = await this.stub.fetch('https://cart/state', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ state, expectedVersion })
+    });
+
+    if (response.status === 409) return null;
+    if (!response.ok) {
+      throw new Error(`CartDO respondeu ${response.status}`);
+    }
+    return (await response.json()) as CartState;
+  }
+}
+
+/**
+ * Estado guardado em carts/cart_items (ambientes sem o binding CART_DO)
+ */
+export class DatabaseCartStore implements CartStore {
+  constructor(private owner: CartOwner) {}
+
+  private get ownerColumn(): 'user_id' | 'session_id' {
+    return 'userId' in this.owner ? 'user_id' : 'session_id';
+  }
+
+  private get ownerValue(): string {
+    return 'userId' in this.owner ? this.owner.userId : this.owner.sessionId;
+  }
+
+  async load(): Promise<CartState> {
+    const cartResult = await executeQuery<any>(
+      `SELECT id, version, applied_ops, updated_at FROM carts WHERE ${this.ownerColumn} = ?`,
+      [this.ownerValue]
+    );
+    if (cartResult.rows.length === 0) return { ...EMPTY_STATE };
+
+    const cart = cartResult.rows[0];
+    const itemResult = await executeQuery<any>(
+      `SELECT product_id, variant_id, vendor_id, quantity, unit_price FROM cart_items WHERE cart_id = ? ORDER BY id ASC`,
+      [cart.id]
+    );
+
+    return {
+      items: itemResult.rows.map((row: any) => ({
+        productId: Number(row.product_id),
+        variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+        vendorId: Number(row.vendor_id),
+        quantity: Number(row.quantity),
+        unitPrice: row.unit_price !== null ? Number(row.unit_price) : null
+      })),
+      version: Number(cart.version),
+      appliedOps: cart.applied_ops ? JSON.parse(cart.applied_ops) : [],
+      updatedAt: cart.updated_at
+    };
+  }
+
+  async save(state: CartState, expectedVersion: number): Promise<CartState | null> {
+    const subtotal = roundCurrency(state.items.reduce((total, item) => total + (item.unitPrice ?? 0) * item.quantity, 0));
+    const appliedOps = JSON.stringify(state.appliedOps);
+
+    return executeTransaction(async (tx) => {
+      await ensureCartRecord(tx, this.owner);
+
+      const updated = await tx.execute({
+        sql: `UPDATE carts SET
+                version = version + 1,
+                applied_ops = ?,
+                subtotal_amount = ?,
+                total_amount = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE ${this.ownerColumn} = ? AND version = ?
+              RETURNING id`,
+        args: [appliedOps, subtotal, subtotal, this.ownerValue, expectedVersion]
+      });
+      if (updated.rows.length === 0) return null;
+      const cartId = Number(updated.rows[0].id);
+
+      await tx.execute({ sql: `DELETE FROM cart_items WHERE cart_id = ?`, args: [cartId] });
+
+      for (const item of state.items) {
+        const unitPrice = item.unitPrice ?? 0;
+        await tx.execute({
+          sql: `INSERT INTO cart_items (cart_id, product_id, variant_id, vendor_id, quantity, unit_price, total_price)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          args: [
+            cartId,
+            item.productId,
+            item.variantId,
+            item.vendorId,
+            item.quantity,
+            unitPrice,
+            roundCurrency(unitPrice * item.quantity)
+          ]
+        });
+      }
+
+      return { ...state, version: expectedVersion + 1, updatedAt: new Date().toISOString() };
+    });
+  }
+}
+
+/**
+ * Escolhe onde guardar o carrinho: CartDO quando o binding existe, banco caso contrário
+ * @param {CartOwner} owner - Usuário autenticado ou sessão de visitante
+ * @param {CloudflareEnv} env - Bindings do runtime (locals.runtime.env)
+ */
+export function getCartStore(owner: CartOwner, env?: CloudflareEnv | null): CartStore {
+  const namespace = env?.CART_DO as DurableObjectNamespace | undefined;
+  if (namespace) {
+    return new DurableObjectCartStore(namespace.get(namespace.idFromName(cartKey(owner))));
+  }
+  return new DatabaseCartStore(owner);
+}
+
+/**
+ * Serviço de carrinho
+ */
+class CartService {
+  /**
+   * Carrinho atual reprecificado
+   * @param {CartStore} store - Onde o carrinho está guardado
+   * @param {number | null} reservationCartId - carts.id do dono, se existir (ver revalidate)
+   * @returns {Promise<Cart>} Itens com preço e estoque atuais e avisos
+   */
+  async get(store: CartStore, reservationCartId: number | null = null): Promise<Cart> {
+    return this.sync(store, { ops: [] }, reservationCartId);
+  }
+
+  /**
+   * Aplica as operações enviadas pelo navegador e reprecifica o carrinho
+   * @param {CartStore} store - Onde o carrinho está guardado
+   * @param {unknown} rawInput - { ops: CartOperation[] }
+   * @param {number | null} reservationCartId - carts.id do dono, se existir (ver revalidate)
+   * @returns {Promise<Cart>} Estado autoritativo do carrinho e avisos
+   */
+  async sync(store: CartStore, rawInput: unknown, reservationCartId: number | null = null): Promise<Cart> {
+    const parsed = cartSyncSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Operações de carrinho inválidas',
+        details: parsed.error.flatten()
+      });
+    }
+
+    // Gravação otimista: se outra aba gravou antes, recarrega e aplica de novo
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const state = await store.load();
+      const applied = new Set(state.appliedOps);
+      const pending = parsed.data.ops.filter((op) => !applied.has(op.id));
+
+      const { lines, items, notices } = await this.revalidate(
+        applyCartOperations(state.items, pending),
+        reservationCartId
+      );
+
+      let saved: CartState | null = state;
+      if (pending.length > 0 || JSON.stringify(items) !== JSON.stringify(state.items)) {
+        saved = await store.save(
+          {
+            items,
+            version: state.version,
+            appliedOps: [...state.appliedOps, ...pending.map((op) => op.id)].slice(-MAX_APPLIED_OPS),
+            updatedAt: state.updatedAt
+          },
+          state.version
+        );
+      }
+
+      if (saved) return toCart(lines, notices, saved);
+    }
+
+    throw new ServiceError({
+      code: 'CONFLICT',
+      message: 'O carrinho foi alterado ao mesmo tempo em outro lugar. Tente novamente.'
+    });
+  }
+
+  /**
+   * Move o carrinho de visitante para o da conta (login)
+   * @param {CartStore} guestStore - Carrinho da sessão de visitante
+   * @param {CartStore} accountStore - Carrinho da conta
+   * @param {CartMergeStrategy} strategy - Regra para itens presentes nos dois
+   * @param {number | null} reservationCartId - carts.id da conta (ver revalidate)
+   * @returns {Promise<Cart | null>} Carrinho da conta após a junção, ou null se o visitante não tinha itens
+   */
+  async mergeGuestCart(
+    guestStore: CartStore,
+    accountStore: CartStore,
+    strategy: CartMergeStrategy,
+    reservationCartId: number | null = null
+  ): Promise<Cart | null> {
+    const guest = await guestStore.load();
+    if (guest.items.length === 0) return null;
+
+    for (let attempt = 0; attempt < MAX_SAVE_ATTEMPTS; attempt++) {
+      const account = await accountStore.load();
+      const { lines, items, notices } = await this.revalidate(
+        mergeCartItems(account.items, guest.items, strategy),
+        reservationCartId
+      );
+
+      const saved = await accountStore.save(
+        { items, version: account.version, appliedOps: account.appliedOps, updatedAt: account.updatedAt },
+        account.version
+      );
+
+      if (saved) {
+        // Sem itens no visitante, um novo login não junta tudo de novo
+        await guestStore.save({ ...guest, items: [] }, guest.version);
+        return toCart(lines, notices, saved);
+      }
+    }
+
+    throw new ServiceError({
+      code: 'CONFLICT',
+      message: 'O carrinho foi alterado ao mesmo tempo em outro lugar. Tente novamente.'
+    });
+  }
+
+  /**
+   * Esvazia o carrinho (pedido finalizado)
+   * @param {CartStore} store - Onde o carrinho está guardado
+   * @param {string} operationId - ID da operação, para não repetir a limpeza
+   */
+  async clear(store: CartStore, operationId: string): Promise<void> {
+    await this.sync(store, { ops: [{ id: operationId, type: 'clear' }] });
+  }
+
+  /**
+   * Confere cada item com o catálogo: preço atual, estoque e disponibilidade
+   * @param {StoredCartItem[]} items - Itens após aplicar as operações
+   * @param {number | null} reservationCartId - carts.id do próprio carrinho, cujas reservas não descontam do estoque
+   * @returns Linhas para exibição, itens a guardar e avisos ao cliente
+   */
+  async revalidate(
+    items: StoredCartItem[],
+    reservationCartId: number | null = null
+  ): Promise<{ lines: CartLine[]; items: StoredCartItem[]; notices: CartNotice[] }> {
+    if (items.length === 0) return { lines: [], items: [], notices: [] };
+
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const variantIds = [...new Set(items.map((item) => item.variantId).filter((id): id is number => id !== null))];
+
+    const [productResult, variantResult] = await Promise.all([
+      executeQuery<any>(
+        `SELECT p.id, p.name, p.slug, p.price, p.is_variable, p.is_active, p.vendor_id,
+           p.stock - ${reservedQuantitySql('p.id', null, true)} AS available_stock,
+           v.shop_name AS vendor_name, (v.is_active = 1 AND v.is_approved = 1) AS vendor_active,
+           (SELECT image_url FROM product_images
+            WHERE product_id = p.id AND variant_id IS NULL
+            ORDER BY is_default DESC, display_order ASC LIMIT 1) AS image_url
+         FROM products p
+         JOIN vendors v ON p.vendor_id = v.id
+         WHERE p.id IN (${placeholders(productIds)})`,
+        [reservationCartId, ...productIds]
+      ),
+      variantIds.length > 0
+        ? executeQuery<any>(
+            `SELECT pv.id, pv.product_id, pv.price, pv.is_active,
+               pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id', true)} AS available_stock,
+               (SELECT image_url FROM product_images
+                WHERE variant_id = pv.id
+                ORDER BY is_default DESC, display_order ASC LIMIT 1) AS image_url,
+               (SELECT GROUP_CONCAT(value, ' / ') FROM (
+                  SELECT COALESCE(pav.display_value, pav.value) AS value
+                  FROM product_attribute_values pav
+                  JOIN product_attribute_types pat ON pav.attribute_type_id = pat.id
+                  WHERE pav.variant_id = pv.id
+                  ORDER BY pat.display_order ASC
+                )) AS label
+             FROM product_variants pv
+             WHERE pv.id IN (${placeholders(variantIds)})`,
+            [reservationCartId, ...variantIds]
+          )
+        : Promise.resolve({ rows: [] as any[] })
+    ]);
+
+    const products = new Map<number, any>(productResult.rows.map((row: any) => [Number(row.id), row]));
+    const variants = new Map<number, any>(variantResult.rows.map((row: any) => [Number(row.id), row]));
+
+    const lines: CartLine[] = [];
+    const kept: StoredCartItem[] = [];
+    const notices: CartNotice[] = [];
+
+    for (const item of items) {
+      const product = products.get(item.productId);
+      const variant = item.variantId !== null ? variants.get(item.variantId) : null;
+      const name = product ? (variant?.label ? `${product.name} - ${variant.label}` : product.name) : null;
+      const notice = { productId: item.productId, variantId: item.variantId, name };
+
+      const sellable =
+        product &&
+        product.is_active &&
+        product.vendor_active &&
+        (item.variantId === null
+          ? !product.is_variable
+          : variant && variant.is_active && Number(variant.product_id) === item.productId);
+
+      if (!sellable) {
+        notices.push({
+          ...notice,
+          type: 'unavailable',
+          message: `${name ?? 'Um produto'} não está mais disponível e foi removido do carrinho`
+        });
+        continue;
+      }
+
+      const available = Math.max(Number((variant ?? product).available_stock ?? 0), 0);
+      if (available === 0) {
+        notices.push({ ...notice, type: 'out_of_stock', available, message: `${name} esgotou e foi removido do carrinho` });
+        continue;
+      }
+
+      let quantity = item.quantity;
+      if (quantity > available) {
+        notices.push({
+          ...notice,
+          type: 'quantity_adjusted',
+          requested: quantity,
+          available,
+          message: `${name}: só há ${available} em estoque, a quantidade foi ajustada`
+        });
+        quantity = available;
+      }
+
+      const unitPrice = roundCurrency(Number((variant ?? product).price));
+      if (item.unitPrice !== null && item.unitPrice !== unitPrice) {
+        notices.push({
+          ...notice,
+          type: 'price_changed',
+          previousPrice: item.unitPrice,
+          currentPrice: unitPrice,
+          message: `${name} mudou de ${formatPrice(item.unitPrice)} para ${formatPrice(unitPrice)}`
+        });
+      }
+
+      const vendorId = Number(product.vendor_id);
+      kept.push({ productId: item.productId, variantId: item.variantId, vendorId, quantity, unitPrice });
+      lines.push({
+        productId: item.productId,
+        variantId: item.variantId,
+        vendorId,
+        vendorName: product.vendor_name,
+        name,
+        slug: product.slug,
+        image: variant?.image_url || product.image_url || null,
+        unitPrice,
+        totalPrice: roundCurrency(unitPrice * quantity),
+        quantity,
+        available
+      });
+    }
+
+    return { lines, items: kept, notices };
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const cartService = new CartService();
+export default cartService;
@@ -0,0 +1,126 @@
+/**
+ * Serviço de consulta de CEP
+ *
+ * Consulta o provedor configurado com dois níveis de cache: um mapa em memória
+ * do isolate e, quando a rota recebe o binding, o KV (CACHE_KV). Se o provedor
+ * remoto falhar, a base offline responde ao menos cidade/UF.
+ */
+
+import { getCepProvider, normalizeCep, OfflineCepProvider, type CepAddress } from '../lib/cep';
+import { ServiceError } from './errors';
+
+// CEP não muda com frequência; ausências expiram antes para acompanhar CEPs novos
+const CACHE_TTL_SECONDS = 60 * 60 * 24 * 30;
+const NOT_FOUND_TTL_SECONDS = 60 * 60 * 24;
+const MEMORY_CACHE_SIZE = 500;
+
+// Subconjunto do KVNamespace usado aqui
+export interface CepCache {
+  get(key: string, type: 'json'): Promise<unknown>;
+  put(key: string, value: string, options?: { expirationTtl?: number }): Promise<void>;
+}
+
+interface CachedLookup {
+  address: CepAddress | null;
+}
+
+const fallbackProvider = new OfflineCepProvider();
+
+/**
+ * Serviço de endereços por CEP
+ */
+class CepService {
+  private memory = new Map<string, CachedLookup>();
+
+  /**
+   * Busca o endereço de um CEP
+   * @param {string} rawCep - CEP com ou sem máscara
+   * @param {CepCache} cache - KV opcional (locals.runtime.env.CACHE_KV)
+   * @returns {Promise<CepAddress>} Endereço encontrado
+   */
+  async lookup(rawCep: string, cache?: CepCache | null): Promise<CepAddress> {
+    const cep = normalizeCep(rawCep);
+    if (!cep) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'CEP inválido' });
+    }
+
+    const result = await this.resolve(cep, cache);
+    if (!result.address) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'CEP não encontrado' });
+    }
+
+    return result.address;
+  }
+
+  /**
+   * Busca o endereço sem lançar erro quando o CEP não existe
+   * @param {string} rawCep - CEP com ou sem máscara
+   * @returns {Promise<CepAddress | null>} Endereço ou null
+   */
+  async find(rawCep: string, cache?: CepCache | null): Promise<CepAddress | null> {
+    const cep = normalizeCep(rawCep);
+    return cep ? (await this.resolve(cep, cache)).address : null;
+  }
+
+  private async resolve(cep: string, cache?: CepCache | null): Promise<CachedLookup> {
+    const key = `cep:${cep}`;
+
+    const inMemory = this.memory.get(key);
+    if (inMemory) return inMemory;
+
+    if (cache) {
+      try {
+        const stored = (await cache.get(key, 'json')) as CachedLookup | null;
+        if (stored) {
+          this.remember(key, stored);
+          return stored;
+        }
+      } catch (error) {
+        console.error('Erro ao ler CEP do KV:', error);
+      }
+    }
+
+    let address: CepAddress | null;
+    let cacheable = true;
+
+    try {
+      address = await getCepProvider().lookup(cep);
+    } catch (error) {
+      // Provedor fora do ar: responde pela base offline sem gravar no cache
+      console.error('Erro no provedor de CEP, usando base offline:', error);
+      address = await fallbackProvider.lookup(cep);
+      cacheable = false;
+    }
+
+    const result: CachedLookup = { address };
+
+    if (cacheable) {
+      this.remember(key, result);
+
+      if (cache) {
+        try {
+          await cache.put(key, JSON.stringify(result), {
+            expirationTtl: address ? CACHE_TTL_SECONDS : NOT_FOUND_TTL_SECONDS
+          });
+        } catch (error) {
+          console.error('Erro ao gravar CEP no KV:', error);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // Mantém o cache em memória limitado descartando as entradas mais antigas
+  private remember(key: string, value: CachedLookup): void {
+    if (this.memory.size >= MEMORY_CACHE_SIZE) {
+      const oldest = this.memory.keys().next().value;
+      if (oldest !== undefined) this.memory.delete(oldest);
+    }
+    this.memory.set(key, value);
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const cepService = new CepService();
+export default cepService;
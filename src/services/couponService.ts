@@ -0,0 +1,338 @@
+/**
+ * Cupons de desconto
+ *
+ * Valida um cupom contra o carrinho (ativo, janela de datas, pedido mínimo,
+ * limites de uso) e calcula o desconto linha a linha apenas nos itens
+ * elegíveis pelas coupon_rules (categoria, vendedor ou produto). Sem regras,
+ * todos os itens são elegíveis.
+ *
+ * Os limites são reavaliados de forma atômica na transação do pedido
+ * (redeem); a avaliação do carrinho é apenas uma prévia.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery } from '../db/turso-client';
+import { ServiceError } from './errors';
+
+// Cookie com o cupom aplicado ao carrinho; o checkout o usa quando o pedido não informa outro
+export const COUPON_COOKIE = 'cart_coupon';
+
+// Motivos de recusa devolvidos em details.reason
+export type CouponRejectionReason =
+  | 'not_found'
+  | 'inactive'
+  | 'not_started'
+  | 'expired'
+  | 'usage_limit_reached'
+  | 'user_limit_reached'
+  | 'minimum_not_reached'
+  | 'no_eligible_items';
+
+const REJECTION_MESSAGES: Record<CouponRejectionReason, string> = {
+  not_found: 'Cupom não encontrado',
+  inactive: 'Este cupom não está mais ativo',
+  not_started: 'Este cupom ainda não está valendo',
+  expired: 'Este cupom expirou',
+  usage_limit_reached: 'Este cupom atingiu o limite de usos',
+  user_limit_reached: 'Você já usou este cupom o número máximo de vezes',
+  minimum_not_reached: 'O pedido não atingiu o valor mínimo do cupom',
+  no_eligible_items: 'Nenhum item do carrinho participa desta promoção'
+};
+
+export const couponCodeSchema = z
+  .string()
+  .trim()
+  .min(1, 'Informe o código do cupom')
+  .max(50)
+  .transform((value) => value.toUpperCase());
+
+export interface CouponLine {
+  productId: number;
+  variantId: number | null;
+  quantity: number;
+}
+
+export interface CouponLineDiscount extends CouponLine {
+  unitPrice: number;
+  totalPrice: number;
+  eligible: boolean;
+  discount: number;
+}
+
+export interface CouponEvaluation {
+  couponId: number;
+  code: string;
+  description: string | null;
+  discountType: 'percentage' | 'fixed';
+  /** Percentual ou valor fixo cadastrado no cupom */
+  value: number;
+  subtotal: number;
+  eligibleSubtotal: number;
+  discountAmount: number;
+  lines: CouponLineDiscount[];
+}
+
+// Arredonda valores monetários para centavos
+function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+function reject(reason: CouponRejectionReason, details: Record<string, unknown> = {}): never {
+  throw new ServiceError({
+    code: reason === 'not_found' ? 'NOT_FOUND' : 'BAD_REQUEST',
+    message: REJECTION_MESSAGES[reason],
+    details: { reason, ...details }
+  });
+}
+
+// Datas do SQLite (AAAA-MM-DD[ HH:MM:SS], UTC); data sem hora vale o dia inteiro no fim da janela
+function toTimestamp(value: string, endOfDay = false): number {
+  const normalized = value.includes(' ') || value.includes('T') ? value.replace(' ', 'T') : `${value}T${endOfDay ? '23:59:59' : '00:00:00'}`;
+  return Date.parse(/[zZ]|[+-]\d{2}:\d{2}$/.test(normalized) ? normalized : `${normalized}Z`);
+}
+
+/**
+ * Distribui o desconto entre as linhas elegíveis na proporção do valor de cada uma
+ * @param {number[]} totals - Valor de cada linha elegível
+ * @param {number} discount - Desconto total já limitado
+ * @returns {number[]} Desconto por linha; o resto dos centavos fica na última
+ */
+export function allocateDiscount(totals: number[], discount: number): number[] {
+  const base = totals.reduce((total, value) => total + value, 0);
+  if (base <= 0 || discount <= 0) return totals.map(() => 0);
+
+  let allocated = 0;
+  return totals.map((value, index) => {
+    const share = index === totals.length - 1 ? roundCurrency(discount - allocated) : roundCurrency((value / base) * discount);
+    allocated = roundCurrency(allocated + share);
+    return share;
+  });
+}
+
+/**
+ * Serviço de cupons de desconto
+ */
+class CouponService {
+  /**
+   * Valida o cupom e calcula o desconto para os itens do carrinho
+   * @param {string} rawCode - Código digitado pelo cliente
+   * @param {CouponLine[]} items - Itens do carrinho
+   * @param {string | null} userId - Usuário autenticado (limite por usuário)
+   * @param {Date} now - Data de referência da janela de validade
+   * @returns {Promise<CouponEvaluation>} Desconto total e por linha
+   */
+  async evaluate(
+    rawCode: string,
+    items: CouponLine[],
+    userId: string | null,
+    now: Date = new Date()
+  ): Promise<CouponEvaluation> {
+    const parsedCode = couponCodeSchema.safeParse(rawCode);
+    if (!parsedCode.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Código de cupom inválido' });
+    }
+
+    if (items.length === 0) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Carrinho vazio' });
+    }
+
+    const couponResult = await executeQuery<any>(`SELECT * FROM coupons WHERE UPPER(code) = ?`, [parsedCode.data]);
+    if (couponResult.rows.length === 0) reject('not_found');
+
+    const coupon = couponResult.rows[0];
+    const couponId = Number(coupon.id);
+
+    if (!coupon.is_active) reject('inactive');
+    if (coupon.start_date && toTimestamp(String(coupon.start_date)) > now.getTime()) {
+      reject('not_started', { startDate: coupon.start_date });
+    }
+    if (coupon.end_date && toTimestamp(String(coupon.end_date), true) < now.getTime()) {
+      reject('expired', { endDate: coupon.end_date });
+    }
+    if (coupon.usage_limit !== null && Number(coupon.usage_count ?? 0) >= Number(coupon.usage_limit)) {
+      reject('usage_limit_reached');
+    }
+
+    if (userId && coupon.per_user_limit !== null) {
+      const used = await executeQuery<any>(
+        `SELECT COUNT(*) AS total FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ?`,
+        [couponId, userId]
+      );
+      if (Number(used.rows[0].total) >= Number(coupon.per_user_limit)) reject('user_limit_reached');
+    }
+
+    const lines = await this.loadLines(couponId, items);
+    const subtotal = roundCurrency(lines.reduce((total, line) => total + line.totalPrice, 0));
+
+    const minimum = Number(coupon.minimum_order_amount ?? 0);
+    if (subtotal < minimum) {
+      reject('minimum_not_reached', { minimumOrderAmount: minimum, missing: roundCurrency(minimum - subtotal) });
+    }
+
+    const eligible = lines.filter((line) => line.eligible);
+    if (eligible.length === 0) reject('no_eligible_items');
+
+    const eligibleSubtotal = roundCurrency(eligible.reduce((total, line) => total + line.totalPrice, 0));
+    const value = Number(coupon.discount_amount);
+    const discountType = coupon.discount_type === 'percentage' ? 'percentage' : 'fixed';
+
+    let discountAmount = discountType === 'percentage' ? (eligibleSubtotal * value) / 100 : value;
+    if (coupon.maximum_discount_amount !== null) {
+      discountAmount = Math.min(discountAmount, Number(coupon.maximum_discount_amount));
+    }
+    discountAmount = roundCurrency(Math.min(discountAmount, eligibleSubtotal));
+
+    const shares = allocateDiscount(
+      eligible.map((line) => line.totalPrice),
+      discountAmount
+    );
+    eligible.forEach((line, index) => (line.discount = shares[index]));
+
+    return {
+      couponId,
+      code: String(coupon.code),
+      description: coupon.description ?? null,
+      discountType,
+      value,
+      subtotal,
+      eligibleSubtotal,
+      discountAmount,
+      lines
+    };
+  }
+
+  /**
+   * Registra o uso do cupom na transação do pedido
+   *
+   * Incrementa usage_count só se ainda houver saldo e confere o limite por
+   * usuário dentro da mesma transação de escrita, evitando que dois pedidos
+   * simultâneos ultrapassem os limites.
+   * @param {Transaction} tx - Transação do checkout
+   * @param {CouponEvaluation} evaluation - Avaliação feita antes da transação
+   * @param {string} userId - Usuário do pedido
+   * @param {number} orderId - Pedido recém-criado
+   */
+  async redeem(tx: Transaction, evaluation: CouponEvaluation, userId: string, orderId: number): Promise<void> {
+    const updated = await tx.execute({
+      sql: `UPDATE coupons SET usage_count = COALESCE(usage_count, 0) + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND is_active = 1 AND (usage_limit IS NULL OR COALESCE(usage_count, 0) < usage_limit)`,
+      args: [evaluation.couponId]
+    });
+
+    if (updated.rowsAffected === 0) reject('usage_limit_reached');
+
+    const coupon = await tx.execute({
+      sql: `SELECT c.per_user_limit,
+              (SELECT COUNT(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id AND r.user_id = ?) AS used
+            FROM coupons c WHERE c.id = ?`,
+      args: [userId, evaluation.couponId]
+    });
+    const { per_user_limit: perUserLimit, used } = coupon.rows[0];
+
+    if (perUserLimit !== null && Number(used) >= Number(perUserLimit)) reject('user_limit_reached');
+
+    await tx.execute({
+      sql: `INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount) VALUES (?, ?, ?, ?)`,
+      args: [evaluation.couponId, userId, orderId, evaluation.discountAmount]
+    });
+  }
+
+  /**
+   * Devolve o uso do cupom de um pedido cancelado ou reembolsado
+   * @param {Transaction} tx - Transação da mudança de status
+   * @param {number} orderId - Pedido cancelado ou reembolsado
+   */
+  async release(tx: Transaction, orderId: number): Promise<void> {
+    const removed = await tx.execute({
+      sql: `DELETE FROM coupon_redemptions WHERE order_id = ? RETURNING coupon_id`,
+      args: [orderId]
+    });
+
+    for (const row of removed.rows) {
+      await tx.execute({
+        sql: `UPDATE coupons SET usage_count = MAX(COALESCE(usage_count, 0) - 1, 0), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        args: [row.coupon_id]
+      });
+    }
+  }
+
+  // Preços atuais do catálogo e elegibilidade de cada linha pelas regras do cupom
+  private async loadLines(couponId: number, items: CouponLine[]): Promise<CouponLineDiscount[]> {
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const variantIds = [...new Set(items.map((item) => item.variantId).filter((id): id is number => id !== null))];
+
+    const [productResult, variantResult, rulesResult] = await Promise.all([
+      executeQuery<any>(
+        `SELECT id, vendor_id, category_id, price FROM products WHERE id IN (${placeholders(productIds)}) AND is_active = 1`,
+        productIds
+      ),
+      variantIds.length > 0
+        ? executeQuery<any>(
+            `SELECT id, product_id, price FROM product_variants WHERE id IN (${placeholders(variantIds)}) AND is_active = 1`,
+            variantIds
+          )
+        : Promise.resolve({ rows: [] as any[] }),
+      // Regras por categoria valem também para as subcategorias
+      executeQuery<any>(
+        `WITH RECURSIVE rule_categories(id) AS (
+           SELECT rule_id FROM coupon_rules WHERE coupon_id = ? AND rule_type = 'category'
+           UNION
+           SELECT c.id FROM categories c JOIN rule_categories rc ON c.parent_id = rc.id
+         )
+         SELECT 'category' AS rule_type, id AS rule_id FROM rule_categories
+         UNION ALL
+         SELECT rule_type, rule_id FROM coupon_rules WHERE coupon_id = ? AND rule_type IN ('vendor', 'product')`,
+        [couponId, couponId]
+      )
+    ]);
+
+    const products = new Map<number, any>(productResult.rows.map((row: any) => [Number(row.id), row]));
+    const variants = new Map<number, any>(variantResult.rows.map((row: any) => [Number(row.id), row]));
+
+    const rules = { category: new Set<number>(), vendor: new Set<number>(), product: new Set<number>() };
+    rulesResult.rows.forEach((row: any) => rules[row.rule_type as keyof typeof rules]?.add(Number(row.rule_id)));
+    const unrestricted = rules.category.size === 0 && rules.vendor.size === 0 && rules.product.size === 0;
+
+    const missing = items.filter(
+      (item) =>
+        !products.has(item.productId) ||
+        (item.variantId !== null && Number(variants.get(item.variantId)?.product_id) !== item.productId)
+    );
+
+    if (missing.length > 0) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Alguns itens do carrinho não foram encontrados',
+        details: { missing: missing.map((item) => ({ productId: item.productId, variantId: item.variantId })) }
+      });
+    }
+
+    return items.map((item) => {
+      const product = products.get(item.productId);
+      const unitPrice = roundCurrency(Number((item.variantId !== null ? variants.get(item.variantId) : product).price));
+
+      return {
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity: item.quantity,
+        unitPrice,
+        totalPrice: roundCurrency(unitPrice * item.quantity),
+        eligible:
+          unrestricted ||
+          rules.product.has(item.productId) ||
+          rules.vendor.has(Number(product.vendor_id)) ||
+          rules.category.has(Number(product.category_id)),
+        discount: 0
+      };
+    });
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const couponService = new CouponService();
+export default couponService;
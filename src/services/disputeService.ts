@@ -0,0 +1,147 @@
+/**
+ * Disputas
+ *
+ * Decisão administrativa sobre disputas abertas entre comprador e loja.
+ * Resolver a favor do comprador estorna o valor aprovado da parte da loja no
+ * livro de repasses (ver ledgerService); enquanto a disputa está aberta ou em
+ * mediação, a venda correspondente não entra em nenhum extrato.
+ */
+
+import { z } from 'zod';
+import { executeTransaction } from '../db/turso-client';
+import { ServiceError } from './errors';
+import ledgerService from './ledgerService';
+
+export const DISPUTE_STATUSES = ['open', 'mediation', 'resolved_buyer', 'resolved_vendor', 'closed'] as const;
+export type DisputeStatus = (typeof DISPUTE_STATUSES)[number];
+
+// Status a partir dos quais a disputa ainda pode mudar
+const OPEN_STATUSES: DisputeStatus[] = ['open', 'mediation'];
+
+export const disputeResolutionSchema = z
+  .object({
+    status: z.enum(['mediation', 'resolved_buyer', 'resolved_vendor', 'closed']),
+    // Valor devolvido ao comprador e estornado da loja
+    approvedAmount: z.coerce.number().positive().transform((value) => Math.round(value * 100) / 100).optional(),
+    resolution: z.string().trim().max(2000).optional()
+  })
+  .refine((input) => input.status !== 'resolved_buyer' || input.approvedAmount !== undefined, {
+    message: 'Informe o valor aprovado para o comprador',
+    path: ['approvedAmount']
+  })
+  .refine((input) => input.status === 'mediation' || Boolean(input.resolution), {
+    message: 'Descreva a resolução da disputa',
+    path: ['resolution']
+  });
+
+export interface Dispute {
+  id: number;
+  orderId: number;
+  orderItemId: number | null;
+  userId: string;
+  vendorId: number;
+  status: DisputeStatus;
+  type: string;
+  reason: string;
+  requestedAmount: number | null;
+  approvedAmount: number | null;
+  resolution: string | null;
+  resolvedAt: string | null;
+  createdAt: string;
+}
+
+function mapDispute(row: any): Dispute {
+  return {
+    id: Number(row.id),
+    orderId: Number(row.order_id),
+    orderItemId: row.order_item_id !== null ? Number(row.order_item_id) : null,
+    userId: row.user_id,
+    vendorId: Number(row.vendor_id),
+    status: row.status as DisputeStatus,
+    type: row.type,
+    reason: row.reason,
+    requestedAmount: row.requested_amount !== null ? Number(row.requested_amount) : null,
+    approvedAmount: row.approved_amount !== null ? Number(row.approved_amount) : null,
+    resolution: row.resolution ?? null,
+    resolvedAt: row.resolved_at ?? null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Serviço de disputas
+ */
+class DisputeService {
+  /**
+   * Move uma disputa aberta para mediação ou a encerra
+   * @param {number} disputeId - Disputa
+   * @param {unknown} rawInput - { status, approvedAmount?, resolution? }
+   * @param {string} actor - Administrador que decidiu
+   * @returns {Promise<Dispute>} Disputa atualizada
+   */
+  async resolve(disputeId: number, rawInput: unknown, actor: string): Promise<Dispute> {
+    const parsed = disputeResolutionSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Resolução inválida', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+    const resolved = input.status !== 'mediation';
+
+    return executeTransaction(async (tx) => {
+      // Compare-and-set: só disputas ainda abertas mudam, uma decisão por vez
+      const updated = await tx.execute({
+        sql: `UPDATE disputes SET
+                status = ?,
+                approved_amount = ?,
+                resolution = COALESCE(?, resolution),
+                resolved_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE resolved_at END,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+              RETURNING *`,
+        args: [
+          input.status,
+          input.status === 'resolved_buyer' ? input.approvedAmount! : null,
+          input.resolution || null,
+          resolved ? 1 : 0,
+          disputeId,
+          ...OPEN_STATUSES
+        ]
+      });
+
+      if (updated.rows.length === 0) {
+        const current = await tx.execute({ sql: `SELECT status FROM disputes WHERE id = ?`, args: [disputeId] });
+        if (current.rows.length === 0) {
+          throw new ServiceError({ code: 'NOT_FOUND', message: 'Disputa não encontrada' });
+        }
+        throw new ServiceError({
+          code: 'CONFLICT',
+          message: 'Esta disputa já foi encerrada',
+          details: { status: current.rows[0].status }
+        });
+      }
+
+      const dispute = mapDispute(updated.rows[0]);
+
+      if (dispute.status === 'resolved_buyer') {
+        await ledgerService.reverseForDispute(
+          tx,
+          {
+            id: dispute.id,
+            orderId: dispute.orderId,
+            orderItemId: dispute.orderItemId,
+            vendorId: dispute.vendorId,
+            approvedAmount: dispute.approvedAmount ?? 0
+          },
+          actor
+        );
+      }
+
+      return dispute;
+    });
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const disputeService = new DisputeService();
+export default disputeService;
@@ -0,0 +1,39 @@
+/**
+ * Erros de domínio compartilhados pelos serviços
+ *
+ * Os serviços lançam ServiceError com um código estável; as rotas de API e as
+ * actions convertem esse código no status HTTP / ActionError correspondente.
+ */
+
+export type ServiceErrorCode =
+  | 'BAD_REQUEST'
+  | 'UNAUTHORIZED'
+  | 'FORBIDDEN'
+  | 'NOT_FOUND'
+  | 'CONFLICT'
+  | 'INTERNAL_SERVER_ERROR';
+
+const STATUS_BY_CODE: Record<ServiceErrorCode, number> = {
+  BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  INTERNAL_SERVER_ERROR: 500
+};
+
+export class ServiceError extends Error {
+  code: ServiceErrorCode;
+  details?: unknown;
+
+  constructor({ code, message, details }: { code: ServiceErrorCode; message: string; details?: unknown }) {
+    super(message);
+    this.code = code;
+    this.details = details;
+    this.name = 'ServiceError';
+  }
+
+  get status(): number {
+    return STATUS_BY_CODE[this.code];
+  }
+}
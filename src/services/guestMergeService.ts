@@ -0,0 +1,121 @@
+/**
+ * Junção dos dados de visitante na conta, executada no login
+ *
+ * Leva para a conta o carrinho da sessão de visitante (regra de conflito em
+ * CART_MERGE_STRATEGY), as reservas de estoque dessa sessão e a lista de
+ * desejos que o navegador guardava localmente. Falhas são registradas sem
+ * impedir o login.
+ */
+
+import { executeTransaction } from '../db/turso-client';
+import cartService, {
+  CART_MERGE_STRATEGIES,
+  CART_SESSION_COOKIE,
+  ensureCartRecord,
+  getCartStore,
+  type CartMergeStrategy
+} from './cartService';
+import wishlistService from './wishlistService';
+
+export interface GuestMergeContext {
+  /** Cabeçalhos da requisição de login (cookie da sessão de carrinho) */
+  headers?: Headers;
+  /** Bindings do runtime, para usar o CartDO quando disponível */
+  env?: CloudflareEnv | null;
+  /** Lista de desejos do navegador */
+  wishlist?: unknown;
+}
+
+export interface GuestMergeResult {
+  cartItems: number;
+  reservationsMoved: number;
+  wishlistAdded: number;
+}
+
+function readCookie(headers: Headers | undefined, name: string): string | null {
+  const match = headers?.get('cookie')?.match(new RegExp(`(?:^|;)\\s*${name}=([^;]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Regra configurada para itens presentes nos dois carrinhos (padrão: somar)
+export function getCartMergeStrategy(): CartMergeStrategy {
+  const configured = import.meta.env.CART_MERGE_STRATEGY as CartMergeStrategy | undefined;
+  return configured && CART_MERGE_STRATEGIES.includes(configured) ? configured : 'sum';
+}
+
+/**
+ * Serviço de junção de dados de visitante
+ */
+class GuestMergeService {
+  /**
+   * Junta carrinho, reservas e lista de desejos do visitante na conta
+   * @param {string} userId - Usuário que acabou de entrar
+   * @param {GuestMergeContext} context - Dados da requisição de login
+   * @returns {Promise<GuestMergeResult>} O que foi levado para a conta
+   */
+  async mergeOnSignIn(userId: string, context: GuestMergeContext = {}): Promise<GuestMergeResult> {
+    const result: GuestMergeResult = { cartItems: 0, reservationsMoved: 0, wishlistAdded: 0 };
+    const sessionId = readCookie(context.headers, CART_SESSION_COOKIE);
+
+    if (sessionId) {
+      try {
+        // Reservas primeiro: na junção, as unidades já presas pelo visitante contam como da conta
+        const { accountCartId, moved } = await this.moveReservations(sessionId, userId);
+        result.reservationsMoved = moved;
+
+        const cart = await cartService.mergeGuestCart(
+          getCartStore({ sessionId }, context.env),
+          getCartStore({ userId }, context.env),
+          getCartMergeStrategy(),
+          accountCartId
+        );
+        result.cartItems = cart?.items.length ?? 0;
+        await this.removeGuestCart(sessionId);
+      } catch (error) {
+        console.error('Erro ao juntar carrinho de visitante:', error);
+      }
+    }
+
+    if (context.wishlist) {
+      try {
+        result.wishlistAdded = await wishlistService.merge(userId, context.wishlist);
+      } catch (error) {
+        console.error('Erro ao juntar lista de desejos:', error);
+      }
+    }
+
+    return result;
+  }
+
+  // Reservas da sessão passam para o carrinho da conta
+  private async moveReservations(sessionId: string, userId: string): Promise<{ accountCartId: number; moved: number }> {
+    return executeTransaction(async (tx) => {
+      const accountCartId = await ensureCartRecord(tx, { userId });
+
+      const moved = await tx.execute({
+        sql: `UPDATE stock_reservations
+              SET cart_id = ?, user_id = ?, session_id = NULL, updated_at = CURRENT_TIMESTAMP
+              WHERE order_id IS NULL
+                AND (session_id = ? OR cart_id IN (SELECT id FROM carts WHERE session_id = ?))`,
+        args: [accountCartId, userId, sessionId, sessionId]
+      });
+
+      return { accountCartId, moved: moved.rowsAffected };
+    });
+  }
+
+  // Depois da junção, o carrinho de visitante deixa de existir
+  private async removeGuestCart(sessionId: string): Promise<void> {
+    await executeTransaction(async (tx) => {
+      await tx.execute({
+        sql: `DELETE FROM cart_items WHERE cart_id IN (SELECT id FROM carts WHERE session_id = ?)`,
+        args: [sessionId]
+      });
+      await tx.execute({ sql: `DELETE FROM carts WHERE session_id = ?`, args: [sessionId] });
+    });
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const guestMergeService = new GuestMergeService();
+export default guestMergeService;
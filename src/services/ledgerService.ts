@@ -0,0 +1,702 @@
+/**
+ * Livro de repasses aos vendedores
+ *
+ * Quando o pedido é pago, cada item vira um lançamento de venda com o valor
+ * bruto (total do item menos o desconto de cupom), a comissão do marketplace
+ * (vendors.commission_rate vigente na venda), a parcela da taxa do gateway e o
+ * líquido devido à loja. O frete de cada envio entra como lançamento próprio,
+ * sem comissão. A taxa do gateway não vem na resposta do pagamento: é
+ * calculada pela tabela contratada (GATEWAY_FEES) e rateada entre os
+ * lançamentos do pedido na proporção do valor bruto.
+ *
+ * Cancelamentos, reembolsos, envios cancelados/devolvidos e disputas
+ * resolvidas a favor do comprador não apagam lançamentos: geram estornos
+ * (valores negativos) ligados ao lançamento original. A comissão e a taxa
+ * voltam proporcionalmente à loja; a taxa não recuperada fica com o
+ * marketplace.
+ *
+ * O fechamento do ciclo (closePayoutCycle) agrupa por loja os lançamentos
+ * liberados em um extrato (vendor_payouts): vendas de envios entregues há
+ * mais que o prazo de devolução da loja e sem disputa aberta, além de estornos
+ * de vendas já repassadas. Saldos negativos ficam para o ciclo seguinte.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { csvDecimal, toCsv } from '../lib/csv';
+import type { PaymentMethod } from '../lib/payments';
+import { ServiceError } from './errors';
+
+export const DEFAULT_PAYOUT_PAGE_SIZE = 20;
+export const MAX_PAYOUT_PAGE_SIZE = 100;
+
+export const LEDGER_ENTRY_TYPES = ['sale', 'shipping', 'refund', 'dispute'] as const;
+export type LedgerEntryType = (typeof LEDGER_ENTRY_TYPES)[number];
+
+export const PAYOUT_STATUSES = ['pending', 'paid'] as const;
+export type PayoutStatus = (typeof PAYOUT_STATUSES)[number];
+
+// Taxas contratadas com o gateway por meio de pagamento (percentual sobre o valor pago + valor fixo)
+export const GATEWAY_FEES: Record<PaymentMethod, { percentage: number; fixed: number }> = {
+  credit_card: { percentage: 3.99, fixed: 0 },
+  pix: { percentage: 0.99, fixed: 0 },
+  boleto: { percentage: 0, fixed: 3.49 }
+};
+
+// Disputas que ainda podem terminar em estorno seguram o repasse da venda
+const OPEN_DISPUTE_STATUSES = ['open', 'mediation'];
+
+export const markPayoutPaidSchema = z.object({
+  reference: z.string().trim().min(1, 'Informe o comprovante da transferência').max(200)
+});
+
+export interface LedgerEntry {
+  id: number;
+  vendorId: number;
+  orderId: number;
+  orderNumber: string;
+  orderItemId: number | null;
+  productName: string | null;
+  entryType: LedgerEntryType;
+  grossAmount: number;
+  commissionRate: number;
+  commissionAmount: number;
+  gatewayFeeAmount: number;
+  netAmount: number;
+  reversesEntryId: number | null;
+  reference: string | null;
+  notes: string | null;
+  createdAt: string;
+}
+
+export interface Payout {
+  id: number;
+  vendorId: number;
+  shopName: string;
+  periodStart: string;
+  periodEnd: string;
+  status: PayoutStatus;
+  entryCount: number;
+  grossAmount: number;
+  commissionAmount: number;
+  gatewayFeeAmount: number;
+  netAmount: number;
+  payoutReference: string | null;
+  paidAt: string | null;
+  paidBy: string | null;
+  createdAt: string;
+}
+
+export interface PayoutDetails extends Payout {
+  entries: LedgerEntry[];
+}
+
+export interface ReversalOptions {
+  entryType: Extract<LedgerEntryType, 'refund' | 'dispute'>;
+  /** Origem do estorno (ex.: 'order:canceled', 'shipment:7', 'dispute:3'); um estorno por origem e lançamento */
+  reference: string;
+  actor: string;
+  notes?: string | null;
+}
+
+// Arredonda valores monetários para centavos
+function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+function clampPage(value: number | undefined, fallback: number, max: number): number {
+  return Math.min(Math.max(Math.trunc(Number(value) || fallback), 1), max);
+}
+
+// Divide um total em centavos na proporção dos pesos; a sobra do arredondamento vai para a maior parcela
+function allocate(total: number, weights: number[]): number[] {
+  const sum = weights.reduce((acc, weight) => acc + weight, 0);
+  if (sum <= 0 || total === 0) return weights.map(() => 0);
+
+  const shares = weights.map((weight) => roundCurrency((total * weight) / sum));
+  const remainder = roundCurrency(total - shares.reduce((acc, share) => acc + share, 0));
+  if (remainder !== 0) {
+    const largest = weights.indexOf(Math.max(...weights));
+    shares[largest] = roundCurrency(shares[largest] + remainder);
+  }
+  return shares;
+}
+
+function gatewayFee(method: string, amount: number): number {
+  const fee = GATEWAY_FEES[method as PaymentMethod];
+  return fee ? roundCurrency((amount * fee.percentage) / 100 + fee.fixed) : 0;
+}
+
+function mapEntry(row: any): LedgerEntry {
+  return {
+    id: Number(row.id),
+    vendorId: Number(row.vendor_id),
+    orderId: Number(row.order_id),
+    orderNumber: row.order_number,
+    orderItemId: row.order_item_id !== null ? Number(row.order_item_id) : null,
+    productName: row.product_name ?? null,
+    entryType: row.entry_type as LedgerEntryType,
+    grossAmount: Number(row.gross_amount),
+    commissionRate: Number(row.commission_rate),
+    commissionAmount: Number(row.commission_amount),
+    gatewayFeeAmount: Number(row.gateway_fee_amount),
+    netAmount: Number(row.net_amount),
+    reversesEntryId: row.reverses_entry_id !== null ? Number(row.reverses_entry_id) : null,
+    reference: row.reference ?? null,
+    notes: row.notes ?? null,
+    createdAt: row.created_at
+  };
+}
+
+function mapPayout(row: any): Payout {
+  return {
+    id: Number(row.id),
+    vendorId: Number(row.vendor_id),
+    shopName: row.shop_name,
+    periodStart: row.period_start,
+    periodEnd: row.period_end,
+    status: row.status as PayoutStatus,
+    entryCount: Number(row.entry_count),
+    grossAmount: Number(row.gross_amount),
+    commissionAmount: Number(row.commission_amount),
+    gatewayFeeAmount: Number(row.gateway_fee_amount),
+    netAmount: Number(row.net_amount),
+    payoutReference: row.payout_reference ?? null,
+    paidAt: row.paid_at ?? null,
+    paidBy: row.paid_by ?? null,
+    createdAt: row.created_at
+  };
+}
+
+const ENTRY_TYPE_LABELS: Record<LedgerEntryType, string> = {
+  sale: 'Venda',
+  shipping: 'Frete',
+  refund: 'Estorno',
+  dispute: 'Disputa'
+};
+
+/**
+ * Serviço do livro de repasses
+ */
+class LedgerService {
+  /**
+   * Lança as vendas e o frete de um pedido pago
+   *
+   * Idempotente: um pedido que já tem lançamentos não é lançado de novo.
+   * @param {Transaction} tx - Transação da mudança de status do pedido
+   * @param {number} orderId - Pedido pago
+   * @returns {Promise<number>} Quantidade de lançamentos criados
+   */
+  async recordSale(tx: Transaction, orderId: number): Promise<number> {
+    const existing = await tx.execute({
+      sql: `SELECT 1 FROM vendor_ledger_entries WHERE order_id = ? AND entry_type IN ('sale', 'shipping') LIMIT 1`,
+      args: [orderId]
+    });
+    if (existing.rows.length > 0) return 0;
+
+    const items = await tx.execute({
+      sql: `SELECT i.id, i.vendor_id, i.total_price, COALESCE(i.discount_amount, 0) AS discount_amount,
+              COALESCE(v.commission_rate, 0) AS commission_rate
+            FROM order_items i
+            JOIN vendors v ON i.vendor_id = v.id
+            WHERE i.order_id = ?
+            ORDER BY i.id ASC`,
+      args: [orderId]
+    });
+
+    const shipments = await tx.execute({
+      sql: `SELECT vendor_id, shipping_amount FROM order_shipments
+            WHERE order_id = ? AND COALESCE(shipping_amount, 0) > 0
+            ORDER BY vendor_id ASC`,
+      args: [orderId]
+    });
+
+    // Pedido marcado como pago sem pagamento aprovado (ex.: baixa manual) não tem taxa de gateway
+    const payment = await tx.execute({
+      sql: `SELECT payment_method, amount FROM payments
+            WHERE order_id = ? AND payment_status = 'approved'
+            ORDER BY id DESC LIMIT 1`,
+      args: [orderId]
+    });
+
+    const lines = [
+      ...items.rows.map((row) => {
+        const gross = roundCurrency(Math.max(Number(row.total_price) - Number(row.discount_amount), 0));
+        const rate = Number(row.commission_rate);
+        return {
+          vendorId: Number(row.vendor_id),
+          orderItemId: Number(row.id) as number | null,
+          entryType: 'sale' as const,
+          gross,
+          rate,
+          commission: roundCurrency((gross * rate) / 100)
+        };
+      }),
+      ...shipments.rows.map((row) => ({
+        vendorId: Number(row.vendor_id),
+        orderItemId: null,
+        entryType: 'shipping' as const,
+        gross: roundCurrency(Number(row.shipping_amount)),
+        rate: 0,
+        commission: 0
+      }))
+    ];
+    if (lines.length === 0) return 0;
+
+    const fee = payment.rows.length > 0
+      ? gatewayFee(String(payment.rows[0].payment_method), Number(payment.rows[0].amount))
+      : 0;
+    const fees = allocate(fee, lines.map((line) => line.gross));
+
+    for (const [index, line] of lines.entries()) {
+      await tx.execute({
+        sql: `INSERT INTO vendor_ledger_entries (
+                vendor_id, order_id, order_item_id, entry_type, gross_amount, commission_rate,
+                commission_amount, gateway_fee_amount, net_amount, reference, created_by
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'system')`,
+        args: [
+          line.vendorId,
+          orderId,
+          line.orderItemId,
+          line.entryType,
+          line.gross,
+          line.rate,
+          line.commission,
+          fees[index],
+          roundCurrency(line.gross - line.commission - fees[index]),
+          `order:${orderId}`
+        ]
+      });
+    }
+
+    return lines.length;
+  }
+
+  /**
+   * Estorna o saldo restante dos lançamentos de um pedido (ou só da parte de uma loja)
+   *
+   * O saldo restante é o lançamento original somado aos estornos anteriores,
+   * então repetir o estorno (ou cancelar o pedido depois de cancelar o envio)
+   * não estorna duas vezes.
+   * @param {Transaction} tx - Transação aberta
+   * @param {number} orderId - Pedido
+   * @param {number | null} vendorId - Loja (null: todas as lojas do pedido)
+   * @param {ReversalOptions} options - Tipo, origem e autor do estorno
+   * @returns {Promise<number>} Quantidade de estornos criados
+   */
+  async reverseOrder(tx: Transaction, orderId: number, vendorId: number | null, options: ReversalOptions): Promise<number> {
+    const entries = await this.remainingEntries(tx, orderId, vendorId, null);
+    let created = 0;
+
+    for (const entry of entries) {
+      if (await this.insertReversal(tx, entry, 1, options)) created++;
+    }
+
+    return created;
+  }
+
+  /**
+   * Estorna o valor aprovado de uma disputa resolvida a favor do comprador
+   *
+   * O valor é rateado entre os lançamentos do item em disputa (ou de toda a
+   * parte da loja no pedido, quando a disputa não indica item), na proporção
+   * do bruto restante; nunca estorna mais do que ainda resta.
+   * @param {Transaction} tx - Transação aberta
+   * @param {object} dispute - Disputa resolvida
+   * @param {string} actor - Quem resolveu a disputa
+   * @returns {Promise<number>} Quantidade de estornos criados
+   */
+  async reverseForDispute(
+    tx: Transaction,
+    dispute: { id: number; orderId: number; orderItemId: number | null; vendorId: number; approvedAmount: number },
+    actor: string
+  ): Promise<number> {
+    const entries = await this.remainingEntries(tx, dispute.orderId, dispute.vendorId, dispute.orderItemId);
+    const remainingGross = roundCurrency(entries.reduce((acc, entry) => acc + entry.gross, 0));
+    if (remainingGross <= 0) return 0;
+
+    const amount = Math.min(roundCurrency(dispute.approvedAmount), remainingGross);
+    const shares = allocate(amount, entries.map((entry) => entry.gross));
+    let created = 0;
+
+    for (const [index, entry] of entries.entries()) {
+      if (shares[index] <= 0) continue;
+      const inserted = await this.insertReversal(tx, entry, shares[index] / entry.gross, {
+        entryType: 'dispute',
+        reference: `dispute:${dispute.id}`,
+        actor
+      });
+      if (inserted) created++;
+    }
+
+    return created;
+  }
+
+  /**
+   * Fecha o ciclo de repasse: gera um extrato por loja com os lançamentos liberados
+   *
+   * Reexecutar no mesmo dia não duplica extratos (um por loja e data de fechamento).
+   * @param {string} periodEnd - Data de fechamento (YYYY-MM-DD; padrão: hoje)
+   * @returns {Promise<object>} Extratos criados e lojas com saldo adiado para o próximo ciclo
+   */
+  async closePayoutCycle(periodEnd?: string): Promise<{ payouts: Payout[]; carriedOver: number[] }> {
+    const closingDate = periodEnd ?? new Date().toISOString().slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(closingDate)) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Data de fechamento inválida' });
+    }
+    const cutoff = `${closingDate} 23:59:59`;
+
+    const vendors = await executeQuery<any>(
+      `SELECT DISTINCT vendor_id FROM vendor_ledger_entries WHERE payout_id IS NULL ORDER BY vendor_id ASC`
+    );
+
+    const payoutIds: number[] = [];
+    const carriedOver: number[] = [];
+
+    for (const row of vendors.rows) {
+      const vendorId = Number(row.vendor_id);
+
+      const payoutId = await executeTransaction(async (tx) => {
+        const eligible = await this.releasedEntries(tx, vendorId, cutoff);
+        const net = roundCurrency(eligible.reduce((acc, entry) => acc + Number(entry.net_amount), 0));
+
+        if (eligible.length === 0 || net <= 0) {
+          if (eligible.length > 0) carriedOver.push(vendorId);
+          return null;
+        }
+
+        const previous = await tx.execute({
+          sql: `SELECT MAX(period_end) AS period_end FROM vendor_payouts WHERE vendor_id = ?`,
+          args: [vendorId]
+        });
+        const lastEnd = previous.rows[0]?.period_end as string | null;
+        if (lastEnd && lastEnd >= closingDate) return null;
+
+        const periodStart = lastEnd ?? eligible.reduce(
+          (earliest, entry) => (String(entry.created_at) < earliest ? String(entry.created_at) : earliest),
+          String(eligible[0].created_at)
+        ).slice(0, 10);
+
+        const inserted = await tx.execute({
+          sql: `INSERT INTO vendor_payouts (vendor_id, period_start, period_end) VALUES (?, ?, ?)
+                ON CONFLICT (vendor_id, period_end) DO NOTHING
+                RETURNING id`,
+          args: [vendorId, periodStart, closingDate]
+        });
+        if (inserted.rows.length === 0) return null;
+
+        const id = Number(inserted.rows[0].id);
+        const ids = eligible.map((entry) => Number(entry.id));
+
+        await tx.execute({
+          sql: `UPDATE vendor_ledger_entries SET payout_id = ?
+                WHERE id IN (${placeholders(ids)}) AND payout_id IS NULL`,
+          args: [id, ...ids]
+        });
+
+        // Totais a partir do que de fato foi marcado neste extrato
+        await tx.execute({
+          sql: `UPDATE vendor_payouts SET
+                  entry_count = (SELECT COUNT(*) FROM vendor_ledger_entries WHERE payout_id = ?1),
+                  gross_amount = (SELECT ROUND(COALESCE(SUM(gross_amount), 0), 2) FROM vendor_ledger_entries WHERE payout_id = ?1),
+                  commission_amount = (SELECT ROUND(COALESCE(SUM(commission_amount), 0), 2) FROM vendor_ledger_entries WHERE payout_id = ?1),
+                  gateway_fee_amount = (SELECT ROUND(COALESCE(SUM(gateway_fee_amount), 0), 2) FROM vendor_ledger_entries WHERE payout_id = ?1),
+                  net_amount = (SELECT ROUND(COALESCE(SUM(net_amount), 0), 2) FROM vendor_ledger_entries WHERE payout_id = ?1),
+                  updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?1`,
+          args: [id]
+        });
+
+        return id;
+      });
+
+      if (payoutId !== null) payoutIds.push(payoutId);
+    }
+
+    const payouts = payoutIds.length > 0
+      ? await executeQuery<any>(
+          `SELECT p.*, v.shop_name FROM vendor_payouts p JOIN vendors v ON p.vendor_id = v.id
+           WHERE p.id IN (${placeholders(payoutIds)}) ORDER BY p.id ASC`,
+          payoutIds
+        )
+      : { rows: [] as any[] };
+
+    return { payouts: payouts.rows.map(mapPayout), carriedOver };
+  }
+
+  /**
+   * Lista os extratos de repasse
+   * @param {object} options - Loja (omitida: todas), status e paginação
+   * @returns {Promise<object>} Extratos da página e total
+   */
+  async listPayouts(
+    options: { vendorId?: number; status?: string; page?: number; limit?: number } = {}
+  ): Promise<{ payouts: Payout[]; total: number; page: number; limit: number }> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_PAYOUT_PAGE_SIZE, MAX_PAYOUT_PAGE_SIZE);
+    const status = (PAYOUT_STATUSES as readonly string[]).includes(options.status ?? '') ? options.status : null;
+    const vendorId = options.vendorId ?? null;
+
+    const [rows, count] = await Promise.all([
+      executeQuery<any>(
+        `SELECT p.*, v.shop_name FROM vendor_payouts p JOIN vendors v ON p.vendor_id = v.id
+         WHERE (? IS NULL OR p.vendor_id = ?) AND (? IS NULL OR p.status = ?)
+         ORDER BY p.period_end DESC, p.id DESC
+         LIMIT ? OFFSET ?`,
+        [vendorId, vendorId, status, status, limit, (page - 1) * limit]
+      ),
+      executeQuery<any>(
+        `SELECT COUNT(*) AS total FROM vendor_payouts WHERE (? IS NULL OR vendor_id = ?) AND (? IS NULL OR status = ?)`,
+        [vendorId, vendorId, status, status]
+      )
+    ]);
+
+    return { payouts: rows.rows.map(mapPayout), total: Number(count.rows[0]?.total ?? 0), page, limit };
+  }
+
+  /**
+   * Busca um extrato com os lançamentos
+   * @param {number} payoutId - Extrato
+   * @param {number} vendorId - Loja dona do extrato (omitida no acesso administrativo)
+   * @returns {Promise<PayoutDetails>} Extrato e lançamentos
+   */
+  async getPayout(payoutId: number, vendorId?: number): Promise<PayoutDetails> {
+    const result = await executeQuery<any>(
+      `SELECT p.*, v.shop_name FROM vendor_payouts p JOIN vendors v ON p.vendor_id = v.id
+       WHERE p.id = ? AND (? IS NULL OR p.vendor_id = ?)`,
+      [payoutId, vendorId ?? null, vendorId ?? null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Repasse não encontrado' });
+    }
+
+    const entries = await executeQuery<any>(
+      `SELECT e.*, o.order_number, p.name AS product_name
+       FROM vendor_ledger_entries e
+       JOIN orders o ON e.order_id = o.id
+       LEFT JOIN order_items i ON e.order_item_id = i.id
+       LEFT JOIN products p ON i.product_id = p.id
+       WHERE e.payout_id = ?
+       ORDER BY e.order_id ASC, e.id ASC`,
+      [payoutId]
+    );
+
+    return { ...mapPayout(result.rows[0]), entries: entries.rows.map(mapEntry) };
+  }
+
+  /**
+   * Lançamentos ainda não repassados de uma loja
+   * @param {number} vendorId - Loja
+   * @returns {Promise<object>} Lançamentos em aberto e saldo líquido
+   */
+  async listUnsettled(vendorId: number): Promise<{ entries: LedgerEntry[]; netAmount: number }> {
+    const entries = await executeQuery<any>(
+      `SELECT e.*, o.order_number, p.name AS product_name
+       FROM vendor_ledger_entries e
+       JOIN orders o ON e.order_id = o.id
+       LEFT JOIN order_items i ON e.order_item_id = i.id
+       LEFT JOIN products p ON i.product_id = p.id
+       WHERE e.vendor_id = ? AND e.payout_id IS NULL
+       ORDER BY e.created_at DESC, e.id DESC`,
+      [vendorId]
+    );
+    const mapped: LedgerEntry[] = entries.rows.map(mapEntry);
+
+    return { entries: mapped, netAmount: roundCurrency(mapped.reduce((acc, entry) => acc + entry.netAmount, 0)) };
+  }
+
+  /**
+   * Registra a transferência de um extrato pendente
+   * @param {number} payoutId - Extrato
+   * @param {unknown} rawInput - { reference } com o comprovante da transferência
+   * @param {string} actor - Administrador que fez a transferência
+   * @returns {Promise<PayoutDetails>} Extrato pago
+   */
+  async markPaid(payoutId: number, rawInput: unknown, actor: string): Promise<PayoutDetails> {
+    const parsed = markPayoutPaidSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Dados do repasse inválidos', details: parsed.error.flatten() });
+    }
+
+    const updated = await executeQuery<any>(
+      `UPDATE vendor_payouts SET
+         status = 'paid', payout_reference = ?, paid_at = CURRENT_TIMESTAMP, paid_by = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [parsed.data.reference, actor, payoutId]
+    );
+
+    if (updated.rowsAffected === 0) {
+      const payout = await this.getPayout(payoutId);
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: 'Este repasse já foi pago',
+        details: { paidAt: payout.paidAt, reference: payout.payoutReference }
+      });
+    }
+
+    return this.getPayout(payoutId);
+  }
+
+  /**
+   * Extrato em CSV para a conciliação do financeiro e da loja
+   * @param {PayoutDetails} payout - Extrato com lançamentos
+   * @returns {string} CSV (";" e vírgula decimal)
+   */
+  statementCsv(payout: PayoutDetails): string {
+    const rows = payout.entries.map((entry) => [
+      entry.createdAt,
+      entry.orderNumber,
+      ENTRY_TYPE_LABELS[entry.entryType],
+      entry.productName ?? (entry.entryType === 'shipping' ? 'Frete' : ''),
+      csvDecimal(entry.grossAmount),
+      csvDecimal(entry.commissionRate),
+      csvDecimal(entry.commissionAmount),
+      csvDecimal(entry.gatewayFeeAmount),
+      csvDecimal(entry.netAmount),
+      entry.reference,
+      entry.notes
+    ]);
+
+    rows.push([
+      `Total ${payout.periodStart} a ${payout.periodEnd}`,
+      '',
+      '',
+      payout.shopName,
+      csvDecimal(payout.grossAmount),
+      '',
+      csvDecimal(payout.commissionAmount),
+      csvDecimal(payout.gatewayFeeAmount),
+      csvDecimal(payout.netAmount),
+      payout.payoutReference,
+      payout.status === 'paid' ? `Pago em ${payout.paidAt}` : 'Pendente'
+    ]);
+
+    return toCsv(
+      ['Data', 'Pedido', 'Tipo', 'Item', 'Bruto', 'Comissão (%)', 'Comissão', 'Taxa gateway', 'Líquido', 'Referência', 'Observação'],
+      rows
+    );
+  }
+
+  // Lançamentos de venda/frete com o saldo que ainda resta depois dos estornos
+  private async remainingEntries(
+    tx: Transaction,
+    orderId: number,
+    vendorId: number | null,
+    orderItemId: number | null
+  ): Promise<{ id: number; vendorId: number; orderItemId: number | null; rate: number; gross: number; commission: number; fee: number; net: number }[]> {
+    const result = await tx.execute({
+      sql: `SELECT e.id, e.vendor_id, e.order_item_id, e.commission_rate,
+              e.gross_amount + COALESCE(SUM(r.gross_amount), 0) AS gross,
+              e.commission_amount + COALESCE(SUM(r.commission_amount), 0) AS commission,
+              e.gateway_fee_amount + COALESCE(SUM(r.gateway_fee_amount), 0) AS fee,
+              e.net_amount + COALESCE(SUM(r.net_amount), 0) AS net
+            FROM vendor_ledger_entries e
+            LEFT JOIN vendor_ledger_entries r ON r.reverses_entry_id = e.id
+            WHERE e.order_id = ? AND e.entry_type IN ('sale', 'shipping')
+              AND (? IS NULL OR e.vendor_id = ?)
+              AND (? IS NULL OR e.order_item_id = ?)
+            GROUP BY e.id
+            ORDER BY e.id ASC`,
+      args: [orderId, vendorId, vendorId, orderItemId, orderItemId]
+    });
+
+    return result.rows
+      .map((row) => ({
+        id: Number(row.id),
+        vendorId: Number(row.vendor_id),
+        orderItemId: row.order_item_id !== null ? Number(row.order_item_id) : null,
+        rate: Number(row.commission_rate),
+        gross: roundCurrency(Number(row.gross)),
+        commission: roundCurrency(Number(row.commission)),
+        fee: roundCurrency(Number(row.fee)),
+        net: roundCurrency(Number(row.net))
+      }))
+      .filter((entry) => entry.gross > 0);
+  }
+
+  // Estorno de uma fração do saldo restante; a mesma origem não estorna o lançamento duas vezes
+  private async insertReversal(
+    tx: Transaction,
+    entry: { id: number; vendorId: number; orderItemId: number | null; rate: number; gross: number; commission: number; fee: number; net: number },
+    fraction: number,
+    options: ReversalOptions
+  ): Promise<boolean> {
+    const full = fraction >= 1;
+    const gross = full ? entry.gross : roundCurrency(entry.gross * fraction);
+    const commission = full ? entry.commission : roundCurrency(entry.commission * fraction);
+    const fee = full ? entry.fee : roundCurrency(entry.fee * fraction);
+    const net = full ? entry.net : roundCurrency(gross - commission - fee);
+
+    const inserted = await tx.execute({
+      sql: `INSERT INTO vendor_ledger_entries (
+              vendor_id, order_id, order_item_id, entry_type, gross_amount, commission_rate,
+              commission_amount, gateway_fee_amount, net_amount, reverses_entry_id, reference, notes, created_by
+            )
+            SELECT vendor_id, order_id, order_item_id, ?, ?, commission_rate, ?, ?, ?, id, ?, ?, ?
+            FROM vendor_ledger_entries
+            WHERE id = ?
+              AND NOT EXISTS (SELECT 1 FROM vendor_ledger_entries WHERE reverses_entry_id = ? AND reference = ?)`,
+      args: [
+        options.entryType,
+        -gross,
+        -commission,
+        -fee,
+        -net,
+        options.reference,
+        options.notes ?? null,
+        options.actor,
+        entry.id,
+        entry.id,
+        options.reference
+      ]
+    });
+
+    return inserted.rowsAffected > 0;
+  }
+
+  // Lançamentos em aberto da loja liberados para repasse na data de corte
+  private async releasedEntries(tx: Transaction, vendorId: number, cutoff: string) {
+    const result = await tx.execute({
+      sql: `SELECT e.id, e.net_amount, e.created_at
+            FROM vendor_ledger_entries e
+            JOIN vendor_ledger_entries root ON root.id = COALESCE(e.reverses_entry_id, e.id)
+            LEFT JOIN order_shipments s ON s.order_id = root.order_id AND s.vendor_id = root.vendor_id
+            LEFT JOIN vendor_settings vs ON vs.vendor_id = root.vendor_id
+            WHERE e.vendor_id = ? AND e.payout_id IS NULL
+              AND (
+                -- Estorno de venda já repassada: desconta neste ciclo
+                (root.id <> e.id AND root.payout_id IS NOT NULL)
+                -- Venda entregue, fora do prazo de devolução e sem disputa em aberto
+                OR (
+                  s.status = 'delivered'
+                  AND datetime(s.delivered_at, '+' || COALESCE(vs.return_period_days, 7) || ' days') <= ?
+                  AND NOT EXISTS (
+                    SELECT 1 FROM disputes d
+                    WHERE d.order_id = root.order_id AND d.vendor_id = root.vendor_id
+                      AND (d.order_item_id IS NULL OR d.order_item_id = root.order_item_id)
+                      AND d.status IN (${placeholders(OPEN_DISPUTE_STATUSES)})
+                  )
+                )
+                -- Venda integralmente estornada antes do repasse: fecha com saldo zero
+                OR ABS((
+                  SELECT SUM(g.net_amount) FROM vendor_ledger_entries g
+                  WHERE g.id = root.id OR g.reverses_entry_id = root.id
+                )) < 0.005
+              )
+            ORDER BY e.id ASC`,
+      args: [vendorId, cutoff, ...OPEN_DISPUTE_STATUSES]
+    });
+
+    return result.rows;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const ledgerService = new LedgerService();
+export default ledgerService;
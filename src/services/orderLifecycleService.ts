@@ -0,0 +1,434 @@
+/**
+ * Ciclo de vida dos pedidos
+ *
+ * Única porta de entrada para mudar orders.status_id: declara as transições
+ * permitidas entre os status de order_statuses, recusa movimentos ilegais,
+ * grava order_status_history (observação e autor) e dispara os hooks de
+ * devolução de estoque, cancelamento dos envios, liberação do cupom, livro
+ * de repasses (ver ledgerService) e notificação ao cliente.
+ * Depois do pagamento, o avanço do pedido vem dos envios por vendedor
+ * (ver shipmentService).
+ *
+ * Fluxo principal: pending → paid → preparing → invoiced → shipped → delivered
+ * Ramos: cancelamento antes do envio, devolução após o envio e reembolso.
+ */
+
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { sendEmail } from '../lib/email';
+import couponService from './couponService';
+import { ServiceError } from './errors';
+import ledgerService from './ledgerService';
+import stockReservationService from './stockReservationService';
+import stockService from './stockService';
+
+// Transições permitidas por nome de status (order_statuses.name)
+export const ORDER_TRANSITIONS: Record<string, string[]> = {
+  pending: ['paid', 'canceled'],
+  paid: ['preparing', 'invoiced', 'canceled', 'refunded'],
+  preparing: ['invoiced', 'canceled', 'refunded'],
+  invoiced: ['shipped', 'canceled', 'refunded'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  canceled: [],
+  refunded: []
+};
+
+// Únicos destinos aceitos a partir de um status marcado como is_final
+const AFTER_SALE_STATUSES = ['returned', 'refunded'];
+
+// Status em que o estoque baixado na compra ainda não saiu do vendedor
+const RESTOCKABLE_STATUSES = ['pending', 'paid', 'preparing', 'invoiced'];
+
+export interface OrderStatus {
+  id: number;
+  name: string;
+  displayName: string;
+  isFinal: boolean;
+}
+
+export interface TransitionOptions {
+  /** ID do usuário que fez a mudança ou 'system' */
+  actor: string;
+  notes?: string;
+}
+
+export interface OrderTransition {
+  orderId: number;
+  userId: string;
+  orderNumber: string;
+  from: OrderStatus;
+  to: OrderStatus;
+  actor: string;
+  notes: string | null;
+}
+
+export type OrderTransitionHook = (transition: OrderTransition, tx?: Transaction) => Promise<void> | void;
+
+interface RegisteredHook {
+  name: string;
+  statuses: string[] | null;
+  inTransaction: boolean;
+  handler: OrderTransitionHook;
+}
+
+export function canTransition(from: string, to: string): boolean {
+  return ORDER_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function toOrderStatus(row: any): OrderStatus {
+  return {
+    id: Number(row.id),
+    name: String(row.name),
+    displayName: String(row.display_name),
+    isFinal: Boolean(row.is_final)
+  };
+}
+
+/**
+ * Serviço de transições de status de pedidos
+ */
+class OrderLifecycleService {
+  private hooks: RegisteredHook[] = [];
+
+  /**
+   * Registra um hook de transição
+   *
+   * Hooks com inTransaction rodam dentro da transação (um erro desfaz a
+   * mudança de status); os demais rodam após o commit e só registram falhas.
+   * @param {string} name - Nome para logs
+   * @param {OrderTransitionHook} handler - Função chamada a cada transição
+   * @param {object} options - Status de destino que disparam o hook e fase
+   */
+  onTransition(
+    name: string,
+    handler: OrderTransitionHook,
+    options: { statuses?: string[]; inTransaction?: boolean } = {}
+  ): void {
+    this.hooks.push({
+      name,
+      handler,
+      statuses: options.statuses ?? null,
+      inTransaction: options.inTransaction ?? false
+    });
+  }
+
+  /**
+   * Move o pedido para um novo status
+   * @param {number} orderId - ID do pedido
+   * @param {string} toStatus - Nome do status de destino
+   * @param {TransitionOptions} options - Autor e observação do histórico
+   * @returns {Promise<OrderTransition>} Transição aplicada
+   */
+  async transition(orderId: number, toStatus: string, options: TransitionOptions): Promise<OrderTransition> {
+    const transition = await executeTransaction((tx) => this.applyTransition(tx, orderId, toStatus, options));
+    await this.afterCommit(transition);
+    return transition;
+  }
+
+  /**
+   * Aplica a transição dentro de uma transação existente
+   *
+   * Quem chama deve executar afterCommit(transition) depois do commit.
+   * @param {Transaction} tx - Transação aberta
+   * @param {number} orderId - ID do pedido
+   * @param {string} toStatus - Nome do status de destino
+   * @param {TransitionOptions} options - Autor e observação do histórico
+   * @returns {Promise<OrderTransition>} Transição aplicada
+   */
+  async applyTransition(
+    tx: Transaction,
+    orderId: number,
+    toStatus: string,
+    options: TransitionOptions
+  ): Promise<OrderTransition> {
+    const statuses = await this.loadStatuses(tx);
+    const to = statuses.get(toStatus);
+
+    if (!to) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: `Status de pedido desconhecido: ${toStatus}` });
+    }
+
+    const orderResult = await tx.execute({
+      sql: `SELECT o.id, o.user_id, o.order_number, o.status_id, s.name AS status_name
+            FROM orders o
+            JOIN order_statuses s ON o.status_id = s.id
+            WHERE o.id = ?`,
+      args: [orderId]
+    });
+
+    if (orderResult.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Pedido não encontrado' });
+    }
+
+    const order = orderResult.rows[0];
+    const from = statuses.get(String(order.status_name))!;
+
+    if (!canTransition(from.name, to.name) || (from.isFinal && !AFTER_SALE_STATUSES.includes(to.name))) {
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: `Transição de status não permitida: ${from.displayName} → ${to.displayName}`,
+        details: { from: from.name, to: to.name, allowed: ORDER_TRANSITIONS[from.name] ?? [] }
+      });
+    }
+
+    // Compare-and-set no status atual para não atropelar uma mudança concorrente
+    const updated = await tx.execute({
+      sql: `UPDATE orders SET
+              status_id = ?,
+              is_paid = CASE WHEN ? = 'paid' THEN 1 WHEN ? = 'refunded' THEN 0 ELSE is_paid END,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status_id = ?`,
+      args: [to.id, to.name, to.name, orderId, from.id]
+    });
+
+    if (updated.rowsAffected === 0) {
+      throw new ServiceError({ code: 'CONFLICT', message: 'O status do pedido foi alterado por outra operação' });
+    }
+
+    await tx.execute({
+      sql: `INSERT INTO order_status_history (order_id, status_id, notes, created_by) VALUES (?, ?, ?, ?)`,
+      args: [orderId, to.id, options.notes || null, options.actor]
+    });
+
+    const transition: OrderTransition = {
+      orderId,
+      userId: String(order.user_id),
+      orderNumber: String(order.order_number),
+      from,
+      to,
+      actor: options.actor,
+      notes: options.notes || null
+    };
+
+    for (const hook of this.matchingHooks(transition, true)) {
+      await hook.handler(transition, tx);
+    }
+
+    return transition;
+  }
+
+  /**
+   * Executa os hooks pós-commit de uma transição
+   * @param {OrderTransition} transition - Transição já persistida
+   */
+  async afterCommit(transition: OrderTransition): Promise<void> {
+    for (const hook of this.matchingHooks(transition, false)) {
+      try {
+        await hook.handler(transition);
+      } catch (error) {
+        console.error(`Erro no hook "${hook.name}" do pedido ${transition.orderId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Lista os status para os quais o pedido pode ir a partir do atual
+   * @param {number} orderId - ID do pedido
+   * @returns {Promise<OrderStatus[]>} Status de destino permitidos
+   */
+  async getAllowedTransitions(orderId: number): Promise<OrderStatus[]> {
+    const result = await executeQuery<any>(
+      `SELECT s.name FROM orders o JOIN order_statuses s ON o.status_id = s.id WHERE o.id = ?`,
+      [orderId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Pedido não encontrado' });
+    }
+
+    const allowed = ORDER_TRANSITIONS[String(result.rows[0].name)] ?? [];
+    if (allowed.length === 0) return [];
+
+    const statuses = await executeQuery<any>(
+      `SELECT id, name, display_name, is_final FROM order_statuses
+       WHERE name IN (${allowed.map(() => '?').join(', ')})
+       ORDER BY display_order ASC`,
+      allowed
+    );
+
+    return statuses.rows.map(toOrderStatus);
+  }
+
+  /**
+   * Histórico de status do pedido, do mais antigo ao mais recente
+   * @param {number} orderId - ID do pedido
+   * @returns {Promise<any[]>} Entradas de order_status_history
+   */
+  async getHistory(orderId: number): Promise<any[]> {
+    const result = await executeQuery<any>(
+      `SELECT h.id, h.notes, h.created_by, h.created_at, s.name, s.display_name, s.color
+       FROM order_status_history h
+       JOIN order_statuses s ON h.status_id = s.id
+       WHERE h.order_id = ?
+       ORDER BY h.created_at ASC, h.id ASC`,
+      [orderId]
+    );
+
+    return result.rows.map((row: any) => ({
+      id: Number(row.id),
+      status: row.name,
+      displayName: row.display_name,
+      color: row.color,
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    }));
+  }
+
+  private async loadStatuses(tx: Transaction): Promise<Map<string, OrderStatus>> {
+    const result = await tx.execute(`SELECT id, name, display_name, is_final FROM order_statuses`);
+    return new Map(result.rows.map((row: any) => [String(row.name), toOrderStatus(row)]));
+  }
+
+  private matchingHooks(transition: OrderTransition, inTransaction: boolean): RegisteredHook[] {
+    return this.hooks.filter(
+      (hook) =>
+        hook.inTransaction === inTransaction && (hook.statuses === null || hook.statuses.includes(transition.to.name))
+    );
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const orderLifecycleService = new OrderLifecycleService();
+
+// Devolve ao estoque os itens de pedidos cancelados/reembolsados antes do envio
+orderLifecycleService.onTransition(
+  'stock-release',
+  async (transition, tx) => {
+    if (!tx || !RESTOCKABLE_STATUSES.includes(transition.from.name)) return;
+
+    await stockReservationService.cancelForOrder(tx, transition.orderId);
+
+    // Itens de envios já cancelados ou devolvidos voltaram ao estoque pelo próprio envio
+    const items = await tx.execute({
+      sql: `SELECT i.product_id, i.variant_id, i.quantity
+            FROM order_items i
+            WHERE i.order_id = ?
+              AND NOT EXISTS (
+                SELECT 1 FROM order_shipments s
+                WHERE s.order_id = i.order_id AND s.vendor_id = i.vendor_id AND s.status IN ('canceled', 'returned')
+              )`,
+      args: [transition.orderId]
+    });
+
+    for (const item of items.rows) {
+      await stockService.adjust(tx, {
+        productId: Number(item.product_id),
+        variantId: item.variant_id !== null ? Number(item.variant_id) : null,
+        quantity: Number(item.quantity),
+        reason: 'cancellation',
+        actor: transition.actor,
+        reference: `order:${transition.orderId}`,
+        notes: `Pedido ${transition.orderNumber}: ${transition.from.name} → ${transition.to.name}`
+      });
+    }
+  },
+  { statuses: ['canceled', 'refunded'], inTransaction: true }
+);
+
+// Cancela os envios ainda não postados quando o pedido inteiro é cancelado/reembolsado
+orderLifecycleService.onTransition(
+  'shipment-cancel',
+  async (transition, tx) => {
+    if (!tx) return;
+
+    await tx.execute({
+      sql: `UPDATE order_shipments SET status = 'canceled', updated_at = CURRENT_TIMESTAMP
+            WHERE order_id = ? AND status IN ('pending', 'preparing', 'invoiced')`,
+      args: [transition.orderId]
+    });
+
+    await tx.execute({
+      sql: `UPDATE order_items SET item_status = 'canceled', updated_at = CURRENT_TIMESTAMP
+            WHERE order_id = ? AND item_status IN ('pending', 'preparing', 'invoiced')`,
+      args: [transition.orderId]
+    });
+  },
+  { statuses: ['canceled', 'refunded'], inTransaction: true }
+);
+
+// Pedido cancelado ou reembolsado não conta como uso do cupom: o cliente pode usá-lo de novo
+orderLifecycleService.onTransition(
+  'coupon-release',
+  async (transition, tx) => {
+    if (!tx) return;
+    await couponService.release(tx, transition.orderId);
+  },
+  { statuses: ['canceled', 'refunded'], inTransaction: true }
+);
+
+// Lança vendas, frete, comissão e taxa do gateway no livro de repasses
+orderLifecycleService.onTransition(
+  'ledger-sale',
+  async (transition, tx) => {
+    if (!tx) return;
+    await ledgerService.recordSale(tx, transition.orderId);
+  },
+  { statuses: ['paid'], inTransaction: true }
+);
+
+// Estorna o que ainda não foi estornado dos lançamentos do pedido
+orderLifecycleService.onTransition(
+  'ledger-reversal',
+  async (transition, tx) => {
+    if (!tx) return;
+    await ledgerService.reverseOrder(tx, transition.orderId, null, {
+      entryType: 'refund',
+      reference: `order:${transition.to.name}`,
+      actor: transition.actor,
+      notes: transition.notes
+    });
+  },
+  { statuses: ['canceled', 'refunded'], inTransaction: true }
+);
+
+// Avisa o vendedor dos alertas de estoque pendentes após a devolução ao estoque
+orderLifecycleService.onTransition(
+  'stock-alerts',
+  async () => {
+    await stockService.notifyPendingAlerts();
+  },
+  { statuses: ['canceled', 'refunded'] }
+);
+
+// Notifica o cliente (central de notificações + e-mail) a cada mudança de status
+orderLifecycleService.onTransition('customer-notification', async (transition) => {
+  const title = `Pedido ${transition.orderNumber}: ${transition.to.displayName}`;
+  const content = transition.notes || `O status do seu pedido foi atualizado para "${transition.to.displayName}".`;
+
+  await executeQuery(
+    `INSERT INTO notifications (user_id, type, channel, title, content, data) VALUES (?, 'order_updates', 'in_app', ?, ?, ?)`,
+    [
+      transition.userId,
+      title,
+      content,
+      JSON.stringify({ orderId: transition.orderId, status: transition.to.name })
+    ]
+  );
+
+  const recipient = await executeQuery<any>(
+    `SELECT u.email FROM User u
+     WHERE u.id = ?
+       AND NOT EXISTS (
+         SELECT 1 FROM user_notification_settings s
+         WHERE s.user_id = u.id AND s.notification_type = 'order_updates' AND s.channel = 'email' AND s.is_enabled = 0
+       )`,
+    [transition.userId]
+  );
+
+  if (recipient.rows.length > 0) {
+    await sendEmail({
+      to: String(recipient.rows[0].email),
+      subject: title,
+      html: `<p>${escapeHtml(content)}</p><p>Acompanhe seu pedido na área "Meus Pedidos" da sua conta.</p>`
+    });
+  }
+});
+
+export default orderLifecycleService;
@@ -0,0 +1,540 @@
+/**
+ * Serviço de pedidos
+ *
+ * Transforma o carrinho do checkout em um pedido real: valida os dados,
+ * reprecifica cada linha a partir de products/product_variants (o preço
+ * enviado pelo cliente nunca é usado), recota o frete para o CEP de entrega,
+ * grava o snapshot do produto em order_items, abre um envio por vendedor e
+ * aplica o cupom (com o uso registrado na mesma transação) e registra o
+ * status inicial e o pagamento pendente. As reservas de estoque do checkout
+ * são confirmadas no pedido; reservas de outros carrinhos não podem ser vendidas.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import cepService from './cepService';
+import couponService, { couponCodeSchema, type CouponEvaluation } from './couponService';
+import shipmentService from './shipmentService';
+import shippingService from './shippingService';
+import stockReservationService, { reservedQuantitySql } from './stockReservationService';
+import stockService from './stockService';
+import { ServiceError } from './errors';
+
+export const PAYMENT_METHODS = ['credit_card', 'pix', 'boleto'] as const;
+export type PaymentMethod = (typeof PAYMENT_METHODS)[number];
+
+// Descontos por forma de pagamento (os mesmos exibidos no resumo do checkout)
+const PAYMENT_METHOD_DISCOUNTS: Record<PaymentMethod, number> = {
+  credit_card: 0,
+  pix: 0,
+  boleto: 0.05
+};
+
+const MAX_INSTALLMENTS = 10;
+const MAX_QUANTITY_PER_ITEM = 99;
+
+export const placeOrderSchema = z.object({
+  items: z
+    .array(
+      z.object({
+        productId: z.coerce.number().int().positive(),
+        variantId: z.coerce.number().int().positive().nullish(),
+        quantity: z.coerce.number().int().min(1).max(MAX_QUANTITY_PER_ITEM)
+      })
+    )
+    .min(1, 'Carrinho vazio'),
+  customer: z.object({
+    name: z.string().trim().min(1),
+    email: z.string().trim().email(),
+    cpf: z.string().transform((value) => value.replace(/\D/g, '')).pipe(z.string().length(11)),
+    phone: z.string().trim().min(8)
+  }),
+  address: z.object({
+    zipcode: z.string().transform((value) => value.replace(/\D/g, '')).pipe(z.string().length(8)),
+    street: z.string().trim().min(1),
+    number: z.string().trim().min(1),
+    complement: z.string().trim().optional().default(''),
+    neighborhood: z.string().trim().min(1),
+    city: z.string().trim().min(1),
+    state: z.string().trim().length(2).transform((value) => value.toUpperCase())
+  }),
+  payment: z.object({
+    method: z.enum(PAYMENT_METHODS),
+    installments: z.coerce.number().int().min(1).max(MAX_INSTALLMENTS).default(1)
+  }),
+  shipping: z
+    .object({
+      // Regra de frete escolhida por vendedor ({ [vendorId]: ruleId })
+      selections: z.record(z.coerce.number().int().positive()).optional()
+    })
+    .optional(),
+  couponCode: couponCodeSchema.optional(),
+  // Subtotal exibido ao cliente; se o catálogo mudou, o pedido é recusado para revisão
+  expectedSubtotal: z.coerce.number().nonnegative().optional(),
+  notes: z.string().trim().max(500).optional()
+});
+
+export type PlaceOrderInput = z.infer<typeof placeOrderSchema>;
+
+export interface OrderLine {
+  productId: number;
+  variantId: number | null;
+  quantity: number;
+}
+
+export interface PricedLine extends OrderLine {
+  vendorId: number;
+  unitPrice: number;
+  totalPrice: number;
+  snapshot: Record<string, unknown>;
+}
+
+export interface PlacedOrder {
+  orderId: number;
+  orderNumber: string;
+  status: string;
+  subtotalAmount: number;
+  shippingAmount: number;
+  discountAmount: number;
+  couponCode: string | null;
+  couponDiscountAmount: number;
+  totalAmount: number;
+  estimatedDeliveryDate: string | null;
+  payment: {
+    id: number;
+    method: PaymentMethod;
+    status: string;
+    installments: number;
+  };
+}
+
+// Arredonda valores monetários para centavos
+export function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+// Junta linhas repetidas (mesmo produto e variante) somando as quantidades
+function mergeLines(items: PlaceOrderInput['items']): OrderLine[] {
+  const merged = new Map<string, OrderLine>();
+
+  for (const item of items) {
+    const variantId = item.variantId ?? null;
+    const key = `${item.productId}:${variantId ?? ''}`;
+    const existing = merged.get(key);
+
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      merged.set(key, { productId: item.productId, variantId, quantity: item.quantity });
+    }
+  }
+
+  return Array.from(merged.values());
+}
+
+// Código do pedido exibido ao cliente: GDG + data + sufixo aleatório
+function generateOrderNumber(date = new Date()): string {
+  const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  const bytes = crypto.getRandomValues(new Uint8Array(6));
+  const suffix = Array.from(bytes, (byte) => alphabet[byte % alphabet.length]).join('');
+  const datePart = date.toISOString().slice(2, 10).replace(/-/g, '');
+  return `GDG${datePart}${suffix}`;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+/**
+ * Serviço de acesso a dados para pedidos
+ */
+class OrderService {
+  /**
+   * Valida e grava um pedido a partir do checkout
+   * @param {string} userId - ID do usuário autenticado
+   * @param {unknown} rawInput - Payload enviado pelo checkout
+   * @returns {Promise<PlacedOrder>} Resumo do pedido criado
+   */
+  async placeOrder(userId: string, rawInput: unknown): Promise<PlacedOrder> {
+    const parsed = placeOrderSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Dados do pedido inválidos',
+        details: parsed.error.flatten()
+      });
+    }
+
+    const input = parsed.data;
+
+    // A UF de entrega vem do CEP: é ela que escolhe as regras de frete por estado/região
+    const cepAddress = await cepService.find(input.address.zipcode);
+    if (!cepAddress) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'CEP de entrega não encontrado' });
+    }
+
+    if (cepAddress.state !== input.address.state) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: `O CEP informado pertence a ${cepAddress.state}`,
+        details: { zipcode: input.address.zipcode, state: cepAddress.state }
+      });
+    }
+
+    // Carrinho da conta: as reservas dele são do próprio cliente e não bloqueiam a compra
+    const cartId = await stockReservationService.findCartId({ userId });
+    const lines = await this.priceLines(mergeLines(input.items), cartId);
+
+    // Cupom validado contra as linhas já agrupadas; o uso só é gravado na transação
+    const coupon: CouponEvaluation | null = input.couponCode
+      ? await couponService.evaluate(input.couponCode, lines, userId)
+      : null;
+    const couponDiscountAmount = coupon?.discountAmount ?? 0;
+
+    // Frete sempre recotado no servidor com o CEP de entrega
+    const shipping = await shippingService.quote({
+      cep: input.address.zipcode,
+      city: input.address.city,
+      items: lines,
+      selections: input.shipping?.selections
+    });
+
+    if (!shipping.available) {
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: 'Não há opção de entrega para o CEP informado',
+        details: {
+          vendors: shipping.vendors
+            .filter((vendor) => !vendor.available)
+            .map((vendor) => ({ vendorId: vendor.vendorId, vendorName: vendor.vendorName }))
+        }
+      });
+    }
+
+    const subtotalAmount = roundCurrency(lines.reduce((total, line) => total + line.totalPrice, 0));
+
+    if (input.expectedSubtotal !== undefined && Math.abs(input.expectedSubtotal - subtotalAmount) >= 0.01) {
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: 'Os preços do carrinho mudaram. Revise o carrinho antes de finalizar.',
+        details: { reason: 'price_changed', expectedSubtotal: input.expectedSubtotal, subtotalAmount }
+      });
+    }
+    const shippingAmount = shipping.shippingAmount;
+    // O desconto da forma de pagamento incide sobre o valor já com o cupom
+    const paymentDiscountAmount = roundCurrency(
+      (subtotalAmount - couponDiscountAmount) * PAYMENT_METHOD_DISCOUNTS[input.payment.method]
+    );
+    const discountAmount = roundCurrency(couponDiscountAmount + paymentDiscountAmount);
+    const totalAmount = roundCurrency(subtotalAmount + shippingAmount - discountAmount);
+    const installments = input.payment.method === 'credit_card' ? input.payment.installments : 1;
+
+    const placed = await executeTransaction(async (tx) => {
+      const status = await this.getDefaultStatus(tx);
+
+      // Perfil com CPF/telefone usados na nota fiscal e no contato de entrega
+      await tx.execute({
+        sql: `INSERT INTO user_profiles (user_id, cpf, phone_number) VALUES (?, ?, ?)
+              ON CONFLICT(user_id) DO UPDATE SET
+                cpf = excluded.cpf,
+                phone_number = excluded.phone_number,
+                updated_at = CURRENT_TIMESTAMP`,
+        args: [userId, input.customer.cpf, input.customer.phone]
+      });
+
+      const addressResult = await tx.execute({
+        sql: `INSERT INTO addresses (
+                user_id, name, recipient_name, street, number, complement,
+                neighborhood, city, state, postal_code, phone
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id`,
+        args: [
+          userId,
+          'Entrega',
+          input.customer.name,
+          input.address.street,
+          input.address.number,
+          input.address.complement || null,
+          input.address.neighborhood,
+          input.address.city,
+          input.address.state,
+          input.address.zipcode,
+          input.customer.phone
+        ]
+      });
+      const addressId = Number(addressResult.rows[0].id);
+
+      const orderNumber = await this.generateUniqueOrderNumber(tx);
+
+      const orderResult = await tx.execute({
+        sql: `INSERT INTO orders (
+                user_id, order_number, status_id, total_amount, subtotal_amount,
+                shipping_amount, tax_amount, discount_amount, coupon_code, shipping_address_id,
+                billing_address_id, notes, is_paid
+              ) VALUES (?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, 0) RETURNING id`,
+        args: [
+          userId,
+          orderNumber,
+          status.id,
+          totalAmount,
+          subtotalAmount,
+          shippingAmount,
+          discountAmount,
+          coupon?.code ?? null,
+          addressId,
+          addressId,
+          input.notes || null
+        ]
+      });
+      const orderId = Number(orderResult.rows[0].id);
+
+      if (coupon) {
+        await couponService.redeem(tx, coupon, userId, orderId);
+      }
+
+      for (const [index, line] of lines.entries()) {
+        // Baixa condicional: falha se outro pedido consumiu o estoque ou se o que sobra está reservado
+        await stockService.adjust(tx, {
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: -line.quantity,
+          reason: 'sale',
+          actor: userId,
+          reference: `order:${orderId}`,
+          reservationCartId: cartId
+        });
+
+        await tx.execute({
+          sql: `INSERT INTO order_items (
+                  order_id, product_id, variant_id, vendor_id, quantity,
+                  unit_price, total_price, discount_amount, item_status, product_snapshot
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`,
+          args: [
+            orderId,
+            line.productId,
+            line.variantId,
+            line.vendorId,
+            line.quantity,
+            line.unitPrice,
+            line.totalPrice,
+            coupon?.lines[index].discount ?? 0,
+            JSON.stringify(line.snapshot)
+          ]
+        });
+      }
+
+      if (cartId !== null) {
+        await stockReservationService.confirm(tx, cartId, orderId);
+      }
+
+      // Um envio por vendedor: cada loja despacha e rastreia a sua parte
+      await shipmentService.createShipmentsForOrder(
+        tx,
+        orderId,
+        lines,
+        shipping.vendors.map((vendor) => ({
+          vendorId: vendor.vendorId,
+          shippingAmount: vendor.chargedAmount,
+          estimatedDeliveryDate: vendor.selected?.estimatedDeliveryDate ?? null
+        }))
+      );
+
+      await tx.execute({
+        sql: `INSERT INTO order_status_history (order_id, status_id, notes, created_by) VALUES (?, ?, ?, ?)`,
+        args: [orderId, status.id, 'Pedido criado', userId]
+      });
+
+      const paymentResult = await tx.execute({
+        sql: `INSERT INTO payments (order_id, amount, payment_method, payment_status, installments)
+              VALUES (?, ?, ?, 'pending', ?) RETURNING id`,
+        args: [orderId, totalAmount, input.payment.method, installments]
+      });
+
+      return {
+        orderId,
+        orderNumber,
+        status: status.name,
+        subtotalAmount,
+        shippingAmount,
+        discountAmount,
+        couponCode: coupon?.code ?? null,
+        couponDiscountAmount,
+        totalAmount,
+        estimatedDeliveryDate: shipping.estimatedDeliveryDate,
+        payment: {
+          id: Number(paymentResult.rows[0].id),
+          method: input.payment.method,
+          status: 'pending',
+          installments
+        }
+      };
+    });
+
+    // Alertas de estoque baixo abertos pela venda
+    await stockService.notifyPendingAlerts().catch((error) => console.error('Erro ao avisar alertas de estoque:', error));
+
+    return placed;
+  }
+
+  /**
+   * Reprecifica as linhas do carrinho com os dados atuais do catálogo
+   * @param {OrderLine[]} lines - Linhas já agrupadas por produto/variante
+   * @param {number | null} reservationCartId - Carrinho cujas reservas não descontam do estoque
+   * @returns {Promise<PricedLine[]>} Linhas com preço, vendedor e snapshot
+   */
+  async priceLines(lines: OrderLine[], reservationCartId: number | null = null): Promise<PricedLine[]> {
+    const productIds = [...new Set(lines.map((line) => line.productId))];
+    const variantIds = [...new Set(lines.map((line) => line.variantId).filter((id): id is number => id !== null))];
+
+    const productResult = await executeQuery<any>(
+      `SELECT
+         p.id, p.name, p.slug, p.sku, p.price, p.compare_at_price,
+         p.stock - ${reservedQuantitySql('p.id', null, true)} AS available_stock,
+         p.is_variable, p.vendor_id,
+         v.shop_name AS vendor_name,
+         c.name AS category_name,
+         (SELECT image_url FROM product_images
+          WHERE product_id = p.id AND variant_id IS NULL
+          ORDER BY is_default DESC, display_order ASC LIMIT 1) AS image_url
+       FROM products p
+       JOIN vendors v ON p.vendor_id = v.id
+       JOIN categories c ON p.category_id = c.id
+       WHERE p.id IN (${placeholders(productIds)}) AND p.is_active = 1 AND v.is_active = 1 AND v.is_approved = 1`,
+      [reservationCartId, ...productIds]
+    );
+    const products = new Map<number, any>(productResult.rows.map((row: any) => [Number(row.id), row]));
+
+    const variants = new Map<number, any>();
+    const variantAttributes = new Map<number, { name: string; value: string }[]>();
+
+    if (variantIds.length > 0) {
+      const variantResult = await executeQuery<any>(
+        `SELECT
+           pv.id, pv.product_id, pv.sku, pv.price, pv.compare_at_price,
+           pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id', true)} AS available_stock,
+           (SELECT image_url FROM product_images
+            WHERE variant_id = pv.id
+            ORDER BY is_default DESC, display_order ASC LIMIT 1) AS image_url
+         FROM product_variants pv
+         WHERE pv.id IN (${placeholders(variantIds)}) AND pv.is_active = 1`,
+        [reservationCartId, ...variantIds]
+      );
+      variantResult.rows.forEach((row: any) => variants.set(Number(row.id), row));
+
+      const attributeResult = await executeQuery<any>(
+        `SELECT pav.variant_id, pat.display_name, COALESCE(pav.display_value, pav.value) AS value
+         FROM product_attribute_values pav
+         JOIN product_attribute_types pat ON pav.attribute_type_id = pat.id
+         WHERE pav.variant_id IN (${placeholders(variantIds)})
+         ORDER BY pat.display_order ASC`,
+        variantIds
+      );
+      attributeResult.rows.forEach((row: any) => {
+        const variantId = Number(row.variant_id);
+        const attributes = variantAttributes.get(variantId) || [];
+        attributes.push({ name: row.display_name, value: row.value });
+        variantAttributes.set(variantId, attributes);
+      });
+    }
+
+    const unavailable: { productId: number; variantId: number | null; reason: string; available?: number }[] = [];
+
+    const priced = lines.map((line) => {
+      const product = products.get(line.productId);
+      if (!product) {
+        unavailable.push({ productId: line.productId, variantId: line.variantId, reason: 'not_found' });
+        return null;
+      }
+
+      const variant = line.variantId !== null ? variants.get(line.variantId) : null;
+      if (line.variantId !== null && (!variant || Number(variant.product_id) !== line.productId)) {
+        unavailable.push({ productId: line.productId, variantId: line.variantId, reason: 'variant_not_found' });
+        return null;
+      }
+
+      if (!variant && Boolean(product.is_variable)) {
+        unavailable.push({ productId: line.productId, variantId: null, reason: 'variant_required' });
+        return null;
+      }
+
+      const available = Math.max(Number((variant ?? product).available_stock ?? 0), 0);
+      if (available < line.quantity) {
+        unavailable.push({ productId: line.productId, variantId: line.variantId, reason: 'out_of_stock', available });
+        return null;
+      }
+
+      const unitPrice = roundCurrency(Number((variant ?? product).price));
+      const compareAtPrice = (variant ?? product).compare_at_price;
+
+      return {
+        ...line,
+        vendorId: Number(product.vendor_id),
+        unitPrice,
+        totalPrice: roundCurrency(unitPrice * line.quantity),
+        snapshot: {
+          id: Number(product.id),
+          name: product.name,
+          slug: product.slug,
+          sku: variant?.sku || product.sku || null,
+          price: unitPrice,
+          compareAtPrice: compareAtPrice !== null && compareAtPrice !== undefined ? Number(compareAtPrice) : null,
+          image: variant?.image_url || product.image_url || null,
+          vendorName: product.vendor_name,
+          categoryName: product.category_name,
+          variant: variant
+            ? { id: Number(variant.id), sku: variant.sku || null, attributes: variantAttributes.get(line.variantId!) || [] }
+            : null
+        }
+      };
+    });
+
+    if (unavailable.length > 0) {
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: 'Alguns itens do carrinho não estão disponíveis',
+        details: { unavailable }
+      });
+    }
+
+    return priced as PricedLine[];
+  }
+
+  // Status inicial configurado em order_statuses (is_default = 1)
+  private async getDefaultStatus(tx: Transaction): Promise<{ id: number; name: string }> {
+    const result = await tx.execute(
+      `SELECT id, name FROM order_statuses WHERE is_default = 1 ORDER BY display_order ASC LIMIT 1`
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({
+        code: 'INTERNAL_SERVER_ERROR',
+        message: 'Nenhum status de pedido padrão configurado'
+      });
+    }
+
+    return { id: Number(result.rows[0].id), name: String(result.rows[0].name) };
+  }
+
+  private async generateUniqueOrderNumber(tx: Transaction): Promise<string> {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const orderNumber = generateOrderNumber();
+      const existing = await tx.execute({
+        sql: `SELECT 1 FROM orders WHERE order_number = ? LIMIT 1`,
+        args: [orderNumber]
+      });
+
+      if (existing.rows.length === 0) {
+        return orderNumber;
+      }
+    }
+
+    throw new ServiceError({
+      code: 'INTERNAL_SERVER_ERROR',
+      message: 'Não foi possível gerar o número do pedido'
+    });
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const orderService = new OrderService();
+export default orderService;
@@ -0,0 +1,519 @@
+/**
+ * Serviço de pagamentos
+ *
+ * Faz a ponte entre a tabela payments e o gateway configurado: envia a
+ * cobrança, grava a resposta (transação, URL, validade, cartão mascarado) e
+ * expõe captura, estorno e consulta de status.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { ServiceError } from './errors';
+import orderLifecycleService, { canTransition, type OrderTransition } from './orderLifecycleService';
+import {
+  getPaymentGateway,
+  hasPaymentGateway,
+  PaymentGatewayError,
+  validateCard,
+  type CardData,
+  type PaymentMethod,
+  type PaymentResult,
+  type PaymentStatus,
+  type WebhookEvent
+} from '../lib/payments';
+
+// Transições aceitas; qualquer outra (inclusive eventos fora de ordem) é ignorada
+const PAYMENT_TRANSITIONS: Record<PaymentStatus, PaymentStatus[]> = {
+  pending: ['authorized', 'approved', 'rejected', 'canceled', 'expired'],
+  authorized: ['approved', 'rejected', 'canceled'],
+  approved: ['refunded'],
+  rejected: [],
+  refunded: [],
+  canceled: [],
+  expired: []
+};
+
+const PAYMENT_STATUS_NOTES: Record<PaymentStatus, string> = {
+  pending: 'Pagamento pendente',
+  authorized: 'Pagamento autorizado',
+  approved: 'Pagamento aprovado',
+  rejected: 'Pagamento recusado',
+  refunded: 'Pagamento estornado',
+  canceled: 'Pagamento cancelado',
+  expired: 'Pagamento expirado'
+};
+
+// Status do pedido correspondente a cada desfecho do pagamento
+const ORDER_STATUS_BY_PAYMENT: Partial<Record<PaymentStatus, string>> = {
+  approved: 'paid',
+  rejected: 'canceled',
+  canceled: 'canceled',
+  expired: 'canceled',
+  refunded: 'refunded'
+};
+
+// Headers guardados junto do evento para permitir o replay com a assinatura original
+const REPLAY_HEADER_PATTERN = /^(content-type|user-agent|x-.*)$/i;
+
+function pickReplayHeaders(headers: Headers): Record<string, string> {
+  const picked: Record<string, string> = {};
+  headers.forEach((value, key) => {
+    if (REPLAY_HEADER_PATTERN.test(key)) picked[key] = value;
+  });
+  return picked;
+}
+
+export const cardSchema = z.object({
+  number: z.string().transform((value) => value.replace(/\D/g, '')).pipe(z.string().min(13).max(19)),
+  holderName: z.string().trim().min(1),
+  expiryMonth: z.coerce.number().int().min(1).max(12),
+  expiryYear: z.coerce.number().int().min(0),
+  cvv: z.string().transform((value) => value.replace(/\D/g, '')).pipe(z.string().min(3).max(4))
+});
+
+// Estorno pelo atendimento; sem amount estorna o saldo restante
+export const refundRequestSchema = z.object({
+  amount: z.coerce.number().positive().optional(),
+  reason: z.string().trim().min(3, 'Informe o motivo do estorno').max(500)
+});
+
+// Dados de pagamento devolvidos ao checkout (nunca inclui o cartão completo)
+export interface PaymentView {
+  id: number;
+  method: PaymentMethod;
+  status: PaymentStatus;
+  installments: number;
+  gateway: string | null;
+  transactionId: string | null;
+  paymentUrl: string | null;
+  expiresAt: string | null;
+  cardLastFour: string | null;
+  cardBrand: string | null;
+  message?: string;
+  pix?: PaymentResult['pix'];
+  boleto?: PaymentResult['boleto'];
+}
+
+export interface WebhookOutcome {
+  eventId: string;
+  status: 'processed' | 'duplicate';
+  changed: boolean;
+}
+
+function toView(payment: any, result?: PaymentResult): PaymentView {
+  return {
+    id: Number(payment.id),
+    method: payment.payment_method,
+    status: result?.status ?? payment.payment_status,
+    installments: Number(payment.installments ?? 1),
+    gateway: payment.payment_gateway ?? null,
+    transactionId: result?.transactionId ?? payment.transaction_id ?? null,
+    paymentUrl: result?.paymentUrl ?? payment.payment_url ?? null,
+    expiresAt: result?.expiresAt ?? payment.expires_at ?? null,
+    cardLastFour: result?.cardLastFour ?? payment.card_last_four ?? null,
+    cardBrand: result?.cardBrand ?? payment.card_brand ?? null,
+    message: result?.message,
+    pix: result?.pix,
+    boleto: result?.boleto
+  };
+}
+
+// Erros de validação do gateway (cartão inválido, estado inválido) viram 400/409
+function toServiceError(error: unknown): unknown {
+  if (error instanceof PaymentGatewayError) {
+    return new ServiceError({
+      code: error.code === 'invalid_state' || error.code === 'invalid_amount' ? 'CONFLICT' : 'BAD_REQUEST',
+      message: error.message,
+      details: { reason: error.code }
+    });
+  }
+  return error;
+}
+
+/**
+ * Valida os dados do cartão enviados pelo checkout
+ * @param {unknown} rawCard - Número, titular, validade e CVV
+ * @returns {CardData} Cartão normalizado (apenas dígitos)
+ */
+export function parseCardData(rawCard: unknown): CardData {
+  const parsed = cardSchema.safeParse(rawCard);
+  if (!parsed.success) {
+    throw new ServiceError({
+      code: 'BAD_REQUEST',
+      message: 'Dados do cartão inválidos',
+      details: parsed.error.flatten()
+    });
+  }
+
+  try {
+    validateCard(parsed.data);
+  } catch (error) {
+    throw toServiceError(error);
+  }
+
+  return parsed.data;
+}
+
+/**
+ * Serviço de acesso a dados para pagamentos
+ */
+class PaymentService {
+  /**
+   * Envia a cobrança de um pagamento pendente ao gateway
+   * @param {number} paymentId - ID em payments
+   * @param {unknown} rawCard - Dados do cartão (apenas para credit_card)
+   * @returns {Promise<PaymentView>} Instruções de pagamento (PIX, boleto) ou resultado do cartão
+   */
+  async startPayment(paymentId: number, rawCard?: unknown): Promise<PaymentView> {
+    const payment = await this.getPaymentWithOrder(paymentId);
+
+    if (payment.transaction_id) {
+      throw new ServiceError({ code: 'CONFLICT', message: 'Pagamento já enviado ao gateway' });
+    }
+
+    const card = payment.payment_method === 'credit_card' ? parseCardData(rawCard) : undefined;
+
+    const gateway = getPaymentGateway();
+
+    if (!gateway.supports(payment.payment_method)) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Forma de pagamento indisponível' });
+    }
+
+    try {
+      let result = await gateway.authorize({
+        reference: String(payment.id),
+        description: `Pedido ${payment.order_number}`,
+        amount: Number(payment.amount),
+        method: payment.payment_method,
+        installments: Number(payment.installments ?? 1),
+        customer: {
+          name: payment.customer_name || '',
+          email: payment.customer_email || '',
+          cpf: payment.customer_cpf || ''
+        },
+        card
+      });
+
+      // Cartões são capturados logo após a autorização
+      if (payment.payment_method === 'credit_card' && result.status === 'authorized') {
+        result = { ...(await gateway.capture(result.transactionId)), cardLastFour: result.cardLastFour, cardBrand: result.cardBrand };
+      }
+
+      await this.saveResult(payment.id, gateway.name, result);
+      return toView({ ...payment, payment_gateway: gateway.name }, result);
+    } catch (error) {
+      throw toServiceError(error);
+    }
+  }
+
+  /**
+   * Captura um pagamento autorizado (ou simula o pagamento no sandbox)
+   * @param {number} paymentId - ID em payments
+   * @param {number} amount - Valor a capturar (padrão: total)
+   * @returns {Promise<PaymentView>} Pagamento atualizado
+   */
+  async capturePayment(paymentId: number, amount?: number): Promise<PaymentView> {
+    const payment = await this.getSubmittedPayment(paymentId);
+
+    try {
+      const gateway = getPaymentGateway(payment.payment_gateway);
+      const result = await gateway.capture(payment.transaction_id, amount);
+      await this.saveResult(payment.id, gateway.name, result);
+      return toView(payment, result);
+    } catch (error) {
+      throw toServiceError(error);
+    }
+  }
+
+  /**
+   * Estorna total ou parcialmente um pagamento
+   * @param {number} paymentId - ID em payments
+   * @param {number} amount - Valor a estornar (padrão: saldo capturado)
+   * @param {string} reason - Motivo gravado em refund_reason
+   * @returns {Promise<PaymentView>} Pagamento atualizado
+   */
+  async refundPayment(paymentId: number, amount?: number, reason?: string): Promise<PaymentView> {
+    const payment = await this.getSubmittedPayment(paymentId);
+
+    try {
+      const gateway = getPaymentGateway(payment.payment_gateway);
+      const result = await gateway.refund(payment.transaction_id, amount, reason);
+      await this.saveResult(payment.id, gateway.name, result);
+
+      // Autorizações ainda não capturadas são apenas canceladas, sem valor estornado
+      if (result.status !== 'canceled') {
+        const refundAmount = amount ?? Number(payment.amount) - Number(payment.refund_amount ?? 0);
+        await executeQuery(
+          `UPDATE payments SET
+             refund_amount = COALESCE(refund_amount, 0) + ?,
+             refund_reason = ?,
+             refunded_at = CASE WHEN ? = 'refunded' THEN CURRENT_TIMESTAMP ELSE refunded_at END
+           WHERE id = ?`,
+          [refundAmount, reason || null, result.status, payment.id]
+        );
+      }
+
+      return toView(payment, result);
+    } catch (error) {
+      throw toServiceError(error);
+    }
+  }
+
+  /**
+   * Consulta o status atual no gateway e sincroniza a tabela payments
+   * @param {number} paymentId - ID em payments
+   * @returns {Promise<PaymentView>} Pagamento atualizado
+   */
+  async syncPaymentStatus(paymentId: number): Promise<PaymentView> {
+    const payment = await this.getSubmittedPayment(paymentId);
+
+    try {
+      const gateway = getPaymentGateway(payment.payment_gateway);
+      const result = await gateway.status(payment.transaction_id);
+      await this.saveResult(payment.id, gateway.name, result);
+      return toView(payment, result);
+    } catch (error) {
+      throw toServiceError(error);
+    }
+  }
+
+  /**
+   * Processa um webhook do gateway
+   *
+   * Gateways reenviam webhooks agressivamente: o evento é registrado por
+   * (gateway, event_id) e entregas repetidas de um evento já processado
+   * retornam sem efeito. Falhas ficam marcadas como 'failed' e são
+   * reprocessadas na próxima entrega; isso inclui eventos de uma transação
+   * ainda desconhecida (o webhook pode chegar antes de startPayment gravar o
+   * transaction_id), respondidos com erro para o gateway reenviar.
+   * @param {string} gatewayName - Nome do gateway na URL
+   * @param {string} payload - Corpo bruto (necessário para conferir a assinatura)
+   * @param {Headers} headers - Headers da requisição
+   * @returns {Promise<WebhookOutcome>} Resultado do processamento
+   */
+  async handleWebhook(gatewayName: string, payload: string, headers: Headers): Promise<WebhookOutcome> {
+    if (!hasPaymentGateway(gatewayName)) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Gateway de pagamento desconhecido' });
+    }
+
+    const gateway = getPaymentGateway(gatewayName);
+    let event: WebhookEvent;
+
+    try {
+      event = await gateway.parseWebhook(payload, headers);
+    } catch (error) {
+      if (error instanceof PaymentGatewayError && error.code === 'invalid_signature') {
+        throw new ServiceError({ code: 'UNAUTHORIZED', message: error.message });
+      }
+      throw toServiceError(error);
+    }
+
+    const stored = await this.storeWebhookEvent(gateway.name, event, payload, headers);
+    if (stored.duplicate) {
+      return { eventId: event.id, status: 'duplicate', changed: false };
+    }
+
+    let paymentId: number | null = null;
+
+    try {
+      const paymentResult = await executeQuery<any>(
+        `SELECT id FROM payments WHERE payment_gateway = ? AND transaction_id = ? LIMIT 1`,
+        [gateway.name, event.transactionId]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        throw new ServiceError({
+          code: 'NOT_FOUND',
+          message: 'Pagamento não encontrado para a transação',
+          details: { transactionId: event.transactionId }
+        });
+      }
+
+      const id = Number(paymentResult.rows[0].id);
+      paymentId = id;
+      const { changed, transition } = await executeTransaction((tx) => this.applyStatus(tx, id, event.status, 'system'));
+      if (transition) await orderLifecycleService.afterCommit(transition);
+
+      await this.finishWebhookEvent(stored.id, 'processed', id);
+      return { eventId: event.id, status: 'processed', changed };
+    } catch (error) {
+      await this.finishWebhookEvent(stored.id, 'failed', paymentId, error instanceof Error ? error.message : String(error));
+      throw error;
+    }
+  }
+
+  private async getPaymentWithOrder(paymentId: number): Promise<any> {
+    const result = await executeQuery<any>(
+      `SELECT
+         p.*,
+         o.order_number,
+         a.recipient_name AS customer_name,
+         u.email AS customer_email,
+         up.cpf AS customer_cpf
+       FROM payments p
+       JOIN orders o ON p.order_id = o.id
+       LEFT JOIN addresses a ON o.billing_address_id = a.id
+       LEFT JOIN User u ON o.user_id = u.id
+       LEFT JOIN user_profiles up ON up.user_id = o.user_id
+       WHERE p.id = ?`,
+      [paymentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Pagamento não encontrado' });
+    }
+
+    return result.rows[0];
+  }
+
+  private async getSubmittedPayment(paymentId: number): Promise<any> {
+    const payment = await this.getPaymentWithOrder(paymentId);
+
+    if (!payment.transaction_id || !payment.payment_gateway) {
+      throw new ServiceError({ code: 'CONFLICT', message: 'Pagamento ainda não enviado ao gateway' });
+    }
+
+    return payment;
+  }
+
+  // Grava a resposta do gateway; o número completo do cartão nunca chega aqui
+  private async saveResult(
+    paymentId: number,
+    gatewayName: string,
+    result: PaymentResult,
+    actor = 'system'
+  ): Promise<void> {
+    const { transition } = await executeTransaction(async (tx) => {
+      await tx.execute({
+        sql: `UPDATE payments SET
+                payment_gateway = ?,
+                transaction_id = ?,
+                gateway_response = ?,
+                payment_url = COALESCE(?, payment_url),
+                expires_at = COALESCE(?, expires_at),
+                card_last_four = COALESCE(?, card_last_four),
+                card_brand = COALESCE(?, card_brand),
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [
+          gatewayName,
+          result.transactionId,
+          JSON.stringify(result.raw),
+          result.paymentUrl ?? null,
+          result.expiresAt ?? null,
+          result.cardLastFour ?? null,
+          result.cardBrand ?? null,
+          paymentId
+        ]
+      });
+
+      return this.applyStatus(tx, paymentId, result.status, actor);
+    });
+
+    if (transition) await orderLifecycleService.afterCommit(transition);
+  }
+
+  /**
+   * Aplica uma mudança de status ao pagamento e reflete no pedido
+   *
+   * Idempotente: repetir o mesmo status ou receber um status fora de ordem
+   * (ex.: "pending" depois de "approved") não altera nada.
+   * @returns {Promise<object>} Se o status mudou e a transição do pedido aplicada (para os hooks pós-commit)
+   */
+  private async applyStatus(
+    tx: Transaction,
+    paymentId: number,
+    status: PaymentStatus,
+    actor: string
+  ): Promise<{ changed: boolean; transition: OrderTransition | null }> {
+    const current = await tx.execute({
+      sql: `SELECT order_id, payment_status FROM payments WHERE id = ?`,
+      args: [paymentId]
+    });
+    if (current.rows.length === 0) return { changed: false, transition: null };
+
+    const from = String(current.rows[0].payment_status) as PaymentStatus;
+    const orderId = Number(current.rows[0].order_id);
+
+    if (from === status || !PAYMENT_TRANSITIONS[from]?.includes(status)) {
+      return { changed: false, transition: null };
+    }
+
+    // Compare-and-set: entregas concorrentes do mesmo evento aplicam só uma vez
+    const updated = await tx.execute({
+      sql: `UPDATE payments SET
+              payment_status = ?,
+              paid_at = CASE WHEN ? = 'approved' AND paid_at IS NULL THEN CURRENT_TIMESTAMP ELSE paid_at END,
+              refunded_at = CASE WHEN ? = 'refunded' AND refunded_at IS NULL THEN CURRENT_TIMESTAMP ELSE refunded_at END,
+              updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND payment_status = ?`,
+      args: [status, status, status, paymentId, from]
+    });
+    if (updated.rowsAffected === 0) return { changed: false, transition: null };
+
+    // O pedido muda de status pelo ciclo de vida quando a transição é permitida
+    const orderStatus = await tx.execute({
+      sql: `SELECT s.name FROM orders o JOIN order_statuses s ON o.status_id = s.id WHERE o.id = ?`,
+      args: [orderId]
+    });
+    const target = ORDER_STATUS_BY_PAYMENT[status];
+
+    if (target && orderStatus.rows.length > 0 && canTransition(String(orderStatus.rows[0].name), target)) {
+      const transition = await orderLifecycleService.applyTransition(tx, orderId, target, {
+        actor,
+        notes: PAYMENT_STATUS_NOTES[status]
+      });
+      return { changed: true, transition };
+    }
+
+    await tx.execute({
+      sql: `INSERT INTO order_status_history (order_id, status_id, notes, created_by)
+            SELECT id, status_id, ?, ? FROM orders WHERE id = ?`,
+      args: [PAYMENT_STATUS_NOTES[status], actor, orderId]
+    });
+
+    return { changed: true, transition: null };
+  }
+
+  // Registra a entrega; entregas repetidas de um evento já tratado são descartadas
+  private async storeWebhookEvent(
+    gatewayName: string,
+    event: WebhookEvent,
+    payload: string,
+    headers: Headers
+  ): Promise<{ id: number; duplicate: boolean }> {
+    const result = await executeQuery<any>(
+      `INSERT INTO payment_webhook_events (gateway, event_id, event_type, transaction_id, payload, headers)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (gateway, event_id) DO UPDATE SET attempts = attempts + 1
+       RETURNING id, status, attempts`,
+      [gatewayName, event.id, event.type, event.transactionId, payload, JSON.stringify(pickReplayHeaders(headers))]
+    );
+
+    const row = result.rows[0];
+    const duplicate = Number(row.attempts) > 1 && row.status === 'processed';
+    return { id: Number(row.id), duplicate };
+  }
+
+  private async finishWebhookEvent(
+    eventId: number,
+    status: 'processed' | 'failed',
+    paymentId: number | null,
+    error: string | null = null
+  ): Promise<void> {
+    await executeQuery(
+      `UPDATE payment_webhook_events SET
+         status = ?,
+         payment_id = COALESCE(?, payment_id),
+         error = ?,
+         processed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, paymentId, error, eventId]
+    );
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const paymentService = new PaymentService();
+export default paymentService;
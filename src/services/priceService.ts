@@ -0,0 +1,361 @@
+/**
+ * Preços e histórico de preços
+ *
+ * Toda mudança de products.price / product_variants.price (e do preço "de",
+ * compare_at_price) passa por update, que grava em price_history os valores
+ * antes e depois, quem mudou e o motivo.
+ *
+ * Desconto falso: a mudança é marcada (fake_discount) quando o preço "de" foi
+ * aumentado nos últimos FAKE_DISCOUNT_WINDOW_DAYS dias e fica acima do maior
+ * preço realmente cobrado no período, ou seja, o "de" nunca foi praticado.
+ *
+ * O job diário /api/cron/price-drops avisa quem tem o produto na lista de
+ * desejos quando o preço cai abaixo do que a pessoa viu por último.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { sendEmail } from '../lib/email';
+import { ServiceError } from './errors';
+
+export const FAKE_DISCOUNT_WINDOW_DAYS = 30;
+export const DEFAULT_HISTORY_DAYS = 90;
+export const MAX_HISTORY_DAYS = 365;
+const PRICE_DROP_BATCH_SIZE = 500;
+
+const money = z.coerce
+  .number()
+  .positive('Preço deve ser maior que zero')
+  .transform((value) => Math.round(value * 100) / 100);
+
+export const priceUpdateSchema = z
+  .object({
+    variantId: z.coerce.number().int().positive().nullish(),
+    price: money.optional(),
+    // null remove o preço "de"
+    compareAtPrice: money.nullable().optional(),
+    reason: z.string().trim().max(200).optional()
+  })
+  .refine((input) => input.price !== undefined || input.compareAtPrice !== undefined, {
+    message: 'Informe o preço ou o preço "de"'
+  });
+
+export interface PriceChange {
+  id: number;
+  productId: number;
+  variantId: number | null;
+  oldPrice: number;
+  newPrice: number;
+  oldCompareAtPrice: number | null;
+  newCompareAtPrice: number | null;
+  fakeDiscount: boolean;
+  changedAt: string;
+}
+
+export interface PriceHistory {
+  productId: number;
+  variantId: number | null;
+  price: number;
+  compareAtPrice: number | null;
+  /** Menor preço cobrado no período consultado */
+  lowestPrice: number;
+  changes: PriceChange[];
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function formatPrice(value: number): string {
+  return `R$ ${value.toFixed(2).replace('.', ',')}`;
+}
+
+// URLs absolutas dos emails; SITE_URL vem do ambiente (ver .env.example)
+function siteUrl(path: string): string {
+  return `${(import.meta.env.SITE_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+function nullablePrice(value: unknown): number | null {
+  return value !== null && value !== undefined ? Number(value) : null;
+}
+
+function mapChange(row: any): PriceChange {
+  return {
+    id: Number(row.id),
+    productId: Number(row.product_id),
+    variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+    oldPrice: Number(row.old_price),
+    newPrice: Number(row.new_price),
+    oldCompareAtPrice: nullablePrice(row.old_compare_at_price),
+    newCompareAtPrice: nullablePrice(row.new_compare_at_price),
+    fakeDiscount: Boolean(row.fake_discount),
+    changedAt: row.changed_at
+  };
+}
+
+/**
+ * Serviço de preços
+ */
+class PriceService {
+  /**
+   * Altera o preço (e/ou o preço "de") do produto ou da variante e registra no histórico
+   * @param {number} productId - Produto
+   * @param {unknown} rawInput - { variantId?, price?, compareAtPrice?, reason? }
+   * @param {string} actor - Usuário que fez a alteração (ou 'system')
+   * @returns {Promise<PriceChange | null>} Mudança registrada, ou null se os valores não mudaram
+   */
+  async update(productId: number, rawInput: unknown, actor: string): Promise<PriceChange | null> {
+    return executeTransaction((tx) => this.applyUpdate(tx, productId, rawInput, actor));
+  }
+
+  /**
+   * Igual a update, dentro da transação de quem chama (ex.: salvar o produto inteiro no painel da loja)
+   * @param {Transaction} tx - Transação aberta
+   * @param {number} productId - Produto
+   * @param {unknown} rawInput - { variantId?, price?, compareAtPrice?, reason? }
+   * @param {string} actor - Usuário que fez a alteração (ou 'system')
+   * @returns {Promise<PriceChange | null>} Mudança registrada, ou null se os valores não mudaram
+   */
+  async applyUpdate(tx: Transaction, productId: number, rawInput: unknown, actor: string): Promise<PriceChange | null> {
+    const parsed = priceUpdateSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Preço inválido', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+    const variantId = input.variantId ?? null;
+    const table = variantId !== null ? 'product_variants' : 'products';
+
+    const current = await tx.execute({
+      sql: `SELECT price, compare_at_price FROM ${table} WHERE id = ?${variantId !== null ? ' AND product_id = ?' : ''}`,
+      args: variantId !== null ? [variantId, productId] : [productId]
+    });
+    if (current.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+
+    const oldPrice = Number(current.rows[0].price);
+    const oldCompareAtPrice = nullablePrice(current.rows[0].compare_at_price);
+    const newPrice = input.price ?? oldPrice;
+    const newCompareAtPrice = input.compareAtPrice !== undefined ? input.compareAtPrice : oldCompareAtPrice;
+
+    if (newPrice === oldPrice && newCompareAtPrice === oldCompareAtPrice) {
+      return null;
+    }
+
+    await tx.execute({
+      sql: `UPDATE ${table} SET price = ?, compare_at_price = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      args: [newPrice, newCompareAtPrice, variantId ?? productId]
+    });
+
+    const fakeDiscount = await this.isFakeDiscount(tx, productId, variantId, {
+      oldPrice,
+      newPrice,
+      oldCompareAtPrice,
+      newCompareAtPrice
+    });
+
+    const inserted = await tx.execute({
+      sql: `INSERT INTO price_history (
+              product_id, variant_id, old_price, new_price, old_compare_at_price, new_compare_at_price,
+              fake_discount, changed_by, reason
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            RETURNING *`,
+      args: [
+        productId,
+        variantId,
+        oldPrice,
+        newPrice,
+        oldCompareAtPrice,
+        newCompareAtPrice,
+        fakeDiscount ? 1 : 0,
+        actor || 'system',
+        input.reason ?? null
+      ]
+    });
+
+    return mapChange(inserted.rows[0]);
+  }
+
+  /**
+   * Histórico público de preços de um produto ativo (gráfico da página do produto)
+   * @param {number} productId - Produto
+   * @param {object} options - Variante (sem ela, o preço do produto) e período em dias
+   * @returns {Promise<PriceHistory>} Preço atual, menor preço do período e mudanças em ordem cronológica
+   */
+  async history(productId: number, options: { variantId?: number | null; days?: number } = {}): Promise<PriceHistory> {
+    const variantId = options.variantId ?? null;
+    const days = Math.min(Math.max(Math.trunc(options.days ?? DEFAULT_HISTORY_DAYS), 1), MAX_HISTORY_DAYS);
+
+    const current = await executeQuery<any>(
+      variantId !== null
+        ? `SELECT pv.price, pv.compare_at_price FROM product_variants pv JOIN products p ON pv.product_id = p.id
+           WHERE pv.id = ? AND p.id = ? AND p.is_active = 1`
+        : `SELECT price, compare_at_price FROM products WHERE id = ? AND is_active = 1`,
+      variantId !== null ? [variantId, productId] : [productId]
+    );
+    if (current.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+
+    const changes = await executeQuery<any>(
+      `SELECT * FROM price_history
+       WHERE product_id = ? AND variant_id IS ? AND changed_at >= datetime('now', ?)
+       ORDER BY id ASC`,
+      [productId, variantId, `-${days} days`]
+    );
+
+    const price = Number(current.rows[0].price);
+    const mapped: PriceChange[] = changes.rows.map(mapChange);
+
+    return {
+      productId,
+      variantId,
+      price,
+      compareAtPrice: nullablePrice(current.rows[0].compare_at_price),
+      // O preço anterior à primeira mudança do período também vigorou dentro dele
+      lowestPrice: Math.min(price, ...mapped.flatMap((change) => [change.oldPrice, change.newPrice])),
+      changes: mapped
+    };
+  }
+
+  /**
+   * Avisa por email (e na conta) quem tem na lista de desejos um item que ficou mais barato
+   * do que na última vez que a pessoa viu: ao adicionar o item ou no último aviso
+   * @returns {Promise<{ users: number; items: number }>} Usuários avisados e itens incluídos
+   */
+  async notifyWishlistDrops(): Promise<{ users: number; items: number }> {
+    const drops = await executeQuery<any>(
+      `SELECT * FROM (
+         SELECT w.user_id, u.email, wi.product_id, wi.variant_id, p.name AS product_name, p.slug,
+           COALESCE(pv.price, p.price) AS current_price,
+           (SELECT MAX(ph.id) FROM price_history ph
+            WHERE ph.product_id = wi.product_id AND ph.variant_id IS wi.variant_id) AS price_history_id,
+           COALESCE(
+             (SELECT a.notified_price FROM price_drop_alerts a
+              WHERE a.user_id = w.user_id AND a.product_id = wi.product_id AND a.variant_id IS wi.variant_id
+              ORDER BY a.id DESC LIMIT 1),
+             -- Preço de quando o item entrou na lista: o "antes" da primeira mudança depois disso
+             (SELECT ph.old_price FROM price_history ph
+              WHERE ph.product_id = wi.product_id AND ph.variant_id IS wi.variant_id AND ph.changed_at >= wi.added_at
+              ORDER BY ph.id ASC LIMIT 1)
+           ) AS reference_price
+         FROM wishlist_items wi
+         JOIN wishlists w ON wi.wishlist_id = w.id
+         JOIN User u ON w.user_id = u.id
+         JOIN products p ON wi.product_id = p.id
+         LEFT JOIN product_variants pv ON wi.variant_id = pv.id
+         WHERE p.is_active = 1
+           AND NOT EXISTS (
+             SELECT 1 FROM user_notification_settings ns
+             WHERE ns.user_id = w.user_id AND ns.notification_type = 'product_alerts'
+               AND ns.channel = 'email' AND ns.is_enabled = 0
+           )
+       )
+       WHERE reference_price IS NOT NULL AND current_price < reference_price
+       ORDER BY user_id
+       LIMIT ?`,
+      [PRICE_DROP_BATCH_SIZE]
+    );
+
+    const byUser = new Map<string, any[]>();
+    for (const row of drops.rows) {
+      byUser.set(String(row.user_id), [...(byUser.get(String(row.user_id)) ?? []), row]);
+    }
+
+    let users = 0;
+    let items = 0;
+
+    for (const [userId, rows] of byUser) {
+      // Registra o aviso antes de enviar: o mesmo item (ou execuções concorrentes) não avisa duas vezes
+      const claimed: any[] = [];
+      for (const row of rows) {
+        const result = await executeQuery<any>(
+          `INSERT OR IGNORE INTO price_drop_alerts (user_id, product_id, variant_id, price_history_id, old_price, notified_price)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [userId, row.product_id, row.variant_id, row.price_history_id, row.reference_price, row.current_price]
+        );
+        if (result.rowsAffected > 0) claimed.push(row);
+      }
+      if (claimed.length === 0) continue;
+
+      const title =
+        claimed.length === 1
+          ? `Baixou de preço: ${claimed[0].product_name}`
+          : `${claimed.length} itens da sua lista de desejos baixaram de preço`;
+      const lines = claimed.map(
+        (row) =>
+          `<li><a href="${escapeHtml(siteUrl(`/produto/${encodeURIComponent(String(row.slug))}`))}">${escapeHtml(
+            String(row.product_name)
+          )}</a>: de ${formatPrice(Number(row.reference_price))} por ${formatPrice(Number(row.current_price))}</li>`
+      );
+
+      try {
+        await executeQuery(
+          `INSERT INTO notifications (user_id, type, channel, title, content, data) VALUES (?, 'product_alerts', 'in_app', ?, ?, ?)`,
+          [
+            userId,
+            title,
+            claimed.map((row) => `${row.product_name}: ${formatPrice(Number(row.current_price))}`).join('\n'),
+            JSON.stringify({
+              priceDrops: claimed.map((row) => ({
+                productId: Number(row.product_id),
+                variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+                oldPrice: Number(row.reference_price),
+                newPrice: Number(row.current_price)
+              }))
+            })
+          ]
+        );
+
+        await sendEmail({
+          to: String(claimed[0].email),
+          subject: title,
+          html:
+            `<p>Boa notícia: itens da sua lista de desejos estão mais baratos.</p><ul>${lines.join('')}</ul>` +
+            `<p style="font-size:12px;color:#64748b">Você pode desligar estes avisos nas preferências de notificação da sua conta.</p>`
+        });
+        users++;
+        items += claimed.length;
+      } catch (error) {
+        console.error(`Erro ao avisar a queda de preço para o usuário ${userId}:`, error);
+      }
+    }
+
+    return { users, items };
+  }
+
+  // Preço "de" aumentado na janela e acima de tudo o que foi cobrado nela
+  private async isFakeDiscount(
+    tx: Transaction,
+    productId: number,
+    variantId: number | null,
+    change: { oldPrice: number; newPrice: number; oldCompareAtPrice: number | null; newCompareAtPrice: number | null }
+  ): Promise<boolean> {
+    const { oldPrice, newPrice, oldCompareAtPrice, newCompareAtPrice } = change;
+    if (newCompareAtPrice === null || newCompareAtPrice <= newPrice) return false;
+
+    const raisedNow = newCompareAtPrice > (oldCompareAtPrice ?? 0);
+    // Só interessa quando há promoção: o preço caiu ou o "de" subiu agora
+    if (newPrice >= oldPrice && !raisedNow) return false;
+
+    const window = await tx.execute({
+      sql: `SELECT
+              MAX(CASE WHEN COALESCE(new_compare_at_price, 0) > COALESCE(old_compare_at_price, 0) THEN 1 ELSE 0 END) AS compare_raised,
+              MAX(MAX(old_price, new_price)) AS highest_price
+            FROM price_history
+            WHERE product_id = ? AND variant_id IS ? AND changed_at >= datetime('now', ?)`,
+      args: [productId, variantId, `-${FAKE_DISCOUNT_WINDOW_DAYS} days`]
+    });
+
+    const compareRaised = raisedNow || Number(window.rows[0]?.compare_raised ?? 0) === 1;
+    const highestCharged = Math.max(oldPrice, Number(window.rows[0]?.highest_price ?? 0));
+
+    return compareRaised && newCompareAtPrice > highestCharged;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const priceService = new PriceService();
+export default priceService;
@@ -9,6 +9,7 @@ import Database from 'better-sqlite3';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
 import tursoClient from '../db/turso-client';
+import { reservedQuantitySql } from './stockReservationService';
 
 // Obter o diretório atual para paths absolutos
 const __filename = fileURLToPath(import.meta.url);
@@ -20,6 +21,100 @@ const dbPath = resolve(__dirname, '../../marketplace.db');
 console.log('Conectando ao banco de dados em:', dbPath);
 const db = new Database(dbPath, { readonly: true });
 
+// Só aparecem na vitrine produtos de lojas aprovadas e ativas (ver vendorApplicationService)
+const VISIBLE_VENDOR_CONDITION = `EXISTS (
+  SELECT 1 FROM vendors pvnd WHERE pvnd.id = p.vendor_id AND pvnd.is_approved = 1 AND pvnd.is_active = 1
+)`;
+
+// Variantes ativas de um produto variável, com estoque livre de reservas
+const VARIANTS_QUERY = `
+  SELECT 
+    pv.id, pv.sku, pv.price, pv.compare_at_price, pv.stock,
+    MAX(pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id')}, 0) as available_stock
+  FROM product_variants pv
+  WHERE pv.product_id = ? AND pv.is_active = 1
+  ORDER BY pv.id ASC
+`;
+
+// Atributos que definem cada variante (ex.: cor, tamanho)
+const VARIANT_ATTRIBUTES_QUERY = `
+  SELECT 
+    pav.variant_id, pav.value, pav.display_value,
+    pat.id as type_id, pat.name as type_name, pat.display_name as type_display_name
+  FROM product_attribute_values pav
+  JOIN product_attribute_types pat ON pav.attribute_type_id = pat.id
+  WHERE pav.product_id = ? AND pav.variant_id IS NOT NULL
+  ORDER BY pat.display_order ASC, pat.id ASC, pav.id ASC
+`;
+
+// Imagens próprias das variantes
+const VARIANT_IMAGES_QUERY = `
+  SELECT * 
+  FROM product_images 
+  WHERE product_id = ? AND variant_id IS NOT NULL 
+  ORDER BY is_default DESC, display_order ASC
+`;
+
+/**
+ * Junta variantes, atributos e imagens no produto e monta a matriz de opções
+ * (ex.: cor × tamanho) usada pelo seletor da página do produto
+ * @param {Object} product - Produto variável
+ * @param {Array} variantRows - Resultado de VARIANTS_QUERY
+ * @param {Array} attributeRows - Resultado de VARIANT_ATTRIBUTES_QUERY
+ * @param {Array} imageRows - Resultado de VARIANT_IMAGES_QUERY
+ * @returns {Object} O próprio produto, com variants, variant_matrix e estoque somado das variantes
+ */
+function attachVariants(product, variantRows, attributeRows, imageRows) {
+  const variants = variantRows.map(row => ({
+    ...row,
+    attributes: [],
+    options: {},
+    images: imageRows.filter(image => Number(image.variant_id) === Number(row.id))
+  }));
+  const byId = new Map(variants.map(variant => [Number(variant.id), variant]));
+  const types = new Map();
+
+  attributeRows.forEach(attr => {
+    const variant = byId.get(Number(attr.variant_id));
+    if (!variant) return;
+
+    variant.attributes.push(attr);
+    variant.options[attr.type_name] = attr.value;
+
+    if (!types.has(attr.type_name)) {
+      types.set(attr.type_name, {
+        id: attr.type_id,
+        name: attr.type_name,
+        display_name: attr.type_display_name,
+        values: []
+      });
+    }
+    const type = types.get(attr.type_name);
+    if (!type.values.some(value => value.value === attr.value)) {
+      type.values.push({ value: attr.value, display_value: attr.display_value || attr.value });
+    }
+  });
+
+  product.variants = variants;
+  product.variant_matrix = {
+    attributes: Array.from(types.values()),
+    combinations: variants.map(variant => ({
+      variant_id: variant.id,
+      options: variant.options,
+      available_stock: variant.available_stock
+    }))
+  };
+
+  // Em produto variável, o estoque e a faixa de preço vêm das variantes
+  if (variants.length > 0) {
+    const prices = variants.map(variant => Number(variant.price));
+    product.available_stock = variants.reduce((total, variant) => total + Number(variant.available_stock), 0);
+    product.price_range = { min: Math.min(...prices), max: Math.max(...prices) };
+  }
+
+  return product;
+}
+
 /**
  * Adapter Factory para criar clientes de banco de dados
  */
@@ -119,12 +214,13 @@ class ProductService {
       SELECT 
         p.id, p.name, p.short_description, p.price, p.compare_at_price,
         p.is_variable, p.slug, p.stock, p.sku, p.is_featured,
+        p.rating_average, p.review_count,
         c.id as category_id, c.name as category_name,
         ci.cid as category_cid
       FROM products p
       JOIN categories c ON p.category_id = c.id
       LEFT JOIN category_identifiers ci ON c.id = ci.category_id
-      WHERE p.is_active = 1
+      WHERE p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION}
     `;
     
     // Array para os parâmetros da query
@@ -309,12 +405,13 @@ class ProductService {
       SELECT 
         p.id, p.name, p.short_description, p.price, p.compare_at_price,
         p.is_variable, p.slug, p.stock, p.sku, p.is_featured,
+        p.rating_average, p.review_count,
         c.id as category_id, c.name as category_name,
         ci.cid as category_cid
       FROM products p
       JOIN categories c ON p.category_id = c.id
       LEFT JOIN category_identifiers ci ON c.id = ci.category_id
-      WHERE p.is_active = 1
+      WHERE p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION}
     `;
     
     // Array para os parâmetros da query
@@ -481,6 +578,7 @@ class ProductService {
       let query = `
         SELECT 
           p.*, 
+          MAX(p.stock - ${reservedQuantitySql('p.id', null)}, 0) as available_stock,
           c.id as category_id, c.name as category_name,
           ci.cid as category_cid,
           v.id as vendor_id, v.shop_name as vendor_name,
@@ -489,7 +587,7 @@ class ProductService {
         JOIN categories c ON p.category_id = c.id
         LEFT JOIN category_identifiers ci ON c.id = ci.category_id
         LEFT JOIN vendors v ON p.vendor_id = v.id
-        WHERE p.is_active = 1 AND 
+        WHERE p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION} AND 
       `;
       
       // Condição de busca com base em slug ou ID
@@ -529,6 +627,16 @@ class ProductService {
         
         productData.attributes = this.adapter.execute(attributesQuery, [productData.id]);
         
+        // Variantes com preço, estoque, SKU e imagens próprias
+        if (productData.is_variable) {
+          attachVariants(
+            productData,
+            this.adapter.execute(VARIANTS_QUERY, [productData.id]),
+            this.adapter.execute(VARIANT_ATTRIBUTES_QUERY, [productData.id]),
+            this.adapter.execute(VARIANT_IMAGES_QUERY, [productData.id])
+          );
+        }
+        
         return productData;
       } catch (error) {
         console.error('Erro ao buscar detalhes adicionais do produto:', error);
@@ -556,6 +664,7 @@ class ProductService {
       let query = `
         SELECT 
           p.*, 
+          MAX(p.stock - ${reservedQuantitySql('p.id', null)}, 0) as available_stock,
           c.id as category_id, c.name as category_name,
           ci.cid as category_cid,
           v.id as vendor_id, v.shop_name as vendor_name,
@@ -564,7 +673,7 @@ class ProductService {
         JOIN categories c ON p.category_id = c.id
         LEFT JOIN category_identifiers ci ON c.id = ci.category_id
         LEFT JOIN vendors v ON p.vendor_id = v.id
-        WHERE p.is_active = 1 AND 
+        WHERE p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION} AND 
       `;
       
       // Condição de busca com base em slug ou ID
@@ -604,6 +713,16 @@ class ProductService {
       product.images = images;
       product.attributes = attributes;
       
+      // Variantes com preço, estoque, SKU e imagens próprias
+      if (product.is_variable) {
+        const [variantRows, variantAttributes, variantImages] = await Promise.all([
+          this.adapter.executeAsync(VARIANTS_QUERY, [product.id]),
+          this.adapter.executeAsync(VARIANT_ATTRIBUTES_QUERY, [product.id]),
+          this.adapter.executeAsync(VARIANT_IMAGES_QUERY, [product.id])
+        ]);
+        attachVariants(product, variantRows, variantAttributes, variantImages);
+      }
+      
       return product;
     } catch (error) {
       console.error('Erro ao buscar produto de forma assíncrona:', error);
@@ -629,7 +748,7 @@ class ProductService {
           (SELECT image_url FROM product_images 
            WHERE product_id = p.id ORDER BY is_default DESC, display_order ASC LIMIT 1) as main_image
         FROM products p
-        WHERE p.category_id = ? AND p.id != ? AND p.is_active = 1
+        WHERE p.category_id = ? AND p.id != ? AND p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION}
         ORDER BY RANDOM()
         LIMIT 4
       `;
@@ -721,7 +840,7 @@ class ProductService {
         FROM categories c
         LEFT JOIN category_identifiers ci ON c.id = ci.category_id
         JOIN products p ON p.category_id = c.id
-        WHERE c.is_active = 1 AND p.is_active = 1
+        WHERE c.is_active = 1 AND p.is_active = 1 AND ${VISIBLE_VENDOR_CONDITION}
       `;
       
       // Array para os parâmetros da query
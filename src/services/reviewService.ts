@@ -0,0 +1,406 @@
+/**
+ * Avaliações de produtos
+ *
+ * Qualquer cliente logado pode avaliar um produto uma vez; quem recebeu o
+ * produto (item de pedido entregue e ainda não avaliado) ganha o selo de
+ * compra verificada e o item fica marcado em order_items.is_reviewed.
+ * Toda avaliação nasce pendente e só aparece depois de aprovada pela loja na
+ * fila de moderação. A média e a quantidade de avaliações aprovadas ficam
+ * guardadas em products (rating_average, review_count) e são recalculadas a
+ * cada moderação, para os cards e o Schema.org não consultarem as avaliações.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { ServiceError } from './errors';
+
+export const DEFAULT_REVIEWS_PAGE_SIZE = 10;
+export const MAX_REVIEWS_PAGE_SIZE = 50;
+
+export const REVIEW_SORTS = ['recent', 'helpful', 'rating_desc', 'rating_asc'] as const;
+export type ReviewSort = (typeof REVIEW_SORTS)[number];
+
+const ORDER_BY: Record<ReviewSort, string> = {
+  recent: 'r.created_at DESC, r.id DESC',
+  helpful: 'r.helpful_count DESC, r.created_at DESC',
+  rating_desc: 'r.rating DESC, r.created_at DESC',
+  rating_asc: 'r.rating ASC, r.created_at DESC'
+};
+
+export const reviewSchema = z.object({
+  productId: z.coerce.number().int().positive(),
+  rating: z.coerce.number().int().min(1, 'Dê de 1 a 5 estrelas').max(5, 'Dê de 1 a 5 estrelas'),
+  title: z.string().trim().max(120).optional(),
+  comment: z.string().trim().min(10, 'Conte um pouco mais sobre o produto').max(5000)
+});
+
+export const moderationSchema = z
+  .object({
+    action: z.enum(['approve', 'reject']),
+    reason: z.string().trim().max(500).optional()
+  })
+  .refine((input) => input.action === 'approve' || Boolean(input.reason), {
+    message: 'Informe o motivo da recusa',
+    path: ['reason']
+  });
+
+export interface Review {
+  id: number;
+  productId: number;
+  authorName: string;
+  rating: number;
+  title: string | null;
+  comment: string | null;
+  verifiedPurchase: boolean;
+  helpfulCount: number;
+  /** O usuário que consultou já marcou como útil */
+  votedHelpful: boolean;
+  createdAt: string;
+}
+
+export interface PendingReview extends Review {
+  productName: string;
+  status: 'pending' | 'approved' | 'rejected';
+  rejectionReason: string | null;
+}
+
+export interface ReviewSummary {
+  average: number;
+  count: number;
+  /** Quantidade de avaliações aprovadas por número de estrelas (1 a 5) */
+  histogram: Record<1 | 2 | 3 | 4 | 5, number>;
+}
+
+export interface ReviewPage {
+  reviews: Review[];
+  summary: ReviewSummary;
+  pagination: {
+    total: number;
+    totalPages: number;
+    currentPage: number;
+    limit: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+}
+
+export interface ReviewListOptions {
+  page?: number;
+  limit?: number;
+  sort?: string;
+  /** Só avaliações com este número de estrelas */
+  rating?: number;
+  /** Usuário logado, para indicar os votos dele */
+  viewerId?: string | null;
+}
+
+interface Reviewer {
+  id: string;
+  name?: string | null;
+}
+
+// Só o primeiro nome do autor é publicado
+function authorName(name: unknown): string {
+  return String(name ?? '').trim().split(/\s+/)[0] || 'Cliente';
+}
+
+function mapReview(row: any): Review {
+  return {
+    id: Number(row.id),
+    productId: Number(row.product_id),
+    authorName: authorName(row.author_name),
+    rating: Number(row.rating),
+    title: row.title ?? null,
+    comment: row.comment ?? null,
+    verifiedPurchase: Boolean(row.is_verified_purchase),
+    helpfulCount: Number(row.helpful_count ?? 0),
+    votedHelpful: Boolean(row.voted_helpful),
+    createdAt: row.created_at
+  };
+}
+
+function mapPendingReview(row: any): PendingReview {
+  return {
+    ...mapReview(row),
+    productName: row.product_name,
+    status: row.moderated_at === null ? 'pending' : row.is_approved ? 'approved' : 'rejected',
+    rejectionReason: row.rejection_reason ?? null
+  };
+}
+
+function clampPage(value: number | undefined, fallback: number, max: number): number {
+  return Math.min(Math.max(Math.trunc(Number(value) || fallback), 1), max);
+}
+
+/**
+ * Serviço de avaliações de produtos
+ */
+class ReviewService {
+  /**
+   * Registra a avaliação do cliente (pendente de moderação)
+   * @param {unknown} rawInput - { productId, rating, title?, comment }
+   * @param {Reviewer} user - Usuário logado
+   * @returns {Promise<PendingReview>} Avaliação criada
+   */
+  async submit(rawInput: unknown, user: Reviewer): Promise<PendingReview> {
+    const parsed = reviewSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Avaliação inválida', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+
+    return executeTransaction(async (tx) => {
+      const product = await tx.execute({
+        sql: `SELECT name FROM products WHERE id = ? AND is_active = 1`,
+        args: [input.productId]
+      });
+      if (product.rows.length === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+      }
+
+      const existing = await tx.execute({
+        sql: `SELECT id FROM product_reviews WHERE user_id = ? AND product_id = ?`,
+        args: [user.id, input.productId]
+      });
+      if (existing.rows.length > 0) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'Você já avaliou este produto' });
+      }
+
+      // Compra verificada: item entregue ao cliente que ainda não rendeu avaliação
+      const purchase = await tx.execute({
+        sql: `SELECT oi.id FROM order_items oi
+              JOIN orders o ON oi.order_id = o.id
+              WHERE o.user_id = ? AND oi.product_id = ? AND oi.item_status = 'delivered' AND oi.is_reviewed = 0
+              ORDER BY oi.id ASC LIMIT 1`,
+        args: [user.id, input.productId]
+      });
+      const orderItemId = purchase.rows.length > 0 ? Number(purchase.rows[0].id) : null;
+
+      const inserted = await tx.execute({
+        sql: `INSERT INTO product_reviews (product_id, user_id, rating, title, comment, is_verified_purchase, is_approved, order_item_id)
+              VALUES (?, ?, ?, ?, ?, ?, 0, ?)
+              RETURNING *`,
+        args: [
+          input.productId,
+          user.id,
+          input.rating,
+          input.title || null,
+          input.comment,
+          orderItemId !== null ? 1 : 0,
+          orderItemId
+        ]
+      });
+
+      if (orderItemId !== null) {
+        await tx.execute({
+          sql: `UPDATE order_items SET is_reviewed = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          args: [orderItemId]
+        });
+      }
+
+      return mapPendingReview({ ...inserted.rows[0], author_name: user.name, product_name: product.rows[0].name });
+    });
+  }
+
+  /**
+   * Lista paginada das avaliações aprovadas de um produto ativo, com média e histograma de estrelas
+   * @param {number} productId - Produto
+   * @param {ReviewListOptions} options - Página, tamanho, ordenação, filtro por estrelas e usuário logado
+   * @returns {Promise<ReviewPage>} Avaliações, resumo e paginação
+   */
+  async list(productId: number, options: ReviewListOptions = {}): Promise<ReviewPage> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_REVIEWS_PAGE_SIZE, MAX_REVIEWS_PAGE_SIZE);
+    const sort: ReviewSort = (REVIEW_SORTS as readonly string[]).includes(options.sort ?? '')
+      ? (options.sort as ReviewSort)
+      : 'recent';
+    const rating = Number.isInteger(options.rating) && options.rating! >= 1 && options.rating! <= 5 ? options.rating! : null;
+
+    const product = await executeQuery<any>(
+      `SELECT rating_average, review_count FROM products WHERE id = ? AND is_active = 1`,
+      [productId]
+    );
+    if (product.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+
+    const histogramRows = await executeQuery<any>(
+      `SELECT CAST(ROUND(rating) AS INTEGER) AS stars, COUNT(*) AS total
+       FROM product_reviews WHERE product_id = ? AND is_approved = 1
+       GROUP BY stars`,
+      [productId]
+    );
+    const histogram: ReviewSummary['histogram'] = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    for (const row of histogramRows.rows) {
+      const stars = Number(row.stars) as keyof ReviewSummary['histogram'];
+      if (stars in histogram) histogram[stars] = Number(row.total);
+    }
+
+    const filter = rating !== null ? ' AND CAST(ROUND(r.rating) AS INTEGER) = ?' : '';
+    const filterArgs = rating !== null ? [rating] : [];
+
+    const reviews = await executeQuery<any>(
+      `SELECT r.*, u.name AS author_name,
+         EXISTS (SELECT 1 FROM review_votes rv WHERE rv.review_id = r.id AND rv.user_id = ?) AS voted_helpful
+       FROM product_reviews r
+       JOIN User u ON r.user_id = u.id
+       WHERE r.product_id = ? AND r.is_approved = 1${filter}
+       ORDER BY ${ORDER_BY[sort]}
+       LIMIT ? OFFSET ?`,
+      [options.viewerId ?? null, productId, ...filterArgs, limit, (page - 1) * limit]
+    );
+
+    const count = Number(product.rows[0].review_count);
+    const total = rating !== null ? histogram[rating as keyof ReviewSummary['histogram']] : count;
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      reviews: reviews.rows.map(mapReview),
+      summary: { average: Number(product.rows[0].rating_average), count, histogram },
+      pagination: {
+        total,
+        totalPages,
+        currentPage: page,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Marca ou desmarca uma avaliação aprovada como útil
+   * @param {number} reviewId - Avaliação
+   * @param {string} userId - Usuário que votou
+   * @param {boolean} helpful - true marca, false retira o voto
+   * @returns {Promise<number>} Quantidade atual de votos de "útil"
+   */
+  async vote(reviewId: number, userId: string, helpful: boolean): Promise<number> {
+    return executeTransaction(async (tx) => {
+      const review = await tx.execute({
+        sql: `SELECT user_id FROM product_reviews WHERE id = ? AND is_approved = 1`,
+        args: [reviewId]
+      });
+      if (review.rows.length === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Avaliação não encontrada' });
+      }
+      if (String(review.rows[0].user_id) === userId) {
+        throw new ServiceError({ code: 'FORBIDDEN', message: 'Você não pode votar na sua própria avaliação' });
+      }
+
+      // O índice único (review_id, user_id) faz o voto repetido não contar de novo
+      const changed = await tx.execute({
+        sql: helpful
+          ? `INSERT OR IGNORE INTO review_votes (review_id, user_id) VALUES (?, ?)`
+          : `DELETE FROM review_votes WHERE review_id = ? AND user_id = ?`,
+        args: [reviewId, userId]
+      });
+
+      const updated = await tx.execute({
+        sql: `UPDATE product_reviews SET helpful_count = MAX(helpful_count + ?, 0) WHERE id = ? RETURNING helpful_count`,
+        args: [changed.rowsAffected > 0 ? (helpful ? 1 : -1) : 0, reviewId]
+      });
+      return Number(updated.rows[0].helpful_count);
+    });
+  }
+
+  /**
+   * Fila de moderação: avaliações ainda não moderadas dos produtos da loja
+   * @param {number} vendorId - Loja aprovada do usuário (vendorDashboardService.getVendorForUser)
+   * @param {object} options - Página e tamanho
+   * @returns {Promise<PendingReview[]>} Avaliações mais antigas primeiro
+   */
+  async moderationQueue(vendorId: number, options: { page?: number; limit?: number } = {}): Promise<PendingReview[]> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_REVIEWS_PAGE_SIZE, MAX_REVIEWS_PAGE_SIZE);
+
+    const result = await executeQuery<any>(
+      `SELECT r.*, u.name AS author_name, p.name AS product_name
+       FROM product_reviews r
+       JOIN products p ON r.product_id = p.id
+       JOIN User u ON r.user_id = u.id
+       WHERE p.vendor_id = ? AND r.moderated_at IS NULL
+       ORDER BY r.created_at ASC, r.id ASC
+       LIMIT ? OFFSET ?`,
+      [vendorId, limit, (page - 1) * limit]
+    );
+    return result.rows.map(mapPendingReview);
+  }
+
+  /**
+   * Aprova ou recusa uma avaliação e recalcula a média do produto
+   * @param {number} reviewId - Avaliação
+   * @param {unknown} rawInput - { action: 'approve' | 'reject', reason? }
+   * @param {string} actor - Usuário que moderou
+   * @returns {Promise<PendingReview>} Avaliação moderada
+   */
+  async moderate(reviewId: number, rawInput: unknown, actor: string): Promise<PendingReview> {
+    const parsed = moderationSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Moderação inválida', details: parsed.error.flatten() });
+    }
+
+    const approve = parsed.data.action === 'approve';
+
+    return executeTransaction(async (tx) => {
+      const updated = await tx.execute({
+        sql: `UPDATE product_reviews SET
+                is_approved = ?, rejection_reason = ?, moderated_at = CURRENT_TIMESTAMP, moderated_by = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?
+              RETURNING *`,
+        args: [approve ? 1 : 0, approve ? null : parsed.data.reason ?? null, actor, reviewId]
+      });
+      if (updated.rows.length === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Avaliação não encontrada' });
+      }
+
+      const review = updated.rows[0];
+      await this.refreshAggregate(tx, Number(review.product_id));
+
+      const details = await tx.execute({
+        sql: `SELECT u.name AS author_name, p.name AS product_name
+              FROM User u, products p WHERE u.id = ? AND p.id = ?`,
+        args: [review.user_id, review.product_id]
+      });
+      return mapPendingReview({ ...review, ...details.rows[0] });
+    });
+  }
+
+  /**
+   * Garante que a avaliação é de um produto da loja
+   * @param {number} reviewId - Avaliação
+   * @param {number} vendorId - Loja aprovada do usuário (vendorDashboardService.getVendorForUser)
+   */
+  async assertVendorOwnership(reviewId: number, vendorId: number): Promise<void> {
+    const result = await executeQuery<any>(
+      `SELECT p.vendor_id FROM product_reviews r JOIN products p ON r.product_id = p.id WHERE r.id = ?`,
+      [reviewId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Avaliação não encontrada' });
+    }
+
+    if (Number(result.rows[0].vendor_id) !== vendorId) {
+      throw new ServiceError({ code: 'FORBIDDEN', message: 'Esta avaliação é de um produto de outra loja' });
+    }
+  }
+
+  // Recalcula a média e a quantidade guardadas no produto a partir das avaliações aprovadas
+  private async refreshAggregate(tx: Transaction, productId: number): Promise<void> {
+    await tx.execute({
+      sql: `UPDATE products SET
+              rating_average = COALESCE((SELECT ROUND(AVG(rating), 2) FROM product_reviews WHERE product_id = ? AND is_approved = 1), 0),
+              review_count = (SELECT COUNT(*) FROM product_reviews WHERE product_id = ? AND is_approved = 1)
+            WHERE id = ?`,
+      args: [productId, productId, productId]
+    });
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const reviewService = new ReviewService();
+export default reviewService;
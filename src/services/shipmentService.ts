@@ -0,0 +1,467 @@
+/**
+ * Envios por vendedor (sub-pedidos)
+ *
+ * Cada pedido tem um envio por vendedor em order_shipments, com status,
+ * transportadora, código de rastreio, frete e previsão de entrega próprios.
+ * O status do pedido passa a ser derivado dos envios: ele só avança quando
+ * todos os envios ativos avançam (o envio mais atrasado manda) e é cancelado
+ * quando todos os envios são cancelados.
+ *
+ * Fluxo do envio: pending → preparing → invoiced → shipped → delivered
+ * Ramos: cancelamento antes da postagem e devolução após a postagem. Nos
+ * dois ramos a parte da loja é estornada no livro de repasses.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import orderLifecycleService, { canTransition, type OrderTransition } from './orderLifecycleService';
+import { ServiceError } from './errors';
+import ledgerService from './ledgerService';
+import stockService from './stockService';
+
+export const SHIPMENT_STATUSES = ['pending', 'preparing', 'invoiced', 'shipped', 'delivered', 'canceled', 'returned'] as const;
+export type ShipmentStatus = (typeof SHIPMENT_STATUSES)[number];
+
+export const SHIPMENT_TRANSITIONS: Record<ShipmentStatus, ShipmentStatus[]> = {
+  pending: ['preparing', 'invoiced', 'canceled'],
+  preparing: ['invoiced', 'canceled'],
+  invoiced: ['shipped', 'canceled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  canceled: [],
+  returned: []
+};
+
+// Caminho principal do pedido a partir do pagamento; o índice é o progresso
+const ORDER_PROGRESS = ['paid', 'preparing', 'invoiced', 'shipped', 'delivered'];
+
+// Progresso do pedido correspondente a cada status de envio ativo
+const PROGRESS_BY_SHIPMENT: Partial<Record<ShipmentStatus, number>> = {
+  pending: 0,
+  preparing: 1,
+  invoiced: 2,
+  shipped: 3,
+  delivered: 4
+};
+
+export const updateShipmentSchema = z.object({
+  status: z.enum(SHIPMENT_STATUSES).optional(),
+  trackingCode: z.string().trim().min(1).max(64).optional(),
+  carrier: z.string().trim().min(1).max(100).optional(),
+  estimatedDeliveryDate: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Use o formato AAAA-MM-DD')
+    .optional(),
+  notes: z.string().trim().max(500).optional()
+});
+
+export type UpdateShipmentInput = z.infer<typeof updateShipmentSchema>;
+
+export interface ShipmentLine {
+  vendorId: number;
+  totalPrice: number;
+}
+
+// Frete cotado para a loja no checkout
+export interface ShipmentShipping {
+  vendorId: number;
+  shippingAmount: number;
+  estimatedDeliveryDate: string | null;
+}
+
+export interface Shipment {
+  id: number;
+  orderId: number;
+  vendorId: number;
+  vendorName: string | null;
+  status: ShipmentStatus;
+  subtotalAmount: number;
+  shippingAmount: number;
+  trackingCode: string | null;
+  carrier: string | null;
+  estimatedDeliveryDate: string | null;
+  shippedAt: string | null;
+  deliveredAt: string | null;
+  updatedAt: string | null;
+}
+
+export function canTransitionShipment(from: ShipmentStatus, to: ShipmentStatus): boolean {
+  return SHIPMENT_TRANSITIONS[from]?.includes(to) ?? false;
+}
+
+// Arredonda valores monetários para centavos
+function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function toShipment(row: any): Shipment {
+  return {
+    id: Number(row.id),
+    orderId: Number(row.order_id),
+    vendorId: Number(row.vendor_id),
+    vendorName: row.vendor_name ?? null,
+    status: row.status as ShipmentStatus,
+    subtotalAmount: Number(row.subtotal_amount),
+    shippingAmount: Number(row.shipping_amount ?? 0),
+    trackingCode: row.tracking_code ?? null,
+    carrier: row.carrier ?? null,
+    estimatedDeliveryDate: row.estimated_delivery_date ?? null,
+    shippedAt: row.shipped_at ?? null,
+    deliveredAt: row.delivered_at ?? null,
+    updatedAt: row.updated_at ?? null
+  };
+}
+
+/**
+ * Calcula o status que o pedido deve ter a partir dos seus envios
+ * @param {ShipmentStatus[]} statuses - Status de todos os envios do pedido
+ * @returns {string | null} Status de pedido alvo ou null se nada a derivar
+ */
+export function deriveOrderStatus(statuses: ShipmentStatus[]): string | null {
+  if (statuses.length === 0) return null;
+
+  const active = statuses.filter((status) => status !== 'canceled' && status !== 'returned');
+
+  if (active.length === 0) {
+    return statuses.includes('returned') ? 'returned' : 'canceled';
+  }
+
+  const progress = Math.min(...active.map((status) => PROGRESS_BY_SHIPMENT[status] ?? 0));
+  return ORDER_PROGRESS[progress];
+}
+
+const SHIPMENT_SELECT = `
+  SELECT s.*, v.shop_name AS vendor_name
+  FROM order_shipments s
+  LEFT JOIN vendors v ON s.vendor_id = v.id
+`;
+
+/**
+ * Serviço de envios por vendedor
+ */
+class ShipmentService {
+  /**
+   * Cria um envio por vendedor para um pedido recém-gravado
+   * @param {Transaction} tx - Transação do checkout
+   * @param {number} orderId - ID do pedido
+   * @param {ShipmentLine[]} lines - Linhas do pedido com vendedor e valores
+   * @param {ShipmentShipping[]} shipping - Frete e previsão cotados por loja
+   */
+  async createShipmentsForOrder(
+    tx: Transaction,
+    orderId: number,
+    lines: ShipmentLine[],
+    shipping: ShipmentShipping[] = []
+  ): Promise<void> {
+    const subtotals = new Map<number, number>();
+
+    for (const line of lines) {
+      subtotals.set(line.vendorId, (subtotals.get(line.vendorId) ?? 0) + line.totalPrice);
+    }
+
+    for (const [vendorId, subtotal] of subtotals) {
+      const quoted = shipping.find((entry) => entry.vendorId === vendorId);
+
+      await tx.execute({
+        sql: `INSERT INTO order_shipments (order_id, vendor_id, status, subtotal_amount, shipping_amount, estimated_delivery_date)
+              VALUES (?, ?, 'pending', ?, ?, ?)`,
+        args: [
+          orderId,
+          vendorId,
+          roundCurrency(subtotal),
+          roundCurrency(quoted?.shippingAmount ?? 0),
+          quoted?.estimatedDeliveryDate ?? null
+        ]
+      });
+
+      if (quoted?.estimatedDeliveryDate) {
+        await tx.execute({
+          sql: `UPDATE order_items SET estimated_delivery_date = ? WHERE order_id = ? AND vendor_id = ?`,
+          args: [quoted.estimatedDeliveryDate, orderId, vendorId]
+        });
+      }
+    }
+  }
+
+  /**
+   * Lista os envios de um pedido
+   * @param {number} orderId - ID do pedido
+   * @returns {Promise<Shipment[]>} Envios com o nome da loja
+   */
+  async listShipments(orderId: number): Promise<Shipment[]> {
+    const result = await executeQuery<any>(`${SHIPMENT_SELECT} WHERE s.order_id = ? ORDER BY s.id ASC`, [orderId]);
+    return result.rows.map(toShipment);
+  }
+
+  /**
+   * Lista os envios de um pedido do cliente
+   * @param {number} orderId - ID do pedido
+   * @param {string} userId - ID do usuário autenticado
+   * @returns {Promise<Shipment[]>} Envios do pedido
+   */
+  async listShipmentsForCustomer(orderId: number, userId: string): Promise<Shipment[]> {
+    const order = await executeQuery<any>(`SELECT 1 FROM orders WHERE id = ? AND user_id = ?`, [orderId, userId]);
+
+    if (order.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Pedido não encontrado' });
+    }
+
+    return this.listShipments(orderId);
+  }
+
+  /**
+   * Garante que o envio pertence à loja
+   * @param {number} shipmentId - ID do envio
+   * @param {number} vendorId - Loja aprovada do usuário (vendorDashboardService.getVendorForUser)
+   */
+  async assertVendorOwnership(shipmentId: number, vendorId: number): Promise<void> {
+    const result = await executeQuery<any>(`SELECT vendor_id FROM order_shipments WHERE id = ?`, [shipmentId]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Envio não encontrado' });
+    }
+
+    if (Number(result.rows[0].vendor_id) !== vendorId) {
+      throw new ServiceError({ code: 'FORBIDDEN', message: 'Este envio pertence a outra loja' });
+    }
+  }
+
+  /**
+   * Busca um envio pelo ID
+   * @param {number} shipmentId - ID do envio
+   * @returns {Promise<Shipment>} Envio encontrado
+   */
+  async getShipment(shipmentId: number): Promise<Shipment> {
+    const result = await executeQuery<any>(`${SHIPMENT_SELECT} WHERE s.id = ?`, [shipmentId]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Envio não encontrado' });
+    }
+
+    return toShipment(result.rows[0]);
+  }
+
+  /**
+   * Atualiza status e/ou dados de rastreio de um envio do vendedor
+   *
+   * Sincroniza os itens do vendedor em order_items e recalcula o status do
+   * pedido na mesma transação.
+   * @param {number} shipmentId - ID do envio
+   * @param {unknown} rawInput - Status, rastreio, transportadora, previsão e observação
+   * @param {string} actor - ID do usuário que fez a mudança ou 'system'
+   * @returns {Promise<Shipment>} Envio atualizado
+   */
+  async updateShipment(shipmentId: number, rawInput: unknown, actor: string): Promise<Shipment> {
+    const parsed = updateShipmentSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Dados do envio inválidos',
+        details: parsed.error.flatten()
+      });
+    }
+
+    const input = parsed.data;
+
+    const transitions = await executeTransaction(async (tx) => {
+      const result = await tx.execute({
+        sql: `SELECT s.*, o.is_paid FROM order_shipments s JOIN orders o ON s.order_id = o.id WHERE s.id = ?`,
+        args: [shipmentId]
+      });
+
+      if (result.rows.length === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Envio não encontrado' });
+      }
+
+      const shipment = result.rows[0];
+      const from = String(shipment.status) as ShipmentStatus;
+      const to = input.status && input.status !== from ? input.status : null;
+      const trackingCode = input.trackingCode ?? (shipment.tracking_code as string | null);
+      const carrier = input.carrier ?? (shipment.carrier as string | null);
+
+      if (to) {
+        if (!canTransitionShipment(from, to)) {
+          throw new ServiceError({
+            code: 'CONFLICT',
+            message: `Transição de status do envio não permitida: ${from} → ${to}`,
+            details: { from, to, allowed: SHIPMENT_TRANSITIONS[from] }
+          });
+        }
+
+        if (to !== 'canceled' && !shipment.is_paid) {
+          throw new ServiceError({ code: 'CONFLICT', message: 'O pedido ainda não foi pago' });
+        }
+
+        if (to === 'shipped' && (!trackingCode || !carrier)) {
+          throw new ServiceError({
+            code: 'BAD_REQUEST',
+            message: 'Informe a transportadora e o código de rastreio para marcar o envio como enviado'
+          });
+        }
+      }
+
+      const status = to ?? from;
+
+      // Compare-and-set no status atual para não atropelar uma mudança concorrente
+      const updated = await tx.execute({
+        sql: `UPDATE order_shipments SET
+                status = ?,
+                tracking_code = ?,
+                carrier = ?,
+                estimated_delivery_date = COALESCE(?, estimated_delivery_date),
+                shipped_at = CASE WHEN ? = 'shipped' THEN CURRENT_TIMESTAMP ELSE shipped_at END,
+                delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND status = ?`,
+        args: [
+          status,
+          trackingCode,
+          carrier,
+          input.estimatedDeliveryDate ?? null,
+          to,
+          to,
+          shipmentId,
+          from
+        ]
+      });
+
+      if (updated.rowsAffected === 0) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'O envio foi alterado por outra operação' });
+      }
+
+      await tx.execute({
+        sql: `UPDATE order_items SET
+                item_status = ?,
+                shipping_tracking_code = ?,
+                shipping_carrier = ?,
+                estimated_delivery_date = COALESCE(?, estimated_delivery_date),
+                updated_at = CURRENT_TIMESTAMP
+              WHERE order_id = ? AND vendor_id = ?`,
+        args: [
+          status,
+          trackingCode,
+          carrier,
+          input.estimatedDeliveryDate ?? null,
+          shipment.order_id,
+          shipment.vendor_id
+        ]
+      });
+
+      if (!to) return [];
+
+      // Envio cancelado antes da postagem ou devolvido pelo cliente: os itens voltam ao estoque
+      if (to === 'canceled' || to === 'returned') {
+        await this.releaseStock(
+          tx,
+          Number(shipment.order_id),
+          Number(shipment.vendor_id),
+          to === 'canceled' ? 'cancellation' : 'return',
+          actor
+        );
+
+        // A loja deixa de receber pelos itens que não chegaram ou voltaram
+        await ledgerService.reverseOrder(tx, Number(shipment.order_id), Number(shipment.vendor_id), {
+          entryType: 'refund',
+          reference: `shipment:${shipmentId}:${to}`,
+          actor,
+          notes: input.notes ?? null
+        });
+      }
+
+      return this.syncOrderStatus(tx, Number(shipment.order_id), actor, input.notes);
+    });
+
+    for (const transition of transitions) {
+      await orderLifecycleService.afterCommit(transition);
+    }
+
+    if (input.status === 'canceled' || input.status === 'returned') {
+      await stockService.notifyPendingAlerts().catch((error) => console.error('Erro ao avisar alertas de estoque:', error));
+    }
+
+    return this.getShipment(shipmentId);
+  }
+
+  /**
+   * Leva o pedido ao status derivado dos seus envios
+   *
+   * Percorre o caminho principal com o maior salto permitido a cada passo,
+   * gravando o histórico de cada transição. Quem chama deve executar
+   * afterCommit para cada transição retornada depois do commit.
+   * @param {Transaction} tx - Transação aberta
+   * @param {number} orderId - ID do pedido
+   * @param {string} actor - Autor do histórico
+   * @param {string} notes - Observação opcional do histórico
+   * @returns {Promise<OrderTransition[]>} Transições aplicadas
+   */
+  async syncOrderStatus(tx: Transaction, orderId: number, actor: string, notes?: string): Promise<OrderTransition[]> {
+    const shipments = await tx.execute({
+      sql: `SELECT status FROM order_shipments WHERE order_id = ?`,
+      args: [orderId]
+    });
+    const target = deriveOrderStatus(shipments.rows.map((row: any) => row.status as ShipmentStatus));
+
+    const order = await tx.execute({
+      sql: `SELECT s.name FROM orders o JOIN order_statuses s ON o.status_id = s.id WHERE o.id = ?`,
+      args: [orderId]
+    });
+    let current = String(order.rows[0]?.name);
+
+    if (!target || target === current) return [];
+
+    const transitions: OrderTransition[] = [];
+
+    if (!ORDER_PROGRESS.includes(target)) {
+      if (canTransition(current, target)) {
+        transitions.push(await orderLifecycleService.applyTransition(tx, orderId, target, { actor, notes }));
+      }
+      return transitions;
+    }
+
+    const targetIndex = ORDER_PROGRESS.indexOf(target);
+
+    while (ORDER_PROGRESS.includes(current) && ORDER_PROGRESS.indexOf(current) < targetIndex) {
+      const from = current;
+      const next = ORDER_PROGRESS.slice(ORDER_PROGRESS.indexOf(from) + 1, targetIndex + 1)
+        .reverse()
+        .find((status) => canTransition(from, status));
+
+      if (!next) break;
+
+      transitions.push(await orderLifecycleService.applyTransition(tx, orderId, next, { actor, notes }));
+      current = next;
+    }
+
+    return transitions;
+  }
+
+  // Devolve ao estoque os itens de um vendedor cujo envio foi cancelado ou devolvido
+  private async releaseStock(
+    tx: Transaction,
+    orderId: number,
+    vendorId: number,
+    reason: 'cancellation' | 'return',
+    actor: string
+  ): Promise<void> {
+    const items = await tx.execute({
+      sql: `SELECT product_id, variant_id, quantity FROM order_items WHERE order_id = ? AND vendor_id = ?`,
+      args: [orderId, vendorId]
+    });
+
+    for (const item of items.rows) {
+      await stockService.adjust(tx, {
+        productId: Number(item.product_id),
+        variantId: item.variant_id !== null ? Number(item.variant_id) : null,
+        quantity: Number(item.quantity),
+        reason,
+        actor,
+        reference: `order:${orderId}`
+      });
+    }
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const shipmentService = new ShipmentService();
+export default shipmentService;
@@ -0,0 +1,516 @@
+/**
+ * Cotação de frete
+ *
+ * Calcula, para cada vendedor do carrinho, as opções de entrega a partir de
+ * vendor_shipping_rules (fixed, weight_based, price_percentage, table), das
+ * faixas de CEP, das exceções de product_shipping e dos prazos de
+ * delivery_deadlines. O valor final cobrado aplica a estratégia ativa de
+ * shipping_consolidation_rules sobre as opções escolhidas de cada loja.
+ *
+ * O peso do pacote é o maior entre o peso real e o cúbico (C × L × A / 6000)
+ * de cada item. Itens com preço fixo em product_shipping continuam pagos
+ * mesmo quando a loja oferece frete grátis.
+ */
+
+import { z } from 'zod';
+import { executeQuery } from '../db/turso-client';
+import { getRegionByState, getStateByCep, normalizeCep } from '../lib/cep';
+import cepService, { type CepCache } from './cepService';
+import { ServiceError } from './errors';
+
+// Divisor do peso cúbico usado pelas transportadoras (cm³ → kg)
+const CUBIC_WEIGHT_FACTOR = 6000;
+
+// Prazos usados quando o vendedor não cadastrou delivery_deadlines
+const DEFAULT_DELIVERY_DAYS = 10;
+const DEFAULT_HANDLING_DAYS = 1;
+
+export const CONSOLIDATION_TYPES = ['best_price', 'avg_price', 'sum_price', 'max_price'] as const;
+export type ConsolidationType = (typeof CONSOLIDATION_TYPES)[number];
+
+export const shippingQuoteSchema = z.object({
+  cep: z
+    .string()
+    .transform((value) => normalizeCep(value))
+    .pipe(z.string({ invalid_type_error: 'CEP inválido' })),
+  city: z.string().trim().optional(),
+  items: z
+    .array(
+      z.object({
+        productId: z.coerce.number().int().positive(),
+        variantId: z.coerce.number().int().positive().nullish(),
+        quantity: z.coerce.number().int().min(1).max(99)
+      })
+    )
+    .min(1, 'Carrinho vazio'),
+  // Regra escolhida por vendedor ({ [vendorId]: ruleId }); padrão: a mais barata
+  selections: z.record(z.coerce.number().int().positive()).optional()
+});
+
+export type ShippingQuoteInput = z.input<typeof shippingQuoteSchema>;
+
+export interface ShippingOption {
+  ruleId: number;
+  name: string;
+  price: number;
+  isFree: boolean;
+  deliveryDays: number;
+  businessDays: boolean;
+  estimatedDeliveryDate: string;
+}
+
+export interface VendorShippingQuote {
+  vendorId: number;
+  vendorName: string;
+  subtotal: number;
+  weight: number;
+  available: boolean;
+  options: ShippingOption[];
+  selected: ShippingOption | null;
+  /** Parte do frete consolidado atribuída a esta loja */
+  chargedAmount: number;
+}
+
+export interface ShippingQuote {
+  cep: string;
+  state: string | null;
+  region: string | null;
+  available: boolean;
+  vendors: VendorShippingQuote[];
+  consolidation: {
+    type: ConsolidationType;
+    ruleName: string | null;
+    originalAmount: number;
+    discountAmount: number;
+  };
+  shippingAmount: number;
+  deliveryDays: number;
+  estimatedDeliveryDate: string | null;
+}
+
+interface PackageItem {
+  productId: number;
+  quantity: number;
+  price: number;
+  weight: number;
+  fixedPrice: number | null;
+  overrideDefault: boolean;
+  ruleId: number | null;
+}
+
+interface DeadlineRow {
+  region: string;
+  state: string | null;
+  city: string | null;
+  postal_code_prefix: string | null;
+  delivery_days: number;
+  additional_days: number | null;
+  handling_days: number | null;
+  is_business_days: number | null;
+}
+
+// Arredonda valores monetários para centavos
+function roundCurrency(value: number): number {
+  return Math.round(value * 100) / 100;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+// Peso tarifável de uma unidade: o maior entre o real e o cúbico
+export function billableWeight(dimensions: {
+  weight?: number | null;
+  width?: number | null;
+  height?: number | null;
+  length?: number | null;
+}): number {
+  const real = Number(dimensions.weight ?? 0);
+  const cubic =
+    (Number(dimensions.width ?? 0) * Number(dimensions.height ?? 0) * Number(dimensions.length ?? 0)) /
+    CUBIC_WEIGHT_FACTOR;
+  return Math.max(real, cubic);
+}
+
+/**
+ * Soma dias a uma data, pulando sábados e domingos quando businessDays
+ * @param {Date} start - Data de partida
+ * @param {number} days - Quantidade de dias
+ * @param {boolean} businessDays - Se true, conta apenas dias úteis
+ * @returns {string} Data no formato AAAA-MM-DD
+ */
+export function addDeliveryDays(start: Date, days: number, businessDays: boolean): string {
+  const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate()));
+  let remaining = days;
+
+  while (remaining > 0) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    const weekday = date.getUTCDay();
+    if (!businessDays || (weekday !== 0 && weekday !== 6)) {
+      remaining--;
+    }
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Aplica a estratégia de consolidação aos fretes escolhidos de cada loja
+ * @param {number[]} prices - Frete escolhido por vendedor
+ * @param {ConsolidationType} type - Estratégia de consolidação
+ * @returns {number} Valor consolidado antes de desconto
+ */
+export function consolidatePrices(prices: number[], type: ConsolidationType): number {
+  if (prices.length === 0) return 0;
+
+  switch (type) {
+    case 'best_price':
+      return Math.min(...prices);
+    case 'max_price':
+      return Math.max(...prices);
+    case 'avg_price':
+      return prices.reduce((total, price) => total + price, 0) / prices.length;
+    default:
+      return prices.reduce((total, price) => total + price, 0);
+  }
+}
+
+// Faixa mais estreita da regra que contém o CEP
+function findPostalCodeRange(ranges: any[], cep: string): any | null {
+  const digits = (value: unknown) => String(value).replace(/\D/g, '');
+  const span = (range: any) => Number(digits(range.postal_code_end)) - Number(digits(range.postal_code_start));
+
+  return (
+    ranges
+      .filter((range) => cep >= digits(range.postal_code_start) && cep <= digits(range.postal_code_end))
+      .sort((a, b) => span(a) - span(b))[0] ?? null
+  );
+}
+
+// Prazo mais específico do vendedor para o destino (prefixo de CEP > cidade > UF > região)
+function findDeadline(
+  deadlines: DeadlineRow[],
+  destination: { cep: string; city?: string; state: string | null; region: string | null }
+): DeadlineRow | null {
+  let best: { row: DeadlineRow; score: number } | null = null;
+
+  for (const row of deadlines) {
+    const prefix = row.postal_code_prefix ? row.postal_code_prefix.replace(/\D/g, '') : '';
+    if (prefix && !destination.cep.startsWith(prefix)) continue;
+    if (row.city && row.city.localeCompare(destination.city ?? '', 'pt-BR', { sensitivity: 'base' }) !== 0) continue;
+    if (row.state && row.state.toUpperCase() !== destination.state) continue;
+    if (!row.state && !row.city && !prefix && row.region !== destination.region) continue;
+
+    const score = prefix ? 100 + prefix.length : row.city ? 3 : row.state ? 2 : 1;
+    if (!best || score > best.score) {
+      best = { row, score };
+    }
+  }
+
+  return best?.row ?? null;
+}
+
+/**
+ * Serviço de cotação de frete
+ */
+class ShippingService {
+  /**
+   * Cota o frete de um carrinho para um CEP
+   * @param {unknown} rawInput - CEP, itens e escolhas de regra por vendedor
+   * @param {object} options - Data de referência dos prazos e KV de CEPs
+   * @returns {Promise<ShippingQuote>} Opções por vendedor e valor consolidado
+   */
+  async quote(
+    rawInput: unknown,
+    options: { now?: Date; cache?: CepCache | null } = {}
+  ): Promise<ShippingQuote> {
+    const now = options.now ?? new Date();
+    const parsed = shippingQuoteSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Dados para cotação de frete inválidos',
+        details: parsed.error.flatten()
+      });
+    }
+
+    const input = parsed.data;
+    const cep = input.cep;
+
+    // Cidade/UF vêm da consulta de CEP; a faixa por UF cobre CEPs fora da base
+    const address = await cepService.find(cep, options.cache);
+    const state = address?.state || getStateByCep(cep);
+    const region = getRegionByState(state);
+    const city = input.city || address?.city || undefined;
+
+    const packages = await this.loadPackages(input.items);
+    const vendorIds = [...packages.keys()];
+
+    const [rules, ranges, deadlines, settings, consolidationRule] = await Promise.all([
+      executeQuery<any>(
+        `SELECT * FROM vendor_shipping_rules
+         WHERE vendor_id IN (${placeholders(vendorIds)}) AND is_active = 1
+         ORDER BY is_default DESC, id ASC`,
+        vendorIds
+      ),
+      executeQuery<any>(
+        `SELECT r.* FROM shipping_postal_code_ranges r
+         JOIN vendor_shipping_rules vr ON r.rule_id = vr.id
+         WHERE vr.vendor_id IN (${placeholders(vendorIds)}) AND r.is_active = 1`,
+        vendorIds
+      ),
+      executeQuery<any>(`SELECT * FROM delivery_deadlines WHERE vendor_id IN (${placeholders(vendorIds)})`, vendorIds),
+      executeQuery<any>(
+        `SELECT vendor_id, free_shipping_threshold FROM vendor_settings WHERE vendor_id IN (${placeholders(vendorIds)})`,
+        vendorIds
+      ),
+      executeQuery<any>(`SELECT * FROM shipping_consolidation_rules WHERE is_active = 1 ORDER BY id ASC LIMIT 1`)
+    ]);
+
+    const vendors: VendorShippingQuote[] = [];
+
+    for (const [vendorId, pkg] of packages) {
+      const vendorRules = rules.rows.filter((rule: any) => Number(rule.vendor_id) === vendorId);
+      const vendorDeadline = findDeadline(
+        deadlines.rows.filter((row: any) => Number(row.vendor_id) === vendorId) as unknown as DeadlineRow[],
+        { cep, city, state, region }
+      );
+      const vendorThreshold = settings.rows.find((row: any) => Number(row.vendor_id) === vendorId)?.free_shipping_threshold;
+
+      const subtotal = roundCurrency(pkg.items.reduce((total, item) => total + item.price * item.quantity, 0));
+      const weight = pkg.items.reduce((total, item) => total + item.weight * item.quantity, 0);
+
+      // Produtos presos a uma regra específica limitam as opções da loja
+      const pinnedRules = new Set(pkg.items.map((item) => item.ruleId).filter((id): id is number => id !== null));
+
+      const options: ShippingOption[] = [];
+
+      for (const rule of vendorRules) {
+        const ruleId = Number(rule.id);
+        if (pinnedRules.size > 0 && !pinnedRules.has(ruleId)) continue;
+        if (subtotal < Number(rule.min_order_value ?? 0)) continue;
+
+        const ruleRanges = ranges.rows.filter((range: any) => Number(range.rule_id) === ruleId);
+        const range = findPostalCodeRange(ruleRanges, cep);
+
+        // Regras com faixas só atendem os CEPs cadastrados; 'table' exige faixa
+        if ((ruleRanges.length > 0 || rule.calculation_type === 'table') && !range) continue;
+
+        const price = this.calculatePrice(rule, range, pkg.items, subtotal, vendorThreshold);
+
+        const transitDays = Number(range?.delivery_days ?? vendorDeadline?.delivery_days ?? DEFAULT_DELIVERY_DAYS);
+        const additionalDays = Number(vendorDeadline?.additional_days ?? 0);
+        const handlingDays = Number(vendorDeadline?.handling_days ?? DEFAULT_HANDLING_DAYS);
+        const businessDays = vendorDeadline ? Boolean(vendorDeadline.is_business_days ?? 1) : true;
+        const deliveryDays = handlingDays + transitDays + additionalDays;
+
+        options.push({
+          ruleId,
+          name: String(rule.name),
+          price,
+          isFree: price === 0,
+          deliveryDays,
+          businessDays,
+          estimatedDeliveryDate: addDeliveryDays(now, deliveryDays, businessDays)
+        });
+      }
+
+      options.sort((a, b) => a.price - b.price || a.deliveryDays - b.deliveryDays);
+
+      const selectedRuleId = input.selections?.[String(vendorId)];
+      const selected = options.find((option) => option.ruleId === selectedRuleId) ?? options[0] ?? null;
+
+      vendors.push({
+        vendorId,
+        vendorName: pkg.vendorName,
+        subtotal,
+        weight: Math.round(weight * 1000) / 1000,
+        available: options.length > 0,
+        options,
+        selected,
+        chargedAmount: selected?.price ?? 0
+      });
+    }
+
+    return this.consolidate({ cep, state, region }, vendors, consolidationRule.rows[0]);
+  }
+
+  // Preço de uma regra para o pacote do vendedor
+  private calculatePrice(
+    rule: any,
+    range: any,
+    items: PackageItem[],
+    subtotal: number,
+    vendorThreshold: unknown
+  ): number {
+    const ruleItems = items.filter((item) => item.fixedPrice === null || !item.overrideDefault);
+    const fixedItemsPrice = items
+      .filter((item) => item.fixedPrice !== null)
+      .reduce((total, item) => total + Number(item.fixedPrice) * item.quantity, 0);
+
+    let rulePrice = 0;
+
+    if (ruleItems.length > 0) {
+      const ruleWeight = ruleItems.reduce((total, item) => total + item.weight * item.quantity, 0);
+      const ruleSubtotal = ruleItems.reduce((total, item) => total + item.price * item.quantity, 0);
+
+      switch (rule.calculation_type) {
+        case 'weight_based':
+          rulePrice = Number(rule.default_price ?? 0) + Number(rule.price_per_kg ?? 0) * ruleWeight;
+          break;
+        case 'price_percentage':
+          rulePrice = (ruleSubtotal * Number(rule.percentage_value ?? 0)) / 100;
+          break;
+        case 'table':
+          rulePrice = Number(range.price);
+          break;
+        default:
+          rulePrice = Number(rule.default_price ?? 0);
+      }
+    }
+
+    const threshold = rule.free_shipping_threshold ?? vendorThreshold;
+    if (threshold !== null && threshold !== undefined && subtotal >= Number(threshold)) {
+      rulePrice = 0;
+    }
+
+    return roundCurrency(rulePrice + fixedItemsPrice);
+  }
+
+  // Aplica a consolidação entre vendedores e reparte o valor cobrado entre eles
+  private consolidate(
+    destination: { cep: string; state: string | null; region: string | null },
+    vendors: VendorShippingQuote[],
+    rule: any
+  ): ShippingQuote {
+    const selectedPrices = vendors.map((vendor) => vendor.selected?.price ?? 0);
+    const originalAmount = roundCurrency(selectedPrices.reduce((total, price) => total + price, 0));
+
+    const applies =
+      rule && vendors.length > 1 && (rule.max_vendors === null || vendors.length <= Number(rule.max_vendors));
+    const type: ConsolidationType =
+      applies && CONSOLIDATION_TYPES.includes(rule.consolidation_type) ? rule.consolidation_type : 'sum_price';
+
+    const consolidated = roundCurrency(consolidatePrices(selectedPrices, type));
+    const discountAmount =
+      applies && rule.apply_discount ? roundCurrency((consolidated * Number(rule.discount_percentage ?? 0)) / 100) : 0;
+    const shippingAmount = roundCurrency(consolidated - discountAmount);
+
+    // Reparte proporcionalmente; o resto dos centavos fica com a última loja cobrada
+    let allocated = 0;
+    const charged = vendors.filter((vendor) => (vendor.selected?.price ?? 0) > 0);
+    vendors.forEach((vendor) => (vendor.chargedAmount = 0));
+    charged.forEach((vendor, index) => {
+      vendor.chargedAmount =
+        index === charged.length - 1
+          ? roundCurrency(shippingAmount - allocated)
+          : roundCurrency((vendor.selected!.price / originalAmount) * shippingAmount);
+      allocated = roundCurrency(allocated + vendor.chargedAmount);
+    });
+
+    const selected = vendors.map((vendor) => vendor.selected).filter((option): option is ShippingOption => !!option);
+    const slowest = selected.sort((a, b) => b.estimatedDeliveryDate.localeCompare(a.estimatedDeliveryDate))[0];
+
+    return {
+      ...destination,
+      available: vendors.every((vendor) => vendor.available),
+      vendors,
+      consolidation: {
+        type,
+        ruleName: applies ? String(rule.name) : null,
+        originalAmount,
+        discountAmount
+      },
+      shippingAmount,
+      deliveryDays: slowest?.deliveryDays ?? 0,
+      estimatedDeliveryDate: slowest?.estimatedDeliveryDate ?? null
+    };
+  }
+
+  // Agrupa os itens por vendedor com peso tarifável e exceções de product_shipping
+  private async loadPackages(
+    items: { productId: number; variantId?: number | null; quantity: number }[]
+  ): Promise<Map<number, { vendorName: string; items: PackageItem[] }>> {
+    const productIds = [...new Set(items.map((item) => item.productId))];
+    const variantIds = [...new Set(items.map((item) => item.variantId).filter((id): id is number => !!id))];
+
+    const productResult = await executeQuery<any>(
+      `SELECT
+         p.id, p.vendor_id, p.price, p.weight, p.width, p.height, p.length AS depth,
+         v.shop_name AS vendor_name,
+         ps.is_fixed_price, ps.fixed_price, ps.weight_multiplier, ps.override_default, ps.rule_id,
+         ps.has_special_shipping AS special_enabled
+       FROM products p
+       JOIN vendors v ON p.vendor_id = v.id
+       LEFT JOIN product_shipping ps ON ps.id = (
+         SELECT id FROM product_shipping WHERE product_id = p.id ORDER BY id DESC LIMIT 1
+       )
+       WHERE p.id IN (${placeholders(productIds)}) AND p.is_active = 1`,
+      productIds
+    );
+    const products = new Map<number, any>(productResult.rows.map((row: any) => [Number(row.id), row]));
+
+    const variants = new Map<number, any>();
+    if (variantIds.length > 0) {
+      const variantResult = await executeQuery<any>(
+        `SELECT id, product_id, price, weight, width, height, length AS depth
+         FROM product_variants WHERE id IN (${placeholders(variantIds)}) AND is_active = 1`,
+        variantIds
+      );
+      variantResult.rows.forEach((row: any) => variants.set(Number(row.id), row));
+    }
+
+    const missing = items.filter(
+      (item) =>
+        !products.has(item.productId) ||
+        (item.variantId && Number(variants.get(item.variantId)?.product_id) !== item.productId)
+    );
+
+    if (missing.length > 0) {
+      throw new ServiceError({
+        code: 'BAD_REQUEST',
+        message: 'Alguns itens do carrinho não foram encontrados',
+        details: { missing: missing.map((item) => ({ productId: item.productId, variantId: item.variantId ?? null })) }
+      });
+    }
+
+    const packages = new Map<number, { vendorName: string; items: PackageItem[] }>();
+
+    for (const item of items) {
+      const product = products.get(item.productId);
+      const variant = item.variantId ? variants.get(item.variantId) : null;
+      // Exceções só valem com a linha de product_shipping ativa
+      const special = product.special_enabled !== null && Boolean(product.special_enabled);
+
+      // Variantes herdam do produto as medidas que não cadastraram
+      // (length vem como depth: as linhas do libsql já têm uma propriedade length)
+      const weight = billableWeight({
+        weight: variant?.weight ?? product.weight,
+        width: variant?.width ?? product.width,
+        height: variant?.height ?? product.height,
+        length: variant?.depth ?? product.depth
+      });
+
+      const vendorId = Number(product.vendor_id);
+      const pkg = packages.get(vendorId) ?? { vendorName: String(product.vendor_name), items: [] };
+
+      pkg.items.push({
+        productId: item.productId,
+        quantity: item.quantity,
+        price: Number(variant?.price ?? product.price),
+        weight: special && product.weight_multiplier ? weight * Number(product.weight_multiplier) : weight,
+        fixedPrice: special && product.is_fixed_price ? Number(product.fixed_price ?? 0) : null,
+        overrideDefault: Boolean(product.override_default ?? 1),
+        ruleId: special && product.rule_id ? Number(product.rule_id) : null
+      });
+
+      packages.set(vendorId, pkg);
+    }
+
+    return packages;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const shippingService = new ShippingService();
+export default shippingService;
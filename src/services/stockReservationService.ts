@@ -0,0 +1,247 @@
+/**
+ * Reservas de estoque do checkout
+ *
+ * Ao abrir o checkout, as unidades do carrinho ficam presas por alguns minutos
+ * em stock_reservations (status pending + expires_at). O pedido confirma a
+ * reserva na mesma transação que baixa o estoque; sair do checkout cancela e o
+ * prazo vencido deixa de contar na hora (a varredura só marca como expired).
+ *
+ * Estoque disponível = estoque físico - reservas pendentes ainda no prazo.
+ */
+
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { ensureCartRecord, type CartOwner } from './cartService';
+import { ServiceError } from './errors';
+
+export const DEFAULT_RESERVATION_TTL_MINUTES = 15;
+
+// Reserva que ainda segura estoque. As datas ficam no formato de datetime('now') (UTC)
+const ACTIVE_RESERVATION = `sr.status = 'pending' AND sr.expires_at > datetime('now')`;
+
+export interface ReservationLine {
+  productId: number;
+  variantId: number | null;
+  quantity: number;
+}
+
+export interface CartReservation {
+  cartId: number;
+  expiresAt: string;
+  items: ReservationLine[];
+}
+
+/**
+ * SQL com as unidades presas por reservas ativas, para subtrair do estoque
+ * @param {string} productColumn - Coluna com o ID do produto (ex.: p.id)
+ * @param {string | null} variantColumn - Coluna com o ID da variante; sem ela conta todas as do produto
+ * @param {boolean} excludeCart - Se true, a consulta recebe um parâmetro com o carts.id
+ *   cujas reservas não contam (o carrinho não disputa estoque com ele mesmo; null não exclui nada)
+ */
+export function reservedQuantitySql(productColumn: string, variantColumn: string | null, excludeCart = false): string {
+  return `(SELECT COALESCE(SUM(sr.quantity), 0) FROM stock_reservations sr
+           WHERE sr.product_id = ${productColumn}${variantColumn ? ` AND sr.variant_id = ${variantColumn}` : ''}
+             AND ${ACTIVE_RESERVATION}${excludeCart ? ' AND sr.cart_id IS NOT ?' : ''})`;
+}
+
+// Prazo configurado em STOCK_RESERVATION_TTL_MINUTES (padrão: 15 minutos)
+export function getReservationTtlMinutes(): number {
+  const configured = Number(import.meta.env.STOCK_RESERVATION_TTL_MINUTES);
+  return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_RESERVATION_TTL_MINUTES;
+}
+
+function ownerCondition(owner: CartOwner): { column: string; value: string } {
+  return 'userId' in owner
+    ? { column: 'user_id', value: owner.userId }
+    : { column: 'session_id', value: owner.sessionId };
+}
+
+/**
+ * Serviço de reservas de estoque
+ */
+class StockReservationService {
+  /**
+   * ID do carrinho do dono, se já existir
+   * @param {CartOwner} owner - Usuário ou sessão de visitante
+   * @returns {Promise<number | null>} carts.id
+   */
+  async findCartId(owner: CartOwner): Promise<number | null> {
+    const { column, value } = ownerCondition(owner);
+    const result = await executeQuery<any>(`SELECT id FROM carts WHERE ${column} = ?`, [value]);
+    return result.rows.length > 0 ? Number(result.rows[0].id) : null;
+  }
+
+  /**
+   * Reserva os itens do carrinho pelo prazo configurado (início do checkout)
+   *
+   * Chamar de novo renova o prazo e acompanha mudanças no carrinho: linhas
+   * novas são reservadas, quantidades atualizadas e linhas removidas liberadas.
+   * @param {CartOwner} owner - Dono do carrinho
+   * @param {ReservationLine[]} items - Itens atuais do carrinho
+   * @param {string | null} userId - Usuário autenticado, se houver
+   * @returns {Promise<CartReservation>} Reserva com o prazo final
+   */
+  async reserve(owner: CartOwner, items: ReservationLine[], userId: string | null = null): Promise<CartReservation> {
+    if (items.length === 0) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Carrinho vazio' });
+    }
+
+    const ttl = `+${getReservationTtlMinutes()} minutes`;
+    const sessionId = 'sessionId' in owner ? owner.sessionId : null;
+
+    return executeTransaction(async (tx) => {
+      const cartId = await ensureCartRecord(tx, owner);
+
+      const current = await tx.execute({
+        sql: `SELECT id, product_id, variant_id FROM stock_reservations WHERE cart_id = ? AND status = 'pending'`,
+        args: [cartId]
+      });
+      // Uma reserva por linha; repetidas (ex.: reservas do visitante levadas no login) são canceladas
+      const existing = new Map<string, number>();
+      const stale: number[] = [];
+      for (const row of current.rows as any[]) {
+        const key = `${row.product_id}:${row.variant_id ?? ''}`;
+        if (existing.has(key)) stale.push(Number(row.id));
+        else existing.set(key, Number(row.id));
+      }
+
+      const unavailable: { productId: number; variantId: number | null; reason: string; available: number }[] = [];
+
+      for (const item of items) {
+        const available = await this.availableFor(tx, item, cartId);
+        if (available < item.quantity) {
+          unavailable.push({ productId: item.productId, variantId: item.variantId, reason: 'out_of_stock', available });
+          continue;
+        }
+
+        const key = `${item.productId}:${item.variantId ?? ''}`;
+        const reservationId = existing.get(key);
+        existing.delete(key);
+
+        if (reservationId !== undefined) {
+          await tx.execute({
+            sql: `UPDATE stock_reservations SET
+                    quantity = ?, expires_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+                  WHERE id = ?`,
+            args: [item.quantity, ttl, reservationId]
+          });
+        } else {
+          await tx.execute({
+            sql: `INSERT INTO stock_reservations (product_id, variant_id, quantity, cart_id, user_id, session_id, expires_at, status)
+                  VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?), 'pending')`,
+            args: [item.productId, item.variantId, item.quantity, cartId, userId, sessionId, ttl]
+          });
+        }
+      }
+
+      if (unavailable.length > 0) {
+        throw new ServiceError({
+          code: 'CONFLICT',
+          message: 'Alguns itens do carrinho não estão disponíveis',
+          details: { unavailable }
+        });
+      }
+
+      // Linhas que saíram do carrinho desde a última reserva
+      for (const reservationId of [...existing.values(), ...stale]) {
+        await tx.execute({
+          sql: `UPDATE stock_reservations SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          args: [reservationId]
+        });
+      }
+
+      const expires = await tx.execute({ sql: `SELECT datetime('now', ?) AS expires_at`, args: [ttl] });
+
+      return {
+        cartId,
+        expiresAt: `${String(expires.rows[0].expires_at).replace(' ', 'T')}Z`,
+        items: items.map((item) => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity }))
+      };
+    });
+  }
+
+  /**
+   * Libera as reservas pendentes do carrinho (checkout abandonado)
+   * @param {CartOwner} owner - Dono do carrinho
+   * @returns {Promise<number>} Quantidade de reservas canceladas
+   */
+  async release(owner: CartOwner): Promise<number> {
+    const cartId = await this.findCartId(owner);
+    if (cartId === null) return 0;
+
+    const result = await executeQuery<any>(
+      `UPDATE stock_reservations SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+       WHERE cart_id = ? AND status = 'pending'`,
+      [cartId]
+    );
+    return result.rowsAffected;
+  }
+
+  /**
+   * Confirma as reservas do carrinho no pedido (mesma transação da baixa de estoque)
+   *
+   * A reserva passa a apontar para o pedido e deixa de contar como estoque preso:
+   * a partir daqui as unidades já saíram de products/product_variants.
+   * @param {Transaction} tx - Transação do pedido
+   * @param {number} cartId - Carrinho usado no checkout
+   * @param {number} orderId - Pedido criado
+   * @returns {Promise<number>} Quantidade de reservas confirmadas
+   */
+  async confirm(tx: Transaction, cartId: number, orderId: number): Promise<number> {
+    const result = await tx.execute({
+      sql: `UPDATE stock_reservations SET
+              status = 'confirmed', order_id = ?, cart_id = NULL, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE cart_id = ? AND status = 'pending'`,
+      args: [orderId, cartId]
+    });
+    return result.rowsAffected;
+  }
+
+  /**
+   * Cancela as reservas confirmadas de um pedido cancelado/reembolsado
+   * @param {Transaction} tx - Transação da mudança de status
+   * @param {number} orderId - Pedido
+   */
+  async cancelForOrder(tx: Transaction, orderId: number): Promise<void> {
+    await tx.execute({
+      sql: `UPDATE stock_reservations SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+            WHERE order_id = ? AND status = 'confirmed'`,
+      args: [orderId]
+    });
+  }
+
+  /**
+   * Marca como expiradas as reservas pendentes fora do prazo (tarefa agendada)
+   * @returns {Promise<number>} Quantidade de reservas expiradas
+   */
+  async sweep(): Promise<number> {
+    const result = await executeQuery<any>(
+      `UPDATE stock_reservations SET status = 'expired', updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending' AND expires_at <= datetime('now')`
+    );
+    return result.rowsAffected;
+  }
+
+  // Estoque físico menos as reservas ativas de outros carrinhos
+  private async availableFor(tx: Transaction, item: ReservationLine, cartId: number): Promise<number> {
+    const result = item.variantId !== null
+      ? await tx.execute({
+          sql: `SELECT pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id', true)} AS available
+                FROM product_variants pv
+                WHERE pv.id = ? AND pv.product_id = ? AND pv.is_active = 1`,
+          args: [cartId, item.variantId, item.productId]
+        })
+      : await tx.execute({
+          sql: `SELECT p.stock - ${reservedQuantitySql('p.id', null, true)} AS available
+                FROM products p
+                WHERE p.id = ? AND p.is_active = 1`,
+          args: [cartId, item.productId]
+        });
+
+    return result.rows.length > 0 ? Math.max(Number(result.rows[0].available ?? 0), 0) : 0;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const stockReservationService = new StockReservationService();
+export default stockReservationService;
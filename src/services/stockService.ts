@@ -0,0 +1,426 @@
+/**
+ * Livro de estoque
+ *
+ * Toda mudança em products.stock / product_variants.stock passa por aqui:
+ * vendas, cancelamentos, devoluções e correções manuais. Cada movimento grava
+ * em stock_history o estoque antes e depois, o motivo, a referência (ex.:
+ * order:42) e quem fez, de modo que a soma dos ajustes explica o saldo.
+ *
+ * Cruzar products.low_stock_threshold abre (ou atualiza) um alerta em
+ * stock_alerts; o vendedor é avisado depois do commit por notifyPendingAlerts.
+ * Uma entrada que tira o saldo de zero enfileira os pedidos de "avise-me"
+ * (ver stockSubscriptionService).
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { sendEmail } from '../lib/email';
+import { ServiceError } from './errors';
+import { reservedQuantitySql } from './stockReservationService';
+import stockSubscriptionService from './stockSubscriptionService';
+
+export const STOCK_ADJUSTMENT_REASONS = [
+  'sale',
+  'cancellation',
+  'return',
+  'manual_correction',
+  'inventory_count',
+  'damage',
+  'purchase'
+] as const;
+export type StockAdjustmentReason = (typeof STOCK_ADJUSTMENT_REASONS)[number];
+
+// Motivos que o vendedor pode informar numa correção manual
+export const MANUAL_ADJUSTMENT_REASONS = ['manual_correction', 'inventory_count', 'damage', 'purchase', 'return'] as const;
+
+export type StockAlertType = 'low_stock' | 'out_of_stock';
+
+export const stockCorrectionSchema = z
+  .object({
+    variantId: z.coerce.number().int().positive().nullish(),
+    // Variação (entrada positiva, saída negativa) ou contagem absoluta do inventário
+    adjustment: z.coerce.number().int().refine((value) => value !== 0, 'Ajuste não pode ser zero').optional(),
+    stock: z.coerce.number().int().min(0).optional(),
+    reason: z.enum(MANUAL_ADJUSTMENT_REASONS).default('manual_correction'),
+    notes: z.string().trim().max(500).optional()
+  })
+  .refine((input) => (input.adjustment === undefined) !== (input.stock === undefined), {
+    message: 'Informe o ajuste ou o novo estoque'
+  });
+
+export interface StockAdjustment {
+  productId: number;
+  variantId: number | null;
+  /** Variação do estoque: positiva entra, negativa sai */
+  quantity: number;
+  reason: StockAdjustmentReason;
+  /** ID do usuário ou 'system' */
+  actor: string;
+  /** Origem do movimento, ex.: order:42 */
+  reference?: string | null;
+  notes?: string | null;
+  /**
+   * Em saídas, não usa unidades reservadas por outros carrinhos. Informe o
+   * carts.id do comprador (ou null); sem o campo só impede estoque negativo.
+   */
+  reservationCartId?: number | null;
+}
+
+export interface StockMovement {
+  productId: number;
+  variantId: number | null;
+  previousStock: number;
+  newStock: number;
+  adjustment: number;
+  reason: StockAdjustmentReason;
+  alert: StockAlertType | null;
+}
+
+export interface StockHistoryEntry {
+  id: number;
+  productId: number;
+  variantId: number | null;
+  previousStock: number;
+  newStock: number;
+  adjustment: number;
+  reason: string;
+  reference: string | null;
+  notes: string | null;
+  adjustedBy: string;
+  createdAt: string;
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Serviço de movimentação de estoque
+ */
+class StockService {
+  /**
+   * Aplica uma variação de estoque e registra no histórico
+   * @param {Transaction} tx - Transação da operação que movimenta o estoque
+   * @param {StockAdjustment} adjustment - Produto/variante, variação, motivo e autor
+   * @returns {Promise<StockMovement>} Estoque antes e depois
+   */
+  async adjust(tx: Transaction, adjustment: StockAdjustment): Promise<StockMovement> {
+    const { table, id, reservedSql } = this.target(adjustment.productId, adjustment.variantId);
+    const checkReservations = adjustment.quantity < 0 && adjustment.reservationCartId !== undefined;
+
+    // Saída condicional: falha se o estoque (livre de reservas de outros, quando pedido) não cobre
+    const result = await tx.execute({
+      sql: `UPDATE ${table} SET stock = stock + ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND (? >= 0 OR stock + ?${checkReservations ? ` - ${reservedSql}` : ''} >= 0)
+            RETURNING stock`,
+      args: [
+        adjustment.quantity,
+        id,
+        adjustment.quantity,
+        adjustment.quantity,
+        ...(checkReservations ? [adjustment.reservationCartId ?? null] : [])
+      ]
+    });
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({
+        code: 'CONFLICT',
+        message: 'Estoque insuficiente',
+        details: {
+          unavailable: [{ productId: adjustment.productId, variantId: adjustment.variantId, reason: 'out_of_stock' }]
+        }
+      });
+    }
+
+    const newStock = Number(result.rows[0].stock);
+    return this.record(tx, adjustment, newStock - adjustment.quantity, newStock);
+  }
+
+  /**
+   * Define o estoque pela contagem do inventário e registra a diferença
+   * @param {Transaction} tx - Transação aberta
+   * @param {Omit<StockAdjustment, 'quantity'>} adjustment - Produto/variante, motivo e autor
+   * @param {number} stock - Quantidade contada
+   * @returns {Promise<StockMovement>} Estoque antes e depois
+   */
+  async set(tx: Transaction, adjustment: Omit<StockAdjustment, 'quantity'>, stock: number): Promise<StockMovement> {
+    const { table, id } = this.target(adjustment.productId, adjustment.variantId);
+
+    const current = await tx.execute({ sql: `SELECT stock FROM ${table} WHERE id = ?`, args: [id] });
+    if (current.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+    const previousStock = Number(current.rows[0].stock ?? 0);
+
+    await tx.execute({
+      sql: `UPDATE ${table} SET stock = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      args: [stock, id]
+    });
+
+    return this.record(tx, { ...adjustment, quantity: stock - previousStock }, previousStock, stock);
+  }
+
+  /**
+   * Correção manual feita pelo vendedor (entrada de mercadoria, avaria, inventário)
+   * @param {number} productId - Produto
+   * @param {unknown} rawInput - { variantId?, adjustment | stock, reason, notes? }
+   * @param {string} actor - Usuário que fez a correção
+   * @returns {Promise<StockMovement>} Estoque antes e depois
+   */
+  async correct(productId: number, rawInput: unknown, actor: string): Promise<StockMovement> {
+    const parsed = stockCorrectionSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Ajuste de estoque inválido', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+    const variantId = input.variantId ?? null;
+
+    const product = await executeQuery<any>(
+      `SELECT p.is_variable,
+         (SELECT 1 FROM product_variants WHERE id = ? AND product_id = p.id) AS variant_found
+       FROM products p WHERE p.id = ?`,
+      [variantId, productId]
+    );
+    if (product.rows.length === 0 || (variantId !== null && !product.rows[0].variant_found)) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+    if (variantId === null && product.rows[0].is_variable) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Informe a variante: o estoque deste produto é controlado por variante' });
+    }
+
+    const adjustment = { productId, variantId, reason: input.reason, actor, reference: 'manual', notes: input.notes ?? null };
+
+    const movement = await executeTransaction((tx) =>
+      input.stock !== undefined ? this.set(tx, adjustment, input.stock) : this.adjust(tx, { ...adjustment, quantity: input.adjustment! })
+    );
+
+    await this.notifyPendingAlerts();
+    return movement;
+  }
+
+  /**
+   * Histórico de movimentos de um produto
+   * @param {number} productId - Produto
+   * @param {object} options - Variante e limite de linhas
+   * @returns {Promise<StockHistoryEntry[]>} Movimentos, do mais recente para o mais antigo
+   */
+  async history(
+    productId: number,
+    options: { variantId?: number | null; limit?: number } = {}
+  ): Promise<StockHistoryEntry[]> {
+    const variantId = options.variantId ?? null;
+    const result = await executeQuery<any>(
+      `SELECT * FROM stock_history
+       WHERE product_id = ? AND (? IS NULL OR variant_id = ?)
+       ORDER BY id DESC
+       LIMIT ?`,
+      [productId, variantId, variantId, Math.min(options.limit ?? 100, 500)]
+    );
+
+    return result.rows.map((row: any) => ({
+      id: Number(row.id),
+      productId: Number(row.product_id),
+      variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+      previousStock: Number(row.previous_stock),
+      newStock: Number(row.new_stock),
+      adjustment: Number(row.adjustment),
+      reason: row.reason,
+      reference: row.reference,
+      notes: row.notes,
+      adjustedBy: row.adjusted_by,
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Confere se o produto pertence à loja
+   * @param {number} productId - Produto
+   * @param {number} vendorId - Loja aprovada do usuário (vendorDashboardService.getVendorForUser)
+   */
+  async assertVendorOwnership(productId: number, vendorId: number): Promise<void> {
+    const result = await executeQuery<any>(`SELECT vendor_id FROM products WHERE id = ?`, [productId]);
+
+    if (result.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+
+    if (Number(result.rows[0].vendor_id) !== vendorId) {
+      throw new ServiceError({ code: 'FORBIDDEN', message: 'Este produto pertence a outra loja' });
+    }
+  }
+
+  /**
+   * Avisa os vendedores dos alertas de estoque ainda não notificados (após o commit)
+   * @returns {Promise<number>} Quantidade de alertas notificados
+   */
+  async notifyPendingAlerts(): Promise<number> {
+    const pending = await executeQuery<any>(
+      `SELECT a.id, a.alert_type, a.current_stock, a.threshold, a.product_id, a.variant_id,
+         p.name AS product_name, p.sku, v.user_id AS vendor_user_id, v.email AS vendor_email, v.shop_name
+       FROM stock_alerts a
+       JOIN products p ON a.product_id = p.id
+       JOIN vendors v ON p.vendor_id = v.id
+       WHERE a.is_active = 1 AND a.notified_at IS NULL
+       ORDER BY a.id ASC`
+    );
+
+    let notified = 0;
+
+    for (const alert of pending.rows) {
+      // Marca antes de enviar: execuções concorrentes não avisam o mesmo alerta duas vezes
+      const claimed = await executeQuery<any>(
+        `UPDATE stock_alerts SET notified_at = CURRENT_TIMESTAMP WHERE id = ? AND notified_at IS NULL`,
+        [alert.id]
+      );
+      if (claimed.rowsAffected === 0) continue;
+
+      const variant = alert.variant_id !== null ? ` (variante ${alert.variant_id})` : '';
+      const title =
+        alert.alert_type === 'out_of_stock'
+          ? `Produto esgotado: ${alert.product_name}${variant}`
+          : `Estoque baixo: ${alert.product_name}${variant}`;
+      const content =
+        alert.alert_type === 'out_of_stock'
+          ? `O estoque de "${alert.product_name}"${variant} acabou.`
+          : `Restam ${alert.current_stock} unidade(s) de "${alert.product_name}"${variant} (limite configurado: ${alert.threshold}).`;
+
+      try {
+        await executeQuery(
+          `INSERT INTO notifications (user_id, type, channel, title, content, data) VALUES (?, 'stock_alerts', 'in_app', ?, ?, ?)`,
+          [
+            alert.vendor_user_id,
+            title,
+            content,
+            JSON.stringify({
+              alertId: Number(alert.id),
+              productId: Number(alert.product_id),
+              variantId: alert.variant_id !== null ? Number(alert.variant_id) : null,
+              alertType: alert.alert_type
+            })
+          ]
+        );
+
+        await sendEmail({
+          to: String(alert.vendor_email),
+          subject: title,
+          html: `<p>${escapeHtml(content)}</p><p>Atualize o estoque no painel da loja ${escapeHtml(String(alert.shop_name))}.</p>`
+        });
+        notified++;
+      } catch (error) {
+        console.error(`Erro ao avisar o alerta de estoque ${alert.id}:`, error);
+      }
+    }
+
+    return notified;
+  }
+
+  private target(productId: number, variantId: number | null): { table: string; id: number; reservedSql: string } {
+    return variantId !== null
+      ? {
+          table: 'product_variants',
+          id: variantId,
+          reservedSql: reservedQuantitySql('product_variants.product_id', 'product_variants.id', true)
+        }
+      : { table: 'products', id: productId, reservedSql: reservedQuantitySql('products.id', null, true) };
+  }
+
+  // Grava o movimento, reavalia o alerta de estoque baixo e enfileira os avisos de reposição
+  private async record(
+    tx: Transaction,
+    adjustment: StockAdjustment,
+    previousStock: number,
+    newStock: number
+  ): Promise<StockMovement> {
+    await tx.execute({
+      sql: `INSERT INTO stock_history (
+              product_id, variant_id, previous_stock, new_stock, adjustment, reason, reference, notes, adjusted_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      args: [
+        adjustment.productId,
+        adjustment.variantId,
+        previousStock,
+        newStock,
+        adjustment.quantity,
+        adjustment.reason,
+        adjustment.reference ?? null,
+        adjustment.notes ?? null,
+        adjustment.actor || 'system'
+      ]
+    });
+
+    const alert = await this.refreshAlert(tx, adjustment.productId, adjustment.variantId, newStock);
+
+    if (previousStock <= 0 && newStock > 0) {
+      await stockSubscriptionService.queueRestock(tx, adjustment.productId, adjustment.variantId);
+    }
+
+    return {
+      productId: adjustment.productId,
+      variantId: adjustment.variantId,
+      previousStock,
+      newStock,
+      adjustment: adjustment.quantity,
+      reason: adjustment.reason,
+      alert
+    };
+  }
+
+  // Abre, atualiza ou encerra o alerta do produto/variante conforme o novo estoque
+  private async refreshAlert(
+    tx: Transaction,
+    productId: number,
+    variantId: number | null,
+    stock: number
+  ): Promise<StockAlertType | null> {
+    const product = await tx.execute({
+      sql: `SELECT COALESCE(low_stock_threshold, 5) AS threshold FROM products WHERE id = ?`,
+      args: [productId]
+    });
+    const threshold = Number(product.rows[0]?.threshold ?? 5);
+    const type: StockAlertType | null = stock <= 0 ? 'out_of_stock' : stock <= threshold ? 'low_stock' : null;
+
+    const active = await tx.execute({
+      sql: `SELECT id FROM stock_alerts WHERE product_id = ? AND variant_id IS ? AND is_active = 1 ORDER BY id DESC LIMIT 1`,
+      args: [productId, variantId]
+    });
+
+    if (!type) {
+      if (active.rows.length > 0) {
+        await tx.execute({
+          sql: `UPDATE stock_alerts SET is_active = 0, current_stock = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE product_id = ? AND variant_id IS ? AND is_active = 1`,
+          args: [stock, productId, variantId]
+        });
+      }
+      return null;
+    }
+
+    if (active.rows.length > 0) {
+      // Atualiza o saldo; só avisa de novo se piorou (baixo → esgotado)
+      await tx.execute({
+        sql: `UPDATE stock_alerts SET
+                current_stock = ?,
+                threshold = ?,
+                notified_at = CASE WHEN ? = 'out_of_stock' AND alert_type <> 'out_of_stock' THEN NULL ELSE notified_at END,
+                alert_type = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [stock, threshold, type, type, active.rows[0].id]
+      });
+    } else {
+      await tx.execute({
+        sql: `INSERT INTO stock_alerts (product_id, variant_id, alert_type, threshold, current_stock, is_active)
+              VALUES (?, ?, ?, ?, ?, 1)`,
+        args: [productId, variantId, type, threshold, stock]
+      });
+    }
+
+    return type;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const stockService = new StockService();
+export default stockService;
@@ -0,0 +1,267 @@
+/**
+ * Avise-me: pedidos de aviso de volta ao estoque
+ *
+ * O cliente (logado ou só com email) pede para ser avisado quando um produto
+ * ou variante esgotado voltar. Quando o livro de estoque registra uma entrada
+ * que tira o saldo de zero, os pedidos em aberto entram na fila (status
+ * 'queued') dentro da mesma transação; o job /api/cron/back-in-stock envia os
+ * emails em lotes, um por cliente e produto, com link de cancelamento.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery } from '../db/turso-client';
+import { sendEmail } from '../lib/email';
+import { ServiceError } from './errors';
+import { reservedQuantitySql } from './stockReservationService';
+
+export const DEFAULT_NOTIFY_BATCH_SIZE = 50;
+
+export const stockSubscriptionSchema = z.object({
+  productId: z.coerce.number().int().positive(),
+  // Sem variante, em produto variável, avisa quando qualquer variante voltar
+  variantId: z.coerce.number().int().positive().nullish(),
+  email: z.string().trim().toLowerCase().email('Email inválido').optional()
+});
+
+export interface StockSubscription {
+  id: number;
+  productId: number;
+  variantId: number | null;
+  email: string;
+  status: 'active' | 'queued' | 'notified' | 'unsubscribed';
+  createdAt: string;
+}
+
+interface Subscriber {
+  id?: string;
+  email?: string | null;
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// URLs absolutas dos emails; SITE_URL vem do ambiente (ver .env.example)
+function siteUrl(path: string): string {
+  return `${(import.meta.env.SITE_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+function mapSubscription(row: any): StockSubscription {
+  return {
+    id: Number(row.id),
+    productId: Number(row.product_id),
+    variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+    email: row.email,
+    status: row.status,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Serviço de avisos de volta ao estoque
+ */
+class StockSubscriptionService {
+  /**
+   * Registra o pedido de aviso; repetir o pedido devolve o que já está em aberto
+   * @param {unknown} rawInput - { productId, variantId?, email? }
+   * @param {Subscriber | null} user - Usuário logado (o email dele é usado se nenhum for informado)
+   * @returns {Promise<{ subscription: StockSubscription; created: boolean }>} Pedido e se foi criado agora
+   */
+  async subscribe(
+    rawInput: unknown,
+    user: Subscriber | null
+  ): Promise<{ subscription: StockSubscription; created: boolean }> {
+    const parsed = stockSubscriptionSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Pedido de aviso inválido', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+    const variantId = input.variantId ?? null;
+    const email = input.email ?? user?.email?.trim().toLowerCase();
+    if (!email) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Informe o email para receber o aviso' });
+    }
+
+    const product = await executeQuery<any>(
+      `SELECT p.id,
+         (SELECT 1 FROM product_variants WHERE id = ? AND product_id = p.id) AS variant_found,
+         ${this.availableSql('?')} AS available_stock
+       FROM products p WHERE p.id = ?`,
+      [variantId, variantId, variantId, input.productId]
+    );
+    if (product.rows.length === 0 || (variantId !== null && !product.rows[0].variant_found)) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+    if (Number(product.rows[0].available_stock) > 0) {
+      throw new ServiceError({ code: 'CONFLICT', message: 'Este produto está disponível: adicione ao carrinho' });
+    }
+
+    // O índice único parcial descarta o pedido repetido para o mesmo email e produto/variante
+    const inserted = await executeQuery<any>(
+      `INSERT OR IGNORE INTO stock_subscriptions (product_id, variant_id, user_id, email, token, status)
+       VALUES (?, ?, ?, ?, ?, 'active')
+       RETURNING *`,
+      [input.productId, variantId, user?.id ?? null, email, crypto.randomUUID()]
+    );
+    if (inserted.rows.length > 0) {
+      return { subscription: mapSubscription(inserted.rows[0]), created: true };
+    }
+
+    const existing = await executeQuery<any>(
+      `SELECT * FROM stock_subscriptions
+       WHERE product_id = ? AND variant_id IS ? AND email = ? AND status IN ('active', 'queued')`,
+      [input.productId, variantId, email]
+    );
+    return { subscription: mapSubscription(existing.rows[0]), created: false };
+  }
+
+  /**
+   * Cancela o aviso pelo token enviado no email
+   * @param {string} token - Token do pedido
+   * @param {object} options - all: cancela todos os avisos em aberto do mesmo email
+   * @returns {Promise<number>} Quantidade de pedidos cancelados
+   */
+  async unsubscribe(token: string, options: { all?: boolean } = {}): Promise<number> {
+    if (!token) return 0;
+
+    const result = await executeQuery<any>(
+      `UPDATE stock_subscriptions
+       SET status = 'unsubscribed', unsubscribed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE status IN ('active', 'queued')
+         AND ${options.all ? 'email = (SELECT email FROM stock_subscriptions WHERE token = ?)' : 'token = ?'}`,
+      [token]
+    );
+    return result.rowsAffected;
+  }
+
+  /**
+   * Coloca na fila os avisos de um produto/variante que saiu do zero
+   * (chamado pelo livro de estoque, dentro da transação do movimento)
+   * @param {Transaction} tx - Transação do movimento de estoque
+   * @param {number} productId - Produto
+   * @param {number | null} variantId - Variante reabastecida, ou null para o produto
+   * @returns {Promise<number>} Quantidade de pedidos enfileirados
+   */
+  async queueRestock(tx: Transaction, productId: number, variantId: number | null): Promise<number> {
+    // Reposição de uma variante também atende quem pediu aviso do produto sem escolher variante
+    const result = await tx.execute({
+      sql: `UPDATE stock_subscriptions
+            SET status = 'queued', queued_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE product_id = ? AND status = 'active' AND (variant_id IS ? OR variant_id IS NULL)`,
+      args: [productId, variantId]
+    });
+    return result.rowsAffected;
+  }
+
+  /**
+   * Envia um lote dos avisos enfileirados (um email por cliente e produto)
+   * @param {number} batchSize - Máximo de pedidos lidos da fila
+   * @returns {Promise<{ notified: number; requeued: number }>} Emails enviados e pedidos que voltaram a aguardar
+   */
+  async notifyQueued(batchSize = DEFAULT_NOTIFY_BATCH_SIZE): Promise<{ notified: number; requeued: number }> {
+    const queued = await executeQuery<any>(
+      `SELECT s.id, s.product_id, s.variant_id, s.user_id, s.email, s.token,
+         p.name AS product_name, p.slug,
+         ${this.availableSql('s.variant_id')} AS available_stock
+       FROM stock_subscriptions s
+       JOIN products p ON s.product_id = p.id
+       WHERE s.status = 'queued'
+       ORDER BY s.queued_at ASC, s.id ASC
+       LIMIT ?`,
+      [batchSize]
+    );
+
+    // Agrupa por email e produto: quem pediu a variante e o produto recebe um email só
+    const groups = new Map<string, any[]>();
+    for (const row of queued.rows) {
+      const key = `${row.email}:${row.product_id}`;
+      groups.set(key, [...(groups.get(key) ?? []), row]);
+    }
+
+    let notified = 0;
+    let requeued = 0;
+
+    for (const rows of groups.values()) {
+      const available = rows.filter((row) => Number(row.available_stock) > 0);
+      const sold = rows.filter((row) => Number(row.available_stock) <= 0);
+
+      // Esgotou de novo antes do envio: volta a aguardar a próxima reposição
+      if (sold.length > 0) {
+        const reset = await executeQuery<any>(
+          `UPDATE stock_subscriptions SET status = 'active', queued_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE id IN (${sold.map(() => '?').join(', ')}) AND status = 'queued'`,
+          sold.map((row) => row.id)
+        );
+        requeued += reset.rowsAffected;
+      }
+      if (available.length === 0) continue;
+
+      // Marca antes de enviar: execuções concorrentes não mandam o mesmo aviso duas vezes
+      const claimed = await executeQuery<any>(
+        `UPDATE stock_subscriptions SET status = 'notified', notified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id IN (${available.map(() => '?').join(', ')}) AND status = 'queued'
+         RETURNING id`,
+        available.map((row) => row.id)
+      );
+      if (claimed.rows.length === 0) continue;
+
+      const first = available[0];
+      const productUrl = siteUrl(`/produto/${encodeURIComponent(String(first.slug))}`);
+      const unsubscribeUrl = siteUrl(`/avise-me/cancelar?token=${encodeURIComponent(String(first.token))}&todos=1`);
+      const title = `Chegou: ${first.product_name}`;
+      const content = `"${first.product_name}" voltou ao estoque. Garanta o seu antes que acabe de novo.`;
+
+      try {
+        const userId = available.find((row) => row.user_id)?.user_id;
+        if (userId) {
+          await executeQuery(
+            `INSERT INTO notifications (user_id, type, channel, title, content, data) VALUES (?, 'product_alerts', 'in_app', ?, ?, ?)`,
+            [
+              userId,
+              title,
+              content,
+              JSON.stringify({
+                productId: Number(first.product_id),
+                variantIds: available.map((row) => (row.variant_id !== null ? Number(row.variant_id) : null)),
+                url: `/produto/${first.slug}`
+              })
+            ]
+          );
+        }
+
+        await sendEmail({
+          to: String(first.email),
+          subject: title,
+          html:
+            `<p>${escapeHtml(content)}</p>` +
+            `<p><a href="${escapeHtml(productUrl)}">Ver produto</a></p>` +
+            `<p style="font-size:12px;color:#64748b">Você recebeu este email porque pediu para ser avisado. ` +
+            `<a href="${escapeHtml(unsubscribeUrl)}">Não quero mais receber avisos de estoque</a></p>`
+        });
+        notified++;
+      } catch (error) {
+        console.error(`Erro ao enviar o aviso de estoque para ${first.email}:`, error);
+      }
+    }
+
+    return { notified, requeued };
+  }
+
+  // Estoque livre de reservas do produto ou da variante indicada pela expressão
+  // (sem variante, em produto variável, vale a variante com mais saldo)
+  private availableSql(variantExpression: string): string {
+    return `CASE
+      WHEN ${variantExpression} IS NOT NULL THEN
+        (SELECT pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id')} FROM product_variants pv WHERE pv.id = ${variantExpression})
+      WHEN p.is_variable THEN
+        (SELECT MAX(pv.stock - ${reservedQuantitySql('pv.product_id', 'pv.id')}) FROM product_variants pv WHERE pv.product_id = p.id)
+      ELSE p.stock - ${reservedQuantitySql('p.id', null)}
+    END`;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const stockSubscriptionService = new StockSubscriptionService();
+export default stockSubscriptionService;
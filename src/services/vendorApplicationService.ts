@@ -0,0 +1,341 @@
+/**
+ * Cadastro de lojas (vendedores)
+ *
+ * O usuário logado envia um pedido com os dados da empresa (CNPJ validado
+ * pelos dígitos verificadores, razão social, responsável e documentos); os
+ * administradores aprovam ou recusam com motivo na fila de análise.
+ * A aprovação cria a loja em vendors (já aprovada, com a comissão definida
+ * na análise) e as configurações padrão em vendor_settings. O candidato
+ * recebe email no envio e na decisão.
+ *
+ * Produtos de lojas não aprovadas ou inativas não aparecem na listagem, na
+ * busca nem no sitemap (ver productService e sitemap.xml.ts).
+ */
+
+import { z } from 'zod';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { formatCnpj, isValidCnpj, normalizeCnpj } from '../lib/cnpj';
+import { sendEmail } from '../lib/email';
+import accessControlService from './accessControlService';
+import { ServiceError } from './errors';
+
+export const VENDOR_APPLICATION_STATUSES = ['pending', 'approved', 'rejected'] as const;
+export type VendorApplicationStatus = (typeof VENDOR_APPLICATION_STATUSES)[number];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const digits = (value: string) => value.replace(/\D/g, '');
+
+export const vendorApplicationSchema = z.object({
+  shopName: z.string().trim().min(3, 'Nome da loja muito curto').max(80),
+  legalName: z.string().trim().min(3, 'Informe a razão social').max(150),
+  cnpj: z
+    .string()
+    .transform(normalizeCnpj)
+    .refine(isValidCnpj, 'CNPJ inválido'),
+  stateRegistration: z.string().trim().max(20).optional(),
+  responsibleName: z.string().trim().min(3, 'Informe o nome do responsável').max(120),
+  responsibleCpf: z.string().transform(digits).pipe(z.string().length(11, 'CPF inválido')),
+  email: z.string().trim().toLowerCase().email('Email inválido'),
+  phone: z.string().transform(digits).pipe(z.string().min(10, 'Telefone inválido').max(11, 'Telefone inválido')),
+  description: z.string().trim().max(2000).optional(),
+  websiteUrl: z.string().trim().url('Endereço do site inválido').optional(),
+  // Links do cartão CNPJ / contrato social
+  documentUrls: z.array(z.string().trim().url('Link do documento inválido')).max(5).default([])
+});
+
+export const applicationReviewSchema = z
+  .object({
+    action: z.enum(['approve', 'reject']),
+    reason: z.string().trim().max(1000).optional(),
+    // Percentual retido pelo marketplace em cada venda da loja
+    commissionRate: z.coerce.number().min(0).max(100).optional()
+  })
+  .refine((input) => input.action === 'approve' || Boolean(input.reason), {
+    message: 'Informe o motivo da recusa',
+    path: ['reason']
+  })
+  .refine((input) => input.action === 'reject' || input.commissionRate !== undefined, {
+    message: 'Informe a comissão da loja',
+    path: ['commissionRate']
+  });
+
+export interface VendorApplication {
+  id: number;
+  userId: string;
+  vendorId: number | null;
+  shopName: string;
+  legalName: string;
+  cnpj: string;
+  stateRegistration: string | null;
+  responsibleName: string;
+  responsibleCpf: string;
+  email: string;
+  phone: string;
+  description: string | null;
+  websiteUrl: string | null;
+  documentUrls: string[];
+  status: VendorApplicationStatus;
+  rejectionReason: string | null;
+  reviewedAt: string | null;
+  createdAt: string;
+}
+
+interface Applicant {
+  id: string;
+}
+
+function escapeHtml(value: string): string {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// URLs absolutas dos emails; SITE_URL vem do ambiente (ver .env.example)
+function siteUrl(path: string): string {
+  return `${(import.meta.env.SITE_URL || '').replace(/\/$/, '')}${path}`;
+}
+
+function mapApplication(row: any): VendorApplication {
+  return {
+    id: Number(row.id),
+    userId: row.user_id,
+    vendorId: row.vendor_id !== null ? Number(row.vendor_id) : null,
+    shopName: row.shop_name,
+    legalName: row.legal_name,
+    cnpj: formatCnpj(String(row.cnpj)),
+    stateRegistration: row.state_registration ?? null,
+    responsibleName: row.responsible_name,
+    responsibleCpf: row.responsible_cpf,
+    email: row.email,
+    phone: row.phone,
+    description: row.description ?? null,
+    websiteUrl: row.website_url ?? null,
+    documentUrls: row.document_urls ? JSON.parse(row.document_urls) : [],
+    status: row.status,
+    rejectionReason: row.rejection_reason ?? null,
+    reviewedAt: row.reviewed_at ?? null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Serviço de cadastro de lojas
+ */
+class VendorApplicationService {
+  /**
+   * Envia o pedido de cadastro de loja do usuário logado
+   * @param {unknown} rawInput - Dados da empresa e do responsável
+   * @param {Applicant} user - Usuário logado
+   * @returns {Promise<VendorApplication>} Pedido criado (em análise)
+   */
+  async apply(rawInput: unknown, user: Applicant): Promise<VendorApplication> {
+    const parsed = vendorApplicationSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Cadastro inválido', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+
+    const application = await executeTransaction(async (tx) => {
+      const conflicts = await tx.execute({
+        sql: `SELECT
+                EXISTS (SELECT 1 FROM vendors WHERE user_id = ?) AS has_vendor,
+                EXISTS (SELECT 1 FROM vendor_applications WHERE user_id = ? AND status = 'pending') AS has_pending,
+                EXISTS (
+                  SELECT 1 FROM vendors WHERE cnpj = ?
+                  UNION ALL
+                  SELECT 1 FROM vendor_applications WHERE cnpj = ? AND status = 'pending'
+                ) AS cnpj_taken`,
+        args: [user.id, user.id, input.cnpj, input.cnpj]
+      });
+      const conflict = conflicts.rows[0];
+
+      if (conflict.has_vendor) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'Você já tem uma loja cadastrada' });
+      }
+      if (conflict.has_pending) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'Seu cadastro já está em análise' });
+      }
+      if (conflict.cnpj_taken) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'Este CNPJ já está cadastrado' });
+      }
+
+      const inserted = await tx.execute({
+        sql: `INSERT INTO vendor_applications (
+                user_id, shop_name, legal_name, cnpj, state_registration, responsible_name, responsible_cpf,
+                email, phone, description, website_url, document_urls
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+              RETURNING *`,
+        args: [
+          user.id,
+          input.shopName,
+          input.legalName,
+          input.cnpj,
+          input.stateRegistration || null,
+          input.responsibleName,
+          input.responsibleCpf,
+          input.email,
+          input.phone,
+          input.description || null,
+          input.websiteUrl || null,
+          JSON.stringify(input.documentUrls)
+        ]
+      });
+      return mapApplication(inserted.rows[0]);
+    });
+
+    await this.notify(
+      application.email,
+      `Recebemos o cadastro da loja ${application.shopName}`,
+      `<p>Recebemos o cadastro da loja <strong>${escapeHtml(application.shopName)}</strong> ` +
+        `(CNPJ ${escapeHtml(application.cnpj)}). Vamos analisar os dados e responder por email.</p>`
+    );
+    for (const admin of await accessControlService.listEmailsWithPermission('vendors:review')) {
+      await this.notify(
+        admin,
+        `Novo cadastro de loja: ${application.shopName}`,
+        `<p>${escapeHtml(application.legalName)} (CNPJ ${escapeHtml(application.cnpj)}) pediu para vender na loja.</p>`
+      );
+    }
+
+    return application;
+  }
+
+  /**
+   * Último pedido de cadastro do usuário (para acompanhar a análise)
+   * @param {string} userId - Usuário
+   * @returns {Promise<VendorApplication | null>} Pedido mais recente ou null
+   */
+  async getForUser(userId: string): Promise<VendorApplication | null> {
+    const result = await executeQuery<any>(
+      `SELECT * FROM vendor_applications WHERE user_id = ? ORDER BY id DESC LIMIT 1`,
+      [userId]
+    );
+    return result.rows.length > 0 ? mapApplication(result.rows[0]) : null;
+  }
+
+  /**
+   * Fila de análise dos administradores
+   * @param {object} options - Status (padrão: em análise), página e tamanho
+   * @returns {Promise<VendorApplication[]>} Pedidos mais antigos primeiro
+   */
+  async list(options: { status?: string; page?: number; limit?: number } = {}): Promise<VendorApplication[]> {
+    const status = (VENDOR_APPLICATION_STATUSES as readonly string[]).includes(options.status ?? '')
+      ? options.status
+      : 'pending';
+    const limit = Math.min(Math.max(Math.trunc(Number(options.limit) || DEFAULT_PAGE_SIZE), 1), MAX_PAGE_SIZE);
+    const page = Math.max(Math.trunc(Number(options.page) || 1), 1);
+
+    const result = await executeQuery<any>(
+      `SELECT * FROM vendor_applications WHERE status = ? ORDER BY created_at ASC, id ASC LIMIT ? OFFSET ?`,
+      [status, limit, (page - 1) * limit]
+    );
+    return result.rows.map(mapApplication);
+  }
+
+  /**
+   * Aprova (criando a loja) ou recusa um pedido em análise
+   * @param {number} applicationId - Pedido
+   * @param {unknown} rawInput - { action: 'approve' | 'reject', reason?, commissionRate? }
+   * @param {string} actor - Administrador que analisou
+   * @returns {Promise<VendorApplication>} Pedido analisado
+   */
+  async review(applicationId: number, rawInput: unknown, actor: string): Promise<VendorApplication> {
+    const parsed = applicationReviewSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Análise inválida', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+    const approve = input.action === 'approve';
+
+    const application = await executeTransaction(async (tx) => {
+      const updated = await tx.execute({
+        sql: `UPDATE vendor_applications SET
+                status = ?, rejection_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND status = 'pending'
+              RETURNING *`,
+        args: [approve ? 'approved' : 'rejected', approve ? null : input.reason ?? null, actor, applicationId]
+      });
+
+      if (updated.rows.length === 0) {
+        const exists = await tx.execute({ sql: `SELECT 1 FROM vendor_applications WHERE id = ?`, args: [applicationId] });
+        throw exists.rows.length === 0
+          ? new ServiceError({ code: 'NOT_FOUND', message: 'Cadastro não encontrado' })
+          : new ServiceError({ code: 'CONFLICT', message: 'Este cadastro já foi analisado' });
+      }
+
+      const row = updated.rows[0];
+      if (!approve) return mapApplication(row);
+
+      const hasVendor = await tx.execute({ sql: `SELECT 1 FROM vendors WHERE user_id = ?`, args: [row.user_id] });
+      if (hasVendor.rows.length > 0) {
+        throw new ServiceError({ code: 'CONFLICT', message: 'Este usuário já tem uma loja cadastrada' });
+      }
+
+      const vendor = await tx.execute({
+        sql: `INSERT INTO vendors (
+                user_id, shop_name, description, email, phone, website_url, legal_name, cnpj,
+                commission_rate, is_approved, is_active, approved_at
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, 1, CURRENT_TIMESTAMP)
+              RETURNING id`,
+        args: [
+          row.user_id,
+          row.shop_name,
+          row.description,
+          row.email,
+          row.phone,
+          row.website_url,
+          row.legal_name,
+          row.cnpj,
+          input.commissionRate ?? 0
+        ]
+      });
+      const vendorId = Number(vendor.rows[0].id);
+
+      await tx.execute({ sql: `INSERT INTO vendor_settings (vendor_id) VALUES (?)`, args: [vendorId] });
+      await tx.execute({
+        sql: `UPDATE vendor_applications SET vendor_id = ? WHERE id = ?`,
+        args: [vendorId, applicationId]
+      });
+
+      // O solicitante passa a ter permissões de vendedor: as sessões abertas trocam de ID
+      await tx.execute({ sql: `UPDATE Session SET rotationPending = 1 WHERE userId = ?`, args: [row.user_id] });
+
+      return mapApplication({ ...row, vendor_id: vendorId });
+    });
+
+    if (approve) {
+      await this.notify(
+        application.email,
+        `Sua loja ${application.shopName} foi aprovada`,
+        `<p>Boas notícias: a loja <strong>${escapeHtml(application.shopName)}</strong> foi aprovada.</p>` +
+          `<p><a href="${escapeHtml(siteUrl('/dashboard'))}">Acesse o painel</a> para cadastrar seus produtos.</p>`
+      );
+    } else {
+      await this.notify(
+        application.email,
+        `Cadastro da loja ${application.shopName} não aprovado`,
+        `<p>Não pudemos aprovar o cadastro da loja <strong>${escapeHtml(application.shopName)}</strong>.</p>` +
+          `<p>Motivo: ${escapeHtml(application.rejectionReason ?? '')}</p>` +
+          `<p>Você pode corrigir os dados e enviar um novo cadastro.</p>`
+      );
+    }
+
+    return application;
+  }
+
+  // Emails do cadastro: a falha no envio não desfaz o pedido nem a análise
+  private async notify(to: string, subject: string, html: string): Promise<void> {
+    try {
+      await sendEmail({ to, subject, html });
+    } catch (error) {
+      console.error(`Erro ao enviar o email de cadastro de loja para ${to}:`, error);
+    }
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const vendorApplicationService = new VendorApplicationService();
+export default vendorApplicationService;
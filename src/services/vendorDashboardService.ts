@@ -0,0 +1,1182 @@
+/**
+ * Painel da loja
+ *
+ * Catálogo, pedidos, configurações e regras de frete do vendedor. A loja é
+ * sempre resolvida a partir do usuário autenticado (getVendorForUser) e todas
+ * as consultas filtram por esse vendor_id: um vendedor nunca lê nem altera
+ * dados de outra loja, mesmo informando IDs alheios.
+ *
+ * Preço e estoque não são gravados diretamente: mudanças de preço passam por
+ * priceService (histórico e desconto falso) e o estoque inicial de produtos e
+ * variantes novos por stockService (livro de estoque). Correções posteriores
+ * de estoque usam a rota /api/vendor/products/[id]/stock.
+ */
+
+import { z } from 'zod';
+import type { Transaction } from '@libsql/client';
+import { executeQuery, executeTransaction } from '../db/turso-client';
+import { normalizeCep } from '../lib/cep';
+import { ServiceError } from './errors';
+import priceService from './priceService';
+import stockService from './stockService';
+import { SHIPMENT_STATUSES, type ShipmentStatus } from './shipmentService';
+
+export const DEFAULT_DASHBOARD_PAGE_SIZE = 20;
+export const MAX_DASHBOARD_PAGE_SIZE = 100;
+
+export const SHIPPING_CALCULATION_TYPES = ['fixed', 'weight_based', 'price_percentage', 'table'] as const;
+
+const money = z.coerce
+  .number()
+  .positive('Preço deve ser maior que zero')
+  .transform((value) => Math.round(value * 100) / 100);
+
+const amount = z.coerce
+  .number()
+  .min(0)
+  .transform((value) => Math.round(value * 100) / 100);
+
+const dimension = z.coerce.number().positive().nullish();
+const optionalText = (max: number) => z.string().trim().max(max).nullish().transform((value) => value || null);
+const optionalUrl = z
+  .string()
+  .trim()
+  .url('URL inválida')
+  .max(500)
+  .nullish()
+  .or(z.literal('').transform(() => null));
+
+const attributeSchema = z.object({
+  attributeTypeId: z.coerce.number().int().positive(),
+  value: z.string().trim().min(1).max(100),
+  displayValue: optionalText(100)
+});
+
+const imageSchema = z.object({
+  url: z.string().trim().url('URL da imagem inválida').max(500),
+  alt: optionalText(200),
+  isDefault: z.boolean().default(false)
+});
+
+const variantSchema = z.object({
+  // Ausente nas variantes novas
+  id: z.coerce.number().int().positive().optional(),
+  sku: optionalText(64),
+  price: money,
+  compareAtPrice: money.nullish(),
+  // Estoque inicial: só vale para variantes novas
+  stock: z.coerce.number().int().min(0).default(0),
+  weight: dimension,
+  width: dimension,
+  height: dimension,
+  length: dimension,
+  isActive: z.boolean().default(true),
+  attributes: z.array(attributeSchema).min(1, 'Informe os atributos da variante').max(10),
+  imageUrls: z.array(z.string().trim().url('URL da imagem inválida').max(500)).max(10).default([])
+});
+
+export const vendorProductSchema = z
+  .object({
+    categoryId: z.coerce.number().int().positive(),
+    name: z.string().trim().min(3, 'Nome muito curto').max(200),
+    description: z.string().trim().min(10, 'Descreva o produto').max(20000),
+    shortDescription: optionalText(500),
+    sku: optionalText(64),
+    price: money,
+    compareAtPrice: money.nullish(),
+    weight: dimension,
+    width: dimension,
+    height: dimension,
+    length: dimension,
+    isActive: z.boolean().default(true),
+    lowStockThreshold: z.coerce.number().int().min(0).max(10000).default(5),
+    // Estoque inicial do produto sem variantes: só vale na criação
+    stock: z.coerce.number().int().min(0).default(0),
+    images: z.array(imageSchema).max(20).default([]),
+    attributes: z.array(attributeSchema).max(50).default([]),
+    variants: z.array(variantSchema).max(100).default([])
+  })
+  .superRefine((input, ctx) => {
+    const skus = input.variants.map((variant) => variant.sku).filter(Boolean);
+    if (new Set(skus).size !== skus.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variants'], message: 'SKUs de variantes repetidos' });
+    }
+
+    const combinations = input.variants.map((variant) =>
+      variant.attributes
+        .map((attribute) => `${attribute.attributeTypeId}:${attribute.value.toLowerCase()}`)
+        .sort()
+        .join('|')
+    );
+    if (new Set(combinations).size !== combinations.length) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['variants'], message: 'Duas variantes com os mesmos atributos' });
+    }
+  });
+
+export const vendorSettingsSchema = z.object({
+  description: optionalText(2000),
+  logoUrl: optionalUrl,
+  bannerUrl: optionalUrl,
+  phone: optionalText(20),
+  websiteUrl: optionalUrl,
+  allowsReturns: z.boolean().default(true),
+  // O CDC garante 7 dias de arrependimento nas compras online
+  returnPeriodDays: z.coerce.number().int().min(7, 'O prazo mínimo de devolução é 7 dias').max(365).default(7),
+  shippingPolicy: optionalText(5000),
+  returnPolicy: optionalText(5000),
+  minOrderValue: amount.default(0),
+  freeShippingThreshold: money.nullish()
+});
+
+const postalCode = z
+  .string()
+  .transform((value) => normalizeCep(value))
+  .pipe(z.string({ invalid_type_error: 'CEP inválido' }));
+
+export const shippingRuleSchema = z
+  .object({
+    name: z.string().trim().min(2).max(100),
+    isDefault: z.boolean().default(false),
+    isActive: z.boolean().default(true),
+    minOrderValue: amount.default(0),
+    freeShippingThreshold: money.nullish(),
+    calculationType: z.enum(SHIPPING_CALCULATION_TYPES),
+    defaultPrice: amount.default(0),
+    pricePerKg: amount.nullish(),
+    percentageValue: z.coerce.number().min(0).max(100).nullish(),
+    postalCodeRanges: z
+      .array(
+        z.object({
+          postalCodeStart: postalCode,
+          postalCodeEnd: postalCode,
+          price: amount,
+          deliveryDays: z.coerce.number().int().min(1).max(90),
+          state: z
+            .string()
+            .trim()
+            .toUpperCase()
+            .regex(/^[A-Z]{2}$/, 'UF inválida')
+            .nullish()
+        })
+      )
+      .max(200)
+      .default([])
+  })
+  .superRefine((input, ctx) => {
+    if (input.calculationType === 'weight_based' && input.pricePerKg == null) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['pricePerKg'], message: 'Informe o preço por kg' });
+    }
+    if (input.calculationType === 'price_percentage' && input.percentageValue == null) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['percentageValue'], message: 'Informe o percentual' });
+    }
+    if (input.calculationType === 'table' && input.postalCodeRanges.length === 0) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['postalCodeRanges'], message: 'Cadastre as faixas de CEP da tabela' });
+    }
+    input.postalCodeRanges.forEach((range, index) => {
+      if (range.postalCodeStart > range.postalCodeEnd) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          path: ['postalCodeRanges', index],
+          message: 'CEP inicial maior que o final'
+        });
+      }
+    });
+  });
+
+export type VendorProductInput = z.infer<typeof vendorProductSchema>;
+export type ShippingRuleInput = z.infer<typeof shippingRuleSchema>;
+
+export interface DashboardVendor {
+  id: number;
+  shopName: string;
+  isActive: boolean;
+}
+
+export interface DashboardOverview {
+  activeProducts: number;
+  inactiveProducts: number;
+  lowStockProducts: number;
+  openShipments: number;
+  pendingReviews: number;
+}
+
+export interface VendorProductSummary {
+  id: number;
+  name: string;
+  slug: string;
+  sku: string | null;
+  price: number;
+  compareAtPrice: number | null;
+  stock: number;
+  lowStockThreshold: number;
+  isVariable: boolean;
+  isActive: boolean;
+  imageUrl: string | null;
+  updatedAt: string | null;
+}
+
+export interface VendorProductAttribute {
+  attributeTypeId: number;
+  name: string;
+  value: string;
+  displayValue: string | null;
+}
+
+export interface VendorProductVariant {
+  id: number;
+  sku: string | null;
+  price: number;
+  compareAtPrice: number | null;
+  stock: number;
+  weight: number | null;
+  width: number | null;
+  height: number | null;
+  length: number | null;
+  isActive: boolean;
+  attributes: VendorProductAttribute[];
+  imageUrls: string[];
+}
+
+export interface VendorProduct extends VendorProductSummary {
+  categoryId: number;
+  description: string;
+  shortDescription: string | null;
+  weight: number | null;
+  width: number | null;
+  height: number | null;
+  length: number | null;
+  images: { url: string; alt: string | null; isDefault: boolean }[];
+  attributes: VendorProductAttribute[];
+  variants: VendorProductVariant[];
+}
+
+export interface VendorOrderItem {
+  id: number;
+  productId: number;
+  variantId: number | null;
+  productName: string;
+  sku: string | null;
+  quantity: number;
+  unitPrice: number;
+  totalPrice: number;
+  itemStatus: string;
+}
+
+export interface VendorOrder {
+  shipmentId: number;
+  orderId: number;
+  orderNumber: string;
+  orderedAt: string;
+  isPaid: boolean;
+  status: ShipmentStatus;
+  subtotalAmount: number;
+  shippingAmount: number;
+  trackingCode: string | null;
+  carrier: string | null;
+  estimatedDeliveryDate: string | null;
+  /** Endereço de entrega, visível só depois do pagamento */
+  shippingAddress: {
+    recipientName: string;
+    street: string;
+    number: string;
+    complement: string | null;
+    neighborhood: string;
+    city: string;
+    state: string;
+    postalCode: string;
+    phone: string | null;
+  } | null;
+  items: VendorOrderItem[];
+}
+
+export interface VendorShippingRule {
+  id: number;
+  name: string;
+  isDefault: boolean;
+  isActive: boolean;
+  minOrderValue: number;
+  freeShippingThreshold: number | null;
+  calculationType: (typeof SHIPPING_CALCULATION_TYPES)[number];
+  defaultPrice: number;
+  pricePerKg: number | null;
+  percentageValue: number | null;
+  postalCodeRanges: {
+    postalCodeStart: string;
+    postalCodeEnd: string;
+    price: number;
+    deliveryDays: number;
+    state: string | null;
+  }[];
+}
+
+export interface VendorSettings {
+  shopName: string;
+  description: string | null;
+  logoUrl: string | null;
+  bannerUrl: string | null;
+  phone: string | null;
+  websiteUrl: string | null;
+  allowsReturns: boolean;
+  returnPeriodDays: number;
+  shippingPolicy: string | null;
+  returnPolicy: string | null;
+  minOrderValue: number;
+  freeShippingThreshold: number | null;
+  shippingRules: VendorShippingRule[];
+}
+
+function clampPage(value: number | undefined, fallback: number, max: number): number {
+  return Math.min(Math.max(Math.trunc(Number(value) || fallback), 1), max);
+}
+
+function nullableNumber(value: unknown): number | null {
+  return value !== null && value !== undefined ? Number(value) : null;
+}
+
+function placeholders(values: unknown[]): string {
+  return values.map(() => '?').join(', ');
+}
+
+function slugify(value: string): string {
+  return value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+    .slice(0, 80)
+    .replace(/-$/, '');
+}
+
+function mapProductSummary(row: any): VendorProductSummary {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    slug: row.slug,
+    sku: row.sku ?? null,
+    price: Number(row.price),
+    compareAtPrice: nullableNumber(row.compare_at_price),
+    stock: Number(row.stock ?? 0),
+    lowStockThreshold: Number(row.low_stock_threshold ?? 0),
+    isVariable: Boolean(row.is_variable),
+    isActive: Boolean(row.is_active),
+    imageUrl: row.image_url ?? null,
+    updatedAt: row.updated_at ?? null
+  };
+}
+
+function mapAttribute(row: any): VendorProductAttribute {
+  return {
+    attributeTypeId: Number(row.attribute_type_id),
+    name: row.attribute_name,
+    value: row.value,
+    displayValue: row.display_value ?? null
+  };
+}
+
+function mapShippingRule(row: any, ranges: any[]): VendorShippingRule {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    isDefault: Boolean(row.is_default),
+    isActive: Boolean(row.is_active),
+    minOrderValue: Number(row.min_order_value ?? 0),
+    freeShippingThreshold: nullableNumber(row.free_shipping_threshold),
+    calculationType: row.calculation_type,
+    defaultPrice: Number(row.default_price ?? 0),
+    pricePerKg: nullableNumber(row.price_per_kg),
+    percentageValue: nullableNumber(row.percentage_value),
+    postalCodeRanges: ranges
+      .filter((range) => Number(range.rule_id) === Number(row.id))
+      .map((range) => ({
+        postalCodeStart: String(range.postal_code_start),
+        postalCodeEnd: String(range.postal_code_end),
+        price: Number(range.price),
+        deliveryDays: Number(range.delivery_days),
+        state: range.state ?? null
+      }))
+  };
+}
+
+/**
+ * Serviço do painel da loja
+ */
+class VendorDashboardService {
+  /**
+   * Loja aprovada do usuário autenticado; base do escopo de todas as outras operações
+   * @param {string} userId - Usuário autenticado
+   * @returns {Promise<DashboardVendor>} Loja do usuário
+   */
+  async getVendorForUser(userId: string): Promise<DashboardVendor> {
+    const result = await executeQuery<any>(
+      `SELECT id, shop_name, is_approved, is_active FROM vendors WHERE user_id = ? ORDER BY id ASC LIMIT 1`,
+      [userId]
+    );
+
+    const vendor = result.rows[0];
+    if (!vendor || !vendor.is_approved) {
+      throw new ServiceError({ code: 'FORBIDDEN', message: 'Sua conta não tem uma loja aprovada' });
+    }
+
+    return { id: Number(vendor.id), shopName: vendor.shop_name, isActive: Boolean(vendor.is_active) };
+  }
+
+  /**
+   * Números da página inicial do painel
+   * @param {number} vendorId - Loja
+   * @returns {Promise<DashboardOverview>} Contadores de catálogo, envios e avaliações
+   */
+  async overview(vendorId: number): Promise<DashboardOverview> {
+    const result = await executeQuery<any>(
+      `SELECT
+         (SELECT COUNT(*) FROM products WHERE vendor_id = ? AND is_active = 1) AS active_products,
+         (SELECT COUNT(*) FROM products WHERE vendor_id = ? AND is_active = 0) AS inactive_products,
+         (SELECT COUNT(DISTINCT a.product_id) FROM stock_alerts a JOIN products p ON a.product_id = p.id
+            WHERE p.vendor_id = ? AND a.is_active = 1) AS low_stock_products,
+         (SELECT COUNT(*) FROM order_shipments WHERE vendor_id = ? AND status IN ('pending', 'preparing', 'invoiced')) AS open_shipments,
+         (SELECT COUNT(*) FROM product_reviews r JOIN products p ON r.product_id = p.id
+            WHERE p.vendor_id = ? AND r.moderated_at IS NULL) AS pending_reviews`,
+      [vendorId, vendorId, vendorId, vendorId, vendorId]
+    );
+
+    const row = result.rows[0];
+    return {
+      activeProducts: Number(row.active_products),
+      inactiveProducts: Number(row.inactive_products),
+      lowStockProducts: Number(row.low_stock_products),
+      openShipments: Number(row.open_shipments),
+      pendingReviews: Number(row.pending_reviews)
+    };
+  }
+
+  /**
+   * Categorias e tipos de atributo disponíveis no cadastro de produtos
+   * @returns {Promise<object>} Categorias ativas e tipos de atributo ativos
+   */
+  async formOptions(): Promise<{
+    categories: { id: number; name: string; parentId: number | null }[];
+    attributeTypes: { id: number; name: string; displayName: string }[];
+  }> {
+    const [categories, attributeTypes] = await Promise.all([
+      executeQuery<any>(`SELECT id, name, parent_id FROM categories WHERE is_active = 1 ORDER BY display_order ASC, name ASC`),
+      executeQuery<any>(
+        `SELECT id, name, display_name FROM product_attribute_types WHERE is_active = 1 ORDER BY display_order ASC, id ASC`
+      )
+    ]);
+
+    return {
+      categories: categories.rows.map((row: any) => ({
+        id: Number(row.id),
+        name: row.name,
+        parentId: nullableNumber(row.parent_id)
+      })),
+      attributeTypes: attributeTypes.rows.map((row: any) => ({
+        id: Number(row.id),
+        name: row.name,
+        displayName: row.display_name
+      }))
+    };
+  }
+
+  /**
+   * Produtos da loja, ativos e inativos
+   * @param {number} vendorId - Loja
+   * @param {object} options - Busca por nome/SKU e paginação
+   * @returns {Promise<object>} Produtos e total
+   */
+  async listProducts(
+    vendorId: number,
+    options: { search?: string; page?: number; limit?: number } = {}
+  ): Promise<{ products: VendorProductSummary[]; total: number; page: number; limit: number }> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_DASHBOARD_PAGE_SIZE, MAX_DASHBOARD_PAGE_SIZE);
+    const search = options.search?.trim() ? `%${options.search.trim()}%` : null;
+
+    const where = `p.vendor_id = ? AND (? IS NULL OR p.name LIKE ? OR p.sku LIKE ?)`;
+    const args = [vendorId, search, search, search];
+
+    const [rows, count] = await Promise.all([
+      executeQuery<any>(
+        `SELECT p.*,
+           COALESCE((SELECT SUM(stock) FROM product_variants WHERE product_id = p.id AND is_active = 1), 0) AS variant_stock,
+           (SELECT image_url FROM product_images WHERE product_id = p.id
+              ORDER BY is_default DESC, display_order ASC, id ASC LIMIT 1) AS image_url
+         FROM products p
+         WHERE ${where}
+         ORDER BY p.updated_at DESC, p.id DESC
+         LIMIT ? OFFSET ?`,
+        [...args, limit, (page - 1) * limit]
+      ),
+      executeQuery<any>(`SELECT COUNT(*) AS total FROM products p WHERE ${where}`, args)
+    ]);
+
+    return {
+      products: rows.rows.map((row: any) =>
+        mapProductSummary({ ...row, stock: row.is_variable ? row.variant_stock : row.stock })
+      ),
+      total: Number(count.rows[0].total),
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Produto completo da loja, com imagens, atributos e variantes
+   * @param {number} vendorId - Loja
+   * @param {number} productId - Produto
+   * @returns {Promise<VendorProduct>} Produto
+   */
+  async getProduct(vendorId: number, productId: number): Promise<VendorProduct> {
+    const product = await executeQuery<any>(`SELECT * FROM products WHERE id = ? AND vendor_id = ?`, [productId, vendorId]);
+    if (product.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+
+    const [images, attributes, variants] = await Promise.all([
+      executeQuery<any>(
+        `SELECT * FROM product_images WHERE product_id = ? ORDER BY display_order ASC, id ASC`,
+        [productId]
+      ),
+      executeQuery<any>(
+        `SELECT v.*, t.display_name AS attribute_name
+         FROM product_attribute_values v
+         JOIN product_attribute_types t ON v.attribute_type_id = t.id
+         WHERE v.product_id = ?
+         ORDER BY t.display_order ASC, v.id ASC`,
+        [productId]
+      ),
+      executeQuery<any>(`SELECT * FROM product_variants WHERE product_id = ? ORDER BY id ASC`, [productId])
+    ]);
+
+    const row = product.rows[0];
+    const productImages = images.rows.filter((image: any) => image.variant_id === null);
+
+    return {
+      ...mapProductSummary({ ...row, image_url: productImages[0]?.image_url }),
+      categoryId: Number(row.category_id),
+      description: row.description,
+      shortDescription: row.short_description ?? null,
+      weight: nullableNumber(row.weight),
+      width: nullableNumber(row.width),
+      height: nullableNumber(row.height),
+      length: nullableNumber(row.length),
+      images: productImages.map((image: any) => ({
+        url: image.image_url,
+        alt: image.alt ?? null,
+        isDefault: Boolean(image.is_default)
+      })),
+      attributes: attributes.rows.filter((attribute: any) => attribute.variant_id === null).map(mapAttribute),
+      variants: variants.rows.map((variant: any) => ({
+        id: Number(variant.id),
+        sku: variant.sku ?? null,
+        price: Number(variant.price),
+        compareAtPrice: nullableNumber(variant.compare_at_price),
+        stock: Number(variant.stock ?? 0),
+        weight: nullableNumber(variant.weight),
+        width: nullableNumber(variant.width),
+        height: nullableNumber(variant.height),
+        length: nullableNumber(variant.length),
+        isActive: Boolean(variant.is_active),
+        attributes: attributes.rows
+          .filter((attribute: any) => Number(attribute.variant_id) === Number(variant.id))
+          .map(mapAttribute),
+        imageUrls: images.rows
+          .filter((image: any) => Number(image.variant_id) === Number(variant.id))
+          .map((image: any) => image.image_url)
+      }))
+    };
+  }
+
+  /**
+   * Cadastra um produto na loja
+   * @param {number} vendorId - Loja
+   * @param {unknown} rawInput - Dados do produto, imagens, atributos e variantes
+   * @param {string} actor - Usuário que cadastrou
+   * @returns {Promise<VendorProduct>} Produto criado
+   */
+  async createProduct(vendorId: number, rawInput: unknown, actor: string): Promise<VendorProduct> {
+    const input = this.parseProduct(rawInput);
+    await this.assertReferences(input);
+
+    const productId = await executeTransaction(async (tx) => {
+      const slug = await this.uniqueSlug(tx, input.name);
+      const inserted = await tx.execute({
+        sql: `INSERT INTO products (
+                vendor_id, category_id, name, description, short_description, sku, price, compare_at_price,
+                is_variable, weight, width, height, length, is_active, slug, stock, low_stock_threshold
+              )
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, ?)
+              RETURNING id`,
+        args: [
+          vendorId,
+          input.categoryId,
+          input.name,
+          input.description,
+          input.shortDescription,
+          input.sku,
+          input.price,
+          input.compareAtPrice ?? null,
+          input.variants.length > 0 ? 1 : 0,
+          input.weight ?? null,
+          input.width ?? null,
+          input.height ?? null,
+          input.length ?? null,
+          input.isActive ? 1 : 0,
+          slug,
+          input.lowStockThreshold
+        ]
+      });
+      const id = Number(inserted.rows[0].id);
+
+      if (input.variants.length === 0 && input.stock > 0) {
+        await stockService.set(tx, this.initialStock(id, null, actor), input.stock);
+      }
+
+      await this.saveDetails(tx, id, input, actor);
+      return id;
+    });
+
+    await stockService.notifyPendingAlerts();
+    return this.getProduct(vendorId, productId);
+  }
+
+  /**
+   * Atualiza um produto da loja (o formulário envia o produto inteiro)
+   *
+   * Variantes fora da lista são desativadas, não apagadas, porque pedidos e
+   * carrinhos apontam para elas. O estoque das variantes existentes não muda
+   * aqui: use a correção de estoque.
+   * @param {number} vendorId - Loja
+   * @param {number} productId - Produto
+   * @param {unknown} rawInput - Dados do produto, imagens, atributos e variantes
+   * @param {string} actor - Usuário que alterou
+   * @returns {Promise<VendorProduct>} Produto atualizado
+   */
+  async updateProduct(vendorId: number, productId: number, rawInput: unknown, actor: string): Promise<VendorProduct> {
+    const input = this.parseProduct(rawInput);
+    await this.assertReferences(input);
+
+    await executeTransaction(async (tx) => {
+      const updated = await tx.execute({
+        sql: `UPDATE products SET
+                category_id = ?, name = ?, description = ?, short_description = ?, sku = ?, is_variable = ?,
+                weight = ?, width = ?, height = ?, length = ?, is_active = ?, low_stock_threshold = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND vendor_id = ?`,
+        args: [
+          input.categoryId,
+          input.name,
+          input.description,
+          input.shortDescription,
+          input.sku,
+          input.variants.length > 0 ? 1 : 0,
+          input.weight ?? null,
+          input.width ?? null,
+          input.height ?? null,
+          input.length ?? null,
+          input.isActive ? 1 : 0,
+          input.lowStockThreshold,
+          productId,
+          vendorId
+        ]
+      });
+      if (updated.rowsAffected === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+      }
+
+      const current = await tx.execute({ sql: `SELECT id FROM product_variants WHERE product_id = ?`, args: [productId] });
+      const currentIds = new Set(current.rows.map((row: any) => Number(row.id)));
+
+      const unknown = input.variants.find((variant) => variant.id !== undefined && !currentIds.has(variant.id));
+      if (unknown) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Variante não encontrada', details: { variantId: unknown.id } });
+      }
+
+      const keptIds = input.variants.map((variant) => variant.id).filter((id): id is number => id !== undefined);
+      await tx.execute({
+        sql: `UPDATE product_variants SET is_active = 0, updated_at = CURRENT_TIMESTAMP
+              WHERE product_id = ? AND is_active = 1${keptIds.length > 0 ? ` AND id NOT IN (${placeholders(keptIds)})` : ''}`,
+        args: [productId, ...keptIds]
+      });
+
+      await tx.execute({ sql: `DELETE FROM product_attribute_values WHERE product_id = ?`, args: [productId] });
+      await tx.execute({ sql: `DELETE FROM product_images WHERE product_id = ?`, args: [productId] });
+
+      await this.saveDetails(tx, productId, input, actor);
+
+      // Preços dos itens já existentes passam pelo histórico de preços, na mesma transação
+      const reason = 'Painel da loja';
+      await priceService.applyUpdate(
+        tx,
+        productId,
+        { price: input.price, compareAtPrice: input.compareAtPrice ?? null, reason },
+        actor
+      );
+      for (const variant of input.variants) {
+        if (variant.id !== undefined) {
+          await priceService.applyUpdate(
+            tx,
+            productId,
+            { variantId: variant.id, price: variant.price, compareAtPrice: variant.compareAtPrice ?? null, reason },
+            actor
+          );
+        }
+      }
+    });
+
+    await stockService.notifyPendingAlerts();
+    return this.getProduct(vendorId, productId);
+  }
+
+  /**
+   * Envios da loja com os itens de cada pedido
+   * @param {number} vendorId - Loja
+   * @param {object} options - Filtro de status e paginação
+   * @returns {Promise<object>} Pedidos (um por envio) e total
+   */
+  async listOrders(
+    vendorId: number,
+    options: { status?: string; page?: number; limit?: number } = {}
+  ): Promise<{ orders: VendorOrder[]; total: number; page: number; limit: number }> {
+    const page = clampPage(options.page, 1, Number.MAX_SAFE_INTEGER);
+    const limit = clampPage(options.limit, DEFAULT_DASHBOARD_PAGE_SIZE, MAX_DASHBOARD_PAGE_SIZE);
+    const status = (SHIPMENT_STATUSES as readonly string[]).includes(options.status ?? '') ? options.status : null;
+
+    const [shipments, count] = await Promise.all([
+      executeQuery<any>(
+        `SELECT s.*, o.order_number, o.created_at AS ordered_at, o.is_paid,
+           a.recipient_name, a.street, a.number, a.complement, a.neighborhood, a.city, a.state,
+           a.postal_code, a.phone
+         FROM order_shipments s
+         JOIN orders o ON s.order_id = o.id
+         LEFT JOIN addresses a ON o.shipping_address_id = a.id
+         WHERE s.vendor_id = ? AND (? IS NULL OR s.status = ?)
+         ORDER BY o.created_at DESC, s.id DESC
+         LIMIT ? OFFSET ?`,
+        [vendorId, status, status, limit, (page - 1) * limit]
+      ),
+      executeQuery<any>(
+        `SELECT COUNT(*) AS total FROM order_shipments WHERE vendor_id = ? AND (? IS NULL OR status = ?)`,
+        [vendorId, status, status]
+      )
+    ]);
+
+    const orderIds = shipments.rows.map((row: any) => Number(row.order_id));
+    const items =
+      orderIds.length > 0
+        ? await executeQuery<any>(
+            `SELECT oi.*, p.name AS product_name, COALESCE(pv.sku, p.sku) AS sku
+             FROM order_items oi
+             JOIN products p ON oi.product_id = p.id
+             LEFT JOIN product_variants pv ON oi.variant_id = pv.id
+             WHERE oi.vendor_id = ? AND oi.order_id IN (${placeholders(orderIds)})
+             ORDER BY oi.id ASC`,
+            [vendorId, ...orderIds]
+          )
+        : { rows: [] as any[] };
+
+    return {
+      orders: shipments.rows.map((row: any) => ({
+        shipmentId: Number(row.id),
+        orderId: Number(row.order_id),
+        orderNumber: row.order_number,
+        orderedAt: row.ordered_at,
+        isPaid: Boolean(row.is_paid),
+        status: row.status as ShipmentStatus,
+        subtotalAmount: Number(row.subtotal_amount),
+        shippingAmount: Number(row.shipping_amount ?? 0),
+        trackingCode: row.tracking_code ?? null,
+        carrier: row.carrier ?? null,
+        estimatedDeliveryDate: row.estimated_delivery_date ?? null,
+        shippingAddress:
+          row.is_paid && row.street
+            ? {
+                recipientName: row.recipient_name,
+                street: row.street,
+                number: row.number,
+                complement: row.complement ?? null,
+                neighborhood: row.neighborhood,
+                city: row.city,
+                state: row.state,
+                postalCode: row.postal_code,
+                phone: row.phone ?? null
+              }
+            : null,
+        items: items.rows
+          .filter((item: any) => Number(item.order_id) === Number(row.order_id))
+          .map((item: any) => ({
+            id: Number(item.id),
+            productId: Number(item.product_id),
+            variantId: nullableNumber(item.variant_id),
+            productName: item.product_name,
+            sku: item.sku ?? null,
+            quantity: Number(item.quantity),
+            unitPrice: Number(item.unit_price),
+            totalPrice: Number(item.total_price),
+            itemStatus: item.item_status
+          }))
+      })),
+      total: Number(count.rows[0].total),
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Dados públicos da loja, políticas e regras de frete
+   * @param {number} vendorId - Loja
+   * @returns {Promise<VendorSettings>} Configurações
+   */
+  async getSettings(vendorId: number): Promise<VendorSettings> {
+    const [vendor, rules, ranges] = await Promise.all([
+      executeQuery<any>(
+        `SELECT v.shop_name, v.description, v.logo_url, v.banner_url, v.phone, v.website_url,
+           s.allows_returns, s.return_period_days, s.shipping_policy, s.return_policy,
+           s.min_order_value, s.free_shipping_threshold
+         FROM vendors v
+         LEFT JOIN vendor_settings s ON s.vendor_id = v.id
+         WHERE v.id = ?`,
+        [vendorId]
+      ),
+      executeQuery<any>(
+        `SELECT * FROM vendor_shipping_rules WHERE vendor_id = ? ORDER BY is_default DESC, id ASC`,
+        [vendorId]
+      ),
+      executeQuery<any>(
+        `SELECT r.* FROM shipping_postal_code_ranges r
+         JOIN vendor_shipping_rules vr ON r.rule_id = vr.id
+         WHERE vr.vendor_id = ?
+         ORDER BY r.postal_code_start ASC`,
+        [vendorId]
+      )
+    ]);
+
+    const row = vendor.rows[0];
+    if (!row) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Loja não encontrada' });
+    }
+
+    return {
+      shopName: row.shop_name,
+      description: row.description ?? null,
+      logoUrl: row.logo_url ?? null,
+      bannerUrl: row.banner_url ?? null,
+      phone: row.phone ?? null,
+      websiteUrl: row.website_url ?? null,
+      allowsReturns: Boolean(row.allows_returns ?? 1),
+      returnPeriodDays: Number(row.return_period_days ?? 7),
+      shippingPolicy: row.shipping_policy ?? null,
+      returnPolicy: row.return_policy ?? null,
+      minOrderValue: Number(row.min_order_value ?? 0),
+      freeShippingThreshold: nullableNumber(row.free_shipping_threshold),
+      shippingRules: rules.rows.map((rule: any) => mapShippingRule(rule, ranges.rows))
+    };
+  }
+
+  /**
+   * Atualiza os dados públicos e as políticas da loja
+   * @param {number} vendorId - Loja
+   * @param {unknown} rawInput - Perfil e vendor_settings
+   * @returns {Promise<VendorSettings>} Configurações atualizadas
+   */
+  async updateSettings(vendorId: number, rawInput: unknown): Promise<VendorSettings> {
+    const parsed = vendorSettingsSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Configurações inválidas', details: parsed.error.flatten() });
+    }
+
+    const input = parsed.data;
+
+    await executeTransaction(async (tx) => {
+      await tx.execute({
+        sql: `UPDATE vendors SET
+                description = ?, logo_url = ?, banner_url = ?, phone = ?, website_url = ?, updated_at = CURRENT_TIMESTAMP
+              WHERE id = ?`,
+        args: [input.description, input.logoUrl ?? null, input.bannerUrl ?? null, input.phone, input.websiteUrl ?? null, vendorId]
+      });
+
+      await tx.execute({
+        sql: `INSERT INTO vendor_settings (
+                vendor_id, allows_returns, return_period_days, shipping_policy, return_policy,
+                min_order_value, free_shipping_threshold
+              )
+              VALUES (?, ?, ?, ?, ?, ?, ?)
+              ON CONFLICT(vendor_id) DO UPDATE SET
+                allows_returns = excluded.allows_returns,
+                return_period_days = excluded.return_period_days,
+                shipping_policy = excluded.shipping_policy,
+                return_policy = excluded.return_policy,
+                min_order_value = excluded.min_order_value,
+                free_shipping_threshold = excluded.free_shipping_threshold,
+                updated_at = CURRENT_TIMESTAMP`,
+        args: [
+          vendorId,
+          input.allowsReturns ? 1 : 0,
+          input.returnPeriodDays,
+          input.shippingPolicy,
+          input.returnPolicy,
+          input.minOrderValue,
+          input.freeShippingThreshold ?? null
+        ]
+      });
+    });
+
+    return this.getSettings(vendorId);
+  }
+
+  /**
+   * Cadastra uma regra de frete da loja
+   * @param {number} vendorId - Loja
+   * @param {unknown} rawInput - Regra e faixas de CEP
+   * @returns {Promise<VendorShippingRule>} Regra criada
+   */
+  async createShippingRule(vendorId: number, rawInput: unknown): Promise<VendorShippingRule> {
+    const input = this.parseShippingRule(rawInput);
+
+    const ruleId = await executeTransaction(async (tx) => {
+      const inserted = await tx.execute({
+        sql: `INSERT INTO vendor_shipping_rules (
+                vendor_id, name, is_default, is_active, min_order_value, free_shipping_threshold,
+                calculation_type, default_price, price_per_kg, percentage_value
+              )
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+              RETURNING id`,
+        args: [vendorId, ...this.shippingRuleArgs(input)]
+      });
+      const id = Number(inserted.rows[0].id);
+
+      await this.saveShippingRanges(tx, vendorId, id, input);
+      return id;
+    });
+
+    return this.getShippingRule(vendorId, ruleId);
+  }
+
+  /**
+   * Atualiza uma regra de frete da loja e substitui as faixas de CEP
+   * @param {number} vendorId - Loja
+   * @param {number} ruleId - Regra
+   * @param {unknown} rawInput - Regra e faixas de CEP
+   * @returns {Promise<VendorShippingRule>} Regra atualizada
+   */
+  async updateShippingRule(vendorId: number, ruleId: number, rawInput: unknown): Promise<VendorShippingRule> {
+    const input = this.parseShippingRule(rawInput);
+
+    await executeTransaction(async (tx) => {
+      const updated = await tx.execute({
+        sql: `UPDATE vendor_shipping_rules SET
+                name = ?, is_default = ?, is_active = ?, min_order_value = ?, free_shipping_threshold = ?,
+                calculation_type = ?, default_price = ?, price_per_kg = ?, percentage_value = ?,
+                updated_at = CURRENT_TIMESTAMP
+              WHERE id = ? AND vendor_id = ?`,
+        args: [...this.shippingRuleArgs(input), ruleId, vendorId]
+      });
+      if (updated.rowsAffected === 0) {
+        throw new ServiceError({ code: 'NOT_FOUND', message: 'Regra de frete não encontrada' });
+      }
+
+      await tx.execute({ sql: `DELETE FROM shipping_postal_code_ranges WHERE rule_id = ?`, args: [ruleId] });
+      await this.saveShippingRanges(tx, vendorId, ruleId, input);
+    });
+
+    return this.getShippingRule(vendorId, ruleId);
+  }
+
+  // Regra da loja com suas faixas de CEP
+  private async getShippingRule(vendorId: number, ruleId: number): Promise<VendorShippingRule> {
+    const [rule, ranges] = await Promise.all([
+      executeQuery<any>(`SELECT * FROM vendor_shipping_rules WHERE id = ? AND vendor_id = ?`, [ruleId, vendorId]),
+      executeQuery<any>(`SELECT * FROM shipping_postal_code_ranges WHERE rule_id = ? ORDER BY postal_code_start ASC`, [ruleId])
+    ]);
+    if (rule.rows.length === 0) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Regra de frete não encontrada' });
+    }
+    return mapShippingRule(rule.rows[0], ranges.rows);
+  }
+
+  private parseProduct(rawInput: unknown): VendorProductInput {
+    const parsed = vendorProductSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Produto inválido', details: parsed.error.flatten() });
+    }
+    return parsed.data;
+  }
+
+  private parseShippingRule(rawInput: unknown): ShippingRuleInput {
+    const parsed = shippingRuleSchema.safeParse(rawInput);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Regra de frete inválida', details: parsed.error.flatten() });
+    }
+    return parsed.data;
+  }
+
+  // Categoria e tipos de atributo informados precisam existir e estar ativos
+  private async assertReferences(input: VendorProductInput): Promise<void> {
+    const typeIds = [
+      ...new Set([
+        ...input.attributes.map((attribute) => attribute.attributeTypeId),
+        ...input.variants.flatMap((variant) => variant.attributes.map((attribute) => attribute.attributeTypeId))
+      ])
+    ];
+
+    const [category, types] = await Promise.all([
+      executeQuery<any>(`SELECT 1 FROM categories WHERE id = ? AND is_active = 1`, [input.categoryId]),
+      typeIds.length > 0
+        ? executeQuery<any>(
+            `SELECT id FROM product_attribute_types WHERE is_active = 1 AND id IN (${placeholders(typeIds)})`,
+            typeIds
+          )
+        : Promise.resolve({ rows: [] as any[] })
+    ]);
+
+    if (category.rows.length === 0) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Categoria inválida' });
+    }
+    if (types.rows.length !== typeIds.length) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Tipo de atributo inválido' });
+    }
+  }
+
+  // Slug a partir do nome, com sufixo numérico quando já existe
+  private async uniqueSlug(tx: Transaction, name: string): Promise<string> {
+    const base = slugify(name) || 'produto';
+    const taken = await tx.execute({
+      sql: `SELECT slug FROM products WHERE slug = ? OR slug LIKE ?`,
+      args: [base, `${base}-%`]
+    });
+    const slugs = new Set(taken.rows.map((row: any) => String(row.slug)));
+
+    let slug = base;
+    for (let suffix = 2; slugs.has(slug); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+    return slug;
+  }
+
+  private initialStock(productId: number, variantId: number | null, actor: string) {
+    return { productId, variantId, reason: 'inventory_count' as const, actor, reference: 'manual', notes: 'Estoque inicial' };
+  }
+
+  // Grava imagens, atributos e variantes (novas e existentes) do produto
+  private async saveDetails(tx: Transaction, productId: number, input: VendorProductInput, actor: string): Promise<void> {
+    const hasDefault = input.images.some((image) => image.isDefault);
+    for (const [index, image] of input.images.entries()) {
+      await tx.execute({
+        sql: `INSERT INTO product_images (product_id, variant_id, image_url, alt, is_default, display_order)
+              VALUES (?, NULL, ?, ?, ?, ?)`,
+        args: [productId, image.url, image.alt ?? input.name, image.isDefault || (!hasDefault && index === 0) ? 1 : 0, index]
+      });
+    }
+
+    for (const attribute of input.attributes) {
+      await this.insertAttribute(tx, productId, null, attribute);
+    }
+
+    for (const variant of input.variants) {
+      let variantId = variant.id;
+
+      if (variantId === undefined) {
+        const inserted = await tx.execute({
+          sql: `INSERT INTO product_variants (product_id, sku, price, compare_at_price, stock, weight, width, height, length, is_active)
+                VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?)
+                RETURNING id`,
+          args: [
+            productId,
+            variant.sku,
+            variant.price,
+            variant.compareAtPrice ?? null,
+            variant.weight ?? null,
+            variant.width ?? null,
+            variant.height ?? null,
+            variant.length ?? null,
+            variant.isActive ? 1 : 0
+          ]
+        });
+        variantId = Number(inserted.rows[0].id);
+
+        if (variant.stock > 0) {
+          await stockService.set(tx, this.initialStock(productId, variantId, actor), variant.stock);
+        }
+      } else {
+        await tx.execute({
+          sql: `UPDATE product_variants SET
+                  sku = ?, weight = ?, width = ?, height = ?, length = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND product_id = ?`,
+          args: [
+            variant.sku,
+            variant.weight ?? null,
+            variant.width ?? null,
+            variant.height ?? null,
+            variant.length ?? null,
+            variant.isActive ? 1 : 0,
+            variantId,
+            productId
+          ]
+        });
+      }
+
+      for (const attribute of variant.attributes) {
+        await this.insertAttribute(tx, productId, variantId, attribute);
+      }
+
+      for (const [index, url] of variant.imageUrls.entries()) {
+        await tx.execute({
+          sql: `INSERT INTO product_images (product_id, variant_id, image_url, alt, is_default, display_order)
+                VALUES (?, ?, ?, ?, 0, ?)`,
+          args: [productId, variantId, url, input.name, input.images.length + index]
+        });
+      }
+    }
+  }
+
+  private async insertAttribute(
+    tx: Transaction,
+    productId: number,
+    variantId: number | null,
+    attribute: z.infer<typeof attributeSchema>
+  ): Promise<void> {
+    await tx.execute({
+      sql: `INSERT INTO product_attribute_values (attribute_type_id, product_id, variant_id, value, display_value)
+            VALUES (?, ?, ?, ?, ?)`,
+      args: [attribute.attributeTypeId, productId, variantId, attribute.value, attribute.displayValue ?? null]
+    });
+  }
+
+  private shippingRuleArgs(input: ShippingRuleInput) {
+    return [
+      input.name,
+      input.isDefault ? 1 : 0,
+      input.isActive ? 1 : 0,
+      input.minOrderValue,
+      input.freeShippingThreshold ?? null,
+      input.calculationType,
+      input.defaultPrice,
+      input.pricePerKg ?? null,
+      input.percentageValue ?? null
+    ];
+  }
+
+  // Substitui as faixas de CEP e mantém uma única regra padrão por loja
+  private async saveShippingRanges(tx: Transaction, vendorId: number, ruleId: number, input: ShippingRuleInput): Promise<void> {
+    for (const range of input.postalCodeRanges) {
+      await tx.execute({
+        sql: `INSERT INTO shipping_postal_code_ranges (rule_id, postal_code_start, postal_code_end, price, delivery_days, state)
+              VALUES (?, ?, ?, ?, ?, ?)`,
+        args: [ruleId, range.postalCodeStart, range.postalCodeEnd, range.price, range.deliveryDays, range.state ?? null]
+      });
+    }
+
+    if (input.isDefault) {
+      await tx.execute({
+        sql: `UPDATE vendor_shipping_rules SET is_default = 0, updated_at = CURRENT_TIMESTAMP
+              WHERE vendor_id = ? AND id != ? AND is_default = 1`,
+        args: [vendorId, ruleId]
+      });
+    }
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const vendorDashboardService = new VendorDashboardService();
+export default vendorDashboardService;
@@ -0,0 +1,159 @@
+/**
+ * Lista de desejos
+ *
+ * Visitantes guardam a lista só no navegador (src/js/stores/wishlist.js); com
+ * login, ela passa a viver em wishlists/wishlist_items, na lista padrão do
+ * usuário ("Favoritos").
+ */
+
+import { z } from 'zod';
+import { executeQuery } from '../db/turso-client';
+import { ServiceError } from './errors';
+
+const DEFAULT_WISHLIST_NAME = 'Favoritos';
+const MAX_MERGE_ITEMS = 200;
+
+export const wishlistItemSchema = z.object({
+  productId: z.coerce.number().int().positive(),
+  variantId: z.coerce.number().int().positive().nullish()
+});
+
+// O navegador guarda só os IDs dos produtos; objetos com variante também são aceitos
+export const wishlistMergeSchema = z
+  .array(z.union([z.coerce.number().int().positive().transform((productId) => ({ productId })), wishlistItemSchema]))
+  .max(MAX_MERGE_ITEMS);
+
+export interface WishlistItem {
+  productId: number;
+  variantId: number | null;
+  addedAt: string;
+}
+
+/**
+ * Serviço de lista de desejos
+ */
+class WishlistService {
+  /**
+   * Itens da lista padrão do usuário
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<WishlistItem[]>} Itens, do mais recente para o mais antigo
+   */
+  async list(userId: string): Promise<WishlistItem[]> {
+    const result = await executeQuery<any>(
+      `SELECT wi.product_id, wi.variant_id, wi.added_at
+       FROM wishlist_items wi
+       JOIN wishlists w ON wi.wishlist_id = w.id
+       WHERE w.user_id = ? AND w.name = ?
+       ORDER BY wi.added_at DESC, wi.id DESC`,
+      [userId, DEFAULT_WISHLIST_NAME]
+    );
+
+    return result.rows.map((row: any) => ({
+      productId: Number(row.product_id),
+      variantId: row.variant_id !== null ? Number(row.variant_id) : null,
+      addedAt: row.added_at
+    }));
+  }
+
+  /**
+   * Adiciona um produto à lista padrão (sem duplicar)
+   * @param {string} userId - ID do usuário
+   * @param {unknown} rawItem - { productId, variantId? }
+   */
+  async add(userId: string, rawItem: unknown): Promise<void> {
+    const parsed = wishlistItemSchema.safeParse(rawItem);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Produto inválido', details: parsed.error.flatten() });
+    }
+
+    const added = await this.insertItems(userId, [parsed.data]);
+    if (added === 0 && !(await this.has(userId, parsed.data.productId, parsed.data.variantId ?? null))) {
+      throw new ServiceError({ code: 'NOT_FOUND', message: 'Produto não encontrado' });
+    }
+  }
+
+  /**
+   * Remove um produto da lista padrão
+   * @param {string} userId - ID do usuário
+   * @param {number} productId - Produto
+   * @param {number | null} variantId - Variante; sem ela remove todas as do produto
+   */
+  async remove(userId: string, productId: number, variantId: number | null = null): Promise<void> {
+    await executeQuery(
+      `DELETE FROM wishlist_items
+       WHERE product_id = ?
+         AND (? IS NULL OR variant_id = ?)
+         AND wishlist_id IN (SELECT id FROM wishlists WHERE user_id = ? AND name = ?)`,
+      [productId, variantId, variantId, userId, DEFAULT_WISHLIST_NAME]
+    );
+  }
+
+  /**
+   * Junta a lista do visitante à lista da conta (login)
+   * @param {string} userId - ID do usuário
+   * @param {unknown} rawItems - IDs de produto ou { productId, variantId }
+   * @returns {Promise<number>} Quantidade de itens novos na lista da conta
+   */
+  async merge(userId: string, rawItems: unknown): Promise<number> {
+    const parsed = wishlistMergeSchema.safeParse(rawItems);
+    if (!parsed.success) {
+      throw new ServiceError({ code: 'BAD_REQUEST', message: 'Lista de desejos inválida', details: parsed.error.flatten() });
+    }
+
+    return parsed.data.length > 0 ? this.insertItems(userId, parsed.data) : 0;
+  }
+
+  private async has(userId: string, productId: number, variantId: number | null): Promise<boolean> {
+    const result = await executeQuery<any>(
+      `SELECT 1 FROM wishlist_items wi
+       JOIN wishlists w ON wi.wishlist_id = w.id
+       WHERE w.user_id = ? AND w.name = ? AND wi.product_id = ? AND wi.variant_id IS ?`,
+      [userId, DEFAULT_WISHLIST_NAME, productId, variantId]
+    );
+    return result.rows.length > 0;
+  }
+
+  // Lista padrão do usuário, criada no primeiro uso
+  private async getDefaultWishlistId(userId: string): Promise<number> {
+    const existing = await executeQuery<any>(
+      `SELECT id FROM wishlists WHERE user_id = ? AND name = ? ORDER BY id ASC LIMIT 1`,
+      [userId, DEFAULT_WISHLIST_NAME]
+    );
+    if (existing.rows.length > 0) return Number(existing.rows[0].id);
+
+    const created = await executeQuery<any>(`INSERT INTO wishlists (user_id, name) VALUES (?, ?) RETURNING id`, [
+      userId,
+      DEFAULT_WISHLIST_NAME
+    ]);
+    return Number(created.rows[0].id);
+  }
+
+  // Insere só produtos ativos que ainda não estão na lista (variant_id nulo não conta no UNIQUE)
+  private async insertItems(userId: string, items: { productId: number; variantId?: number | null }[]): Promise<number> {
+    const wishlistId = await this.getDefaultWishlistId(userId);
+    let added = 0;
+
+    for (const item of items) {
+      const variantId = item.variantId ?? null;
+      const result = await executeQuery<any>(
+        `INSERT INTO wishlist_items (wishlist_id, product_id, variant_id)
+         SELECT ?, p.id, ?
+         FROM products p
+         WHERE p.id = ? AND p.is_active = 1
+           AND (? IS NULL OR EXISTS (SELECT 1 FROM product_variants WHERE id = ? AND product_id = p.id))
+           AND NOT EXISTS (
+             SELECT 1 FROM wishlist_items
+             WHERE wishlist_id = ? AND product_id = p.id AND variant_id IS ?
+           )`,
+        [wishlistId, variantId, item.productId, variantId, variantId, wishlistId, variantId]
+      );
+      added += result.rowsAffected;
+    }
+
+    return added;
+  }
+}
+
+// Exportar uma instância do serviço para uso em toda a aplicação
+const wishlistService = new WishlistService();
+export default wishlistService;
@@ -1,244 +1,183 @@
 /**
  * Worker para gerenciamento de carrinho com Durable Objects
+ *
+ * O CartDO guarda o estado de um carrinho (um objeto por usuário ou sessão) e
+ * serializa as gravações com controle de versão. Preços, estoque e a aplicação
+ * das operações ficam nas rotas /api/cart do Astro (src/services/cartService.ts),
+ * que acessam este objeto pelo binding CART_DO.
+ *
+ * O AttemptLimiterDO guarda, do mesmo jeito, os contadores de tentativas de
+ * login, recuperação de senha e cadastro (src/services/attemptLimiterService.ts,
+ * binding ATTEMPT_LIMITER_DO).
  */
 
+const EMPTY_CART = { items: [], version: 0, appliedOps: [], updatedAt: null };
+
 // Durable Object para gerenciar o estado do carrinho
 export class CartDO {
   constructor(state, env) {
     this.state = state;
     this.env = env;
     this.cart = null;
-    this.sessionId = null;
   }
-  
-  async initialize(sessionId) {
-    this.sessionId = sessionId;
-    // Carregar o carrinho do armazenamento persistente
-    this.cart = await this.state.storage.get('cart') || { 
-      items: [], 
-      count: 0,
-      updatedAt: Date.now(),
-      sessionId
-    };
+
+  async load() {
+    if (!this.cart) {
+      // Carregar o carrinho do armazenamento persistente
+      this.cart = await this.state.storage.get('cart') || { ...EMPTY_CART };
+    }
+    return this.cart;
   }
-  
+
   // Método principal para lidar com requisições
   async fetch(request) {
     const url = new URL(request.url);
-    const sessionId = url.searchParams.get('sessionId') || 
-                      request.headers.get('X-Session-ID') || 
-                      'anonymous';
-    
-    if (!this.cart || this.sessionId !== sessionId) {
-      await this.initialize(sessionId);
-    }
-    
-    // Router baseado em método e path
-    if (request.method === 'GET' && url.pathname === '/api/cart') {
-      return this.getCart();
-    }
-    
-    if (request.method === 'POST' && url.pathname === '/api/cart/add') {
-      return this.addItem(request);
-    }
-    
-    if (request.method === 'POST' && url.pathname === '/api/cart/update') {
-      return this.updateItem(request);
+
+    if (url.pathname !== '/state') {
+      return new Response('Not found', { status: 404 });
     }
-    
-    if (request.method === 'POST' && url.pathname === '/api/cart/remove') {
-      return this.removeItem(request);
+
+    if (request.method === 'GET') {
+      return this.jsonResponse(await this.load());
     }
-    
-    if (request.method === 'POST' && url.pathname === '/api/cart/clear') {
-      return this.clearCart();
+
+    if (request.method === 'PUT') {
+      return this.saveCart(request);
     }
-    
-    return new Response('Not found', { status: 404 });
-  }
-  
-  // Retorna o carrinho atual
-  async getCart() {
-    return this.jsonResponse(this.cart);
-  }
-  
-  // Adiciona um item ao carrinho
-  async addItem(request) {
-    try {
-      const data = await request.json();
-      const { product, quantity = 1, options = {} } = data;
-      
-      if (!product || !product.id) {
-        return this.jsonResponse({ error: 'Produto inválido' }, 400);
-      }
-      
-      // Verificar estoque em tempo real (opcional)
-      const stockCheck = await this.checkProductStock(product.id, quantity);
-      if (stockCheck && !stockCheck.available) {
-        return this.jsonResponse({ 
-          error: 'Produto sem estoque suficiente',
-          availableQuantity: stockCheck.remaining
-        }, 400);
-      }
-      
-      // Verificar se o item já existe no carrinho
-      const existingItemIndex = this.cart.items.findIndex(item => 
-        item.id === product.id && 
-        JSON.stringify(item.options || {}) === JSON.stringify(options)
-      );
-      
-      if (existingItemIndex >= 0) {
-        // Atualizar quantidade do item existente
-        this.cart.items[existingItemIndex].quantity += quantity;
-      } else {
-        // Adicionar novo item
-        this.cart.items.push({
-          ...product,
-          quantity,
-          options,
-          addedAt: Date.now()
-        });
-      }
-      
-      // Atualizar contagem e timestamp
-      this.cart.count = this.cart.items.reduce((total, item) => total + item.quantity, 0);
-      this.cart.updatedAt = Date.now();
-      
-      // Persistir mudanças
+
+    if (request.method === 'DELETE') {
+      this.cart = { ...EMPTY_CART, version: (await this.load()).version + 1, updatedAt: new Date().toISOString() };
       await this.state.storage.put('cart', this.cart);
-      
       return this.jsonResponse(this.cart);
-    } catch (error) {
-      console.error('Erro ao adicionar item ao carrinho:', error);
-      return this.jsonResponse({ error: 'Erro ao processar requisição' }, 500);
     }
+
+    return new Response('Method not allowed', { status: 405 });
   }
-  
-  // Atualiza um item no carrinho
-  async updateItem(request) {
+
+  // Grava o novo estado se ninguém gravou desde a leitura (expectedVersion)
+  async saveCart(request) {
     try {
-      const data = await request.json();
-      const { id, quantity, options } = data;
-      
-      if (!id) {
-        return this.jsonResponse({ error: 'ID do item não fornecido' }, 400);
-      }
-      
-      // Encontrar o item no carrinho
-      const itemIndex = this.cart.items.findIndex(item => 
-        item.id === id &&
-        JSON.stringify(item.options || {}) === JSON.stringify(options || {})
-      );
-      
-      if (itemIndex === -1) {
-        return this.jsonResponse({ error: 'Item não encontrado no carrinho' }, 404);
+      const { state, expectedVersion } = await request.json();
+      const current = await this.load();
+
+      if (!state || !Array.isArray(state.items)) {
+        return this.jsonResponse({ error: 'Estado de carrinho inválido' }, 400);
       }
-      
-      if (quantity <= 0) {
-        // Remover item se quantidade <= 0
-        this.cart.items.splice(itemIndex, 1);
-      } else {
-        // Verificar estoque em tempo real (opcional)
-        const stockCheck = await this.checkProductStock(id, quantity);
-        if (stockCheck && !stockCheck.available) {
-          return this.jsonResponse({ 
-            error: 'Quantidade maior que estoque disponível',
-            availableQuantity: stockCheck.remaining
-          }, 400);
-        }
-        
-        // Atualizar quantidade
-        this.cart.items[itemIndex].quantity = quantity;
-        
-        // Atualizar opções, se fornecidas
-        if (options) {
-          this.cart.items[itemIndex].options = options;
-        }
+
+      if (current.version !== expectedVersion) {
+        return this.jsonResponse({ error: 'Versão desatualizada', version: current.version }, 409);
       }
-      
-      // Atualizar contagem e timestamp
-      this.cart.count = this.cart.items.reduce((total, item) => total + item.quantity, 0);
-      this.cart.updatedAt = Date.now();
-      
+
+      this.cart = {
+        items: state.items,
+        appliedOps: state.appliedOps || [],
+        version: current.version + 1,
+        updatedAt: new Date().toISOString()
+      };
+
       // Persistir mudanças
       await this.state.storage.put('cart', this.cart);
-      
+
       return this.jsonResponse(this.cart);
     } catch (error) {
-      console.error('Erro ao atualizar item do carrinho:', error);
+      console.error('Erro ao gravar carrinho:', error);
       return this.jsonResponse({ error: 'Erro ao processar requisição' }, 500);
     }
   }
-  
-  // Remove um item do carrinho
-  async removeItem(request) {
-    try {
-      const data = await request.json();
-      const { id, options = {} } = data;
-      
-      if (!id) {
-        return this.jsonResponse({ error: 'ID do item não fornecido' }, 400);
+
+  // Helper para responder em JSON
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: {
+        'Content-Type': 'application/json'
       }
-      
-      // Filtrar o item
-      this.cart.items = this.cart.items.filter(item => 
-        !(item.id === id && JSON.stringify(item.options || {}) === JSON.stringify(options))
-      );
-      
-      // Atualizar contagem e timestamp
-      this.cart.count = this.cart.items.reduce((total, item) => total + item.quantity, 0);
-      this.cart.updatedAt = Date.now();
-      
-      // Persistir mudanças
-      await this.state.storage.put('cart', this.cart);
-      
-      return this.jsonResponse(this.cart);
-    } catch (error) {
-      console.error('Erro ao remover item do carrinho:', error);
-      return this.jsonResponse({ error: 'Erro ao processar requisição' }, 500);
+    });
+  }
+}
+
+const EMPTY_ATTEMPTS = { failures: 0, blockedUntil: null, lockedUntil: null, lastAttemptAt: null, version: 0 };
+
+// Contador sem tentativas por um dia é apagado (a maior janela das políticas)
+const ATTEMPTS_IDLE_MS = 24 * 60 * 60 * 1000;
+
+// Durable Object com o contador de tentativas de uma chave (email ou IP)
+export class AttemptLimiterDO {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.attempts = null;
+  }
+
+  async load() {
+    if (!this.attempts) {
+      this.attempts = await this.state.storage.get('attempts') || { ...EMPTY_ATTEMPTS };
     }
+    return this.attempts;
   }
-  
-  // Limpa o carrinho
-  async clearCart() {
-    this.cart.items = [];
-    this.cart.count = 0;
-    this.cart.updatedAt = Date.now();
-    
-    // Persistir mudanças
-    await this.state.storage.put('cart', this.cart);
-    
-    return this.jsonResponse(this.cart);
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname !== '/state') {
+      return new Response('Not found', { status: 404 });
+    }
+
+    if (request.method === 'GET') {
+      return this.jsonResponse(await this.load());
+    }
+
+    if (request.method === 'PUT') {
+      return this.saveAttempts(request);
+    }
+
+    if (request.method === 'DELETE') {
+      this.attempts = { ...EMPTY_ATTEMPTS };
+      await this.state.storage.deleteAll();
+      return this.jsonResponse(this.attempts);
+    }
+
+    return new Response('Method not allowed', { status: 405 });
   }
-  
-  // Verifica disponibilidade de estoque
-  async checkProductStock(productId, quantity) {
-    // Em produção, isso consultaria o Turso ou KV para obter estoque em tempo real
-    
-    // Simular estoque para este exemplo
-    const stockKey = `stock:${productId}`;
-    
+
+  // Grava o novo contador se ninguém gravou desde a leitura (expectedVersion)
+  async saveAttempts(request) {
     try {
-      // Tentar obter de KV
-      const stockData = await this.env.PRODUCT_CACHE.get(stockKey, {type: 'json'});
-      
-      if (stockData) {
-        return {
-          available: stockData.quantity >= quantity,
-          remaining: stockData.quantity
-        };
+      const { state, expectedVersion } = await request.json();
+      const current = await this.load();
+
+      if (!state || typeof state.failures !== 'number') {
+        return this.jsonResponse({ error: 'Contador inválido' }, 400);
+      }
+
+      if (current.version !== expectedVersion) {
+        return this.jsonResponse({ error: 'Versão desatualizada', version: current.version }, 409);
       }
-      
-      // Para este exemplo, assumir que está disponível se não encontrado
-      return { available: true, remaining: 999 };
+
+      this.attempts = {
+        failures: state.failures,
+        blockedUntil: state.blockedUntil || null,
+        lockedUntil: state.lockedUntil || null,
+        lastAttemptAt: state.lastAttemptAt || null,
+        version: current.version + 1
+      };
+
+      await this.state.storage.put('attempts', this.attempts);
+      await this.state.storage.setAlarm(Date.now() + ATTEMPTS_IDLE_MS);
+
+      return this.jsonResponse(this.attempts);
     } catch (error) {
-      console.error('Erro ao verificar estoque:', error);
-      // Failsafe: permitir a operação
-      return { available: true };
+      console.error('Erro ao gravar tentativas:', error);
+      return this.jsonResponse({ error: 'Erro ao processar requisição' }, 500);
     }
   }
-  
-  // Helper para responder em JSON
+
+  // Sem tentativas desde o último alarme: o contador não serve mais
+  async alarm() {
+    this.attempts = null;
+    await this.state.storage.deleteAll();
+  }
+
   jsonResponse(data, status = 200) {
     return new Response(JSON.stringify(data), {
       status,
@@ -249,35 +188,61 @@ export class CartDO {
   }
 }
 
+// Expressão do cron diário (8h em Brasília); precisa estar em [triggers] de wrangler.cart.toml
+const DAILY_CRON = '0 11 * * *';
+
+// Fechamento semanal do ciclo de repasse às lojas (segunda, 9h em Brasília); também em [triggers]
+const WEEKLY_CRON = '0 12 * * 1';
+
+// Chama um job agendado da aplicação (rotas /api/cron/*)
+function runCronJob(env, path, label) {
+  return fetch(`${env.SITE_URL}${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${env.CRON_SECRET}` }
+  }).then(async (response) => {
+    if (!response.ok) {
+      console.error(`Falha ao ${label}:`, response.status, await response.text());
+    }
+  });
+}
+
 // Worker principal que roteia requisições para o Durable Object
 export default {
   async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    
-    // Extrai ID de sessão do cookie, URL ou cabeçalho
-    const cookies = parseCookies(request.headers.get('Cookie') || '');
-    const sessionId = url.searchParams.get('sessionId') || 
-                      cookies.sessionId || 
-                      request.headers.get('X-Session-ID') || 
-                      'anonymous';
-    
-    // Criar um ID para o Durable Object baseado na sessão
-    const cartId = env.CART.idFromName(sessionId);
-    const cartObject = env.CART.get(cartId);
-    
+    // Chave do carrinho (user:<id> ou session:<id>), a mesma usada por cartService
+    const cartKey = request.headers.get('X-Cart-Key');
+    if (!cartKey) {
+      return new Response('X-Cart-Key obrigatório', { status: 400 });
+    }
+
+    // Criar um ID para o Durable Object baseado na chave do carrinho
+    const cartId = env.CART_DO.idFromName(cartKey);
+    const cartObject = env.CART_DO.get(cartId);
+
     // Reencaminhar a requisição para o Durable Object
     return cartObject.fetch(request);
-  }
-};
+  },
 
-// Helper para analisar cookies
-function parseCookies(cookieHeader) {
-  const cookies = {};
-  if (cookieHeader) {
-    cookieHeader.split(';').forEach(cookie => {
-      const [name, value] = cookie.trim().split('=');
-      cookies[name] = decodeURIComponent(value);
-    });
+  // Crons do worker ([triggers] em wrangler.cart.toml): a cada execução expira as
+  // reservas de estoque vencidas e envia um lote dos avisos de volta ao estoque; uma vez por dia (DAILY_CRON)
+  // avisa as quedas de preço das listas de desejos e remove sessões vencidas, e uma vez por semana (WEEKLY_CRON)
+  // fecha o ciclo de repasse.
+  // Os jobs rodam na aplicação, que tem acesso ao banco; SITE_URL e CRON_SECRET vêm do ambiente do worker
+  async scheduled(event, env, ctx) {
+    const jobs = [
+      runCronJob(env, '/api/cron/expire-reservations', 'expirar reservas de estoque'),
+      runCronJob(env, '/api/cron/back-in-stock', 'enviar avisos de volta ao estoque')
+    ];
+
+    if (event.cron === DAILY_CRON) {
+      jobs.push(runCronJob(env, '/api/cron/price-drops', 'avisar quedas de preço'));
+      jobs.push(runCronJob(env, '/api/cron/session-cleanup', 'remover sessões vencidas'));
+    }
+
+    if (event.cron === WEEKLY_CRON) {
+      jobs.push(runCronJob(env, '/api/cron/vendor-payouts', 'fechar o ciclo de repasse'));
+    }
+
+    ctx.waitUntil(Promise.all(jobs));
   }
-  return cookies;
-}
\ No newline at end of file
+};